@@ -3,113 +3,99 @@
   This is the "bob" node for testing IP4 peer connections and pubsub.
 */
 
-// Polyfill for Promise.withResolvers (Node.js v22+ feature, needed for Node.js v20)
-if (!Promise.withResolvers) {
-  Promise.withResolvers = function () {
-    let resolve, reject
-    const promise = new Promise((res, rej) => {
-      resolve = res
-      reject = rej
-    })
-    return { promise, resolve, reject }
-  }
-}
-
 // Global npm libraries
-import { createHelia } from 'helia'
+import { unixfs } from '@helia/unixfs'
+import crypto from 'crypto'
 import fs from 'fs'
-import { FsBlockstore } from 'blockstore-fs'
-import { FsDatastore } from 'datastore-fs'
-import { createLibp2p } from 'libp2p'
-import { tcp } from '@libp2p/tcp'
-import { noise } from '@chainsafe/libp2p-noise'
-import { yamux } from '@chainsafe/libp2p-yamux'
-import { identify } from '@libp2p/identify'
-import { gossipsub } from '@chainsafe/libp2p-gossipsub'
-import { webSockets } from '@libp2p/websockets'
-import { publicIpv4 } from 'public-ip'
+import path from 'path'
 import { multiaddr } from '@multiformats/multiaddr'
-import SlpWallet from 'minimal-slp-wallet'
-import IpfsCoord from 'helia-coord'
-
-const ROOT_DIR = './'
-const IPFS_DIR = './.ipfsdata/ipfs'
+import { generateKeyPair } from '@libp2p/crypto/keys'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { requestHandshake } from '../../lib/handshake.js'
+import { getDialerTransports, usesTransport } from '../../lib/transports.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { createSignedMessages, signMessage, REJECTION } from '../../lib/signed-messages.js'
+import { getSoakOptions, runSoak, printSoakStats } from '../../lib/soak.js'
+import { sleep } from '../../lib/util.js'
+import { discoverPeer, waitForPeerListRole } from '../../lib/discovery.js'
+import {
+  waitForConnection,
+  waitForPeerData,
+  waitForPeerList,
+  waitForPrivateMessage
+} from '../../lib/waiters.js'
 
 // Configuration: Add Alice's multiaddr here (e.g., '/ip4/1.2.3.4/tcp/4001/p2p/Qm...')
 // This will be used to extract Alice's peer ID for the test
-const ALICE_MULTIADDR = '/ip4/192.168.1.65/tcp/4001/p2p/12D3KooWFKA5Hxa3XQmkLGDEjoXqFSbqMT44uvJzMokeH171wLkQ'
+// It can be overridden with --alice-multiaddr, ALICE_MULTIADDR or a config file.
+const DEFAULT_ALICE_MULTIADDR = '/ip4/192.168.1.65/tcp/4001/p2p/12D3KooWFKA5Hxa3XQmkLGDEjoXqFSbqMT44uvJzMokeH171wLkQ'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
 
 // Test state
 let alicePeerId = null
-let acknowledgmentReceived = false
-let acknowledgmentData = null
 
-async function start () {
-  try {
-    // Ensure the directory structure exists that is needed by the IPFS node to store data.
-    ensureBlocksDir()
+// How long to wait for Alice to reject a message in the negative tests.
+const REJECTION_TIMEOUT = 30000
 
-    // Create block and data stores.
-    const blockstore = new FsBlockstore(`${IPFS_DIR}/blockstore`)
-    const datastore = new FsDatastore(`${IPFS_DIR}/datastore`)
+// How long Alice has to answer a message with tampered ciphertext, which
+// must never reach her.
+const DROPPED_MESSAGE_DEADLINE = 15000
 
-    // Configure services
-    const services = {
-      identify: identify(),
-      pubsub: gossipsub({ allowPublishToZeroTopicPeers: true })
-    }
+// Files used by the file transfer step. The multi-block and multi-megabyte
+// files are larger than the 256KiB default UnixFS chunk size.
+const TEST_FILES = [
+  { name: 'small', size: 1024 },
+  { name: 'multi-block', size: 1024 * 1024 },
+  { name: 'multi-megabyte', size: 8 * 1024 * 1024 }
+]
 
-    // libp2p is the networking layer that underpins Helia
-    const libp2p = await createLibp2p({
-      datastore,
-      addresses: {
-        listen: [
-          '/ip4/127.0.0.1/tcp/0',
-          '/ip4/0.0.0.0/tcp/4001',
-          '/ip4/0.0.0.0/tcp/4003/ws'
-        ]
-      },
-      transports: [
-        tcp(),
-        webSockets()
-      ],
-      connectionEncrypters: [
-        noise()
-      ],
-      streamMuxers: [
-        yamux()
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'aliceMultiaddr', 'alicePeerId', 'discovery', 'tcpPort', 'wsPort', 'announceMode', 'timeout', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir',
+        'transport', 'tlsCert',
+        'soakMessages', 'soakDuration', 'soakRate', 'soakPayloadSize', 'soakMinDelivery'
       ],
-      services
+      defaults: {
+        aliceMultiaddr: DEFAULT_ALICE_MULTIADDR
+      }
     })
 
-    // Create a Helia node
-    const ipfs = await createHelia({
-      blockstore,
-      datastore,
-      libp2p
+    report = createReport({
+      scenario: '01-ip4-peer-connect',
+      peer: 'bob',
+      reportDir: config.reportDir
     })
+    report.step('start node')
 
-    const id = ipfs.libp2p.peerId.toString()
-    console.log('IPFS ID: ', id)
-
-    // Attempt to guess our ip4 IP address.
-    const ip4 = await publicIpv4()
-    let detectedMultiaddr = `/ip4/${ip4}/tcp/4001/p2p/${id}`
-    detectedMultiaddr = multiaddr(detectedMultiaddr)
-
-    // Get the multiaddrs for the node.
-    const multiaddrs = ipfs.libp2p.getMultiaddrs()
-    multiaddrs.push(detectedMultiaddr)
-    console.log('Multiaddrs: ', multiaddrs)
-
-    // Create an instance of wallet
-    const wallet = new SlpWallet()
-    await wallet.walletInfoPromise
+    diagnostics = createDiagnostics({
+      scenario: '01-ip4-peer-connect',
+      peer: 'bob',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
 
     // Extract Alice's peer ID from multiaddr if provided
-    if (ALICE_MULTIADDR) {
+    if (config.aliceMultiaddr) {
       try {
-        const aliceMa = multiaddr(ALICE_MULTIADDR)
+        const aliceMa = multiaddr(config.aliceMultiaddr)
         const peerIdStr = aliceMa.getPeerId()
         if (peerIdStr) {
           alicePeerId = peerIdStr
@@ -122,171 +108,322 @@ async function start () {
       }
     }
 
+    // Without a multiaddr, Alice is picked by her peer ID if it is
+    // configured, and by her role tag otherwise.
+    if (!alicePeerId && config.alicePeerId) {
+      alicePeerId = config.alicePeerId
+      console.log(`Alice peer ID: ${alicePeerId}`)
+    }
+
     // Set up private message handler
-    // This will be called when private messages are received
-    // Note: We'll update this handler after ipfsCoord is created to have access to peerList
-    let handlePrivateMessage = (decryptedPayload, from) => {
-      try {
-        console.log(`Private message received from ${from}:`, decryptedPayload)
-        
-        // Check if message is from Alice
-        // If alicePeerId is not set yet, we'll accept messages from any peer
-        // (This handles edge cases, but normally alicePeerId should be set by announcement time)
-        const isFromAlice = alicePeerId ? (from === alicePeerId) : true
-        
-        if (isFromAlice) {
-          // If we don't have alicePeerId yet, set it now (fallback case)
-          if (!alicePeerId) {
-            alicePeerId = from
-            console.log(`Alice peer ID identified from private message: ${alicePeerId}`)
-          }
-          
-          // Only process if this is actually from Alice
-          if (from === alicePeerId) {
-            // Try to parse as JSON
-            let messageData
-            try {
-              messageData = JSON.parse(decryptedPayload)
-            } catch {
-              // If not JSON, treat as string
-              messageData = decryptedPayload
-            }
-            
-            // Check if this looks like an acknowledgment
-            // It could be a JSON object with acknowledgment/ack/response field, or a string containing "ack"
-            const isAcknowledgment = messageData && (
-              messageData.acknowledgment || 
-              messageData.ack || 
-              messageData.response ||
-              (typeof messageData === 'string' && (
-                messageData.toLowerCase().includes('ack') ||
-                messageData.toLowerCase().includes('acknowledgment')
-              ))
-            )
-            
-            if (isAcknowledgment) {
-              acknowledgmentReceived = true
-              acknowledgmentData = messageData
-              console.log('Acknowledgment received from Alice:', messageData)
-            }
-          }
-        }
-      } catch (err) {
-        console.error('Error handling private message:', err)
-      }
+    // This will be called when private messages are received. The test
+    // workflow only sees the messages that pass the signature checks of
+    // lib/signed-messages.js.
+    const handlePrivateMessage = (decryptedPayload, from) => {
+      console.log(`Private message received from ${from}:`, decryptedPayload)
     }
 
-    // Pass IPFS and wallet to ipfs-coord when instantiating it.
-    const ipfsCoord = new IpfsCoord({
-      ipfs,
-      wallet,
-      type: 'node.js',
-      nodeType: 'external',
-      debugLevel: 2,
-      privateLog: handlePrivateMessage
+    // With the ws and wss transports, Bob can only dial websockets. See
+    // lib/transports.js.
+    const { listen, transports } = getDialerTransports(config)
+
+    // Create the IPFS node and attach helia-coord to it.
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      debugLevel: config.debugLevel,
+      listen,
+      transports,
+      announceMode: config.announceMode,
+      discovery: config.discovery,
+      role: 'bob',
+      handlers: {
+        privateMessage: handlePrivateMessage
+      }
     })
 
-    await ipfsCoord.start()
-    console.log('IPFS and the coordination library is ready.')
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Check the signature of every message from Alice.
+    const messages = createSignedMessages(peer)
+    report.data.rejectedMessages = messages.rejections
+
+    // The addresses Bob reported, and the ones he dialed, which are added as
+    // he connects. See lib/announce.js.
+    report.data.addresses = peer.announcer.describe()
 
     // Run the test workflow
-    await runTest(ipfsCoord, ipfs)
+    await runTest(peer, messages)
   } catch (err) {
     console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
     process.exit(1)
   }
 }
 
-// Ensure that the directories exist to store blocks from the IPFS network.
-// This function is called at startup, before the IPFS node is started.
-function ensureBlocksDir () {
-  try {
-    !fs.existsSync(`${ROOT_DIR}.ipfsdata`) && fs.mkdirSync(`${ROOT_DIR}.ipfsdata`)
+// Check if a private message looks like an acknowledgment
+// It could be a JSON object with acknowledgment/ack/response field, or a string containing "ack"
+function isAcknowledgment (messageData) {
+  return messageData && (
+    messageData.acknowledgment ||
+    messageData.ack ||
+    messageData.response ||
+    (typeof messageData === 'string' && (
+      messageData.toLowerCase().includes('ack') ||
+      messageData.toLowerCase().includes('acknowledgment')
+    ))
+  )
+}
+
+// Add a file of random bytes to the blockstore, send its CID to Alice, and
+// wait for her to reply with the SHA-256 of the bytes she fetched over bitswap.
+async function transferFile (messages, heliaFs, testFile) {
+  const { name, size } = testFile
+
+  const bytes = crypto.randomBytes(size)
+  const sha256 = crypto.createHash('sha256').update(bytes).digest('hex')
+
+  const cid = (await heliaFs.addBytes(bytes)).toString()
+  console.log(`Added ${name} file (${size} bytes) with CID ${cid}`)
+
+  const fileMessage = {
+    fileTransfer: true,
+    name,
+    cid,
+    size
+  }
+  await messages.send(alicePeerId, fileMessage)
+  console.log(`Sent ${name} file CID to Alice, waiting for her reply...`)
+
+  const { data: reply } = await waitForPrivateMessage(
+    messages,
+    x => x.from === alicePeerId && x.data && x.data.fileTransferReply && x.data.cid === cid,
+    { step: `file transfer reply for ${name} file`, timeout: config.timeout }
+  )
+
+  if (reply.error) {
+    throw new Error(`Alice could not fetch ${name} file: ${reply.error}`)
+  }
+  if (reply.size !== size) {
+    throw new Error(`Size mismatch for ${name} file: expected ${size}, Alice got ${reply.size}`)
+  }
+  if (reply.sha256 !== sha256) {
+    throw new Error(`SHA-256 mismatch for ${name} file: expected ${sha256}, Alice got ${reply.sha256}`)
+  }
 
-    !fs.existsSync(`${IPFS_DIR}`) && fs.mkdirSync(`${IPFS_DIR}`)
+  console.log(`${name} file verified! SHA-256: ${sha256}`)
+}
+
+/*
+  Send a message that Alice must reject, and wait for her notice with the
+  reason. Throws if the reason is not one of the expected ones, or if Alice
+  answers the message.
+*/
+async function expectRejection (messages, name, envelope, expectedReasons) {
+  const { nonce } = JSON.parse(envelope.signedMessage)
+
+  await messages.sendEnvelope(alicePeerId, envelope)
+  console.log(`Sent ${name} message, waiting for Alice to reject it...`)
+
+  const { data: notice } = await waitForPrivateMessage(
+    messages,
+    x => x.from === alicePeerId && x.data && x.data.rejected && x.data.nonce === nonce,
+    { step: `rejection of ${name} message`, timeout: REJECTION_TIMEOUT }
+  )
+
+  if (!expectedReasons.includes(notice.reason)) {
+    throw new Error(`Alice rejected ${name} message with ${notice.reason}, expected ${expectedReasons.join(' or ')}`)
+  }
 
-    !fs.existsSync(`${IPFS_DIR}/blockstore`) && fs.mkdirSync(`${IPFS_DIR}/blockstore`)
+  console.log(`Alice rejected ${name} message: ${notice.reason}`)
+  return notice.reason
+}
 
-    !fs.existsSync(`${IPFS_DIR}/datastore`) && fs.mkdirSync(`${IPFS_DIR}/datastore`)
+/*
+  Send a message whose ciphertext was corrupted after it was encrypted, and
+  check that helia-coord drops it: Alice must send no acknowledgment and no
+  rejection notice, nor any other private message, before the deadline.
+*/
+async function expectDropped (peer, messages, name, envelope) {
+  const { nonce } = JSON.parse(envelope.signedMessage)
+  const sentAt = Date.now()
 
-    return true
+  await messages.sendCorruptedEnvelope(alicePeerId, envelope)
+  console.log(`Sent ${name} message, checking that Alice does not answer it for ${DROPPED_MESSAGE_DEADLINE}ms...`)
+
+  try {
+    const reply = await waitForPrivateMessage(
+      peer.privateMessages,
+      x => x.from === alicePeerId && x.receivedAt >= sentAt,
+      { step: `answer to ${name} message`, timeout: DROPPED_MESSAGE_DEADLINE }
+    )
+    throw new Error(`Alice answered ${name} message, which helia-coord must drop: ${JSON.stringify(reply.data)}`)
   } catch (err) {
-    console.error('Error in ensureBlocksDir(): ', err)
-    throw err
+    if (err.code !== 'ERR_STEP_TIMEOUT') throw err
+  }
+
+  console.log(`Alice did not answer ${name} message.`)
+  return { nonce, deadline: DROPPED_MESSAGE_DEADLINE, answered: false }
+}
+
+/*
+  Send messages that Alice must reject:
+  - a message whose ciphertext was changed after it was encrypted
+  - a message whose content was changed after it was signed
+  - a message signed by another peer, claiming to be from that peer
+  - the test message of an earlier run, or a backdated one on the first run
+  - a second copy of the test message of this run
+  helia-coord drops the first one before Alice sees it, so she must not
+  answer it. Alice replies to each of the others with a notice that holds
+  the rejection reason. The results are recorded under negativeTests in the
+  test report.
+*/
+async function runNegativeTests (peer, messages, testEnvelope) {
+  const testMessage = JSON.parse(testEnvelope.signedMessage).body
+  const results = {}
+  report.data.negativeTests = results
+
+  // helia-coord encrypts and authenticates the ciphertext of private
+  // messages, so a message with tampered ciphertext must be dropped before
+  // it reaches Alice. Its content is also tampered with, so that Alice
+  // would send a rejection notice if it ever reached her.
+  report.step('drop tampered ciphertext')
+  const corrupted = await signMessage(peer, alicePeerId, testMessage)
+  const corruptedContent = JSON.parse(corrupted.signedMessage)
+  corruptedContent.body.randomNumber += 1
+  corrupted.signedMessage = JSON.stringify(corruptedContent)
+  results.tamperedCiphertext = await expectDropped(peer, messages, 'tampered ciphertext', corrupted)
+
+  // The content is tampered with after signing, and the message is
+  // encrypted as is.
+  report.step('reject tampered message')
+  const tampered = await signMessage(peer, alicePeerId, testMessage)
+  const tamperedContent = JSON.parse(tampered.signedMessage)
+  tamperedContent.body.randomNumber += 1
+  tampered.signedMessage = JSON.stringify(tamperedContent)
+  results.tamperedContent = {
+    reason: await expectRejection(messages, 'tampered', tampered, [REJECTION.BAD_SIGNATURE])
+  }
+
+  // The message is validly signed by another key, but arrives from Bob.
+  report.step('reject spoofed sender')
+  const otherKey = await generateKeyPair('Ed25519')
+  const spoofed = await signMessage(peer, alicePeerId, testMessage, {
+    from: peerIdFromPrivateKey(otherKey).toString(),
+    privateKey: otherKey
+  })
+  results.spoofedSender = {
+    reason: await expectRejection(messages, 'spoofed sender', spoofed, [REJECTION.SPOOFED_SENDER])
+  }
+
+  // The test message of the last run is kept in the data directory. With an
+  // ephemeral data directory there is none, and a backdated message is
+  // replayed instead. The report records which one was sent, since only the
+  // first one tests a replay across runs.
+  report.step('reject replay from earlier run')
+  const lastMessageFile = path.join(peer.ipfsDir, 'last-test-message.json')
+  let replayed = readLastTestMessage(lastMessageFile, peer.libp2p.peerId.toString())
+  let source = 'earlier run'
+  if (!replayed) {
+    console.log('No test message from an earlier run, replaying a backdated one.')
+    source = 'backdated'
+    replayed = await signMessage(peer, alicePeerId, testMessage, {
+      signedAt: new Date(Date.now() - 60 * 60000).toISOString()
+    })
+  }
+  // Alice has a new peer ID if her data directory was removed since.
+  results.replay = {
+    source,
+    reason: await expectRejection(messages, 'replayed', replayed, [REJECTION.STALE, REJECTION.REPLAYED, REJECTION.WRONG_RECIPIENT])
+  }
+  fs.writeFileSync(lastMessageFile, JSON.stringify(testEnvelope))
+
+  report.step('reject duplicate message')
+  results.duplicate = {
+    reason: await expectRejection(messages, 'duplicate', testEnvelope, [REJECTION.REPLAYED])
+  }
+
+  // None of the rejected messages may be acknowledged.
+  const acknowledgments = messages.history.filter(x => x.from === alicePeerId && isAcknowledgment(x.data))
+  if (acknowledgments.length !== 1) {
+    throw new Error(`Expected 1 acknowledgment from Alice, got ${acknowledgments.length}`)
   }
 }
 
-// Helper function to sleep/delay
-function sleep (ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+// Check that every connection to Alice uses the transport Bob was given,
+// and record their remote addresses in the test report.
+function verifyTransport (libp2p) {
+  const addresses = libp2p.getConnections()
+    .filter(x => x.remotePeer.toString() === alicePeerId)
+    .map(x => x.remoteAddr.toString())
+  report.data.transport = { transport: config.transport, connections: addresses }
+
+  if (!addresses.length) throw new Error('Bob has no connection to Alice')
+  const others = addresses.filter(x => !usesTransport(x, config.transport))
+  if (others.length) {
+    throw new Error(`Connections to Alice do not use the ${config.transport} transport: ${others.join(', ')}`)
+  }
+
+  console.log(`Connected to Alice over ${config.transport}: ${addresses.join(', ')}`)
 }
 
-// Poll for a condition with timeout
-async function pollUntil (conditionFn, intervalMs = 1000, timeoutMs = 60000*5, description = 'condition') {
-  const startTime = Date.now()
-  while (Date.now() - startTime < timeoutMs) {
-    if (await conditionFn()) {
-      return true
-    }
-    await sleep(intervalMs)
+// Read the test message Bob sent in an earlier run, if it was signed by him.
+function readLastTestMessage (file, bobPeerId) {
+  try {
+    const envelope = JSON.parse(fs.readFileSync(file, 'utf8'))
+    return JSON.parse(envelope.signedMessage).from === bobPeerId ? envelope : null
+  } catch {
+    return null
   }
-  throw new Error(`Timeout waiting for ${description} after ${timeoutMs}ms`)
 }
 
 // Main test workflow
-async function runTest (ipfsCoord, ipfs) {
+async function runTest (peer, messages) {
+  const { ipfs, libp2p, ipfsCoord } = peer
+
   try {
     console.log('\n=== Starting IP4 Peer Connection Test ===\n')
 
     // Step 1: Connect directly to Alice using multiaddr (if provided)
-    if (ALICE_MULTIADDR && alicePeerId) {
+    if (config.aliceMultiaddr && alicePeerId) {
       console.log('Step 1: Connecting directly to Alice using multiaddr...')
-      console.log(`Alice multiaddr: ${ALICE_MULTIADDR}`)
+      report.step('connect to Alice')
+      console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
       console.log(`Alice peer ID: ${alicePeerId}`)
-      
+
       try {
-        const connectionResult = await ipfsCoord.adapters.ipfs.connectToPeer({ 
-          multiaddr: ALICE_MULTIADDR 
+        const connectionResult = await ipfsCoord.adapters.ipfs.connectToPeer({
+          multiaddr: config.aliceMultiaddr
         })
-        
+
         if (connectionResult.success) {
-          console.log(`Successfully connected to Alice via ${ALICE_MULTIADDR}`)
-          
-          // Wait a moment for the connection to fully establish
-          await sleep(1000)
-          
+          console.log(`Successfully connected to Alice via ${config.aliceMultiaddr}`)
+
           // Verify connection
-          const connectedPeers = await ipfsCoord.adapters.ipfs.getPeers()
-          if (connectedPeers.includes(alicePeerId)) {
-            console.log('Connection verified!')
-          } else {
-            console.log('Connection may still be establishing, waiting...')
-            // Wait a bit more and verify again
-            await pollUntil(
-              async () => {
-                const peers = await ipfsCoord.adapters.ipfs.getPeers()
-                return peers.includes(alicePeerId)
-              },
-              500, // Check every 500ms
-              10000, // 10 second timeout
-              'connection verification'
-            )
-            console.log('Connection verified!')
-          }
-          
+          await waitForConnection(libp2p, alicePeerId, {
+            step: 'connection verification',
+            timeout: 10000
+          })
+          console.log('Connection verified!')
+
           // IMPORTANT: Wait for Alice's announcement to populate peer data
           // The direct connection establishes the link, but we still need the
           // announcement to get Alice's public key and other peer data for encryption
-          console.log('Waiting for Alice\'s announcement to populate peer data...')
-          await pollUntil(
-            () => {
-              const peerData = ipfsCoord.thisNode.peerData.filter(x => x.from === alicePeerId)
-              return peerData.length > 0
-            },
-            500, // Check every 500ms
-            60000*5, // 5 minute timeout (announcements happen every ~2 minutes, but should be faster with direct connection)
-            'Alice peer data from announcement'
-          )
+          console.log('\nStep 2: Waiting for Alice\'s announcement to populate peer data...')
+          report.step('Alice announcement received')
+          await waitForPeerData(ipfsCoord, libp2p, alicePeerId, {
+            step: 'Alice peer data from announcement',
+            timeout: config.timeout
+          })
           console.log('Alice peer data received!')
         } else {
           throw new Error(`Failed to connect: ${connectionResult.details}`)
@@ -294,32 +431,23 @@ async function runTest (ipfsCoord, ipfs) {
       } catch (err) {
         console.error('Error connecting directly:', err)
         console.log('Falling back to announcement-based discovery...')
-        
+
         // Fallback: Wait for Alice's announcement
         console.log('Waiting for Alice\'s announcement...')
-        await pollUntil(
-          () => {
-            return ipfsCoord.thisNode.peerList.includes(alicePeerId)
-          },
-          2000, // Check every 2 seconds
-          60000*5, // 5 minute timeout
-          'Alice announcement'
-        )
-        console.log(`Alice found in peer list!`)
-        
+        await waitForPeerList(ipfsCoord, libp2p, x => x === alicePeerId, {
+          step: 'Alice announcement',
+          timeout: config.timeout
+        })
+        console.log('Alice found in peer list!')
+
         // Verify peer data is available
         console.log('Verifying Alice peer data is available...')
-        await pollUntil(
-          () => {
-            const peerData = ipfsCoord.thisNode.peerData.filter(x => x.from === alicePeerId)
-            return peerData.length > 0
-          },
-          500, // Check every 500ms
-          10000, // 10 second timeout (should be immediate if peerList has it)
-          'Alice peer data verification'
-        )
+        await waitForPeerData(ipfsCoord, libp2p, alicePeerId, {
+          step: 'Alice peer data verification',
+          timeout: 10000 // should be immediate if peerList has it
+        })
         console.log('Alice peer data verified!')
-        
+
         // Try connection refresh as fallback
         try {
           await ipfsCoord.useCases.peer.refreshPeerConnections()
@@ -327,71 +455,71 @@ async function runTest (ipfsCoord, ipfs) {
         } catch (refreshErr) {
           console.error('Error triggering connection refresh:', refreshErr)
         }
-        
+
         // Wait for connection
-        await pollUntil(
-          async () => {
-            const connectedPeers = await ipfsCoord.adapters.ipfs.getPeers()
-            return connectedPeers.includes(alicePeerId)
-          },
-          1000, // Check every second
-          30000, // 30 second timeout
-          'connection to Alice'
-        )
-        console.log(`Successfully connected to Alice!`)
+        await waitForConnection(libp2p, alicePeerId, {
+          step: 'connection to Alice',
+          timeout: 30000
+        })
+        console.log('Successfully connected to Alice!')
       }
+    } else if (config.discovery === 'mdns') {
+      // No multiaddr provided - find Alice on the LAN with mDNS. See
+      // lib/discovery.js.
+      console.log('Step 1: Discovering Alice with mDNS (no multiaddr provided)...')
+      report.step('discover Alice')
+
+      const found = await discoverPeer(libp2p, {
+        peerId: alicePeerId,
+        role: 'alice',
+        timeout: config.timeout
+      })
+      alicePeerId = found.peerId
+      report.data.discovery = found
+      console.log(`Alice discovered with mDNS after ${found.ms}ms! Peer ID: ${alicePeerId}`)
+      console.log(`Connected to Alice via ${found.remoteAddr}`)
+
+      console.log('\nStep 2: Waiting for Alice\'s announcement to populate peer data...')
+      report.step('Alice announcement received')
+      await waitForPeerData(ipfsCoord, libp2p, alicePeerId, {
+        step: 'Alice peer data from announcement',
+        timeout: config.timeout
+      })
+      console.log('Alice peer data received!')
     } else {
       // No multiaddr provided - fall back to announcement-based discovery
       console.log('Step 1: Waiting for Alice\'s announcement (no multiaddr provided)...')
-      
+      report.step('Alice announcement received')
+
       if (!alicePeerId) {
         console.log('Alice peer ID not provided, waiting for announcement...')
-        console.log('Will identify Alice as the first peer that announces itself.')
-        await pollUntil(
-          () => {
-            return ipfsCoord.thisNode.peerList.length > 0
-          },
-          2000, // Check every 2 seconds
-          60000*5, // 5 minute timeout
-          'Alice announcement'
-        )
-        
-        // Get the first peer as Alice
-        if (ipfsCoord.thisNode.peerList.length > 0) {
-          alicePeerId = ipfsCoord.thisNode.peerList[0]
-          console.log(`Alice discovered from announcement! Peer ID: ${alicePeerId}`)
-        } else {
-          throw new Error('Failed to discover Alice from announcements')
-        }
+        console.log('Will identify Alice as the announced peer with the alice role tag.')
+        alicePeerId = await waitForPeerListRole(ipfsCoord, libp2p, 'alice', {
+          step: 'Alice announcement',
+          timeout: config.timeout
+        })
+        console.log(`Alice discovered from announcement! Peer ID: ${alicePeerId}`)
       } else {
         // Wait for Alice to appear in peerList
-        await pollUntil(
-          () => {
-            return ipfsCoord.thisNode.peerList.includes(alicePeerId)
-          },
-          2000, // Check every 2 seconds
-          60000*5, // 5 minute timeout
-          'Alice in peer list'
-        )
-        console.log(`Alice found in peer list!`)
+        await waitForPeerList(ipfsCoord, libp2p, x => x === alicePeerId, {
+          step: 'Alice in peer list',
+          timeout: config.timeout
+        })
+        console.log('Alice found in peer list!')
       }
-      
+
       // Verify peer data is available (should be populated with peerList, but check to be safe)
       console.log('Verifying Alice peer data is available...')
-      await pollUntil(
-        () => {
-          const peerData = ipfsCoord.thisNode.peerData.filter(x => x.from === alicePeerId)
-          return peerData.length > 0
-        },
-        500, // Check every 500ms
-        10000, // 10 second timeout (should be immediate if peerList has it)
-        'Alice peer data verification'
-      )
+      await waitForPeerData(ipfsCoord, libp2p, alicePeerId, {
+        step: 'Alice peer data verification',
+        timeout: 10000 // should be immediate if peerList has it
+      })
       console.log('Alice peer data verified!')
-      
+
       // Step 2: Connect to Alice
       console.log('\nStep 2: Connecting to Alice...')
-      
+      report.step('connect to Alice')
+
       // Trigger connection attempt
       try {
         await ipfsCoord.useCases.peer.refreshPeerConnections()
@@ -399,71 +527,111 @@ async function runTest (ipfsCoord, ipfs) {
       } catch (err) {
         console.error('Error triggering connection refresh:', err)
       }
-      
+
       // Wait for connection to be established
       console.log('Waiting for connection to Alice...')
-      await pollUntil(
-        async () => {
-          const connectedPeers = await ipfsCoord.adapters.ipfs.getPeers()
-          return connectedPeers.includes(alicePeerId)
-        },
-        1000, // Check every second
-        30000, // 30 second timeout
-        'connection to Alice'
-      )
-      console.log(`Successfully connected to Alice!`)
+      await waitForConnection(libp2p, alicePeerId, {
+        step: 'connection to Alice',
+        timeout: 30000
+      })
+      console.log('Successfully connected to Alice!')
+    }
+
+    // With the ws and wss transports, the connection to Alice must be a
+    // websocket one.
+    if (config.transport !== 'tcp') {
+      report.step('verify transport')
+      verifyTransport(libp2p)
     }
 
-    // Step 2: Send private message
-    console.log('\nStep 2: Sending private message to Alice...')
+    // Step 3: Exchange encryption keys with Alice
+    // Alice needs Bob's encryption key to reply to his private messages. The
+    // handshake hands it to her, so she does not have to wait for his
+    // announcement.
+    console.log('\nStep 3: Exchanging encryption keys with Alice...')
+    report.step('key exchange')
+    await requestHandshake(peer, alicePeerId, { timeout: 30000 })
+    console.log('Encryption keys exchanged with Alice!')
+
+    // Step 4: Send private message
+    console.log('\nStep 4: Sending private message to Alice...')
+    report.step('send test message')
     const randomNumber = Math.floor(Math.random() * 1000000)
     const testMessage = {
       test: true,
       randomNumber: randomNumber,
       timestamp: new Date().toISOString(),
-      from: 'bob',
-      encryptPubKey: ipfsCoord.thisNode.publicKey // Include Bob's encryption public key
+      from: 'bob'
     }
-    const messageString = JSON.stringify(testMessage)
-    
+
     console.log(`Sending message with random number: ${randomNumber}`)
-    await ipfsCoord.useCases.peer.sendPrivateMessage(
-      alicePeerId,
-      messageString,
-      ipfsCoord.thisNode
-    )
+    const testEnvelope = await messages.send(alicePeerId, testMessage)
     console.log('Message sent successfully!')
 
-    // Step 3: Wait for acknowledgment
-    console.log('\nStep 3: Waiting for acknowledgment from Alice...')
-    
-    // Reset acknowledgment state before waiting
-    acknowledgmentReceived = false
-    acknowledgmentData = null
-
-    // Wait for acknowledgment (polling approach)
-    await pollUntil(
-      () => {
-        return acknowledgmentReceived
-      },
-      500, // Check every 500ms
-      60000*5, // 5 minute timeout
-      'acknowledgment from Alice'
+    // Step 5: Wait for acknowledgment
+    console.log('\nStep 5: Waiting for acknowledgment from Alice...')
+    report.step('acknowledgment received')
+    const acknowledgment = await waitForPrivateMessage(
+      messages,
+      x => x.from === alicePeerId && isAcknowledgment(x.data),
+      { step: 'acknowledgment from Alice', timeout: config.timeout }
     )
     console.log('Acknowledgment received from Alice!')
-    console.log('Acknowledgment data:', acknowledgmentData)
+    console.log('Acknowledgment data:', acknowledgment.data)
+    if (config.transport !== 'tcp') verifyTransport(libp2p)
+
+    // Step 6: Negative tests
+    console.log('\nStep 6: Sending messages that Alice must reject...')
+    await runNegativeTests(peer, messages, testEnvelope)
+    console.log('All invalid messages were rejected!')
+
+    // Step 7: Soak mode
+    const soakOptions = getSoakOptions(config)
+    if (soakOptions) {
+      console.log(`\nStep 7: Sending soak messages to Alice at ${soakOptions.rate} messages/s...`)
+      report.step('soak')
+      const stats = await runSoak(messages, alicePeerId, soakOptions)
+      report.data.soak = stats
+      printSoakStats(stats)
+
+      if (stats.deliveryRate < soakOptions.minDelivery) {
+        throw new Error(`Soak delivery rate ${stats.deliveryRate}% is below ${soakOptions.minDelivery}%`)
+      }
+    } else {
+      console.log('\nStep 7: Soak mode is off, skipping.')
+    }
+
+    // Step 8: File transfer
+    console.log('\nStep 8: Transferring files to Alice...')
+    const heliaFs = unixfs(ipfs)
 
-    // Step 4: Shutdown
-    console.log('\nStep 4: Test completed successfully! Shutting down...')
+    for (const testFile of TEST_FILES) {
+      report.step(`transfer ${testFile.name} file`)
+      await transferFile(messages, heliaFs, testFile)
+    }
+
+    // Let Alice know there are no more files coming.
+    report.step('send file transfer done')
+    await messages.send(alicePeerId, { fileTransferDone: true })
+    console.log('All files transferred successfully!')
+
+    // Wait a brief moment to ensure the message is sent
+    await sleep(2000)
+
+    // Step 9: Shutdown
+    console.log('\nStep 9: Test completed successfully! Shutting down...')
+    report.step('shutdown')
     await ipfs.stop()
     console.log('IPFS node stopped gracefully.')
+    report.finish()
     console.log('\n=== Test Completed Successfully ===\n')
     process.exit(0)
-
   } catch (err) {
     console.error('\n=== Test Failed ===')
     console.error('Error in test workflow:', err)
-    
+    report.fail(err)
+    diagnostics.write(err)
+
     // Cleanup on error
     try {
       console.log('Cleaning up...')
@@ -471,7 +639,8 @@ async function runTest (ipfsCoord, ipfs) {
     } catch (cleanupErr) {
       console.error('Error during cleanup:', cleanupErr)
     }
-    
+
+    report.finish()
     process.exit(1)
   }
 }
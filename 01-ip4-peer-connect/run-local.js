@@ -0,0 +1,244 @@
+/*
+  This script runs the 01-ip4-peer-connect test on a single machine.
+
+  It spawns alice and bob as child processes on localhost. Alice hands off
+  her listen multiaddr over the IPC channel, and it is passed to bob through
+  the ALICE_MULTIADDR environment variable. The script waits for both
+  runTest() workflows to finish, merges their test reports into
+  reports/01-ip4-peer-connect.json and .xml, and exits non-zero if either one
+  failed. On failure, the last lines of the output of both peers are written
+  next to the reports, with the diagnostics of the peer that failed.
+
+  The soak options of lib/config.js can be passed to this script, e.g.
+  `node run-local.js --soak-duration 3600000`. They are passed on to bob, and
+  the time the soak takes is added to the test timeout.
+
+  With --network-profile <name>, alice listens on fixed ports, and announces
+  the multiaddrs of two impairment proxies in front of them, one for TCP and
+  one for websockets, instead of her own. Bob, and helia-coord when it
+  reconnects, reach her through the network profile simulated by the proxies.
+  See lib/impairment-proxy.js and lib/network-profiles.js. The stats of the
+  proxies are added to the scenario report.
+
+  With --netns <cone|symmetric>, the peers run in the Linux network
+  namespaces of lib/netns.js instead of on loopback: alice on a public
+  address, and bob behind a NAT of that type, as in the real test. This needs
+  root and iptables.
+
+  With --transport <ws|wss>, bob only has the websocket transport, and dials
+  the websocket multiaddr of alice, or her secure websocket one with wss.
+  Alice creates a self-signed certificate for wss, and bob trusts it. See
+  lib/transports.js. The options above can be combined with it.
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import { loadConfig } from '../lib/config.js'
+import { getSoakOptions } from '../lib/soak.js'
+import { createImpairmentProxy } from '../lib/impairment-proxy.js'
+import { getNetworkProfile } from '../lib/network-profiles.js'
+import { createTopology } from '../lib/netns.js'
+import { TRANSPORTS } from '../lib/transports.js'
+import {
+  spawnPeer,
+  waitForMultiaddr,
+  waitForExit,
+  writePeerLogs,
+  getFreePort,
+  isTransportOn,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '01-ip4-peer-connect'
+
+// How long to wait for alice to report her multiaddrs.
+const STARTUP_TIMEOUT = 60000 * 2
+
+// How long to wait for both peers to finish the test, before killing them.
+// The time the soak takes is added to it.
+const TEST_TIMEOUT = 60000 * 10
+
+async function start () {
+  let alice = null
+  let bob = null
+  let proxies = []
+  let topology = null
+
+  try {
+    console.log('\n=== Starting local IP4 Peer Connection Test ===\n')
+
+    const config = loadConfig({
+      name: 'Runner',
+      options: ['networkProfile', 'netns', 'transport', 'soakMessages', 'soakDuration', 'soakRate', 'soakPayloadSize', 'soakMinDelivery']
+    })
+    const soakOptions = getSoakOptions(config)
+    const testTimeout = TEST_TIMEOUT + (soakOptions ? soakOptions.expectedDuration : 0)
+    if (config.networkProfile && config.netns) {
+      throw new Error('--network-profile and --netns can not be used together')
+    }
+
+    // Step 1: Start alice and wait for her multiaddr.
+    console.log('Step 1: Starting Alice...')
+    // On loopback, the peers find their addresses through identify, so the
+    // test needs no internet access.
+    // Bob dials the multiaddr of the transport he was given.
+    const { transport } = config
+    let aliceEnv = { TCP_PORT: 0, WS_PORT: 0, WSS_PORT: 0, ANNOUNCE_MODE: 'observed' }
+    let aliceFilter = isTransportOn('127.0.0.1', transport)
+    if (config.netns) {
+      // Alice has the namespace to herself, so she listens on the default
+      // ports, and announces her public address.
+      topology = createTopology({ nat: config.netns })
+      const { address } = topology.peers.alice
+      aliceEnv = {
+        TCP_PORT: 4001,
+        WS_PORT: 4003,
+        WSS_PORT: 4005,
+        ANNOUNCE_MULTIADDRS: [
+          `/ip4/${address}/tcp/4001`,
+          `/ip4/${address}/tcp/4003/ws`,
+          ...(transport === 'wss' ? [`/ip4/${address}/tcp/4005/tls/ws`] : [])
+        ].join(',')
+      }
+      aliceFilter = isTransportOn(address, transport)
+    } else if (config.networkProfile) {
+      const profile = getNetworkProfile(config.networkProfile)
+      console.log(`Routing Alice through the ${profile.name} network profile: ${profile.description}`)
+
+      // The proxies forward TCP, so TLS goes through them as is.
+      aliceEnv = { TCP_PORT: await getFreePort(), WS_PORT: await getFreePort(), WSS_PORT: await getFreePort() }
+      proxies = [
+        await createImpairmentProxy({ target: aliceEnv.TCP_PORT, profile, name: 'tcp-proxy' }),
+        await createImpairmentProxy({ target: aliceEnv.WS_PORT, profile, name: 'ws-proxy' })
+      ]
+      if (transport === 'wss') {
+        proxies.push(await createImpairmentProxy({ target: aliceEnv.WSS_PORT, profile, name: 'wss-proxy' }))
+      }
+      aliceEnv.ANNOUNCE_MULTIADDRS = [
+        `/ip4/127.0.0.1/tcp/${proxies[0].port}`,
+        `/ip4/127.0.0.1/tcp/${proxies[1].port}/ws`,
+        ...(transport === 'wss' ? [`/ip4/127.0.0.1/tcp/${proxies[2].port}/tls/ws`] : [])
+      ].join(',')
+    }
+    aliceEnv.TRANSPORT = transport
+    alice = spawnPeer(__dirname, 'alice', aliceEnv, { netns: topology && topology.peers.alice.namespace })
+
+    const aliceMultiaddr = await waitForMultiaddr(alice, 'Alice', aliceFilter, STARTUP_TIMEOUT)
+    console.log(`Alice multiaddr: ${aliceMultiaddr}`)
+    // The proxies are in the order of the transports.
+    const proxy = proxies[TRANSPORTS.indexOf(transport)]
+    if (proxy && !aliceMultiaddr.startsWith(`/ip4/127.0.0.1/tcp/${proxy.port}/`)) {
+      throw new Error(`Alice does not announce the address of the impairment proxy: ${aliceMultiaddr}`)
+    }
+
+    // Step 2: Start bob and point him at alice.
+    console.log('\nStep 2: Starting Bob...')
+    bob = spawnPeer(__dirname, 'bob', {
+      TCP_PORT: 0,
+      WS_PORT: 0,
+      ALICE_MULTIADDR: aliceMultiaddr,
+      ANNOUNCE_MODE: 'observed',
+      TRANSPORT: transport,
+      SOAK_MESSAGES: config.soakMessages,
+      SOAK_DURATION: config.soakDuration,
+      SOAK_RATE: config.soakRate,
+      SOAK_PAYLOAD_SIZE: config.soakPayloadSize,
+      SOAK_MIN_DELIVERY: config.soakMinDelivery
+    }, { netns: topology && topology.peers.bob.namespace })
+
+    // Step 3: Wait for both workflows to finish.
+    console.log('\nStep 3: Waiting for Alice and Bob to finish the test...')
+    const timer = setTimeout(() => {
+      console.error(`Test did not finish after ${testTimeout}ms, killing peers...`)
+      alice.kill()
+      bob.kill()
+    }, testTimeout)
+
+    const [aliceCode, bobCode] = await Promise.all([
+      waitForExit(alice),
+      waitForExit(bob)
+    ])
+    clearTimeout(timer)
+
+    console.log(`\nAlice exited with code ${aliceCode}`)
+    console.log(`Bob exited with code ${bobCode}`)
+
+    const networkProfile = await closeProxies(proxies)
+    if (topology) topology.destroy()
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: [
+        { name: 'alice', code: aliceCode },
+        { name: 'bob', code: bobCode }
+      ],
+      reportDir: REPORT_DIR,
+      data: networkProfile && { networkProfile }
+    })
+
+    if (aliceCode !== 0 || bobCode !== 0) {
+      writePeerLogs(SCENARIO, [
+        { name: 'alice', child: alice },
+        { name: 'bob', child: bob }
+      ])
+      console.error('\n=== Test Failed ===\n')
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+
+    // Cleanup on error
+    const peers = []
+    if (alice) peers.push({ name: 'alice', child: alice })
+    if (bob) peers.push({ name: 'bob', child: bob })
+    for (const peer of peers) peer.child.kill()
+
+    // Report the peers that were started, so that the failure shows up in
+    // the scenario report.
+    for (const peer of peers) peer.code = await waitForExit(peer.child)
+    const networkProfile = await closeProxies(proxies)
+    if (topology) topology.destroy()
+    mergeReports({
+      scenario: SCENARIO,
+      peers,
+      reportDir: REPORT_DIR,
+      data: networkProfile && { networkProfile }
+    })
+    writePeerLogs(SCENARIO, peers)
+
+    process.exit(1)
+  }
+}
+
+// Close the impairment proxies, print their stats, and return them for the
+// scenario report. Returns null when there are no proxies.
+async function closeProxies (proxies) {
+  if (!proxies.length) return null
+
+  const stats = []
+  for (const proxy of proxies) {
+    await proxy.close()
+    stats.push(proxy.stats)
+  }
+
+  console.log(`\nImpairment proxy stats (${stats[0].profile}):`)
+  for (const x of stats) {
+    console.log(`  ${x.name}: ${x.connections} connections, ${x.bytesToTarget} bytes to Alice, ${x.bytesFromTarget} bytes from Alice, ${x.stalls} stalls, ${x.disconnects} disconnects`)
+  }
+
+  return { name: stats[0].profile, proxies: stats }
+}
+
+start()
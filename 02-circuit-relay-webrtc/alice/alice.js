@@ -0,0 +1,158 @@
+/*
+  This script creates a Helia IPFS node and attaches helia-coord to it.
+  This is the "alice" node for testing Circuit Relay v2 and WebRTC connections.
+  Alice has a public IP4 address and runs the Circuit Relay v2 server that
+  bob and sam use to reach one another.
+*/
+
+// Global npm libraries
+import { circuitRelayServer } from '@libp2p/circuit-relay-v2'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { sendMultiaddrs } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Alice',
+      options: [
+        'tcpPort', 'wsPort', 'announce', 'announceMode', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '02-circuit-relay-webrtc',
+      peer: 'alice',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '02-circuit-relay-webrtc',
+      peer: 'alice',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    // Create the IPFS node and attach helia-coord to it.
+    // The relay server accepts reservations from bob and sam. The default
+    // limits are disabled, so that helia-coord traffic is not cut off before
+    // the peers upgrade to a direct WebRTC connection.
+    // Alice takes part in pubsub, so that announcements from bob and sam
+    // are relayed through her gossipsub mesh.
+    const peer = await createPeer({
+      name: 'Alice',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      debugLevel: config.debugLevel,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announce: config.announce,
+      announceMode: config.announceMode,
+      services: {
+        relay: circuitRelayServer({
+          reservations: {
+            applyDefaultLimit: false
+          }
+        })
+      }
+    })
+
+    const { ipfs, ipfsCoord, multiaddrs } = peer
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // If this process was spawned by run-local.js, hand our multiaddrs to the
+    // runner, so that it can pass them on to bob and sam.
+    sendMultiaddrs(multiaddrs)
+
+    // Run the test workflow
+    await runTest(ipfsCoord, ipfs)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Main test workflow
+// Alice only relays. She logs the peers that connect to her, and runs until
+// she is stopped with SIGINT or SIGTERM.
+async function runTest (ipfsCoord, ipfs) {
+  try {
+    console.log('\n=== Starting Circuit Relay v2 + WebRTC Test (Alice) ===\n')
+    console.log('Alice is ready and relaying connections for Bob and Sam...\n')
+    report.step('relay')
+
+    ipfs.libp2p.addEventListener('peer:connect', (evt) => {
+      console.log(`Peer connected: ${evt.detail.toString()}`)
+    })
+
+    ipfs.libp2p.addEventListener('peer:disconnect', (evt) => {
+      console.log(`Peer disconnected: ${evt.detail.toString()}`)
+    })
+
+    const shutdown = async () => {
+      console.log('\nShutting down...')
+      report.step('shutdown')
+      try {
+        await ipfs.stop()
+        console.log('IPFS node stopped gracefully.')
+        report.finish()
+        console.log('\n=== Relay Stopped ===\n')
+        process.exit(0)
+      } catch (err) {
+        console.error('Error during shutdown:', err)
+        report.fail(err)
+        report.finish()
+        process.exit(1)
+      }
+    }
+
+    process.once('SIGINT', shutdown)
+    process.once('SIGTERM', shutdown)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,233 @@
+/*
+  This script creates a Helia IPFS node and attaches helia-coord to it.
+  This is the "bob" node for testing Circuit Relay v2 and WebRTC connections.
+  Bob is firewalled. He only listens on /p2p-circuit and /webrtc addresses,
+  through a relay reservation on alice, and waits for sam to dial him.
+*/
+
+// Global npm libraries
+import { tcp } from '@libp2p/tcp'
+import { circuitRelayTransport } from '@libp2p/circuit-relay-v2'
+import { webRTC } from '@libp2p/webrtc'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { findDirectConnection, describeConnections, getWebRTCOptions } from '../../lib/connections.js'
+import { sendMultiaddrs } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { createSignedMessages } from '../../lib/signed-messages.js'
+import { sleep } from '../../lib/util.js'
+import { waitForPeerData, waitForPrivateMessage, waitForWebRTCMultiaddrs } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+// aliceMultiaddr is the multiaddr of the relay (e.g. '/ip4/1.2.3.4/tcp/4001/p2p/Qm...').
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Test state
+let samPeerId = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'aliceMultiaddr', 'timeout', 'iceServers', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '02-circuit-relay-webrtc',
+      peer: 'bob',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '02-circuit-relay-webrtc',
+      peer: 'bob',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.aliceMultiaddr) {
+      throw new Error('aliceMultiaddr must be configured, so that Bob can reserve a slot on the relay')
+    }
+
+    // Set up private message handler
+    // This will be called when private messages are received. The test
+    // workflow only sees the messages that pass the signature checks of
+    // lib/signed-messages.js.
+    const handlePrivateMessage = (decryptedPayload, from) => {
+      console.log(`Private message received from ${from}:`, decryptedPayload)
+    }
+
+    // Create the IPFS node and attach helia-coord to it.
+    // Bob does not listen on any TCP port. TCP is only used to dial the relay.
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      debugLevel: config.debugLevel,
+      listen: [
+        '/p2p-circuit',
+        '/webrtc'
+      ],
+      transports: [
+        tcp(),
+        webRTC(getWebRTCOptions(config.iceServers)),
+        circuitRelayTransport()
+      ],
+      announceMode: 'disabled',
+      handlers: {
+        privateMessage: handlePrivateMessage
+      }
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Check the signature of every message from Sam. The key is checked
+    // against the announcement of Sam, which can take a while to arrive.
+    const messages = createSignedMessages(peer, { peerDataTimeout: config.timeout })
+    report.data.rejectedMessages = messages.rejections
+
+    // Run the test workflow
+    await runTest(peer, messages)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Main test workflow
+async function runTest (peer, messages) {
+  const { ipfs, libp2p, ipfsCoord } = peer
+
+  try {
+    console.log('\n=== Starting Circuit Relay v2 + WebRTC Test (Bob) ===\n')
+
+    // Step 1: Connect to the relay
+    console.log('Step 1: Connecting to Alice (relay)...')
+    report.step('connect to Alice')
+    console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
+    const connectionResult = await ipfsCoord.adapters.ipfs.connectToPeer({
+      multiaddr: config.aliceMultiaddr
+    })
+    if (!connectionResult.success) {
+      throw new Error(`Failed to connect to Alice: ${connectionResult.details}`)
+    }
+    console.log('Connected to Alice!')
+
+    // Step 2: Wait for the relay reservation
+    console.log('\nStep 2: Waiting for a relay reservation on Alice...')
+    report.step('relay reservation')
+    const webrtcMultiaddrs = await waitForWebRTCMultiaddrs(libp2p, {
+      step: 'relay reservation on Alice',
+      timeout: 60000
+    })
+    console.log('Relay reservation made! WebRTC multiaddrs: ', webrtcMultiaddrs)
+
+    // If this process was spawned by run-local.js, hand our multiaddrs to the
+    // runner, so that it can pass them on to sam.
+    sendMultiaddrs(webrtcMultiaddrs)
+
+    // Step 3: Wait for Sam's test message
+    console.log('\nStep 3: Waiting for test message from Sam...')
+    report.step('test message received')
+    // The first test message identifies sam. Its sender is checked by its
+    // signature, so the 'from' field of the message is not used.
+    const testMessage = await waitForPrivateMessage(
+      messages,
+      x => x.data && x.data.test === true,
+      { step: 'test message from Sam', timeout: config.timeout }
+    )
+    const testMessageData = testMessage.data
+    samPeerId = testMessage.from
+    console.log('Test message received from Sam:', testMessageData)
+    console.log(`Sam peer ID: ${samPeerId}`)
+
+    // Step 4: Verify the connection to Sam was upgraded to WebRTC
+    console.log('\nStep 4: Verifying the connection to Sam...')
+    report.step('verify WebRTC connection')
+    const connection = findDirectConnection(libp2p, samPeerId, 'webrtc')
+    if (!connection) {
+      const remoteAddrs = describeConnections(libp2p, samPeerId)
+      throw new Error(`No direct WebRTC connection to Sam. Connections: ${JSON.stringify(remoteAddrs)}`)
+    }
+    console.log(`Direct WebRTC connection to Sam verified: ${connection.remoteAddr.toString()}`)
+
+    // Step 5: Wait for Sam's announcement
+    // The announcement populates Sam's peer data, which holds the encryption
+    // key needed to send the acknowledgment.
+    console.log('\nStep 5: Waiting for Sam\'s announcement to populate peer data...')
+    report.step('Sam announcement received')
+    await waitForPeerData(ipfsCoord, libp2p, samPeerId, {
+      step: 'Sam peer data from announcement',
+      timeout: config.timeout
+    })
+    console.log('Sam peer data received!')
+
+    // Step 6: Send acknowledgment
+    console.log('\nStep 6: Sending acknowledgment to Sam...')
+    report.step('send acknowledgment')
+    const acknowledgmentMessage = {
+      acknowledgment: true,
+      receivedRandomNumber: testMessageData.randomNumber,
+      originalTimestamp: testMessageData.timestamp,
+      timestamp: new Date().toISOString(),
+      from: 'bob'
+    }
+    console.log('Sending acknowledgment:', acknowledgmentMessage)
+    await messages.send(samPeerId, acknowledgmentMessage)
+    console.log('Acknowledgment sent successfully!')
+
+    // Step 7: Shutdown
+    console.log('\nStep 7: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+
+    // Wait a brief moment to ensure message is sent
+    await sleep(2000)
+
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,181 @@
+/*
+  This script runs the 02-circuit-relay-webrtc test on a single machine,
+  over loopback.
+
+  It spawns alice (the relay), then bob, then sam as child processes. Alice
+  hands off her listen multiaddr, which is passed to bob and sam through the
+  ALICE_MULTIADDR environment variable. Once bob has a relay reservation, he
+  hands off his /webrtc multiaddr, which is passed to sam through the
+  BOB_MULTIADDR environment variable. The script waits for the bob and sam
+  workflows to finish, stops alice, merges the test reports of the three
+  peers into reports/02-circuit-relay-webrtc.json and .xml, and exits
+  non-zero if either bob or sam failed. On failure, the last lines of the
+  output of the three peers are written next to the reports, with the
+  diagnostics of the peer that failed.
+
+  With --netns <cone|symmetric>, the peers run in the Linux network
+  namespaces of lib/netns.js instead of on loopback: alice on a public
+  address, and bob and sam each behind their own NAT of that type. Bob and
+  sam gather their ICE candidates with the STUN server of the namespaces, so
+  the WebRTC upgrade needs a hole punch through both NATs, as in the real
+  test. This needs root and iptables.
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import { loadConfig } from '../lib/config.js'
+import { createTopology } from '../lib/netns.js'
+import {
+  spawnPeer,
+  waitForMultiaddr,
+  waitForExit,
+  writePeerLogs,
+  isLoopbackTcp,
+  isTcpOn,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '02-circuit-relay-webrtc'
+
+// How long to wait for a peer to report its multiaddrs.
+const STARTUP_TIMEOUT = 60000 * 2
+
+// How long to wait for bob and sam to finish the test, before killing them.
+const TEST_TIMEOUT = 60000 * 10
+
+async function start () {
+  const peers = []
+  let topology = null
+
+  try {
+    console.log('\n=== Starting local Circuit Relay v2 + WebRTC Test ===\n')
+
+    const config = loadConfig({
+      name: 'Runner',
+      options: ['netns']
+    })
+
+    // Step 1: Start alice and wait for her multiaddr.
+    console.log('Step 1: Starting Alice (relay)...')
+    let aliceEnv = { TCP_PORT: 0, WS_PORT: 0, ANNOUNCE_MODE: 'observed' }
+    let aliceAddress = '127.0.0.1'
+    let iceServers = ''
+    if (config.netns) {
+      // Alice has the namespace to herself, so she listens on the default
+      // ports, and announces her public address.
+      topology = createTopology({ nat: config.netns })
+      aliceAddress = topology.peers.alice.address
+      aliceEnv = {
+        TCP_PORT: 4001,
+        WS_PORT: 4003,
+        ANNOUNCE_MULTIADDRS: `/ip4/${aliceAddress}/tcp/4001,/ip4/${aliceAddress}/tcp/4003/ws`
+      }
+      iceServers = topology.stunServer
+    }
+    const netns = (name) => ({ netns: topology && topology.peers[name].namespace })
+
+    const alice = spawnPeer(__dirname, 'alice', aliceEnv, netns('alice'))
+    peers.push({ name: 'alice', child: alice })
+
+    const aliceMultiaddr = await waitForMultiaddr(
+      alice,
+      'Alice',
+      topology ? isTcpOn(aliceAddress) : isLoopbackTcp,
+      STARTUP_TIMEOUT
+    )
+    console.log(`Alice multiaddr: ${aliceMultiaddr}`)
+
+    // Step 2: Start bob and wait for his relayed WebRTC multiaddr.
+    console.log('\nStep 2: Starting Bob...')
+    const bob = spawnPeer(__dirname, 'bob', {
+      ALICE_MULTIADDR: aliceMultiaddr,
+      ICE_SERVERS: iceServers
+    }, netns('bob'))
+    peers.push({ name: 'bob', child: bob })
+
+    const bobMultiaddr = await waitForMultiaddr(
+      bob,
+      'Bob',
+      x => x.startsWith(`/ip4/${aliceAddress}/tcp/`) && x.includes('/p2p-circuit/webrtc/'),
+      STARTUP_TIMEOUT
+    )
+    console.log(`Bob multiaddr: ${bobMultiaddr}`)
+
+    // Step 3: Start sam and point him at alice and bob.
+    console.log('\nStep 3: Starting Sam...')
+    const sam = spawnPeer(__dirname, 'sam', {
+      ALICE_MULTIADDR: aliceMultiaddr,
+      BOB_MULTIADDR: bobMultiaddr,
+      ICE_SERVERS: iceServers
+    }, netns('sam'))
+    peers.push({ name: 'sam', child: sam })
+
+    // Step 4: Wait for the bob and sam workflows to finish.
+    console.log('\nStep 4: Waiting for Bob and Sam to finish the test...')
+    const timer = setTimeout(() => {
+      console.error(`Test did not finish after ${TEST_TIMEOUT}ms, killing peers...`)
+      bob.kill()
+      sam.kill()
+    }, TEST_TIMEOUT)
+
+    const [bobCode, samCode] = await Promise.all([
+      waitForExit(bob),
+      waitForExit(sam)
+    ])
+    clearTimeout(timer)
+
+    // Step 5: Stop the relay.
+    console.log('\nStep 5: Stopping Alice...')
+    alice.kill('SIGTERM')
+    const aliceCode = await waitForExit(alice)
+
+    console.log(`\nAlice exited with code ${aliceCode}`)
+    console.log(`Bob exited with code ${bobCode}`)
+    console.log(`Sam exited with code ${samCode}`)
+    if (topology) topology.destroy()
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: [
+        { name: 'alice', code: aliceCode },
+        { name: 'bob', code: bobCode },
+        { name: 'sam', code: samCode }
+      ],
+      reportDir: REPORT_DIR
+    })
+
+    if (bobCode !== 0 || samCode !== 0) {
+      writePeerLogs(SCENARIO, peers)
+      console.error('\n=== Test Failed ===\n')
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+
+    // Cleanup on error
+    for (const peer of peers) peer.child.kill()
+
+    // Report the peers that were started, so that the failure shows up in
+    // the scenario report.
+    for (const peer of peers) peer.code = await waitForExit(peer.child)
+    if (topology) topology.destroy()
+    mergeReports({ scenario: SCENARIO, peers, reportDir: REPORT_DIR })
+    writePeerLogs(SCENARIO, peers)
+
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,255 @@
+/*
+  This script creates a Helia IPFS node and attaches helia-coord to it.
+  This is the "sam" node for testing Circuit Relay v2 and WebRTC connections.
+  Sam is firewalled. He only listens on /p2p-circuit and /webrtc addresses,
+  through a relay reservation on alice. He dials bob through the relay, and
+  the connection is upgraded to a direct WebRTC connection.
+*/
+
+// Global npm libraries
+import { tcp } from '@libp2p/tcp'
+import { circuitRelayTransport } from '@libp2p/circuit-relay-v2'
+import { webRTC } from '@libp2p/webrtc'
+import { multiaddr } from '@multiformats/multiaddr'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { findDirectConnection, getWebRTCOptions } from '../../lib/connections.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { createSignedMessages } from '../../lib/signed-messages.js'
+import {
+  waitForDirectConnection,
+  waitForPeerData,
+  waitForPrivateMessage,
+  waitForWebRTCMultiaddrs
+} from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+// aliceMultiaddr is the multiaddr of the relay (e.g. '/ip4/1.2.3.4/tcp/4001/p2p/Qm...').
+// bobMultiaddr is the /webrtc multiaddr that Bob prints once he has a relay
+// reservation (e.g. '/ip4/1.2.3.4/tcp/4001/p2p/Qm.../p2p-circuit/webrtc/p2p/Qm...').
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Test state
+let bobPeerId = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Sam',
+      options: [
+        'aliceMultiaddr', 'bobMultiaddr', 'timeout', 'iceServers', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '02-circuit-relay-webrtc',
+      peer: 'sam',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '02-circuit-relay-webrtc',
+      peer: 'sam',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.aliceMultiaddr) {
+      throw new Error('aliceMultiaddr must be configured, so that Sam can reserve a slot on the relay')
+    }
+    if (!config.bobMultiaddr) {
+      throw new Error('bobMultiaddr must be configured, so that Sam can dial Bob')
+    }
+
+    // Extract Bob's peer ID from his multiaddr
+    bobPeerId = multiaddr(config.bobMultiaddr).getPeerId()
+    if (!bobPeerId) {
+      throw new Error(`Could not extract peer ID from Bob multiaddr: ${config.bobMultiaddr}`)
+    }
+    console.log(`Bob peer ID extracted from multiaddr: ${bobPeerId}`)
+
+    // Set up private message handler
+    // This will be called when private messages are received. The test
+    // workflow only sees the messages that pass the signature checks of
+    // lib/signed-messages.js.
+    const handlePrivateMessage = (decryptedPayload, from) => {
+      console.log(`Private message received from ${from}:`, decryptedPayload)
+    }
+
+    // Create the IPFS node and attach helia-coord to it.
+    // Sam does not listen on any TCP port. TCP is only used to dial the relay.
+    const peer = await createPeer({
+      name: 'Sam',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      debugLevel: config.debugLevel,
+      listen: [
+        '/p2p-circuit',
+        '/webrtc'
+      ],
+      transports: [
+        tcp(),
+        webRTC(getWebRTCOptions(config.iceServers)),
+        circuitRelayTransport()
+      ],
+      announceMode: 'disabled',
+      handlers: {
+        privateMessage: handlePrivateMessage
+      }
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Check the signature of every message from Bob. The key is checked
+    // against the announcement of Bob, which can take a while to arrive.
+    const messages = createSignedMessages(peer, { peerDataTimeout: config.timeout })
+    report.data.rejectedMessages = messages.rejections
+
+    // Run the test workflow
+    await runTest(peer, messages)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Main test workflow
+async function runTest (peer, messages) {
+  const { ipfs, libp2p, ipfsCoord } = peer
+
+  try {
+    console.log('\n=== Starting Circuit Relay v2 + WebRTC Test (Sam) ===\n')
+
+    // Step 1: Connect to the relay
+    console.log('Step 1: Connecting to Alice (relay)...')
+    report.step('connect to Alice')
+    console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
+    const connectionResult = await ipfsCoord.adapters.ipfs.connectToPeer({
+      multiaddr: config.aliceMultiaddr
+    })
+    if (!connectionResult.success) {
+      throw new Error(`Failed to connect to Alice: ${connectionResult.details}`)
+    }
+    console.log('Connected to Alice!')
+
+    // Step 2: Wait for the relay reservation
+    console.log('\nStep 2: Waiting for a relay reservation on Alice...')
+    report.step('relay reservation')
+    const webrtcMultiaddrs = await waitForWebRTCMultiaddrs(libp2p, {
+      step: 'relay reservation on Alice',
+      timeout: 60000
+    })
+    console.log('Relay reservation made! WebRTC multiaddrs: ', webrtcMultiaddrs)
+
+    // Step 3: Dial Bob over WebRTC
+    // The signaling goes through the relay on Alice. libp2p resolves the dial
+    // with the direct WebRTC connection.
+    console.log('\nStep 3: Dialing Bob over WebRTC...')
+    report.step('dial Bob over WebRTC')
+    console.log(`Bob multiaddr: ${config.bobMultiaddr}`)
+    const dialed = await libp2p.dial(multiaddr(config.bobMultiaddr), {
+      signal: AbortSignal.timeout(60000)
+    })
+    console.log(`Dialed Bob: ${dialed.remoteAddr.toString()}`)
+
+    const connection = await waitForDirectConnection(libp2p, bobPeerId, 'webrtc', {
+      step: 'direct WebRTC connection to Bob',
+      timeout: 30000
+    })
+    console.log(`Direct WebRTC connection to Bob verified: ${connection.remoteAddr.toString()}`)
+
+    // Step 4: Wait for Bob's announcement
+    // The announcement populates Bob's peer data, which holds the encryption
+    // key needed to send the private message.
+    console.log('\nStep 4: Waiting for Bob\'s announcement to populate peer data...')
+    report.step('Bob announcement received')
+    await waitForPeerData(ipfsCoord, libp2p, bobPeerId, {
+      step: 'Bob peer data from announcement',
+      timeout: config.timeout
+    })
+    console.log('Bob peer data received!')
+
+    // Step 5: Send private message
+    console.log('\nStep 5: Sending private message to Bob...')
+    report.step('send test message')
+    const randomNumber = Math.floor(Math.random() * 1000000)
+    const testMessage = {
+      test: true,
+      randomNumber: randomNumber,
+      timestamp: new Date().toISOString(),
+      from: 'sam'
+    }
+
+    console.log(`Sending message with random number: ${randomNumber}`)
+    await messages.send(bobPeerId, testMessage)
+    console.log('Message sent successfully!')
+
+    // Step 6: Wait for acknowledgment
+    console.log('\nStep 6: Waiting for acknowledgment from Bob...')
+    report.step('acknowledgment received')
+    const acknowledgment = await waitForPrivateMessage(
+      messages,
+      x => x.from === bobPeerId && x.data && x.data.acknowledgment,
+      { step: 'acknowledgment from Bob', timeout: config.timeout }
+    )
+    const acknowledgmentData = acknowledgment.data
+    console.log('Acknowledgment received from Bob:', acknowledgmentData)
+    if (acknowledgmentData.receivedRandomNumber !== randomNumber) {
+      throw new Error(`Bob acknowledged random number ${acknowledgmentData.receivedRandomNumber}, expected ${randomNumber}`)
+    }
+    console.log('Acknowledgment verified!')
+
+    // The connection must still be the direct WebRTC connection.
+    if (!findDirectConnection(libp2p, bobPeerId, 'webrtc')) {
+      throw new Error('Direct WebRTC connection to Bob was lost during the message exchange')
+    }
+
+    // Step 7: Shutdown
+    console.log('\nStep 7: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
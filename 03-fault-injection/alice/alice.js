@@ -0,0 +1,187 @@
+/*
+  This script creates a Helia IPFS node and attaches helia-coord to it.
+  This is the "alice" node for the fault injection test. She answers the
+  pings of bob until he is done, and closes her connection to bob when the
+  runner tells her to. The runner kills, restarts and pauses her process.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { peerIdFromString } from '@libp2p/peer-id'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { sendMultiaddrs, createRunnerChannel } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { createSignedMessages } from '../../lib/signed-messages.js'
+import { sleep } from '../../lib/util.js'
+import { waitForPrivateMessage } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// How long Alice waits for Bob to finish all the faults.
+const SESSION_TIMEOUT = 60000 * 30
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Alice',
+      options: [
+        'tcpPort', 'wsPort', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '03-fault-injection',
+      peer: 'alice',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '03-fault-injection',
+      peer: 'alice',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    // Create the IPFS node and attach helia-coord to it.
+    // Alice listens on fixed ports, so that she can be reached at the same
+    // multiaddrs when she is restarted. Her peer ID is kept in her data
+    // directory.
+    const peer = await createPeer({
+      name: 'Alice',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      debugLevel: config.debugLevel,
+      listen: [
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled'
+    })
+
+    const { multiaddrs } = peer
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Check the signature of every message from Bob. See lib/signed-messages.js.
+    const messages = createSignedMessages(peer, {
+      nonceFile: path.join(peer.ipfsDir, 'seen-nonces.json')
+    })
+    report.data.rejectedMessages = messages.rejections
+
+    // If this process was spawned by run-local.js, hand our multiaddrs to the
+    // runner, so that it can pass them on to bob.
+    sendMultiaddrs(multiaddrs)
+
+    // Run the test workflow
+    await runTest(peer, messages)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Close the connections to a peer when the runner tells us to.
+function handleRunnerCommands (libp2p) {
+  const runner = createRunnerChannel()
+
+  runner.on('message', async (command) => {
+    if (command.type !== 'close-connection') return
+
+    try {
+      console.log(`Runner asked to close the connection to ${command.peerId}`)
+      await libp2p.hangUp(peerIdFromString(command.peerId))
+      console.log(`Connection to ${command.peerId} closed`)
+    } catch (err) {
+      console.error('Error closing connection: ', err)
+    }
+    runner.send({ type: 'connection-closed', id: command.id })
+  })
+}
+
+// Answer each ping from Bob with a pong with the same label and sequence number.
+function answerPings (messages) {
+  messages.on('message', async (message) => {
+    if (!message.data || !message.data.ping) return
+
+    try {
+      await messages.send(message.from, { pong: true, label: message.data.label, seq: message.data.seq })
+    } catch (err) {
+      console.error(`Error answering ping ${message.data.seq}: `, err.message)
+    }
+  })
+}
+
+// Main test workflow
+async function runTest (peer, messages) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting Fault Injection Test (Alice) ===\n')
+
+    // Step 1: Answer pings until Bob is done
+    console.log('Step 1: Answering pings from Bob until he is done...')
+    report.step('answer pings')
+    handleRunnerCommands(libp2p)
+    answerPings(messages)
+
+    const done = await waitForPrivateMessage(
+      messages,
+      x => x.data && x.data.done,
+      { step: 'end of the test from Bob', timeout: SESSION_TIMEOUT }
+    )
+    console.log(`Bob is done: ${done.data.faults} faults recovered.`)
+
+    // Step 2: Shutdown
+    console.log('\nStep 2: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+
+    // Wait a brief moment to ensure the last pong is sent
+    await sleep(2000)
+
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,328 @@
+/*
+  This script creates a Helia IPFS node and attaches helia-coord to it.
+  This is the "bob" node for the fault injection test. Bob connects to
+  alice, and checks that he recovers from each fault the runner injects:
+  helia-coord has to reconnect to alice and receive her announcement again,
+  and private messages have to get through again, each within the recovery
+  timeout. The time each of those took is recorded in the test report.
+*/
+
+// Global npm libraries
+import { multiaddr } from '@multiformats/multiaddr'
+import { peerIdFromString } from '@libp2p/peer-id'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { requestHandshake } from '../../lib/handshake.js'
+import { createRunnerChannel } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { createSignedMessages } from '../../lib/signed-messages.js'
+import { sleep } from '../../lib/util.js'
+import {
+  waitUntil,
+  waitForConnection,
+  waitForPeerData,
+  waitForPrivateMessage
+} from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Test state
+let alicePeerId = null
+let lastDisconnectAt = 0
+
+// How long Bob waits for the next command of the runner. Restarting alice
+// and pausing her take a while.
+const COMMAND_TIMEOUT = 60000 * 5
+
+// How long Bob waits to see the connection to Alice close after a fault.
+const DISCONNECT_TIMEOUT = 30000
+
+// Faults that do not close the connection. A connection may survive a pause.
+const KEEPS_CONNECTION = ['pause-alice']
+
+// How often helia-coord is asked to reconnect to its peers, and a ping is
+// sent again, while Bob waits to recover from a fault.
+const RETRY_INTERVAL = 5000
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'aliceMultiaddr', 'tcpPort', 'wsPort', 'timeout', 'recoveryTimeout', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '03-fault-injection',
+      peer: 'bob',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '03-fault-injection',
+      peer: 'bob',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.aliceMultiaddr) {
+      throw new Error('aliceMultiaddr must be configured, so that Bob can connect to Alice')
+    }
+    alicePeerId = multiaddr(config.aliceMultiaddr).getPeerId()
+    if (!alicePeerId) {
+      throw new Error(`Could not extract peer ID from Alice multiaddr: ${config.aliceMultiaddr}`)
+    }
+
+    // Create the IPFS node and attach helia-coord to it.
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      debugLevel: config.debugLevel,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled'
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Check the signature of every message from Alice. See lib/signed-messages.js.
+    const messages = createSignedMessages(peer)
+    report.data.rejectedMessages = messages.rejections
+
+    // Run the test workflow
+    await runTest(peer, messages)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Wait for the command of the runner with the given id.
+function waitForCommand (runner, id) {
+  return waitUntil({
+    step: `runner command ${id}`,
+    timeout: COMMAND_TIMEOUT,
+    check: (evt) => evt ? evt.id === id && evt : runner.history.find(x => x.id === id),
+    events: [{ target: runner, type: 'message' }]
+  })
+}
+
+// Send pings to Alice until one is answered, and resolve with the pong. The
+// label ties the pongs to the fault they answer.
+// A ping sent while the gossipsub mesh is not formed again is lost, so a new
+// one is sent every RETRY_INTERVAL.
+async function pingAlice (messages, label, timeout) {
+  let seq = 0
+  const send = () => {
+    messages.send(alicePeerId, { ping: true, label, seq: seq++ })
+      .catch(err => console.error('Error sending ping: ', err.message))
+  }
+
+  send()
+  const timer = setInterval(send, RETRY_INTERVAL)
+  try {
+    return await waitForPrivateMessage(
+      messages,
+      x => x.from === alicePeerId && x.data && x.data.pong && x.data.label === label,
+      { step: `pong from Alice for ${label}`, timeout }
+    )
+  } finally {
+    clearInterval(timer)
+  }
+}
+
+/*
+  Wait until Bob has recovered from a fault. The recovery timeout bounds the
+  whole recovery, and the times are measured from the fault:
+  - disconnected: whether the connection to Alice closed after the fault.
+  - reconnectMs: helia-coord reconnected to Alice.
+  - rediscoveryMs: an announcement Alice sent after the fault was received.
+  - messagingMs: a ping was answered by Alice.
+*/
+async function recover (peer, messages, fault, id, faultAt) {
+  const { libp2p, ipfsCoord } = peer
+  const deadline = faultAt + config.recoveryTimeout
+  const remaining = () => Math.max(deadline - Date.now(), 0)
+  const recovery = { id, fault, faultAt: new Date(faultAt).toISOString() }
+
+  // helia-coord reconnects to the peers in its peer list that it is not
+  // connected to. It is asked to do so every RETRY_INTERVAL, instead of
+  // waiting for its own timer.
+  const refresh = async () => {
+    try {
+      await ipfsCoord.useCases.peer.refreshPeerConnections()
+    } catch (err) {
+      console.error('Error refreshing peer connections: ', err.message)
+    }
+  }
+
+  // Otherwise the connection that is about to close would count as the
+  // reconnection.
+  if (!KEEPS_CONNECTION.includes(fault)) {
+    report.step(`${fault}: disconnect`)
+    await waitUntil({
+      step: `disconnect from Alice after ${fault}`,
+      timeout: DISCONNECT_TIMEOUT,
+      check: () => lastDisconnectAt >= faultAt,
+      events: [{ target: libp2p, type: 'peer:disconnect' }]
+    })
+  }
+  recovery.disconnected = lastDisconnectAt >= faultAt
+
+  refresh()
+  const timer = setInterval(refresh, RETRY_INTERVAL)
+
+  try {
+    report.step(`${fault}: reconnect`)
+    await waitForConnection(libp2p, alicePeerId, { step: `reconnect after ${fault}`, timeout: remaining() })
+    recovery.reconnectMs = Date.now() - faultAt
+    console.log(`Reconnected to Alice after ${recovery.reconnectMs}ms`)
+  } finally {
+    clearInterval(timer)
+  }
+
+  report.step(`${fault}: rediscovery`)
+  await waitUntil({
+    step: `announcement from Alice after ${fault}`,
+    timeout: remaining(),
+    recheckInterval: 1000,
+    check: () => {
+      const peerData = ipfsCoord.thisNode.peerData.find(x => x.from === alicePeerId)
+      return peerData && Date.parse(peerData.data.broadcastedAt) > faultAt
+    },
+    events: [{ target: libp2p.services.pubsub, type: 'message' }]
+  })
+  recovery.rediscoveryMs = Date.now() - faultAt
+  console.log(`Alice rediscovered after ${recovery.rediscoveryMs}ms`)
+
+  report.step(`${fault}: messaging`)
+  // A restarted Alice has lost Bob's encryption key.
+  await requestHandshake(peer, alicePeerId, { timeout: 30000 })
+  await pingAlice(messages, `${fault} #${id}`, remaining())
+  recovery.messagingMs = Date.now() - faultAt
+  console.log(`Private messaging resumed after ${recovery.messagingMs}ms`)
+
+  return recovery
+}
+
+// Main test workflow
+async function runTest (peer, messages) {
+  const { ipfs, libp2p, ipfsCoord } = peer
+
+  try {
+    console.log('\n=== Starting Fault Injection Test (Bob) ===\n')
+
+    libp2p.addEventListener('peer:disconnect', (evt) => {
+      if (evt.detail.toString() === alicePeerId) lastDisconnectAt = Date.now()
+    })
+
+    // Step 1: Connect to Alice and exchange a first message
+    console.log('Step 1: Connecting to Alice...')
+    report.step('connect to Alice')
+    console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
+    const connectionResult = await ipfsCoord.adapters.ipfs.connectToPeer({
+      multiaddr: config.aliceMultiaddr
+    })
+    if (!connectionResult.success) {
+      throw new Error(`Failed to connect to Alice: ${connectionResult.details}`)
+    }
+    await waitForPeerData(ipfsCoord, libp2p, alicePeerId, {
+      step: 'Alice peer data from announcement',
+      timeout: config.timeout
+    })
+
+    report.step('first message')
+    await requestHandshake(peer, alicePeerId, { timeout: 30000 })
+    await pingAlice(messages, 'start', config.timeout)
+    console.log('Alice answered the first ping!')
+
+    // Step 2: Recover from each fault the runner injects
+    console.log('\nStep 2: Waiting for faults from the runner...')
+    const runner = createRunnerChannel()
+    runner.send({ type: 'ready', peerId: libp2p.peerId.toString() })
+
+    report.data.recovery = []
+    let id = 0
+    while (true) {
+      const command = await waitForCommand(runner, id++)
+      if (command.type === 'finish') break
+
+      const { fault } = command
+      console.log(`\nFault: ${fault}`)
+
+      // The runner injects every fault, except closing the connection from
+      // Bob's side.
+      const faultAt = command.faultAt || Date.now()
+      if (fault === 'close-from-bob') {
+        await libp2p.hangUp(peerIdFromString(alicePeerId))
+        console.log('Connection to Alice closed')
+      }
+
+      const recovery = await recover(peer, messages, fault, command.id, faultAt)
+      if (command.pausedMs) recovery.pausedMs = command.pausedMs
+      report.data.recovery.push(recovery)
+
+      runner.send({ type: 'recovered', id: command.id, recovery })
+    }
+    console.log('Recovered from all faults!')
+
+    // Step 3: Shutdown
+    console.log('\nStep 3: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+    await messages.send(alicePeerId, { done: true, faults: report.data.recovery.length })
+
+    // Wait a brief moment to ensure the message is sent
+    await sleep(2000)
+
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
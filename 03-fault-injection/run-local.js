@@ -0,0 +1,243 @@
+/*
+  This script runs the 03-fault-injection test on a single machine.
+
+  It spawns alice and bob as child processes on localhost, like the runner
+  of 01-ip4-peer-connect. Once bob has exchanged a first private message with
+  alice, the runner injects the faults one at a time, and waits for bob to
+  recover from each one before it injects the next:
+  - close-from-bob: bob closes his libp2p connection to alice.
+  - close-from-alice: alice closes her libp2p connection to bob.
+  - pause-alice: the alice process is paused with SIGSTOP, and resumed with
+    SIGCONT after the pause time.
+  - restart-alice: the alice process is killed with SIGKILL, and started
+    again with the same data directory, peer ID and listen ports.
+
+  The recovery times bob reports are printed as a table, and recorded in his
+  test report. The script merges the test reports into
+  reports/03-fault-injection.json and .xml, and exits non-zero if either peer
+  failed.
+
+  Usage:
+    node run-local.js [--faults <a,b>] [--pause-time <ms>]
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+
+// Local libraries
+import {
+  spawnPeer,
+  waitForMultiaddr,
+  waitForPeerMessage,
+  waitForExit,
+  writePeerLogs,
+  getFreePort,
+  isLoopbackTcp,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+import { sleep } from '../lib/util.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '03-fault-injection'
+
+// The faults that are injected, in order.
+const FAULTS = ['close-from-bob', 'close-from-alice', 'pause-alice', 'restart-alice']
+
+// How long alice is paused by the pause-alice fault.
+const DEFAULT_PAUSE_TIME = 20000
+
+// How long to wait for alice to report her multiaddrs.
+const STARTUP_TIMEOUT = 60000 * 2
+
+// How long to wait for bob to be ready, and to recover from a fault. Bob
+// fails on his own once his recovery timeout is over.
+const STEP_TIMEOUT = 60000 * 10
+
+// How long to wait for both peers to finish after the last fault.
+const FINISH_TIMEOUT = 60000
+
+async function start () {
+  let alice = null
+  let bob = null
+
+  try {
+    console.log('\n=== Starting local Fault Injection Test ===\n')
+    const options = parseOptions()
+
+    // Alice listens on the same ports when she is restarted.
+    const aliceEnv = {
+      TCP_PORT: await getFreePort(),
+      WS_PORT: await getFreePort()
+    }
+
+    // Step 1: Start alice and wait for her multiaddr.
+    console.log('Step 1: Starting Alice...')
+    alice = spawnPeer(__dirname, 'alice', aliceEnv)
+    const aliceMultiaddr = await waitForMultiaddr(alice, 'Alice', isLoopbackTcp, STARTUP_TIMEOUT)
+    console.log(`Alice multiaddr: ${aliceMultiaddr}`)
+
+    // Step 2: Start bob, and wait until he has exchanged a first message.
+    console.log('\nStep 2: Starting Bob...')
+    bob = spawnPeer(__dirname, 'bob', {
+      TCP_PORT: 0,
+      WS_PORT: 0,
+      ALICE_MULTIADDR: aliceMultiaddr
+    })
+    const ready = await waitForPeerMessage(bob, 'Bob', x => x.type === 'ready', STEP_TIMEOUT)
+    const bobPeerId = ready.peerId
+    console.log('Bob is connected to Alice.')
+
+    // Step 3: Inject the faults.
+    console.log('\nStep 3: Injecting faults...')
+    const recoveries = []
+    let id = 0
+
+    for (const fault of options.faults) {
+      console.log(`\nInjecting ${fault}...`)
+      const command = { type: 'fault', id: id++, fault }
+
+      switch (fault) {
+        case 'close-from-bob':
+          // Bob closes the connection himself when he gets the command.
+          break
+
+        case 'close-from-alice':
+          command.faultAt = Date.now()
+          alice.send({ type: 'close-connection', id: command.id, peerId: bobPeerId })
+          await waitForPeerMessage(alice, 'Alice', x => x.type === 'connection-closed' && x.id === command.id, STEP_TIMEOUT)
+          break
+
+        case 'pause-alice':
+          command.faultAt = Date.now()
+          alice.kill('SIGSTOP')
+          await sleep(options.pauseTime)
+          alice.kill('SIGCONT')
+          command.pausedMs = options.pauseTime
+          break
+
+        case 'restart-alice': {
+          command.faultAt = Date.now()
+          const killed = alice
+          killed.kill('SIGKILL')
+          await waitForExit(killed)
+
+          // The output of the killed process is kept with the new one.
+          alice = spawnPeer(__dirname, 'alice', aliceEnv)
+          alice.logLines.unshift(...killed.logLines, '--- restarted by the runner ---')
+          await waitForMultiaddr(alice, 'Alice', isLoopbackTcp, STARTUP_TIMEOUT)
+          break
+        }
+
+        default:
+          throw new Error(`Unknown fault: ${fault}`)
+      }
+
+      bob.send(command)
+      const { recovery } = await waitForPeerMessage(bob, 'Bob', x => x.type === 'recovered' && x.id === command.id, STEP_TIMEOUT)
+      recoveries.push(recovery)
+      console.log(`Bob recovered from ${fault}: messaging resumed after ${recovery.messagingMs}ms`)
+    }
+
+    // Step 4: Let both peers finish.
+    console.log('\nStep 4: Waiting for Alice and Bob to finish the test...')
+    bob.send({ type: 'finish', id: id++ })
+
+    const timer = setTimeout(() => {
+      console.error(`Test did not finish after ${FINISH_TIMEOUT}ms, killing peers...`)
+      alice.kill()
+      bob.kill()
+    }, FINISH_TIMEOUT)
+
+    const [aliceCode, bobCode] = await Promise.all([
+      waitForExit(alice),
+      waitForExit(bob)
+    ])
+    clearTimeout(timer)
+
+    console.log(`\nAlice exited with code ${aliceCode}`)
+    console.log(`Bob exited with code ${bobCode}`)
+    printRecoveries(recoveries)
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: [
+        { name: 'alice', code: aliceCode },
+        { name: 'bob', code: bobCode }
+      ],
+      reportDir: REPORT_DIR
+    })
+
+    if (aliceCode !== 0 || bobCode !== 0) {
+      writePeerLogs(SCENARIO, [
+        { name: 'alice', child: alice },
+        { name: 'bob', child: bob }
+      ])
+      console.error('\n=== Test Failed ===\n')
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+
+    // Cleanup on error. A paused alice can not handle SIGTERM.
+    const peers = []
+    if (alice) peers.push({ name: 'alice', child: alice })
+    if (bob) peers.push({ name: 'bob', child: bob })
+    for (const peer of peers) {
+      peer.child.kill('SIGCONT')
+      peer.child.kill()
+    }
+
+    // Report the peers that were started, so that the failure shows up in
+    // the scenario report.
+    for (const peer of peers) peer.code = await waitForExit(peer.child)
+    mergeReports({ scenario: SCENARIO, peers, reportDir: REPORT_DIR })
+    writePeerLogs(SCENARIO, peers)
+
+    process.exit(1)
+  }
+}
+
+function parseOptions () {
+  const { values } = parseArgs({
+    options: {
+      faults: { type: 'string' },
+      'pause-time': { type: 'string' }
+    }
+  })
+
+  const faults = values.faults ? values.faults.split(',') : FAULTS
+  const unknown = faults.filter(x => !FAULTS.includes(x))
+  if (unknown.length) {
+    throw new Error(`Unknown faults: ${unknown.join(', ')}. Known faults: ${FAULTS.join(', ')}`)
+  }
+
+  const pauseTime = values['pause-time'] ? Number(values['pause-time']) : DEFAULT_PAUSE_TIME
+  if (!Number.isInteger(pauseTime) || pauseTime < 1) {
+    throw new Error(`--pause-time must be a positive integer, got ${values['pause-time']}`)
+  }
+
+  return { faults, pauseTime }
+}
+
+// Print the recovery times reported by bob.
+function printRecoveries (recoveries) {
+  if (!recoveries.length) return
+
+  console.log('\nRecovery times (ms after the fault):')
+  console.log('  fault              disconnected  reconnect  rediscovery  messaging')
+  for (const x of recoveries) {
+    console.log(`  ${x.fault.padEnd(18)} ${String(x.disconnected).padEnd(13)} ${String(x.reconnectMs).padStart(9)}  ${String(x.rediscoveryMs).padStart(11)}  ${String(x.messagingMs).padStart(9)}`)
+  }
+}
+
+start()
@@ -0,0 +1,271 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, and uses its
+  gossipsub service directly. This is the "alice" node for the raw gossipsub
+  test. Alice echoes every payload Bob publishes, and checks the signature
+  policy of his messages and how many copies of each payload she received.
+  Her signature policy is set by the phase of the test, see
+  lib/gossipsub-phases.js.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+import { gossipsub } from '@chainsafe/libp2p-gossipsub'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { sendMultiaddrs } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import {
+  GOSSIPSUB_PHASES,
+  GOSSIPSUB_TOPICS,
+  ECHO_PREFIX,
+  deliversMessages
+} from '../../lib/gossipsub-phases.js'
+import { sleep } from '../../lib/util.js'
+import { waitForSubscriber, waitForPubsubMessage } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// How long Alice listens for Bob's messages in the mismatch phase, once he
+// has subscribed. Bob publishes as soon as he sees her subscription.
+const MISMATCH_WINDOW = 15000
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Alice',
+      options: [
+        'tcpPort', 'wsPort', 'gossipsubPhase', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+    const phase = config.gossipsubPhase
+
+    // Each phase has its own report, so that the runner can merge them.
+    report = createReport({
+      scenario: '04-gossipsub',
+      peer: `alice-${phase}`,
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '04-gossipsub',
+      peer: `alice-${phase}`,
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    // Publishing to a topic nobody subscribed to is an error, so that Bob
+    // can test it.
+    const signaturePolicy = GOSSIPSUB_PHASES[phase].alice
+    console.log(`Phase ${phase}: Alice uses the ${signaturePolicy} signature policy`)
+    const peer = await createPeer({
+      name: 'Alice',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false,
+      services: {
+        pubsub: gossipsub({
+          allowPublishToZeroTopicPeers: false,
+          globalSignaturePolicy: signaturePolicy
+        })
+      }
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // If this process was spawned by run-local.js, hand our multiaddrs to the
+    // runner, so that it can pass them on to bob.
+    sendMultiaddrs(peer.multiaddrs)
+
+    // Run the test workflow
+    await runTest(peer, phase, signaturePolicy)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Check that a message follows the signature policy of Alice. gossipsub
+// drops the messages that do not, so a failure here is a gossipsub bug. The
+// author of a signed message is checked once Bob is known.
+function checkSignaturePolicy (msg, signaturePolicy) {
+  if (signaturePolicy === 'StrictSign') {
+    if (msg.type !== 'signed' || !msg.signature || msg.sequenceNumber === undefined) {
+      throw new Error(`Expected a signed message with a sequence number, got a ${msg.type} one`)
+    }
+    return
+  }
+
+  if (msg.type !== 'unsigned' || msg.from || msg.signature) {
+    throw new Error(`Expected an unsigned message without an author, got a ${msg.type} one`)
+  }
+}
+
+function sha256 (data) {
+  return crypto.createHash('sha256').update(data).digest('hex')
+}
+
+// Parse a control message from Bob. Returns null if it is not JSON.
+function parseControl (data) {
+  try {
+    return JSON.parse(new TextDecoder().decode(data))
+  } catch {
+    return null
+  }
+}
+
+// Main test workflow
+async function runTest (peer, phase, signaturePolicy) {
+  const { ipfs, libp2p } = peer
+  const pubsub = libp2p.services.pubsub
+
+  // Copies of each payload received, by SHA-256, the authors of the signed
+  // ones, and the checks that failed.
+  const received = new Map()
+  const authors = new Set()
+  const errors = []
+
+  try {
+    console.log('\n=== Starting Raw Gossipsub Test (Alice) ===\n')
+
+    // Step 1: Subscribe, and wait for Bob to subscribe to the echo topic.
+    console.log('Step 1: Subscribing and waiting for Bob...')
+    report.step('wait for Bob subscription')
+
+    // Each payload is echoed as soon as it arrives. The listener is added
+    // before subscribing, so that no message is missed.
+    pubsub.addEventListener('message', (evt) => {
+      const msg = evt.detail
+      if (msg.topic !== GOSSIPSUB_TOPICS.TEST) return
+
+      const hash = sha256(msg.data)
+      received.set(hash, (received.get(hash) || 0) + 1)
+      console.log(`Received ${msg.type} payload of ${msg.data.length} bytes, SHA-256 ${hash}`)
+
+      if (msg.type === 'signed') authors.add(msg.from.toString())
+      try {
+        checkSignaturePolicy(msg, signaturePolicy)
+      } catch (err) {
+        errors.push(err.message)
+      }
+
+      const echo = new Uint8Array(ECHO_PREFIX.length + msg.data.length)
+      echo.set(ECHO_PREFIX)
+      echo.set(msg.data, ECHO_PREFIX.length)
+      pubsub.publish(GOSSIPSUB_TOPICS.ECHO, echo)
+        .catch(err => errors.push(`Could not echo payload ${hash}: ${err.message}`))
+    })
+
+    pubsub.subscribe(GOSSIPSUB_TOPICS.TEST)
+    pubsub.subscribe(GOSSIPSUB_TOPICS.CONTROL)
+
+    const bob = await waitForSubscriber(pubsub, GOSSIPSUB_TOPICS.ECHO, undefined, {
+      step: 'Bob subscription to the echo topic',
+      timeout: config.timeout
+    })
+    const bobPeerId = bob.toString()
+    console.log(`Bob ${bobPeerId} subscribed to the echo topic.`)
+
+    if (!deliversMessages(phase)) {
+      // Step 2: Bob does not sign, so gossipsub must drop his messages.
+      console.log(`\nStep 2: Listening for ${MISMATCH_WINDOW}ms, expecting no message from Bob...`)
+      report.step('drop unsigned messages')
+      await sleep(MISMATCH_WINDOW)
+      report.data.received = Object.fromEntries(received)
+      if (received.size) {
+        throw new Error(`Alice requires signatures, but delivered ${received.size} unsigned payloads from Bob`)
+      }
+      console.log('No message from Bob was delivered.')
+    } else {
+      // Step 2: Echo payloads until Bob tells what he sent.
+      console.log('\nStep 2: Echoing payloads until Bob is done...')
+      report.step('echo payloads')
+      const done = await waitForPubsubMessage(
+        libp2p,
+        GOSSIPSUB_TOPICS.CONTROL,
+        x => (parseControl(x.data) || {}).done === true,
+        { step: 'done message from Bob', timeout: config.timeout }
+      )
+      const { expected } = parseControl(done.data)
+
+      // Step 3: Check the payloads, the copies of each, and the policy.
+      console.log('\nStep 3: Checking the received payloads...')
+      report.step('check payloads')
+      report.data.received = Object.fromEntries(received)
+      for (const [hash, count] of Object.entries(expected)) {
+        const got = received.get(hash) || 0
+        if (got !== count) {
+          errors.push(`Expected ${count} copies of payload ${hash}, received ${got}`)
+        }
+      }
+      for (const hash of received.keys()) {
+        if (!expected[hash]) errors.push(`Received payload ${hash}, which Bob did not send`)
+      }
+      for (const author of authors) {
+        if (author !== bobPeerId) errors.push(`Received a payload signed by ${author}, expected Bob ${bobPeerId}`)
+      }
+      if (errors.length) {
+        throw new Error(`Payload checks failed:\n  ${errors.join('\n  ')}`)
+      }
+      console.log(`All ${Object.keys(expected).length} payloads received as expected.`)
+    }
+
+    // Step 4: Shutdown
+    console.log('\nStep 4: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+
+    // Wait a brief moment to ensure the last echo is sent
+    await sleep(2000)
+
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,369 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, and uses its
+  gossipsub service directly. This is the "bob" node for the raw gossipsub
+  test. Bob connects to alice, checks that publishing to a topic with no
+  subscribers fails unless allowPublishToZeroTopicPeers is set, publishes
+  payloads of several sizes and checks the echoes of alice, and checks that
+  duplicate payloads are handled as the signature policy of the phase
+  requires. See lib/gossipsub-phases.js.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+import { multiaddr } from '@multiformats/multiaddr'
+import { gossipsub } from '@chainsafe/libp2p-gossipsub'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import {
+  GOSSIPSUB_PHASES,
+  GOSSIPSUB_TOPICS,
+  ECHO_PREFIX,
+  deliversMessages
+} from '../../lib/gossipsub-phases.js'
+import { sleep } from '../../lib/util.js'
+import { waitUntil, waitForSubscriber } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Test state
+let alicePeerId = null
+
+// Echoes received from Alice: { hash, type, from, receivedAt }.
+const echoes = []
+
+// Payloads published to Alice, from a single byte to several yamux frames.
+const PAYLOADS = [
+  { name: 'one byte', size: 1 },
+  { name: '1 KiB', size: 1024 },
+  { name: '64 KiB', size: 64 * 1024 },
+  { name: '256 KiB', size: 256 * 1024 }
+]
+
+// How long to wait for the echo of a payload.
+const ECHO_TIMEOUT = 30000
+
+// How long to wait for a second copy of a payload that must not come.
+const DEDUP_WINDOW = 5000
+
+// Number of payloads published in the mismatch phase, and how long Bob
+// listens for echoes of them.
+const MISMATCH_MESSAGES = 3
+const MISMATCH_WINDOW = 10000
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'aliceMultiaddr', 'tcpPort', 'wsPort', 'gossipsubPhase', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+    const phase = config.gossipsubPhase
+    if (!config.aliceMultiaddr) {
+      throw new Error('Bob needs the multiaddr of Alice. Set it with --alice-multiaddr or ALICE_MULTIADDR')
+    }
+
+    // Each phase has its own report, so that the runner can merge them.
+    report = createReport({
+      scenario: '04-gossipsub',
+      peer: `bob-${phase}`,
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '04-gossipsub',
+      peer: `bob-${phase}`,
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    const signaturePolicy = GOSSIPSUB_PHASES[phase].bob
+    console.log(`Phase ${phase}: Bob uses the ${signaturePolicy} signature policy`)
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false,
+      services: {
+        pubsub: gossipsub({
+          allowPublishToZeroTopicPeers: false,
+          globalSignaturePolicy: signaturePolicy
+        })
+      }
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer, phase, signaturePolicy)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+function sha256 (data) {
+  return crypto.createHash('sha256').update(data).digest('hex')
+}
+
+// Record the echoes of Alice. The echo is the payload with ECHO_PREFIX.
+function recordEchoes (pubsub) {
+  pubsub.addEventListener('message', (evt) => {
+    const msg = evt.detail
+    if (msg.topic !== GOSSIPSUB_TOPICS.ECHO) return
+
+    const prefix = msg.data.subarray(0, ECHO_PREFIX.length)
+    if (!prefix.every((x, i) => x === ECHO_PREFIX[i])) {
+      console.log('Ignoring a message on the echo topic without the echo prefix')
+      return
+    }
+
+    echoes.push({
+      hash: sha256(msg.data.subarray(ECHO_PREFIX.length)),
+      type: msg.type,
+      from: msg.type === 'signed' ? msg.from.toString() : null,
+      receivedAt: Date.now()
+    })
+  })
+}
+
+// Wait until Alice has echoed a payload the given number of times. Resolves
+// with the echoes.
+function waitForEchoes (pubsub, hash, count, timeout = ECHO_TIMEOUT) {
+  return waitUntil({
+    step: `${count} echoes of payload ${hash}`,
+    timeout,
+    check: () => {
+      const found = echoes.filter(x => x.hash === hash)
+      return found.length >= count && found
+    },
+    events: [{ target: pubsub, type: 'message' }]
+  })
+}
+
+// Publish a payload, and check that Alice is one of its recipients.
+async function publishToAlice (pubsub, topic, data, options) {
+  const result = await pubsub.publish(topic, data, options)
+  const recipients = result.recipients.map(x => x.toString())
+  if (!recipients.includes(alicePeerId)) {
+    throw new Error(`Alice is not a recipient of the message on ${topic}. Recipients: ${recipients.join(', ') || 'none'}`)
+  }
+  return result
+}
+
+// Expect a promise to reject with an error whose message matches the pattern.
+async function expectPublishError (promise, pattern) {
+  try {
+    await promise
+  } catch (err) {
+    if (!pattern.test(err.message)) throw new Error(`Unexpected publish error: ${err.message}`)
+    console.log(`Publish failed as expected: ${err.message}`)
+    return err.message
+  }
+  throw new Error(`Expected the publish to fail with ${pattern}`)
+}
+
+// Check that an echo follows the signature policy of Bob.
+function checkEchoPolicy (echo, signaturePolicy) {
+  if (signaturePolicy === 'StrictSign') {
+    if (echo.type !== 'signed' || echo.from !== alicePeerId) {
+      throw new Error(`Expected an echo signed by Alice ${alicePeerId}, got a ${echo.type} one from ${echo.from}`)
+    }
+  } else if (echo.type !== 'unsigned' || echo.from) {
+    throw new Error(`Expected an unsigned echo without an author, got a ${echo.type} one`)
+  }
+}
+
+/*
+  Publish a payload twice. With StrictSign, each message has its own
+  sequence number, so both are delivered. With StrictNoSign, the message ID
+  is the hash of the payload: the second publish fails as a duplicate, or
+  does nothing with ignoreDuplicatePublishError, and Alice gets one copy.
+  Returns the number of copies Alice must have received.
+*/
+async function testDeduplication (pubsub, signaturePolicy) {
+  const data = crypto.randomBytes(1024)
+  const hash = sha256(data)
+  await publishToAlice(pubsub, GOSSIPSUB_TOPICS.TEST, data)
+
+  if (signaturePolicy === 'StrictSign') {
+    await publishToAlice(pubsub, GOSSIPSUB_TOPICS.TEST, data)
+    await waitForEchoes(pubsub, hash, 2)
+    console.log('Both copies of the payload were delivered, with their own sequence numbers.')
+    return { hash, copies: 2 }
+  }
+
+  report.data.duplicateError = await expectPublishError(
+    pubsub.publish(GOSSIPSUB_TOPICS.TEST, data),
+    /Duplicate/
+  )
+  const ignored = await pubsub.publish(GOSSIPSUB_TOPICS.TEST, data, { ignoreDuplicatePublishError: true })
+  if (ignored.recipients.length) {
+    throw new Error(`A duplicate publish with ignoreDuplicatePublishError was sent to ${ignored.recipients.length} peers`)
+  }
+
+  await waitForEchoes(pubsub, hash, 1)
+  await sleep(DEDUP_WINDOW)
+  const copies = echoes.filter(x => x.hash === hash).length
+  if (copies !== 1) {
+    throw new Error(`Alice echoed the duplicate payload ${copies} times, expected once`)
+  }
+  console.log('The duplicate payload was dropped.')
+  return { hash, copies: 1 }
+}
+
+// Main test workflow
+async function runTest (peer, phase, signaturePolicy) {
+  const { ipfs, libp2p } = peer
+  const pubsub = libp2p.services.pubsub
+  recordEchoes(pubsub)
+
+  try {
+    console.log('\n=== Starting Raw Gossipsub Test (Bob) ===\n')
+
+    // Step 1: Connect to Alice
+    console.log('Step 1: Connecting to Alice...')
+    report.step('connect to Alice')
+    const aliceAddr = multiaddr(config.aliceMultiaddr)
+    alicePeerId = aliceAddr.getPeerId()
+    await libp2p.dial(aliceAddr, { signal: AbortSignal.timeout(config.timeout) })
+    console.log(`Connected to Alice ${alicePeerId}`)
+
+    // Step 2: Publish to a topic nobody subscribed to.
+    console.log('\nStep 2: Publishing to a topic with no subscribers...')
+    report.step('publish to zero topic peers')
+    report.data.zeroPeersError = await expectPublishError(
+      pubsub.publish(GOSSIPSUB_TOPICS.ZERO, crypto.randomBytes(32)),
+      /NoPeersSubscribedToTopic/
+    )
+    const zeroResult = await pubsub.publish(GOSSIPSUB_TOPICS.ZERO, crypto.randomBytes(32), {
+      allowPublishToZeroTopicPeers: true
+    })
+    if (zeroResult.recipients.length) {
+      throw new Error(`A message on a topic with no subscribers was sent to ${zeroResult.recipients.length} peers`)
+    }
+    console.log('With allowPublishToZeroTopicPeers, the publish succeeded with no recipients.')
+
+    // Step 3: Subscribe to the echoes, and wait for Alice to subscribe to
+    // the test topics.
+    console.log('\nStep 3: Waiting for Alice to subscribe...')
+    report.step('wait for topic peers')
+    pubsub.subscribe(GOSSIPSUB_TOPICS.ECHO)
+    for (const topic of [GOSSIPSUB_TOPICS.TEST, GOSSIPSUB_TOPICS.CONTROL]) {
+      await waitForSubscriber(pubsub, topic, x => x.toString() === alicePeerId, {
+        step: `Alice subscription to ${topic}`,
+        timeout: config.timeout
+      })
+    }
+    console.log('Alice subscribed to the test topics.')
+
+    if (!deliversMessages(phase)) {
+      // Step 4: Alice requires signatures, and Bob does not sign.
+      console.log(`\nStep 4: Publishing ${MISMATCH_MESSAGES} unsigned payloads, expecting Alice to drop them...`)
+      report.step('unsigned messages dropped')
+      for (let i = 0; i < MISMATCH_MESSAGES; i++) {
+        await pubsub.publish(GOSSIPSUB_TOPICS.TEST, crypto.randomBytes(1024))
+      }
+      await sleep(MISMATCH_WINDOW)
+      report.data.echoes = echoes
+      if (echoes.length) {
+        throw new Error(`Alice requires signatures, but echoed ${echoes.length} unsigned payloads`)
+      }
+      console.log('Alice dropped the unsigned payloads.')
+    } else {
+      // Step 4: Publish the payloads, and check their echoes.
+      console.log('\nStep 4: Publishing payloads...')
+      const expected = {}
+      const payloads = []
+      for (const { name, size } of PAYLOADS) {
+        report.step(`payload ${name}`)
+        const data = crypto.randomBytes(size)
+        const hash = sha256(data)
+        const startTime = Date.now()
+
+        await publishToAlice(pubsub, GOSSIPSUB_TOPICS.TEST, data)
+        const [echo] = await waitForEchoes(pubsub, hash, 1)
+        checkEchoPolicy(echo, signaturePolicy)
+
+        expected[hash] = 1
+        payloads.push({ name, size, hash, roundTripMs: echo.receivedAt - startTime })
+        console.log(`Payload ${name} echoed in ${echo.receivedAt - startTime}ms`)
+      }
+      report.data.payloads = payloads
+
+      // Step 5: Deduplication
+      console.log('\nStep 5: Publishing a duplicate payload...')
+      report.step('deduplication')
+      const duplicate = await testDeduplication(pubsub, signaturePolicy)
+      expected[duplicate.hash] = duplicate.copies
+
+      // Step 6: Tell Alice what she must have received.
+      console.log('\nStep 6: Sending the done message...')
+      report.step('send done')
+      await publishToAlice(pubsub, GOSSIPSUB_TOPICS.CONTROL, new TextEncoder().encode(JSON.stringify({
+        done: true,
+        expected
+      })))
+    }
+
+    // Step 7: Shutdown
+    console.log('\nStep 7: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+
+    // Wait a brief moment to ensure the done message is sent
+    await sleep(2000)
+
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,147 @@
+/*
+  This script runs the 04-gossipsub test on a single machine.
+
+  The test uses the gossipsub service of libp2p directly, without
+  helia-coord, so that a pubsub failure can be told apart from a helia-coord
+  one. It is run once per phase of lib/gossipsub-phases.js, each time with
+  new alice and bob processes, since the signature policy of gossipsub is
+  set when a node is created:
+  - signed: both peers sign their messages.
+  - unsigned: neither peer signs.
+  - mismatch: alice requires signatures, and bob does not sign.
+
+  Each peer writes a report per phase, e.g. alice-signed. The script merges
+  them into reports/04-gossipsub.json and .xml, and exits non-zero if any
+  peer failed in any phase. A phase that fails does not stop the next one.
+
+  Usage:
+    node run-local.js [--phases <a,b>]
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+
+// Local libraries
+import { GOSSIPSUB_PHASES } from '../lib/gossipsub-phases.js'
+import {
+  spawnPeer,
+  waitForMultiaddr,
+  waitForExit,
+  writePeerLogs,
+  isLoopbackTcp,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '04-gossipsub'
+
+// How long to wait for alice to report her multiaddrs.
+const STARTUP_TIMEOUT = 60000 * 2
+
+// How long to wait for both peers to finish a phase, before killing them.
+const PHASE_TIMEOUT = 60000 * 5
+
+async function start () {
+  try {
+    console.log('\n=== Starting local Raw Gossipsub Test ===\n')
+    const options = parseOptions()
+
+    const peers = []
+    for (const phase of options.phases) {
+      console.log(`\n=== Phase ${phase}: alice ${GOSSIPSUB_PHASES[phase].alice}, bob ${GOSSIPSUB_PHASES[phase].bob} ===\n`)
+      peers.push(...await runPhase(phase))
+    }
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: peers.map(({ name, code }) => ({ name, code })),
+      reportDir: REPORT_DIR
+    })
+
+    const failed = peers.filter(x => x.code !== 0)
+    if (failed.length) {
+      writePeerLogs(SCENARIO, failed)
+      console.error(`\n=== Test Failed: ${failed.map(x => x.name).join(', ')} ===\n`)
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+    process.exit(1)
+  }
+}
+
+// Run alice and bob for one phase. Resolves with { name, child, code } for
+// each peer that was started. A peer that could not be started, or that was
+// killed, has a non-zero code.
+async function runPhase (phase) {
+  const peers = []
+
+  try {
+    // Step 1: Start alice and wait for her multiaddr.
+    console.log('Step 1: Starting Alice...')
+    const alice = spawnPeer(__dirname, 'alice', { TCP_PORT: 0, WS_PORT: 0, GOSSIPSUB_PHASE: phase })
+    peers.push({ name: `alice-${phase}`, child: alice })
+
+    const aliceMultiaddr = await waitForMultiaddr(alice, 'Alice', isLoopbackTcp, STARTUP_TIMEOUT)
+    console.log(`Alice multiaddr: ${aliceMultiaddr}`)
+
+    // Step 2: Start bob and point him at alice.
+    console.log('\nStep 2: Starting Bob...')
+    const bob = spawnPeer(__dirname, 'bob', {
+      TCP_PORT: 0,
+      WS_PORT: 0,
+      GOSSIPSUB_PHASE: phase,
+      ALICE_MULTIADDR: aliceMultiaddr
+    })
+    peers.push({ name: `bob-${phase}`, child: bob })
+  } catch (err) {
+    console.error(`Error starting the peers of phase ${phase}: `, err.message)
+    for (const peer of peers) peer.child.kill()
+  }
+
+  // Step 3: Wait for the peers to finish.
+  console.log('\nStep 3: Waiting for the peers to finish the phase...')
+  const timer = setTimeout(() => {
+    console.error(`Phase ${phase} did not finish after ${PHASE_TIMEOUT}ms, killing peers...`)
+    for (const peer of peers) peer.child.kill()
+  }, PHASE_TIMEOUT)
+
+  for (const peer of peers) {
+    peer.code = await waitForExit(peer.child)
+    console.log(`${peer.name} exited with code ${peer.code}`)
+  }
+  clearTimeout(timer)
+
+  // A phase whose bob was never started fails.
+  if (peers.length < 2) peers.push({ name: `bob-${phase}`, child: { logLines: [] }, code: 1 })
+
+  return peers
+}
+
+function parseOptions () {
+  const { values } = parseArgs({
+    options: {
+      phases: { type: 'string' }
+    }
+  })
+
+  const phases = values.phases ? values.phases.split(',') : Object.keys(GOSSIPSUB_PHASES)
+  const unknown = phases.filter(x => !GOSSIPSUB_PHASES[x])
+  if (unknown.length) {
+    throw new Error(`Unknown phases: ${unknown.join(', ')}. Known phases: ${Object.keys(GOSSIPSUB_PHASES).join(', ')}`)
+  }
+
+  return { phases }
+}
+
+start()
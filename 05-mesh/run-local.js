@@ -0,0 +1,396 @@
+/*
+  This script runs the 05-mesh test on a single machine.
+
+  It starts N peers, split over one or several worker processes, connects
+  them in a topology of lib/mesh-topology.js, and measures how messages
+  spread through the gossipsub mesh:
+  - test messages, each published by one peer, one after the other.
+  - the helia-coord announcements the peers broadcast on their own, during
+    the announcement window.
+
+  For each message it records the delivery ratio, the share of the other
+  peers that received it, and the time it took to reach all of them. For
+  each peer it records the duplicates gossipsub received and dropped. The
+  results are added to reports/05-mesh.json, next to the report of each
+  worker. The test fails if a worker fails, or if the delivery ratio of the
+  test messages or of the announcements is below --min-delivery.
+
+  Usage:
+    node run-local.js [--peers <n>] [--topology star|ring|random]
+      [--degree <n>] [--seed <n>] [--processes <n>] [--messages <n>]
+      [--interval <ms>] [--announce-window <ms>] [--min-delivery <percent>]
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+
+// Local libraries
+import { TOPOLOGIES, buildTopology, createRandom } from '../lib/mesh-topology.js'
+import {
+  spawnPeer,
+  waitForPeerMessage,
+  waitForExit,
+  writePeerLogs,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+import { sleep } from '../lib/util.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '05-mesh'
+
+// The peers share one machine, and each one runs helia-coord.
+const MAX_PEERS = 50
+
+// Peers per worker process, when --processes is not given.
+const PEERS_PER_PROCESS = 5
+
+// How long to wait for a worker to start its peers.
+const STARTUP_TIMEOUT = 60000 * 5
+
+// How long to wait for the workers to run a command.
+const COMMAND_TIMEOUT = 60000 * 5
+
+// How long to wait after the mesh is formed, for gossipsub to graft the
+// neighbors into its mesh on its next heartbeats.
+const MESH_SETTLE = 3000
+
+// How long to wait for a message to reach every peer. The announcements
+// broadcast later than this before the end of the window are not counted.
+const PROPAGATION_WINDOW = 10000
+
+// How long to wait for the workers to stop their peers.
+const EXIT_TIMEOUT = 60000
+
+async function start () {
+  const workers = []
+
+  try {
+    console.log('\n=== Starting local Mesh Test ===\n')
+    const options = parseOptions()
+    console.log(`${options.peers} peers in ${options.processes} processes, ${options.topology} topology`)
+
+    // Step 1: Start the workers and wait for their peers.
+    console.log('\nStep 1: Starting the workers...')
+    workers.push(...startWorkers(options))
+    const started = await Promise.all(workers.map(worker => waitForPeerMessage(
+      worker.child,
+      worker.name,
+      x => x.type === 'peers',
+      STARTUP_TIMEOUT
+    )))
+    const peers = started.flatMap(x => x.peers).sort((a, b) => a.index - b.index)
+    console.log(`All ${peers.length} peers started`)
+
+    // Step 2: Connect the peers.
+    console.log('\nStep 2: Connecting the peers...')
+    const edges = buildTopology({
+      type: options.topology,
+      count: options.peers,
+      degree: options.degree,
+      seed: options.seed
+    })
+    console.log(`${edges.length} connections: ${edges.map(x => x.join('-')).join(' ')}`)
+    await runCommand(workers, { type: 'connect', edges, peers })
+
+    console.log('Waiting for the neighbors to subscribe to the test topic...')
+    await runCommand(workers, { type: 'wait-mesh', edges, peers })
+    await sleep(MESH_SETTLE)
+    const meshReadyAt = Date.now()
+
+    // Step 3: Publish the test messages.
+    console.log('\nStep 3: Publishing the test messages...')
+    const random = createRandom(options.seed)
+    const messages = []
+    for (let id = 0; id < options.messages; id++) {
+      const source = Math.floor(random() * options.peers)
+      const replies = await runCommand(workers, { type: 'publish', source, messageId: id })
+      messages.push({ id, source, sentAt: replies.find(x => x.sentAt).sentAt })
+      await sleep(options.interval)
+    }
+
+    // Step 4: Wait for the messages and the announcements to spread.
+    const windowEnd = meshReadyAt + options.announceWindow
+    console.log(`\nStep 4: Waiting ${Math.round((windowEnd - Date.now()) / 1000)}s for helia-coord announcements...`)
+    await sleep(Math.max(windowEnd - Date.now(), PROPAGATION_WINDOW))
+    const replies = await runCommand(workers, { type: 'collect' })
+    const results = replies.flatMap(x => x.peers).sort((a, b) => a.index - b.index)
+
+    // Step 5: Stop the workers.
+    console.log('\nStep 5: Stopping the workers...')
+    await runCommand(workers, { type: 'finish' }, false)
+    await stopWorkers(workers)
+
+    const data = {
+      topology: { type: options.topology, peers: options.peers, processes: options.processes, degree: options.degree, seed: options.seed, edges },
+      pubsub: measureMessages(messages, results),
+      announcements: measureAnnouncements(results, meshReadyAt, windowEnd - PROPAGATION_WINDOW),
+      peers: results.map(({ index, peerId, connections, duplicates }) => ({ index, peerId, connections, duplicates }))
+    }
+    printResults(data)
+
+    const failures = checkResults(data, options.minDelivery)
+    if (failures.length) data.failures = failures
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: workers.map(({ name, code }) => ({ name, code })),
+      reportDir: REPORT_DIR,
+      data
+    })
+
+    const failed = workers.filter(x => x.code !== 0)
+    if (failed.length || failures.length) {
+      writePeerLogs(SCENARIO, workers)
+      console.error(`\n=== Test Failed: ${[...failed.map(x => `${x.name} exited with code ${x.code}`), ...failures].join('; ')} ===\n`)
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+
+    for (const worker of workers) worker.child.kill()
+    await stopWorkers(workers)
+    mergeReports({
+      scenario: SCENARIO,
+      peers: workers.map(({ name, code }) => ({ name, code })),
+      reportDir: REPORT_DIR
+    })
+    writePeerLogs(SCENARIO, workers)
+    process.exit(1)
+  }
+}
+
+// Spawn the workers, each with its share of the peers. The name of a worker
+// is the one of its report, after the first and last peer it runs.
+function startWorkers (options) {
+  const workers = []
+
+  for (let i = 0; i < options.processes; i++) {
+    const first = Math.floor(i * options.peers / options.processes)
+    const last = Math.floor((i + 1) * options.peers / options.processes) - 1
+    const indices = Array.from({ length: last - first + 1 }, (_, x) => first + x)
+
+    const name = `peers-${first}-${last}`
+    const child = spawnPeer(__dirname, 'worker', { MESH_PEERS: indices.join(',') })
+    workers.push({ name, child })
+  }
+
+  return workers
+}
+
+// Send a command to every worker, and resolve with their replies. Each
+// command has the next id, which the workers wait for in turn.
+let nextCommandId = 0
+async function runCommand (workers, command, waitForReplies = true) {
+  const id = nextCommandId++
+  for (const worker of workers) worker.child.send({ ...command, id })
+
+  if (!waitForReplies) return []
+
+  return Promise.all(workers.map(worker => waitForPeerMessage(
+    worker.child,
+    worker.name,
+    x => x.type === 'done' && x.id === id,
+    COMMAND_TIMEOUT
+  )))
+}
+
+// Wait for the workers to exit, and record their exit codes. A worker that
+// does not exit in time is killed.
+async function stopWorkers (workers) {
+  const timer = setTimeout(() => {
+    console.error(`The workers did not exit after ${EXIT_TIMEOUT}ms, killing them...`)
+    for (const worker of workers) worker.child.kill()
+  }, EXIT_TIMEOUT)
+
+  for (const worker of workers) {
+    worker.code = await waitForExit(worker.child)
+    console.log(`${worker.name} exited with code ${worker.code}`)
+  }
+  clearTimeout(timer)
+}
+
+/*
+  Measure the spread of the test messages. For each message:
+  - reached: the number of other peers that received it.
+  - deliveryRatio: reached, over the number of other peers.
+  - timeToAllMs: the time it took to reach the last of them, or null if
+    some never received it.
+  - medianMs: the median time it took to reach a peer.
+*/
+function measureMessages (messages, results) {
+  const others = results.length - 1
+
+  const perMessage = messages.map(({ id, source, sentAt }) => {
+    const latencies = results
+      .filter(x => x.index !== source && x.receipts[id] !== undefined)
+      .map(x => x.receipts[id] - sentAt)
+      .sort((a, b) => a - b)
+
+    return {
+      id,
+      source,
+      reached: latencies.length,
+      deliveryRatio: latencies.length / others,
+      timeToAllMs: latencies.length === others ? latencies[latencies.length - 1] : null,
+      medianMs: median(latencies)
+    }
+  })
+
+  return summarize(perMessage, others)
+}
+
+/*
+  Measure the spread of the helia-coord announcements that were broadcast
+  between from and to. An announcement is told apart by its author and its
+  broadcastedAt time, and its latency is measured from that time. The
+  metrics are the ones of measureMessages().
+*/
+function measureAnnouncements (results, from, to) {
+  const others = results.length - 1
+  const announcements = new Map()
+
+  for (const result of results) {
+    for (const { from: author, broadcastedAt, seenAt } of result.announcements) {
+      const sentAt = Date.parse(broadcastedAt)
+      if (!(sentAt >= from && sentAt <= to)) continue
+
+      const key = `${author} ${broadcastedAt}`
+      if (!announcements.has(key)) {
+        const source = results.find(x => x.peerId === author)
+        announcements.set(key, { source: source ? source.index : author, broadcastedAt, latencies: [] })
+      }
+      announcements.get(key).latencies.push(seenAt - sentAt)
+    }
+  }
+
+  const perMessage = [...announcements.values()].map(({ source, broadcastedAt, latencies }) => {
+    latencies.sort((a, b) => a - b)
+    return {
+      source,
+      broadcastedAt,
+      reached: latencies.length,
+      deliveryRatio: latencies.length / others,
+      timeToAllMs: latencies.length === others ? latencies[latencies.length - 1] : null,
+      medianMs: median(latencies)
+    }
+  })
+
+  return summarize(perMessage, others)
+}
+
+// The totals of measureMessages() and measureAnnouncements().
+function summarize (perMessage, others) {
+  const reached = perMessage.reduce((sum, x) => sum + x.reached, 0)
+  const timesToAll = perMessage.map(x => x.timeToAllMs).filter(x => x !== null).sort((a, b) => a - b)
+
+  return {
+    messages: perMessage.length,
+    deliveryRatio: perMessage.length ? reached / (perMessage.length * others) : null,
+    reachedAll: timesToAll.length,
+    timeToAllMs: {
+      median: median(timesToAll),
+      max: timesToAll.length ? timesToAll[timesToAll.length - 1] : null
+    },
+    perMessage
+  }
+}
+
+function median (sorted) {
+  return sorted.length ? sorted[Math.floor((sorted.length - 1) / 2)] : null
+}
+
+// Returns the reasons the test failed, as an array of strings.
+function checkResults (data, minDelivery) {
+  const failures = []
+
+  const check = (label, { messages, deliveryRatio }) => {
+    if (messages && deliveryRatio * 100 < minDelivery) {
+      failures.push(`${label} delivery ratio ${formatPercent(deliveryRatio)} is below ${minDelivery}%`)
+    }
+  }
+  check('test message', data.pubsub)
+  check('announcement', data.announcements)
+
+  if (!data.pubsub.messages) failures.push('no test message was published')
+
+  return failures
+}
+
+function printResults (data) {
+  const describe = ({ messages, deliveryRatio, reachedAll, timeToAllMs }) => {
+    if (!messages) return 'none'
+    return `${messages}, delivery ratio ${formatPercent(deliveryRatio)}, ${reachedAll} reached all peers, ` +
+      `time to reach all: median ${timeToAllMs.median}ms, max ${timeToAllMs.max}ms`
+  }
+
+  console.log('\n=== Mesh Results ===\n')
+  console.log(`Test messages: ${describe(data.pubsub)}`)
+  console.log(`Announcements: ${describe(data.announcements)}`)
+  if (!data.announcements.messages) {
+    console.log('No helia-coord announcement was broadcast in the window. Use a longer --announce-window.')
+  }
+
+  console.log('\nPeer  Connections  Duplicates (test messages / announcements)')
+  for (const { index, connections, duplicates } of data.peers) {
+    console.log(`${String(index).padEnd(6)}${String(connections).padEnd(13)}${duplicates.pubsub} / ${duplicates.announcements}`)
+  }
+}
+
+function formatPercent (ratio) {
+  return `${(ratio * 100).toFixed(1)}%`
+}
+
+function parseOptions () {
+  const { values } = parseArgs({
+    options: {
+      peers: { type: 'string', default: '10' },
+      topology: { type: 'string', default: 'random' },
+      degree: { type: 'string', default: '3' },
+      seed: { type: 'string', default: '1' },
+      processes: { type: 'string' },
+      messages: { type: 'string', default: '10' },
+      interval: { type: 'string', default: '500' },
+      'announce-window': { type: 'string', default: String(60000 * 3) },
+      'min-delivery': { type: 'string', default: '100' }
+    }
+  })
+
+  const toInteger = (name, min, max) => {
+    const value = Number(values[name])
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`--${name} must be an integer from ${min} to ${max}, got ${values[name]}`)
+    }
+    return value
+  }
+
+  if (!TOPOLOGIES.includes(values.topology)) {
+    throw new Error(`Unknown topology: ${values.topology}. Known topologies: ${TOPOLOGIES.join(', ')}`)
+  }
+
+  const peers = toInteger('peers', 2, MAX_PEERS)
+  if (values.processes === undefined) values.processes = String(Math.ceil(peers / PEERS_PER_PROCESS))
+
+  return {
+    peers,
+    topology: values.topology,
+    degree: toInteger('degree', 1, peers - 1),
+    seed: toInteger('seed', 0, 2 ** 32 - 1),
+    processes: toInteger('processes', 1, peers),
+    messages: toInteger('messages', 1, 10000),
+    interval: toInteger('interval', 0, 60000),
+    announceWindow: toInteger('announce-window', PROPAGATION_WINDOW, 60000 * 10),
+    minDelivery: toInteger('min-delivery', 0, 100)
+  }
+}
+
+start()
@@ -0,0 +1,360 @@
+/*
+  This script runs several peers of the mesh scenario in one process. Each
+  peer is a Helia IPFS node with helia-coord, built from the shared start-up
+  config like the peers of the other scenarios, and has its own data
+  directory. The peers a worker runs are given with --mesh-peers.
+
+  The worker does what the runner tells it over the IPC channel: connect its
+  peers to their neighbors in the topology, publish test messages, and hand
+  over what its peers received:
+  - the time each test message first arrived.
+  - how many copies of each message reached gossipsub, test messages and
+    helia-coord ones apart. Every copy after the first one is a duplicate.
+  - when each helia-coord announcement of another peer was first seen in
+    the peer data.
+*/
+
+// Global npm libraries
+import { multiaddr } from '@multiformats/multiaddr'
+import { gossipsub } from '@chainsafe/libp2p-gossipsub'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { createRunnerChannel, isLoopbackTcp } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { sleep } from '../../lib/util.js'
+import { waitUntil, waitForSubscriber } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the first peer of the worker when a step fails. See
+// lib/diagnostics.js.
+let diagnostics = null
+
+// Topic of the test messages. helia-coord uses its own topics.
+const MESH_TOPIC = 'helia-tests/mesh/1.0.0'
+
+// How long the worker waits for the next command of the runner. The runner
+// waits for helia-coord announcements for minutes.
+const COMMAND_TIMEOUT = 60000 * 15
+
+// How often the peer data of helia-coord is checked for new announcements,
+// besides after each message on a helia-coord topic.
+const PEER_DATA_INTERVAL = 1000
+
+async function start () {
+  try {
+    // Peers start with a new data directory by default, so that a run does
+    // not leave dozens of them behind.
+    config = loadConfig({
+      name: 'Mesh worker',
+      options: [
+        'meshPeers', 'timeout', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ],
+      defaults: { dataDirMode: 'ephemeral' }
+    })
+
+    const indices = config.meshPeers.map(Number)
+    if (!indices.length || indices.some(x => !Number.isInteger(x) || x < 0)) {
+      throw new Error(`meshPeers must be a list of peer numbers, got ${JSON.stringify(config.meshPeers)}`)
+    }
+    const name = `peers-${indices[0]}-${indices[indices.length - 1]}`
+
+    report = createReport({
+      scenario: '05-mesh',
+      peer: name,
+      reportDir: config.reportDir
+    })
+    report.step('start nodes')
+
+    diagnostics = createDiagnostics({
+      scenario: '05-mesh',
+      peer: name,
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    const nodes = []
+    for (const index of indices) {
+      nodes.push(await createNode(index))
+    }
+    diagnostics.setPeer(nodes[0].peer)
+    report.data.peers = nodes.map(x => ({ index: x.index, peerId: x.peerId }))
+
+    // Run the test workflow
+    await runTest(nodes)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Create a peer, and start recording what it receives.
+async function createNode (index) {
+  const node = {
+    index,
+    // Copies of each gossipsub message, by message ID: { topic, count }
+    copies: new Map(),
+    // Arrival time of each test message, by message number.
+    receipts: new Map(),
+    // Time each announcement was first seen, by '<from> <broadcastedAt>'.
+    announcements: new Map()
+  }
+
+  // gossipsub computes the ID of every copy of a message it receives, before
+  // it drops the duplicates, so the ID function counts them. The ID is the
+  // one of the StrictSign policy: the author and sequence number.
+  const msgIdFn = (msg) => {
+    const id = `${msg.from}:${msg.sequenceNumber}`
+    const entry = node.copies.get(id) || { topic: msg.topic, count: 0 }
+    entry.count++
+    node.copies.set(id, entry)
+    return new TextEncoder().encode(id)
+  }
+
+  node.peer = await createPeer({
+    name: `peer-${index}`,
+    ipfsDir: `${config.ipfsDir}-${index}`,
+    dataDirMode: config.dataDirMode,
+    onBadDataDir: config.onBadDataDir,
+    identity: config.identity,
+    fixtureDir: config.fixtureDir,
+    debugLevel: config.debugLevel,
+    listen: ['/ip4/127.0.0.1/tcp/0'],
+    announceMode: 'disabled',
+    services: {
+      pubsub: gossipsub({ allowPublishToZeroTopicPeers: true, msgIdFn })
+    }
+  })
+  node.peerId = node.peer.libp2p.peerId.toString()
+  node.multiaddr = node.peer.multiaddrs.map(String).find(isLoopbackTcp)
+  if (!node.multiaddr) {
+    throw new Error(`peer-${index} has no loopback TCP multiaddr: ${node.peer.multiaddrs}`)
+  }
+
+  const pubsub = node.peer.libp2p.services.pubsub
+  pubsub.subscribe(MESH_TOPIC)
+
+  // helia-coord updates its peer data after it handled the message, so the
+  // peer data is checked a moment later.
+  const checkPeerData = () => recordAnnouncements(node)
+  pubsub.addEventListener('message', (evt) => {
+    if (evt.detail.topic !== MESH_TOPIC) {
+      setTimeout(checkPeerData, 50)
+      return
+    }
+
+    const msg = parseMessage(evt.detail.data)
+    if (msg && !node.receipts.has(msg.id)) node.receipts.set(msg.id, Date.now())
+  })
+  node.timer = setInterval(checkPeerData, PEER_DATA_INTERVAL)
+
+  return node
+}
+
+// Record the announcements in the peer data of helia-coord that were not
+// seen before.
+function recordAnnouncements (node) {
+  for (const { from, data } of node.peer.ipfsCoord.thisNode.peerData) {
+    if (!data || !data.broadcastedAt) continue
+
+    const key = `${from} ${data.broadcastedAt}`
+    if (!node.announcements.has(key)) node.announcements.set(key, Date.now())
+  }
+}
+
+// Parse a test message. Returns null if it is not one.
+function parseMessage (data) {
+  try {
+    const msg = JSON.parse(new TextDecoder().decode(data))
+    return msg && msg.meshTest ? msg : null
+  } catch {
+    return null
+  }
+}
+
+// Wait for the command of the runner with the given id.
+function waitForCommand (runner, id) {
+  return waitUntil({
+    step: `runner command ${id}`,
+    timeout: COMMAND_TIMEOUT,
+    check: (evt) => evt ? evt.id === id && evt : runner.history.find(x => x.id === id),
+    events: [{ target: runner, type: 'message' }]
+  })
+}
+
+// Dial the neighbors each peer of this worker is told to dial. A connection
+// is made by one of its two peers, the one with the lower number.
+async function connect (nodes, command) {
+  const { edges, peers } = command
+
+  for (const node of nodes) {
+    const dials = edges.filter(([a]) => a === node.index).map(([, b]) => peers[b])
+    for (const target of dials) {
+      await node.peer.libp2p.dial(multiaddr(target.multiaddr))
+    }
+    console.log(`peer-${node.index} dialed ${dials.length} neighbors`)
+  }
+}
+
+// Wait until each peer sees its neighbors subscribed to the test topic.
+async function waitForMesh (nodes, command) {
+  const { edges, peers } = command
+
+  for (const node of nodes) {
+    const neighbors = edges
+      .filter(x => x.includes(node.index))
+      .map(([a, b]) => peers[a === node.index ? b : a].peerId)
+
+    for (const peerId of neighbors) {
+      await waitForSubscriber(node.peer.libp2p.services.pubsub, MESH_TOPIC, x => x.toString() === peerId, {
+        step: `peer-${node.index} sees ${peerId} on ${MESH_TOPIC}`,
+        timeout: config.timeout
+      })
+    }
+  }
+}
+
+// Publish a test message from a peer of this worker. Resolves with the time
+// it was sent.
+async function publish (node, command) {
+  const sentAt = Date.now()
+  const data = new TextEncoder().encode(JSON.stringify({
+    meshTest: true,
+    id: command.messageId,
+    source: node.index,
+    sentAt
+  }))
+
+  const result = await node.peer.libp2p.services.pubsub.publish(MESH_TOPIC, data)
+  console.log(`peer-${node.index} published message ${command.messageId} to ${result.recipients.length} mesh peers`)
+
+  return sentAt
+}
+
+// What a peer received, for the runner. Duplicates are counted apart for the
+// test messages and the helia-coord ones. The first count of a message the
+// peer published is the publication itself.
+function describeNode (node) {
+  const duplicates = { pubsub: 0, announcements: 0 }
+  for (const { topic, count } of node.copies.values()) {
+    duplicates[topic === MESH_TOPIC ? 'pubsub' : 'announcements'] += count - 1
+  }
+
+  return {
+    index: node.index,
+    peerId: node.peerId,
+    connections: node.peer.libp2p.getConnections().length,
+    receipts: Object.fromEntries(node.receipts),
+    duplicates,
+    announcements: [...node.announcements].map(([key, seenAt]) => {
+      const [from, broadcastedAt] = key.split(' ')
+      return { from, broadcastedAt, seenAt }
+    })
+  }
+}
+
+// Main test workflow
+async function runTest (nodes) {
+  try {
+    console.log('\n=== Starting Mesh Test (Worker) ===\n')
+
+    // Step 1: Hand the peers to the runner.
+    console.log(`Step 1: Started ${nodes.length} peers, waiting for the runner...`)
+    const runner = createRunnerChannel()
+    runner.send({
+      type: 'peers',
+      peers: nodes.map(x => ({ index: x.index, peerId: x.peerId, multiaddr: x.multiaddr }))
+    })
+
+    // Step 2: Run the commands of the runner, until it says finish.
+    console.log('\nStep 2: Running the commands of the runner...')
+    let id = 0
+    while (true) {
+      const command = await waitForCommand(runner, id++)
+      if (command.type === 'finish') break
+
+      const reply = { type: 'done', id: command.id }
+      switch (command.type) {
+        case 'connect':
+          report.step('connect')
+          await connect(nodes, command)
+          break
+
+        case 'wait-mesh':
+          report.step('wait for mesh')
+          await waitForMesh(nodes, command)
+          break
+
+        case 'publish': {
+          if (report.data.steps.at(-1).name !== 'publish') report.step('publish')
+          const node = nodes.find(x => x.index === command.source)
+          if (node) reply.sentAt = await publish(node, command)
+          break
+        }
+
+        case 'collect':
+          report.step('collect')
+          for (const node of nodes) recordAnnouncements(node)
+          reply.peers = nodes.map(describeNode)
+          report.data.results = reply.peers.map(({ index, connections, duplicates }) => ({ index, connections, duplicates }))
+          break
+
+        default:
+          throw new Error(`Unknown runner command: ${command.type}`)
+      }
+
+      runner.send(reply)
+    }
+
+    // Step 3: Shutdown
+    console.log('\nStep 3: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+    await stopNodes(nodes)
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await stopNodes(nodes)
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+async function stopNodes (nodes) {
+  for (const node of nodes) {
+    clearInterval(node.timer)
+    await node.peer.ipfs.stop()
+  }
+
+  // Give the closing connections a moment.
+  await sleep(1000)
+  console.log('IPFS nodes stopped gracefully.')
+}
+
+start()
@@ -0,0 +1,181 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, and handles the
+  echo protocols of lib/echo.js. This is the "alice" node for the echo test.
+  Alice echoes the streams Bob opens, resets the ones he opens with the reset
+  protocol, and when he is done, checks that she saw the streams and resets
+  he expected.
+*/
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { handleEcho } from '../../lib/echo.js'
+import { sendMultiaddrs } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { sleep } from '../../lib/util.js'
+import { waitUntil } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Test state
+let doneRequest = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Alice',
+      options: [
+        'tcpPort', 'wsPort', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '06-echo',
+      peer: 'alice',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '06-echo',
+      peer: 'alice',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    const peer = await createPeer({
+      name: 'Alice',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Compare the stats of the handlers with what Bob expected. Returns the
+// problems found, as an array of strings.
+function checkStats (stats, expected) {
+  const problems = []
+
+  if (stats.completed !== expected.completed) {
+    problems.push(`${stats.completed} echo streams completed, Bob completed ${expected.completed}`)
+  }
+  if (stats.resets !== expected.resets) {
+    problems.push(`${stats.resets} echo streams were reset by Bob, he reset ${expected.resets}`)
+  }
+  if (stats.resetsSent !== expected.resetsSent) {
+    problems.push(`${stats.resetsSent} streams were reset by Alice, Bob saw ${expected.resetsSent}`)
+  }
+  if (stats.errors.length) {
+    problems.push(`${stats.errors.length} streams failed: ${stats.errors.join('; ')}`)
+  }
+
+  return problems
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting Echo Test (Alice) ===\n')
+
+    // Step 1: Handle the echo protocols. Bob asks for the stats of the
+    // handlers as he goes, and sends the streams he expects her to have seen
+    // when he is done.
+    console.log('Step 1: Handling the echo protocols...')
+    report.step('handle echo protocols')
+    // Bob gets her multiaddrs once the handlers are registered.
+    const stats = await handleEcho(libp2p, async (request, from) => {
+      if (!request.done) return stats
+
+      const problems = checkStats(stats, request.expected)
+      doneRequest = { from, problems }
+      return { ...stats, problems }
+    })
+    report.data.echo = stats
+
+    // If this process was spawned by run-local.js, hand our multiaddrs to the
+    // runner, so that it can pass them on to bob.
+    sendMultiaddrs(peer.multiaddrs)
+
+    // Step 2: Wait for Bob to be done.
+    console.log('\nStep 2: Waiting for Bob to finish his streams...')
+    report.step('wait for Bob')
+    await waitUntil({
+      step: 'done request from Bob',
+      timeout: config.timeout,
+      recheckInterval: 500,
+      check: () => doneRequest
+    })
+
+    report.step('check streams')
+    if (doneRequest.problems.length) {
+      throw new Error(`Alice did not see the streams Bob expected: ${doneRequest.problems.join('; ')}`)
+    }
+    console.log(`Echoed ${stats.completed} streams and ${stats.bytes} bytes, ${stats.resets} resets received, ${stats.resetsSent} sent`)
+
+    // Wait a brief moment for the reply to reach Bob
+    await sleep(2000)
+
+    // Step 3: Shutdown
+    console.log('\nStep 3: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
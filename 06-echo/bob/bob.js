@@ -0,0 +1,458 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, and opens
+  streams to the echo protocols of lib/echo.js on alice. This is the "bob"
+  node for the echo test. Bob checks every echo byte for byte, and tests
+  concurrent streams, half-close, resets from either side and backpressure,
+  all on one connection. The sizes and times are recorded in the test report.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+import { multiaddr } from '@multiformats/multiaddr'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import {
+  ECHO_PROTOCOL,
+  RESET_PROTOCOL,
+  MAX_STREAMS,
+  requestControl,
+  isReset
+} from '../../lib/echo.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { sleep } from '../../lib/util.js'
+import { waitUntil } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Test state: what Alice must have seen when Bob is done.
+const expected = { completed: 0, resets: 0, resetsSent: 0 }
+
+// Payloads echoed one at a time, from an empty one, which only closes the
+// stream, to several times the 256KiB initial yamux window.
+const PAYLOAD_SIZES = [0, 1, 1024, 64 * 1024, 1024 * 1024, 4 * 1024 * 1024]
+
+// Streams open at once, and the largest payload of each one.
+const CONCURRENT_STREAMS = 64
+const CONCURRENT_MAX_SIZE = 256 * 1024
+
+// Payloads are written in chunks of random sizes up to this one, so that
+// chunks do not line up with the frames of yamux and noise.
+const MAX_CHUNK_SIZE = 64 * 1024
+
+// How long the echo of a payload may take.
+const ECHO_TIMEOUT = 60000
+
+// How long Bob waits after closing his write side before he reads, in the
+// half-close test.
+const HALF_CLOSE_DELAY = 1000
+
+// The backpressure payload. Alice's receive window grows up to 16MiB while
+// she reads, so the payload has to be larger than all the buffers on the way.
+const BACKPRESSURE_SIZE = 64 * 1024 * 1024
+
+// Bob stops reading in the backpressure test, until his writes made no
+// progress for this long.
+const STALL_TIME = 2000
+
+// How long to wait for a stream to be reset.
+const RESET_TIMEOUT = 10000
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'aliceMultiaddr', 'tcpPort', 'wsPort', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '06-echo',
+      peer: 'bob',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '06-echo',
+      peer: 'bob',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.aliceMultiaddr) {
+      throw new Error('aliceMultiaddr must be configured, so that Bob can connect to Alice')
+    }
+
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Split a payload into chunks of random sizes. onChunk(size) is called
+// before each chunk is handed to the stream.
+function * toChunks (payload, onChunk = () => {}) {
+  let offset = 0
+  while (offset < payload.length) {
+    const size = Math.min(crypto.randomInt(1, MAX_CHUNK_SIZE + 1), payload.length - offset)
+    onChunk(size)
+    yield payload.subarray(offset, offset + size)
+    offset += size
+  }
+}
+
+// Read a stream to its end.
+async function readAll (source) {
+  const chunks = []
+  for await (const chunk of source) {
+    chunks.push(chunk.subarray())
+  }
+  return Buffer.concat(chunks)
+}
+
+// Check an echo byte for byte, and throw with the first offset that differs.
+function checkEcho (name, payload, echoed) {
+  if (payload.equals(echoed)) return
+
+  const length = Math.min(payload.length, echoed.length)
+  let offset = 0
+  while (offset < length && payload[offset] === echoed[offset]) offset++
+
+  throw new Error(`Echo of ${name} differs from byte ${offset}: sent ${payload.length} bytes, got ${echoed.length}`)
+}
+
+/*
+  Open an echo stream, and abort it if the test on it does not end in time.
+  Resolves with what the test function resolves with. The stream is aborted
+  if the test throws.
+*/
+async function withEchoStream (connection, protocol, test) {
+  const signal = AbortSignal.timeout(ECHO_TIMEOUT)
+  const stream = await connection.newStream(protocol, { signal, maxOutboundStreams: MAX_STREAMS })
+
+  const onAbort = () => stream.abort(new Error(`stream did not end after ${ECHO_TIMEOUT}ms`))
+  signal.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    return await test(stream)
+  } catch (err) {
+    stream.abort(err)
+    throw err
+  } finally {
+    signal.removeEventListener('abort', onAbort)
+  }
+}
+
+// Echo a payload, writing and reading at the same time. Resolves with the
+// time it took.
+async function echo (connection, name, payload) {
+  const startTime = Date.now()
+
+  await withEchoStream(connection, ECHO_PROTOCOL, async (stream) => {
+    const [, echoed] = await Promise.all([
+      stream.sink(toChunks(payload)),
+      readAll(stream.source)
+    ])
+    checkEcho(name, payload, echoed)
+  })
+
+  expected.completed++
+  return Date.now() - startTime
+}
+
+// Echo payloads of each size, one stream at a time.
+async function testPayloads (connection) {
+  const results = []
+
+  for (const size of PAYLOAD_SIZES) {
+    const ms = await echo(connection, `${size} bytes`, crypto.randomBytes(size))
+    results.push({ size, ms })
+    console.log(`Echoed ${size} bytes in ${ms}ms`)
+  }
+
+  return results
+}
+
+// Echo payloads of random sizes on many streams at once.
+async function testConcurrentStreams (connection) {
+  const startTime = Date.now()
+  const payloads = Array.from({ length: CONCURRENT_STREAMS }, () => crypto.randomBytes(crypto.randomInt(0, CONCURRENT_MAX_SIZE + 1)))
+
+  await Promise.all(payloads.map((payload, i) => echo(connection, `concurrent stream ${i}`, payload)))
+
+  const result = {
+    streams: payloads.length,
+    bytes: payloads.reduce((sum, x) => sum + x.length, 0),
+    ms: Date.now() - startTime
+  }
+  console.log(`Echoed ${result.bytes} bytes on ${result.streams} concurrent streams in ${result.ms}ms`)
+  return result
+}
+
+// Write a payload and close the write side, then read the echo a moment
+// later. The read side must stay open until Alice closes her own.
+async function testHalfClose (connection) {
+  const payload = crypto.randomBytes(64 * 1024)
+
+  await withEchoStream(connection, ECHO_PROTOCOL, async (stream) => {
+    await stream.sink(toChunks(payload))
+    if (stream.writeStatus !== 'closed' || stream.readStatus !== 'ready') {
+      throw new Error(`After closing the write side, the stream is ${stream.writeStatus} for writing and ${stream.readStatus} for reading`)
+    }
+
+    await sleep(HALF_CLOSE_DELAY)
+    const echoed = await readAll(stream.source)
+    checkEcho('half-closed stream', payload, echoed)
+
+    if (stream.readStatus !== 'closed') {
+      throw new Error(`The read side is ${stream.readStatus} after Alice closed her write side`)
+    }
+  })
+
+  expected.completed++
+  console.log('Half-closed stream echoed!')
+  return { bytes: payload.length, readDelayMs: HALF_CLOSE_DELAY }
+}
+
+// Reset an echo stream after the first echo, and wait for Alice to see it.
+async function testResetByBob (connection) {
+  const stream = await connection.newStream(ECHO_PROTOCOL, { maxOutboundStreams: MAX_STREAMS })
+
+  // Keep the write side open, so that Alice is reading when the reset comes.
+  const first = crypto.randomBytes(1024)
+  const chunks = (async function * () {
+    yield first
+    await sleep(ECHO_TIMEOUT)
+  })()
+  stream.sink(chunks).catch(() => {})
+
+  const iterator = stream.source[Symbol.asyncIterator]()
+  let received = 0
+  while (received < first.length) {
+    const { value, done } = await iterator.next()
+    if (done) throw new Error('Alice closed the stream before Bob reset it')
+    received += value.byteLength
+  }
+
+  stream.abort(new Error('reset by Bob'))
+  expected.resets++
+  const resetAt = Date.now()
+
+  await waitForAliceStats(connection, x => x.resets >= expected.resets, 'Alice sees the reset')
+  const ms = Date.now() - resetAt
+  console.log(`Alice saw the reset after ${ms}ms`)
+  return { ms }
+}
+
+// Write to the reset protocol until Alice resets the stream.
+async function testResetByAlice (connection) {
+  const stream = await connection.newStream(RESET_PROTOCOL, { maxOutboundStreams: MAX_STREAMS })
+  const startTime = Date.now()
+
+  // Bob writes until the reset stops him.
+  const chunks = (async function * () {
+    while (stream.status === 'open') {
+      yield crypto.randomBytes(1024)
+      await sleep(100)
+    }
+  })()
+
+  const results = await Promise.allSettled([
+    stream.sink(chunks),
+    readAll(stream.source)
+  ])
+
+  const errors = results.filter(x => x.status === 'rejected').map(x => x.reason)
+  if (!errors.length || !errors.every(x => isReset(x, stream))) {
+    throw new Error(`Expected the stream to be reset by Alice, got status ${stream.status}: ${errors.map(x => x.message).join('; ') || 'no error'}`)
+  }
+  if (Date.now() - startTime > RESET_TIMEOUT) {
+    throw new Error(`Alice reset the stream after ${Date.now() - startTime}ms, more than ${RESET_TIMEOUT}ms`)
+  }
+
+  expected.resetsSent++
+  console.log(`Alice reset the stream: ${errors[0].message}`)
+  return { ms: Date.now() - startTime, error: errors[0].name }
+}
+
+/*
+  Write a large payload without reading the echo. Alice can only echo as
+  much as Bob's receive window takes, and then stops reading, so Bob's
+  writes have to stall before the whole payload is written. Bob then reads
+  the echo, which must be complete.
+*/
+async function testBackpressure (connection) {
+  const payload = crypto.randomBytes(BACKPRESSURE_SIZE)
+  let written = 0
+
+  const result = await withEchoStream(connection, ECHO_PROTOCOL, async (stream) => {
+    const sink = stream.sink(toChunks(payload, (size) => { written += size }))
+    sink.catch(() => {})
+
+    // Wait until the writes make no progress for STALL_TIME.
+    let last = -1
+    let stalledSince = Date.now()
+    await waitUntil({
+      step: 'writes stall without reading',
+      timeout: ECHO_TIMEOUT,
+      recheckInterval: 250,
+      check: () => {
+        if (written !== last) {
+          last = written
+          stalledSince = Date.now()
+        }
+        return written === payload.length || Date.now() - stalledSince >= STALL_TIME
+      }
+    })
+
+    const stalledAt = written
+    if (stalledAt >= payload.length) {
+      throw new Error(`Bob wrote all ${payload.length} bytes without reading the echo: there is no backpressure`)
+    }
+    console.log(`Writes stalled after ${stalledAt} of ${payload.length} bytes`)
+
+    const startTime = Date.now()
+    const [echoed] = await Promise.all([readAll(stream.source), sink])
+    checkEcho('backpressure payload', payload, echoed)
+
+    return { bytes: payload.length, stalledAt, drainMs: Date.now() - startTime }
+  })
+
+  expected.completed++
+  console.log(`Echo of the backpressure payload drained in ${result.drainMs}ms`)
+  return result
+}
+
+// Ask Alice for the stats of her handlers until they pass the check.
+function waitForAliceStats (connection, check, step) {
+  return waitUntil({
+    step,
+    timeout: RESET_TIMEOUT,
+    recheckInterval: 1000,
+    check: async () => {
+      const stats = await requestControl(connection, { stats: true }, { timeout: RESET_TIMEOUT })
+      return check(stats) && stats
+    }
+  })
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting Echo Test (Bob) ===\n')
+    report.data.echo = {}
+
+    // Step 1: Connect to Alice
+    console.log('Step 1: Connecting to Alice...')
+    report.step('connect to Alice')
+    console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
+    const connection = await libp2p.dial(multiaddr(config.aliceMultiaddr))
+    console.log(`Connected to Alice, encrypted with ${connection.encryption}, multiplexed with ${connection.multiplexer}`)
+    report.data.echo.connection = { encryption: connection.encryption, multiplexer: connection.multiplexer }
+
+    // Step 2: Streams
+    console.log('\nStep 2: Echoing payloads of several sizes...')
+    report.step('echo payloads')
+    report.data.echo.payloads = await testPayloads(connection)
+
+    report.step('concurrent streams')
+    report.data.echo.concurrent = await testConcurrentStreams(connection)
+
+    report.step('half-close')
+    report.data.echo.halfClose = await testHalfClose(connection)
+
+    report.step('reset by Bob')
+    report.data.echo.resetByBob = await testResetByBob(connection)
+
+    report.step('reset by Alice')
+    report.data.echo.resetByAlice = await testResetByAlice(connection)
+
+    report.step('backpressure')
+    report.data.echo.backpressure = await testBackpressure(connection)
+
+    // The resets must not have closed the connection.
+    report.step('connection still open')
+    if (connection.status !== 'open' || !libp2p.getConnections().includes(connection)) {
+      throw new Error(`The connection to Alice is ${connection.status} after the tests`)
+    }
+    await echo(connection, 'last payload', crypto.randomBytes(1024))
+
+    // Step 3: Tell Alice what she must have seen.
+    console.log('\nStep 3: Checking what Alice saw...')
+    report.step('check Alice stats')
+    const stats = await requestControl(connection, { done: true, expected })
+    report.data.echo.alice = stats
+    if (stats.problems.length) {
+      throw new Error(`Alice did not see the streams Bob expected: ${stats.problems.join('; ')}`)
+    }
+    console.log(`Alice echoed ${stats.completed} streams and ${stats.bytes} bytes`)
+
+    // Step 4: Shutdown
+    console.log('\nStep 4: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
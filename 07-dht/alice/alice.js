@@ -0,0 +1,155 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, with the LAN
+  kad-dht of lib/dht.js in server mode. This is the "alice" node for the DHT
+  test. Alice is the only DHT server, and the only peer whose address is
+  given to the others. She stores the provider record of bob, and answers the
+  queries of sam, and runs until she is stopped with SIGINT or SIGTERM.
+*/
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { lanDHT } from '../../lib/dht.js'
+import { sendMultiaddrs } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Alice',
+      options: [
+        'tcpPort', 'wsPort', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '07-dht',
+      peer: 'alice',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '07-dht',
+      peer: 'alice',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    const peer = await createPeer({
+      name: 'Alice',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false,
+      services: {
+        dht: lanDHT({ mode: 'server' })
+      }
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // If this process was spawned by run-local.js, hand our multiaddrs to the
+    // runner, so that it can pass them on to bob and sam.
+    sendMultiaddrs(peer.multiaddrs)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Main test workflow
+// Alice only serves the DHT. She logs the peers that connect to her, and runs
+// until she is stopped with SIGINT or SIGTERM.
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting DHT Test (Alice) ===\n')
+    console.log(`Alice is ready, DHT mode: ${libp2p.services.dht.getMode()}\n`)
+    report.step('serve DHT')
+
+    const connected = new Set()
+    libp2p.addEventListener('peer:connect', (evt) => {
+      connected.add(evt.detail.toString())
+      console.log(`Peer connected: ${evt.detail.toString()}`)
+    })
+
+    libp2p.addEventListener('peer:disconnect', (evt) => {
+      console.log(`Peer disconnected: ${evt.detail.toString()}`)
+    })
+
+    const shutdown = async () => {
+      console.log('\nShutting down...')
+      report.step('shutdown')
+      try {
+        report.data.dht = {
+          mode: libp2p.services.dht.getMode(),
+          routingTable: libp2p.services.dht.routingTable.size,
+          connected: [...connected]
+        }
+
+        await ipfs.stop()
+        console.log('IPFS node stopped gracefully.')
+        report.finish()
+        console.log('\n=== DHT Server Stopped ===\n')
+        process.exit(0)
+      } catch (err) {
+        console.error('Error during shutdown:', err)
+        report.fail(err)
+        report.finish()
+        process.exit(1)
+      }
+    }
+
+    process.once('SIGINT', shutdown)
+    process.once('SIGTERM', shutdown)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
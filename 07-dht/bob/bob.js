@@ -0,0 +1,199 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, with the LAN
+  kad-dht of lib/dht.js in client mode. This is the "bob" node for the DHT
+  test. Bob adds a file to his blockstore, and provides its CID on the DHT
+  through alice. He then serves the file to whoever finds him, until he is
+  stopped with SIGINT or SIGTERM.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+import { unixfs } from '@helia/unixfs'
+import { multiaddr } from '@multiformats/multiaddr'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { lanDHT, LAN_DHT_PROTOCOL } from '../../lib/dht.js'
+import { createRunnerChannel } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { waitForIdentify, waitForRoutingTable } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Size of the file Bob provides. It is split into several blocks, so that
+// the fetch takes more than one bitswap round.
+const FILE_SIZE = 1024 * 1024
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'aliceMultiaddr', 'tcpPort', 'wsPort', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '07-dht',
+      peer: 'bob',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '07-dht',
+      peer: 'bob',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.aliceMultiaddr) {
+      throw new Error('aliceMultiaddr must be configured, so that Bob can reach the DHT')
+    }
+
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false,
+      services: {
+        dht: lanDHT({ mode: 'client' })
+      }
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting DHT Test (Bob) ===\n')
+    report.data.dht = {}
+
+    // Step 1: Connect to Alice, and wait for her to be in the routing table.
+    console.log('Step 1: Connecting to Alice...')
+    report.step('connect to Alice')
+    const aliceAddr = multiaddr(config.aliceMultiaddr)
+    const alicePeerId = aliceAddr.getPeerId()
+    console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
+    await libp2p.dial(aliceAddr)
+
+    report.step('DHT routing table')
+    const protocols = await waitForIdentify(libp2p, alicePeerId, { timeout: 30000 })
+    if (!protocols.includes(LAN_DHT_PROTOCOL)) {
+      throw new Error(`Alice is not a ${LAN_DHT_PROTOCOL} server. Her protocols: ${protocols.join(', ')}`)
+    }
+    await waitForRoutingTable(libp2p.services.dht, { timeout: 30000 })
+    console.log(`DHT mode: ${libp2p.services.dht.getMode()}, Alice is in the routing table.`)
+
+    // Step 2: Add a file to the blockstore.
+    console.log('\nStep 2: Adding a file...')
+    report.step('add file')
+    const bytes = crypto.randomBytes(FILE_SIZE)
+    const cid = await unixfs(ipfs).addBytes(bytes)
+    const sha256 = crypto.createHash('sha256').update(bytes).digest('hex')
+    report.data.dht.file = { cid: cid.toString(), size: FILE_SIZE, sha256 }
+    console.log(`Added file (${FILE_SIZE} bytes) with CID ${cid}. SHA-256: ${sha256}`)
+
+    // Step 3: Provide the CID. The provider record is stored on the DHT
+    // servers closest to the CID, which is Alice alone.
+    console.log('\nStep 3: Providing the CID on the DHT...')
+    report.step('provide')
+    const startTime = Date.now()
+    await libp2p.contentRouting.provide(cid, { signal: AbortSignal.timeout(config.timeout) })
+    report.data.dht.provideMs = Date.now() - startTime
+    console.log(`Provided ${cid} in ${report.data.dht.provideMs}ms`)
+
+    // If this process was spawned by run-local.js, hand the CID and our peer
+    // ID, but no address, to the runner, so that it can pass them on to sam.
+    createRunnerChannel().send({
+      type: 'provided',
+      cid: cid.toString(),
+      peerId: libp2p.peerId.toString()
+    })
+    console.log(`\nTo fetch the file, start Sam with --bob-peer-id ${libp2p.peerId} --cid ${cid}`)
+
+    // Step 4: Serve the file until stopped.
+    console.log('\nStep 4: Serving the file...')
+    report.step('serve file')
+    const connected = new Set()
+    libp2p.addEventListener('peer:connect', (evt) => {
+      connected.add(evt.detail.toString())
+      console.log(`Peer connected: ${evt.detail.toString()}`)
+    })
+
+    const shutdown = async () => {
+      console.log('\nShutting down...')
+      report.step('shutdown')
+      try {
+        report.data.dht.connected = [...connected]
+        await ipfs.stop()
+        console.log('IPFS node stopped gracefully.')
+        report.finish()
+        console.log('\n=== Test Completed Successfully ===\n')
+        process.exit(0)
+      } catch (err) {
+        console.error('Error during shutdown:', err)
+        report.fail(err)
+        report.finish()
+        process.exit(1)
+      }
+    }
+
+    process.once('SIGINT', shutdown)
+    process.once('SIGTERM', shutdown)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
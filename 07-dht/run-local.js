@@ -0,0 +1,141 @@
+/*
+  This script runs the 07-dht test on a single machine, over loopback.
+
+  It spawns alice, the DHT server, then bob and sam, two DHT clients. Alice
+  hands off her listen multiaddr, which is passed to bob and sam through the
+  ALICE_MULTIADDR environment variable. Once bob has provided the CID of his
+  file, he hands off the CID and his peer ID, which are passed to sam through
+  the CID and BOB_PEER_ID environment variables. Sam is never given an
+  address of bob: he finds it on the DHT.
+
+  The script waits for sam to finish, stops alice and bob, merges the test
+  reports of the three peers into reports/07-dht.json and .xml, and exits
+  non-zero if any peer failed. On failure, the last lines of the output of
+  the three peers are written next to the reports.
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import {
+  spawnPeer,
+  waitForMultiaddr,
+  waitForPeerMessage,
+  waitForExit,
+  writePeerLogs,
+  isLoopbackTcp,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '07-dht'
+
+// How long to wait for alice to report her multiaddrs, and for bob to
+// provide his file.
+const STARTUP_TIMEOUT = 60000 * 2
+
+// How long to wait for sam to finish the test, before killing him.
+const TEST_TIMEOUT = 60000 * 5
+
+async function start () {
+  const peers = []
+
+  try {
+    console.log('\n=== Starting local DHT Test ===\n')
+
+    // Step 1: Start alice and wait for her multiaddr.
+    console.log('Step 1: Starting Alice (DHT server)...')
+    const alice = spawnPeer(__dirname, 'alice', { TCP_PORT: 0, WS_PORT: 0 })
+    peers.push({ name: 'alice', child: alice })
+
+    const aliceMultiaddr = await waitForMultiaddr(alice, 'Alice', isLoopbackTcp, STARTUP_TIMEOUT)
+    console.log(`Alice multiaddr: ${aliceMultiaddr}`)
+
+    // Step 2: Start bob and wait for him to provide his file.
+    console.log('\nStep 2: Starting Bob...')
+    const bob = spawnPeer(__dirname, 'bob', {
+      TCP_PORT: 0,
+      WS_PORT: 0,
+      ALICE_MULTIADDR: aliceMultiaddr
+    })
+    peers.push({ name: 'bob', child: bob })
+
+    const provided = await waitForPeerMessage(bob, 'Bob', x => x.type === 'provided', STARTUP_TIMEOUT)
+    console.log(`Bob provided ${provided.cid}, peer ID ${provided.peerId}`)
+
+    // Step 3: Start sam with the CID and bob's peer ID, but no address of bob.
+    console.log('\nStep 3: Starting Sam...')
+    const sam = spawnPeer(__dirname, 'sam', {
+      TCP_PORT: 0,
+      WS_PORT: 0,
+      ALICE_MULTIADDR: aliceMultiaddr,
+      BOB_PEER_ID: provided.peerId,
+      CID: provided.cid
+    })
+    peers.push({ name: 'sam', child: sam })
+
+    // Step 4: Wait for sam to finish.
+    console.log('\nStep 4: Waiting for Sam to finish the test...')
+    const timer = setTimeout(() => {
+      console.error(`Test did not finish after ${TEST_TIMEOUT}ms, killing Sam...`)
+      sam.kill()
+    }, TEST_TIMEOUT)
+
+    const samCode = await waitForExit(sam)
+    clearTimeout(timer)
+
+    // Step 5: Stop alice and bob.
+    console.log('\nStep 5: Stopping Alice and Bob...')
+    alice.kill('SIGTERM')
+    bob.kill('SIGTERM')
+    const [aliceCode, bobCode] = await Promise.all([
+      waitForExit(alice),
+      waitForExit(bob)
+    ])
+
+    console.log(`\nAlice exited with code ${aliceCode}`)
+    console.log(`Bob exited with code ${bobCode}`)
+    console.log(`Sam exited with code ${samCode}`)
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: [
+        { name: 'alice', code: aliceCode },
+        { name: 'bob', code: bobCode },
+        { name: 'sam', code: samCode }
+      ],
+      reportDir: REPORT_DIR
+    })
+
+    if (aliceCode !== 0 || bobCode !== 0 || samCode !== 0) {
+      writePeerLogs(SCENARIO, peers)
+      console.error('\n=== Test Failed ===\n')
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+
+    // Cleanup on error
+    for (const peer of peers) peer.child.kill()
+
+    // Report the peers that were started, so that the failure shows up in
+    // the scenario report.
+    for (const peer of peers) peer.code = await waitForExit(peer.child)
+    mergeReports({ scenario: SCENARIO, peers, reportDir: REPORT_DIR })
+    writePeerLogs(SCENARIO, peers)
+
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,263 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, with the LAN
+  kad-dht of lib/dht.js in client mode. This is the "sam" node for the DHT
+  test. Sam is given the address of alice, and the peer ID of bob and the
+  CID of his file, but never an address of bob. He finds bob as a provider
+  of the CID on the DHT, fetches the file from him, and then looks bob up
+  again by his peer ID alone.
+*/
+
+// Global npm libraries
+import { unixfs } from '@helia/unixfs'
+import { peerIdFromString } from '@libp2p/peer-id'
+import { multiaddr } from '@multiformats/multiaddr'
+import { CID } from 'multiformats/cid'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { lanDHT, findInQuery, LAN_DHT_PROTOCOL } from '../../lib/dht.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { waitForIdentify, waitForRoutingTable } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// How long each DHT query may take.
+const QUERY_TIMEOUT = 60000
+
+// How long the fetch of the file may take, from finding its providers
+// to the last byte.
+const FETCH_TIMEOUT = 120000
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Sam',
+      options: [
+        'aliceMultiaddr', 'bobPeerId', 'cid', 'tcpPort', 'wsPort', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '07-dht',
+      peer: 'sam',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '07-dht',
+      peer: 'sam',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.aliceMultiaddr || !config.bobPeerId || !config.cid) {
+      throw new Error('aliceMultiaddr, bobPeerId and cid must be configured, so that Sam can look Bob and his file up')
+    }
+
+    const peer = await createPeer({
+      name: 'Sam',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false,
+      services: {
+        dht: lanDHT({ mode: 'client' })
+      }
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// The addresses of a peer in the peer store. Empty when the peer is unknown.
+async function getKnownAddresses (libp2p, peerId) {
+  if (!(await libp2p.peerStore.has(peerId))) return []
+
+  const { addresses } = await libp2p.peerStore.get(peerId)
+  return addresses.map(x => x.multiaddr.toString())
+}
+
+// Find Bob among the providers of the CID.
+async function findProviders (libp2p, cid, bobPeerId) {
+  const startTime = Date.now()
+
+  const event = await findInQuery({
+    step: `providers of ${cid}`,
+    timeout: QUERY_TIMEOUT,
+    query: (signal) => libp2p.services.dht.findProviders(cid, { signal }),
+    filterFn: (evt) => evt.name === 'PROVIDER' && evt.providers.some(x => x.id.equals(bobPeerId))
+  })
+
+  const provider = event.providers.find(x => x.id.equals(bobPeerId))
+  const result = {
+    ms: Date.now() - startTime,
+    from: event.from.toString(),
+    multiaddrs: provider.multiaddrs.map(x => x.toString())
+  }
+  if (event.from.equals(bobPeerId)) {
+    throw new Error('The provider record came from Bob himself, not from the DHT')
+  }
+
+  console.log(`Found Bob as a provider in ${result.ms}ms, from ${result.from}, at ${result.multiaddrs.join(', ') || 'no address'}`)
+  return result
+}
+
+// Fetch the file over bitswap. Helia finds the providers again on its own,
+// and dials Bob at the addresses the DHT returned.
+async function fetchFile (ipfs, cid) {
+  const startTime = Date.now()
+
+  let size = 0
+  for await (const chunk of unixfs(ipfs).cat(cid, { signal: AbortSignal.timeout(FETCH_TIMEOUT) })) {
+    size += chunk.length
+  }
+
+  const result = { ms: Date.now() - startTime, size }
+  console.log(`Fetched ${size} bytes in ${result.ms}ms`)
+  return result
+}
+
+// Look Bob up by his peer ID, with the DHT alone: the peer store is not
+// used, and Bob is dialed at the addresses the query returned.
+async function findPeer (libp2p, bobPeerId) {
+  const startTime = Date.now()
+
+  const event = await findInQuery({
+    step: `peer ${bobPeerId}`,
+    timeout: QUERY_TIMEOUT,
+    query: (signal) => libp2p.services.dht.findPeer(bobPeerId, { signal, useCache: false }),
+    filterFn: (evt) => evt.name === 'FINAL_PEER' && evt.peer.id.equals(bobPeerId)
+  })
+
+  const result = {
+    ms: Date.now() - startTime,
+    from: event.from.toString(),
+    multiaddrs: event.peer.multiaddrs.map(x => x.toString())
+  }
+  console.log(`Found Bob in ${result.ms}ms, from ${result.from}, at ${result.multiaddrs.join(', ') || 'no address'}`)
+
+  if (!result.multiaddrs.length) {
+    throw new Error(`The DHT found Bob with no address, from ${result.from}`)
+  }
+
+  const connection = await libp2p.dial(event.peer.multiaddrs, { signal: AbortSignal.timeout(30000) })
+  if (!connection.remotePeer.equals(bobPeerId)) {
+    throw new Error(`The addresses the DHT returned for Bob reach ${connection.remotePeer}`)
+  }
+  result.dialed = connection.remoteAddr.toString()
+  console.log(`Dialed Bob at ${result.dialed}`)
+
+  return result
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting DHT Test (Sam) ===\n')
+    report.data.dht = {}
+    const bobPeerId = peerIdFromString(config.bobPeerId)
+    const cid = CID.parse(config.cid)
+
+    // Step 1: Connect to Alice, and wait for her to be in the routing table.
+    console.log('Step 1: Connecting to Alice...')
+    report.step('connect to Alice')
+    const aliceAddr = multiaddr(config.aliceMultiaddr)
+    const alicePeerId = aliceAddr.getPeerId()
+    console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
+    await libp2p.dial(aliceAddr)
+
+    report.step('DHT routing table')
+    const protocols = await waitForIdentify(libp2p, alicePeerId, { timeout: 30000 })
+    if (!protocols.includes(LAN_DHT_PROTOCOL)) {
+      throw new Error(`Alice is not a ${LAN_DHT_PROTOCOL} server. Her protocols: ${protocols.join(', ')}`)
+    }
+    await waitForRoutingTable(libp2p.services.dht, { timeout: 30000 })
+    console.log(`DHT mode: ${libp2p.services.dht.getMode()}, Alice is in the routing table.`)
+
+    // Sam must not know where Bob is yet.
+    const known = await getKnownAddresses(libp2p, bobPeerId)
+    if (known.length) {
+      throw new Error(`Sam knows Bob's addresses before any lookup: ${known.join(', ')}`)
+    }
+
+    // Step 2: Content routing
+    console.log(`\nStep 2: Finding the providers of ${cid}...`)
+    report.step('find providers')
+    report.data.dht.providers = await findProviders(libp2p, cid, bobPeerId)
+
+    report.step('fetch file')
+    report.data.dht.fetch = await fetchFile(ipfs, cid)
+    if (!libp2p.getConnections(bobPeerId).length) {
+      throw new Error('Sam fetched the file without a connection to Bob')
+    }
+
+    // Step 3: Peer routing. Sam drops the connection to Bob and forgets his
+    // addresses, so that they can only come from the DHT.
+    console.log('\nStep 3: Finding Bob by his peer ID...')
+    report.step('find peer')
+    await libp2p.hangUp(bobPeerId)
+    await libp2p.peerStore.delete(bobPeerId)
+    report.data.dht.findPeer = await findPeer(libp2p, bobPeerId)
+
+    // Step 4: Shutdown
+    console.log('\nStep 4: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
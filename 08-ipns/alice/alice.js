@@ -0,0 +1,299 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, and resolves
+  IPNS names over pubsub with lib/ipns.js. This is the "alice" node for the
+  IPNS test. Alice resolves the name of bob after each record he publishes,
+  checks the CID, the sequence number and the validity she gets, and checks
+  that she never gets an older record once she got a newer one, nor an
+  expired one.
+*/
+
+// Global npm libraries
+import { peerIdFromString } from '@libp2p/peer-id'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import {
+  createIpns,
+  createControlInbox,
+  describeRecord,
+  getIpnsTopic,
+  IPNS_CONTROL_TOPIC
+} from '../../lib/ipns.js'
+import { sendMultiaddrs } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { sleep } from '../../lib/util.js'
+import { waitUntil } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// How long a published record may take to reach Alice.
+const RESOLVE_TIMEOUT = 30000
+
+// Number of times the name is resolved again, once the newest record was
+// resolved, to check that an older one never comes back.
+const RESOLVE_REPEATS = 5
+
+// How long the IPNS router may take to process a record it received.
+const PROCESS_DELAY = 1000
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Alice',
+      options: [
+        'tcpPort', 'wsPort', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '08-ipns',
+      peer: 'alice',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '08-ipns',
+      peer: 'alice',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    const peer = await createPeer({
+      name: 'Alice',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Resolve a name. Resolves with the description of the record, or with
+// { error } when nothing was resolved.
+async function resolve (name, key, options = {}) {
+  try {
+    const { record } = await name.resolve(key, options)
+    return describeRecord(record)
+  } catch (err) {
+    return { error: `${err.name}: ${err.message}` }
+  }
+}
+
+// Compare a resolved record with the one Bob published. Returns the
+// problems found, as an array of strings.
+function compareRecords (resolved, expected, label) {
+  if (resolved.error) return [`${label} resolved nothing: ${resolved.error}`]
+
+  const problems = []
+  for (const field of ['value', 'sequence', 'validity']) {
+    if (resolved[field] !== expected[field]) {
+      problems.push(`${label} resolved ${field} ${resolved[field]}, Bob published ${expected[field]}`)
+    }
+  }
+  return problems
+}
+
+// Resolve the name until the record Bob published arrives. A record with a
+// higher sequence number than his is a problem.
+async function resolveUntil (name, key, expected) {
+  let last = null
+
+  try {
+    await waitUntil({
+      step: `record with sequence ${expected.sequence}`,
+      timeout: RESOLVE_TIMEOUT,
+      recheckInterval: 500,
+      check: async () => {
+        last = await resolve(name, key)
+        return !last.error && BigInt(last.sequence) >= BigInt(expected.sequence)
+      }
+    })
+  } catch (err) {
+    return [`${err.message}. Last resolved: ${last && (last.error || `${last.value}, sequence ${last.sequence}`)}`]
+  }
+
+  return compareRecords(last, expected, 'Resolve')
+}
+
+// Resolve the name again, from the cache, without it, and offline. Every
+// resolve must return the newest record.
+async function checkNoStaleRecord (name, key, expected) {
+  const problems = []
+
+  for (let i = 0; i < RESOLVE_REPEATS; i++) {
+    problems.push(...compareRecords(await resolve(name, key), expected, `Resolve ${i + 1}`))
+  }
+  problems.push(...compareRecords(await resolve(name, key, { nocache: true }), expected, 'Resolve without cache'))
+  problems.push(...compareRecords(await resolve(name, key, { offline: true }), expected, 'Offline resolve'))
+
+  return problems
+}
+
+// Wait for the record to expire, and check that the name no longer resolves,
+// neither to the expired record nor to an older one.
+async function checkExpired (name, key, expected) {
+  const wait = Date.parse(expected.validity) - Date.now() + PROCESS_DELAY
+  console.log(`Waiting ${wait}ms for the record to expire...`)
+  await sleep(Math.max(wait, 0))
+
+  const problems = []
+  for (const [label, options] of [['Resolve', {}], ['Offline resolve', { offline: true }]]) {
+    const resolved = await resolve(name, key, options)
+    if (!resolved.error) {
+      problems.push(`${label} after the expiry resolved ${resolved.value}, sequence ${resolved.sequence}, valid until ${resolved.validity}`)
+    } else {
+      console.log(`${label} after the expiry failed, as expected: ${resolved.error}`)
+    }
+  }
+
+  return problems
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+  const pubsub = libp2p.services.pubsub
+
+  try {
+    console.log('\n=== Starting IPNS Test (Alice) ===\n')
+    const name = createIpns(ipfs)
+    report.data.ipns = {}
+
+    // Step 1: Subscribe to the control topic, and wait for Bob.
+    console.log('Step 1: Waiting for Bob...')
+    report.step('wait for Bob')
+    const inbox = createControlInbox(pubsub)
+    pubsub.subscribe(IPNS_CONTROL_TOPIC)
+
+    // If this process was spawned by run-local.js, hand our multiaddrs to the
+    // runner, so that it can pass them on to bob.
+    sendMultiaddrs(peer.multiaddrs)
+
+    const ready = await inbox.wait('ready message from Bob', x => x.phase === 'ready', { timeout: config.timeout })
+    const bobPeerId = peerIdFromString(ready.from)
+    const key = bobPeerId.toMultihash()
+    const ipnsTopic = getIpnsTopic(bobPeerId)
+    console.log(`Bob is ready. IPNS name: /ipns/${bobPeerId}`)
+
+    // Count the records that arrive on the topic of the name, so that Alice
+    // knows when the replayed one has arrived.
+    let received = 0
+    pubsub.addEventListener('message', (evt) => {
+      if (evt.detail.topic === ipnsTopic) received++
+    })
+
+    // The first resolve subscribes to the topic of the name. It finds
+    // nothing, unless the datastore has a record from an earlier run.
+    report.step('subscribe to the name')
+    const initial = await resolve(name, key)
+    report.data.ipns.initial = initial
+    console.log(`First resolve: ${initial.error || initial.value}`)
+    await inbox.send({ reply: 'ready', problems: [], resolved: initial.error ? null : initial })
+
+    // Steps 2 to 5: Resolve the name after each record of Bob. The replay
+    // must arrive after the update was resolved.
+    let receivedBeforeReplay = received
+    const phases = ['first', 'update', 'replay', 'expiring']
+    for (const [i, phase] of phases.entries()) {
+      console.log(`\nStep ${i + 2}: Resolving the name after the ${phase} record...`)
+      report.step(`resolve ${phase} record`)
+      const { data } = await inbox.wait(`${phase} message from Bob`, x => x.phase === phase, {
+        timeout: config.timeout
+      })
+      const expected = data.record
+
+      let problems = []
+      if (phase === 'replay') {
+        // The replayed record must have been received, and refused.
+        await waitUntil({
+          step: 'replayed record',
+          timeout: RESOLVE_TIMEOUT,
+          check: () => received > receivedBeforeReplay,
+          events: [{ target: pubsub, type: 'message' }]
+        })
+        await sleep(PROCESS_DELAY)
+        problems = await checkNoStaleRecord(name, key, expected)
+      } else {
+        problems = await resolveUntil(name, key, expected)
+        if (phase === 'update' && !problems.length) {
+          problems = await checkNoStaleRecord(name, key, expected)
+        }
+        if (phase === 'expiring' && !problems.length) {
+          problems = await checkExpired(name, key, expected)
+        }
+      }
+      receivedBeforeReplay = received
+
+      report.data.ipns[phase] = { expected, problems }
+      await inbox.send({ reply: phase, problems, resolved: phase === 'expiring' ? null : expected })
+      if (problems.length) {
+        throw new Error(`Problems resolving the ${phase} record: ${problems.join('; ')}`)
+      }
+      console.log(`Resolved the ${phase} record: ${expected.value}, sequence ${expected.sequence}`)
+    }
+
+    // Wait a brief moment for the last reply to reach Bob
+    await sleep(2000)
+
+    // Step 6: Shutdown
+    console.log('\nStep 6: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
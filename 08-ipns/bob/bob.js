@@ -0,0 +1,257 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, and publishes
+  IPNS records over pubsub with lib/ipns.js. This is the "bob" node for the
+  IPNS test. Bob publishes a record for the name of his libp2p key, updates
+  it, replays the old record, and publishes a last record that expires
+  quickly. Alice resolves the name after each step, and tells him what she
+  got on the control topic.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+import { unixfs } from '@helia/unixfs'
+import { multiaddr } from '@multiformats/multiaddr'
+import { marshalIPNSRecord } from 'ipns'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import {
+  createIpns,
+  createControlInbox,
+  describeRecord,
+  getIpnsTopic,
+  IPNS_CONTROL_TOPIC
+} from '../../lib/ipns.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { sleep } from '../../lib/util.js'
+import { waitForSubscriber } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Lifetime of the records, and of the last one, which Alice waits out.
+const RECORD_LIFETIME = 60000 * 60
+const EXPIRING_LIFETIME = 20000
+
+// How far the validity of a record may be from the time of the publish plus
+// its lifetime.
+const VALIDITY_TOLERANCE = 5000
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'aliceMultiaddr', 'tcpPort', 'wsPort', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '08-ipns',
+      peer: 'bob',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '08-ipns',
+      peer: 'bob',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.aliceMultiaddr) {
+      throw new Error('aliceMultiaddr must be configured, so that Bob can connect to Alice')
+    }
+
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Add a small file, so that each record points to a CID Bob has.
+async function addFile (heliaFs, version) {
+  const bytes = new TextEncoder().encode(`Version ${version} of the file of Bob, ${crypto.randomUUID()}\n`)
+  return heliaFs.addBytes(bytes)
+}
+
+// Publish a record, and check its value and validity.
+async function publish (name, privateKey, cid, lifetime) {
+  const publishedAt = Date.now()
+  const record = await name.publish(privateKey, cid, { lifetime })
+  console.log(`Published ${record.value}, sequence ${record.sequence}, valid until ${record.validity}`)
+
+  if (record.value !== `/ipfs/${cid}`) {
+    throw new Error(`The record points to ${record.value}, not to /ipfs/${cid}`)
+  }
+
+  const expected = publishedAt + lifetime
+  const validity = Date.parse(record.validity)
+  if (Math.abs(validity - expected) > VALIDITY_TOLERANCE) {
+    throw new Error(`The record is valid until ${record.validity}, ${validity - publishedAt}ms after it was published, with a lifetime of ${lifetime}ms`)
+  }
+
+  return record
+}
+
+// Tell Alice about a step, and wait for her to report what she resolved.
+// Throws with the problems she found.
+async function checkWithAlice (inbox, phase, data, timeout) {
+  await inbox.send({ phase, ...data })
+
+  const { data: reply } = await inbox.wait(`reply of Alice to ${phase}`, x => x.reply === phase, { timeout })
+  if (reply.problems.length) {
+    throw new Error(`Alice found problems after ${phase}: ${reply.problems.join('; ')}`)
+  }
+
+  console.log(`Alice resolved the name after ${phase}: ${reply.resolved ? reply.resolved.value : 'nothing, as expected'}`)
+  return reply
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p, privateKey } = peer
+  const pubsub = libp2p.services.pubsub
+
+  try {
+    console.log('\n=== Starting IPNS Test (Bob) ===\n')
+    report.data.ipns = {}
+    const name = createIpns(ipfs)
+    const heliaFs = unixfs(ipfs)
+    const ipnsTopic = getIpnsTopic(libp2p.peerId)
+    console.log(`IPNS name: /ipns/${libp2p.peerId}`)
+
+    // Step 1: Connect to Alice, and wait for her on the control topic.
+    console.log('Step 1: Connecting to Alice...')
+    report.step('connect to Alice')
+    const aliceAddr = multiaddr(config.aliceMultiaddr)
+    const alicePeerId = aliceAddr.getPeerId()
+    console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
+    await libp2p.dial(aliceAddr)
+
+    const inbox = createControlInbox(pubsub)
+    pubsub.subscribe(IPNS_CONTROL_TOPIC)
+    await waitForSubscriber(pubsub, IPNS_CONTROL_TOPIC, x => x.toString() === alicePeerId, {
+      step: 'Alice subscription to the control topic',
+      timeout: config.timeout
+    })
+
+    // Alice subscribes to the topic of the name with her first resolve.
+    report.step('Alice subscribes to the name')
+    await checkWithAlice(inbox, 'ready', {}, config.timeout)
+    await waitForSubscriber(pubsub, ipnsTopic, x => x.toString() === alicePeerId, {
+      step: 'Alice subscription to the IPNS topic',
+      timeout: config.timeout
+    })
+
+    // Step 2: Publish a record.
+    console.log('\nStep 2: Publishing the first record...')
+    report.step('publish first record')
+    const cid1 = await addFile(heliaFs, 1)
+    const record1 = await publish(name, privateKey, cid1, RECORD_LIFETIME)
+    report.data.ipns.first = describeRecord(record1)
+    await checkWithAlice(inbox, 'first', { cid: cid1.toString(), record: describeRecord(record1) }, config.timeout)
+
+    // Step 3: Update the record.
+    console.log('\nStep 3: Updating the record...')
+    report.step('update record')
+    const cid2 = await addFile(heliaFs, 2)
+    const record2 = await publish(name, privateKey, cid2, RECORD_LIFETIME)
+    report.data.ipns.update = describeRecord(record2)
+    if (record2.sequence !== record1.sequence + 1n) {
+      throw new Error(`The updated record has sequence ${record2.sequence}, after ${record1.sequence}`)
+    }
+    await checkWithAlice(inbox, 'update', { cid: cid2.toString(), record: describeRecord(record2) }, config.timeout)
+
+    // Step 4: Replay the first record on the topic of the name. It is still
+    // valid and signed by Bob, but has a lower sequence number, so Alice must
+    // keep the update.
+    console.log('\nStep 4: Replaying the first record...')
+    report.step('replay first record')
+    const { recipients } = await pubsub.publish(ipnsTopic, marshalIPNSRecord(record1))
+    if (!recipients.some(x => x.toString() === alicePeerId)) {
+      throw new Error('Alice is not a recipient of the replayed record')
+    }
+    await checkWithAlice(inbox, 'replay', { cid: cid2.toString(), record: describeRecord(record2) }, config.timeout)
+
+    // Step 5: Publish a record that expires quickly. Once it has expired,
+    // Alice must resolve nothing, rather than the record or the one before.
+    console.log('\nStep 5: Publishing a record that expires...')
+    report.step('publish expiring record')
+    const cid3 = await addFile(heliaFs, 3)
+    const record3 = await publish(name, privateKey, cid3, EXPIRING_LIFETIME)
+    report.data.ipns.expiring = describeRecord(record3)
+    if (record3.sequence !== record2.sequence + 1n) {
+      throw new Error(`The expiring record has sequence ${record3.sequence}, after ${record2.sequence}`)
+    }
+    await checkWithAlice(inbox, 'expiring', { cid: cid3.toString(), record: describeRecord(record3) }, config.timeout + EXPIRING_LIFETIME)
+
+    // Step 6: Shutdown
+    console.log('\nStep 6: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+
+    // Wait a brief moment for Alice to finish
+    await sleep(2000)
+
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,103 @@
+/*
+  This script runs the 08-ipns test on a single machine.
+
+  Bob publishes IPNS records for the name of his libp2p key over pubsub,
+  without helia-coord, and alice resolves the name after each one: a first
+  record, an update, a replay of the first record, and a record that
+  expires. See lib/ipns.js.
+
+  Each peer writes a report. The script merges them into
+  reports/08-ipns.json and .xml, and exits non-zero if any peer failed.
+
+  Usage:
+    node run-local.js
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import {
+  spawnPeer,
+  waitForMultiaddr,
+  waitForExit,
+  writePeerLogs,
+  isLoopbackTcp,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '08-ipns'
+
+// How long to wait for alice to report her multiaddrs.
+const STARTUP_TIMEOUT = 60000 * 2
+
+// How long to wait for both peers to finish, before killing them.
+const TEST_TIMEOUT = 60000 * 5
+
+async function start () {
+  const peers = []
+
+  try {
+    console.log('\n=== Starting local IPNS Test ===\n')
+
+    // Step 1: Start alice and wait for her multiaddr.
+    console.log('Step 1: Starting Alice...')
+    const alice = spawnPeer(__dirname, 'alice', { TCP_PORT: 0, WS_PORT: 0 })
+    peers.push({ name: 'alice', child: alice })
+
+    const aliceMultiaddr = await waitForMultiaddr(alice, 'Alice', isLoopbackTcp, STARTUP_TIMEOUT)
+    console.log(`Alice multiaddr: ${aliceMultiaddr}`)
+
+    // Step 2: Start bob and point him at alice.
+    console.log('\nStep 2: Starting Bob...')
+    const bob = spawnPeer(__dirname, 'bob', {
+      TCP_PORT: 0,
+      WS_PORT: 0,
+      ALICE_MULTIADDR: aliceMultiaddr
+    })
+    peers.push({ name: 'bob', child: bob })
+
+    // Step 3: Wait for the peers to finish.
+    console.log('\nStep 3: Waiting for the peers to finish...')
+    const timer = setTimeout(() => {
+      console.error(`Test did not finish after ${TEST_TIMEOUT}ms, killing peers...`)
+      for (const peer of peers) peer.child.kill()
+    }, TEST_TIMEOUT)
+
+    for (const peer of peers) {
+      peer.code = await waitForExit(peer.child)
+      console.log(`${peer.name} exited with code ${peer.code}`)
+    }
+    clearTimeout(timer)
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: peers.map(({ name, code }) => ({ name, code })),
+      reportDir: REPORT_DIR
+    })
+
+    const failed = peers.filter(x => x.code !== 0)
+    if (failed.length) {
+      writePeerLogs(SCENARIO, failed)
+      console.error(`\n=== Test Failed: ${failed.map(x => x.name).join(', ')} ===\n`)
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+    for (const peer of peers) peer.child.kill()
+    if (peers.length) writePeerLogs(SCENARIO, peers)
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,169 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, with the mDNS
+  discovery of lib/discovery.js and the alice role tag. This is the "alice"
+  node for the mDNS test. No peer is given her address: bob finds her by her
+  role tag, and sam by her peer ID. She records the peers she discovered and
+  the ones that connected to her, and runs until she is stopped with SIGINT
+  or SIGTERM.
+*/
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { getRoles } from '../../lib/discovery.js'
+import { createRunnerChannel } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Alice',
+      options: [
+        'tcpPort', 'wsPort', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '09-mdns',
+      peer: 'alice',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '09-mdns',
+      peer: 'alice',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    const peer = await createPeer({
+      name: 'Alice',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false,
+      discovery: 'mdns',
+      role: 'alice'
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // If this process was spawned by run-local.js, hand our peer ID to the
+    // runner, so that it can pass it on to sam. Unlike the other scenarios,
+    // our multiaddrs are not handed off.
+    createRunnerChannel().send({
+      type: 'ready',
+      peerId: peer.libp2p.peerId.toString()
+    })
+    console.log(`\nTo find Alice by her peer ID, start Sam with --alice-peer-id ${peer.libp2p.peerId}`)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Main test workflow
+// Alice only waits to be found. She logs the peers she discovers and the ones
+// that connect to her, and runs until she is stopped with SIGINT or SIGTERM.
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting mDNS Test (Alice) ===\n')
+    console.log('Alice is ready, waiting to be discovered...\n')
+    report.step('wait to be discovered')
+
+    const discovered = new Set()
+    libp2p.addEventListener('peer:discovery', (evt) => {
+      const peerId = evt.detail.id.toString()
+      if (discovered.has(peerId)) return
+      discovered.add(peerId)
+      console.log(`Peer discovered: ${peerId}`)
+    })
+
+    // The roles of the peers that connected, from their identify protocols.
+    const connected = {}
+    libp2p.addEventListener('peer:identify', (evt) => {
+      const peerId = evt.detail.peerId.toString()
+      connected[peerId] = getRoles(evt.detail.protocols)
+      console.log(`Peer connected: ${peerId}, roles: ${connected[peerId].join(', ') || 'none'}`)
+    })
+
+    libp2p.addEventListener('peer:disconnect', (evt) => {
+      console.log(`Peer disconnected: ${evt.detail.toString()}`)
+    })
+
+    const shutdown = async () => {
+      console.log('\nShutting down...')
+      report.step('shutdown')
+      try {
+        report.data.discovery = {
+          discovered: [...discovered],
+          connected
+        }
+
+        await ipfs.stop()
+        console.log('IPFS node stopped gracefully.')
+        report.finish()
+        console.log('\n=== Alice Stopped ===\n')
+        process.exit(0)
+      } catch (err) {
+        console.error('Error during shutdown:', err)
+        report.fail(err)
+        report.finish()
+        process.exit(1)
+      }
+    }
+
+    process.once('SIGINT', shutdown)
+    process.once('SIGTERM', shutdown)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,142 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, with the mDNS
+  discovery of lib/discovery.js and the bob role tag. This is the "bob" node
+  for the mDNS test. Bob is given nothing about alice: no address and no peer
+  ID. He dials the peers mDNS finds on the LAN, and picks alice by her role
+  tag, whatever the order they are found in.
+*/
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { discoverPeer } from '../../lib/discovery.js'
+import { createRunnerChannel } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { waitForConnection } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'tcpPort', 'wsPort', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '09-mdns',
+      peer: 'bob',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '09-mdns',
+      peer: 'bob',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false,
+      discovery: 'mdns',
+      role: 'bob'
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting mDNS Test (Bob) ===\n')
+
+    // Step 1: Find Alice on the LAN by her role tag.
+    console.log('Step 1: Discovering Alice by her role tag...')
+    report.step('discover Alice')
+    const found = await discoverPeer(libp2p, {
+      role: 'alice',
+      timeout: config.timeout
+    })
+    report.data.discovery = found
+    console.log(`Alice discovered after ${found.ms}ms! Peer ID: ${found.peerId}`)
+    console.log(`Discovered multiaddrs: ${found.multiaddrs.join(', ')}`)
+    console.log(`Peers ignored before Alice: ${found.ignored.length}`)
+
+    // Step 2: Check the connection to Alice.
+    console.log('\nStep 2: Verifying the connection to Alice...')
+    report.step('verify connection')
+    const connection = await waitForConnection(libp2p, found.peerId, {
+      step: 'connection to Alice',
+      timeout: 10000
+    })
+    console.log(`Connected to Alice via ${connection.remoteAddr}`)
+
+    // Let the runner check that the peer picked is Alice.
+    createRunnerChannel().send({ type: 'found', peerId: found.peerId })
+
+    report.step('shutdown')
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
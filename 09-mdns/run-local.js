@@ -0,0 +1,146 @@
+/*
+  This script runs the 09-mdns test on a single machine.
+
+  It spawns alice, then sam and bob, with the mDNS discovery of
+  lib/discovery.js. No multiaddr is handed off: alice only hands off her peer
+  ID, which is passed to sam through the ALICE_PEER_ID environment variable.
+  Bob is given nothing, and finds alice by her role tag. Sam is started first
+  and keeps running, so that bob finds two peers on the LAN, and must pick
+  alice. Bob hands off the peer ID of the peer he picked, and the script
+  checks that it is alice.
+
+  The script waits for bob to finish, stops alice and sam, merges the test
+  reports of the three peers into reports/09-mdns.json and .xml, and exits
+  non-zero if any peer failed, or bob picked the wrong peer. On failure, the
+  last lines of the output of the three peers are written next to the
+  reports.
+
+  mDNS needs multicast on a network interface. The peers listen on loopback
+  and on all interfaces, and advertise their private addresses.
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import {
+  spawnPeer,
+  waitForPeerMessage,
+  waitForExit,
+  writePeerLogs,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '09-mdns'
+
+// How long to wait for alice to start, and for sam to find her.
+const STARTUP_TIMEOUT = 60000 * 2
+
+// How long to wait for bob to finish the test, before killing him.
+const TEST_TIMEOUT = 60000 * 5
+
+async function start () {
+  const peers = []
+
+  try {
+    console.log('\n=== Starting local mDNS Test ===\n')
+
+    // Step 1: Start alice and wait for her peer ID.
+    console.log('Step 1: Starting Alice...')
+    const alice = spawnPeer(__dirname, 'alice', { TCP_PORT: 0, WS_PORT: 0 })
+    peers.push({ name: 'alice', child: alice })
+
+    const { peerId: alicePeerId } = await waitForPeerMessage(alice, 'Alice', x => x.type === 'ready', STARTUP_TIMEOUT)
+    console.log(`Alice peer ID: ${alicePeerId}`)
+
+    // Step 2: Start sam with the peer ID of alice, and wait for him to find her.
+    console.log('\nStep 2: Starting Sam...')
+    const sam = spawnPeer(__dirname, 'sam', {
+      TCP_PORT: 0,
+      WS_PORT: 0,
+      ALICE_PEER_ID: alicePeerId
+    })
+    peers.push({ name: 'sam', child: sam })
+
+    await waitForPeerMessage(sam, 'Sam', x => x.type === 'found', STARTUP_TIMEOUT)
+    console.log('Sam found Alice')
+
+    // Step 3: Start bob with nothing, and wait for him to finish.
+    console.log('\nStep 3: Starting Bob...')
+    const bob = spawnPeer(__dirname, 'bob', { TCP_PORT: 0, WS_PORT: 0 })
+    peers.push({ name: 'bob', child: bob })
+
+    const timer = setTimeout(() => {
+      console.error(`Test did not finish after ${TEST_TIMEOUT}ms, killing Bob...`)
+      bob.kill()
+    }, TEST_TIMEOUT)
+
+    // Bob hands off the peer he picked just before he exits.
+    let picked = null
+    waitForPeerMessage(bob, 'Bob', x => x.type === 'found', TEST_TIMEOUT)
+      .then(msg => { picked = msg.peerId })
+      .catch(() => {})
+    const bobCode = await waitForExit(bob)
+    clearTimeout(timer)
+
+    // Step 4: Stop alice and sam.
+    console.log('\nStep 4: Stopping Alice and Sam...')
+    alice.kill('SIGTERM')
+    sam.kill('SIGTERM')
+    const [aliceCode, samCode] = await Promise.all([
+      waitForExit(alice),
+      waitForExit(sam)
+    ])
+
+    console.log(`\nAlice exited with code ${aliceCode}`)
+    console.log(`Bob exited with code ${bobCode}`)
+    console.log(`Sam exited with code ${samCode}`)
+
+    const pickedAlice = picked === alicePeerId
+    if (bobCode === 0 && !pickedAlice) {
+      console.error(`Bob picked ${picked} instead of Alice ${alicePeerId}`)
+    }
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: [
+        { name: 'alice', code: aliceCode },
+        { name: 'bob', code: bobCode },
+        { name: 'sam', code: samCode }
+      ],
+      reportDir: REPORT_DIR,
+      data: { discovery: { alicePeerId, picked } }
+    })
+
+    if (aliceCode !== 0 || bobCode !== 0 || samCode !== 0 || !pickedAlice) {
+      writePeerLogs(SCENARIO, peers)
+      console.error('\n=== Test Failed ===\n')
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+
+    // Cleanup on error
+    for (const peer of peers) peer.child.kill()
+
+    // Report the peers that were started, so that the failure shows up in
+    // the scenario report.
+    for (const peer of peers) peer.code = await waitForExit(peer.child)
+    mergeReports({ scenario: SCENARIO, peers, reportDir: REPORT_DIR })
+    writePeerLogs(SCENARIO, peers)
+
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,161 @@
+/*
+  This script creates a Helia IPFS node without helia-coord, with the mDNS
+  discovery of lib/discovery.js and the sam role tag. This is the "sam" node
+  for the mDNS test. Sam is given the peer ID of alice, but no address. He
+  ignores the other peers mDNS finds, and only dials alice. Once connected to
+  her, he runs until he is stopped with SIGINT or SIGTERM, so that bob finds
+  a peer that is not alice on the LAN too, and has to tell them apart.
+*/
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { discoverPeer } from '../../lib/discovery.js'
+import { createRunnerChannel } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { waitForConnection } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Sam',
+      options: [
+        'alicePeerId', 'tcpPort', 'wsPort', 'timeout', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '09-mdns',
+      peer: 'sam',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '09-mdns',
+      peer: 'sam',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.alicePeerId) {
+      throw new Error('alicePeerId must be configured, so that Sam can tell Alice from the other peers on the LAN')
+    }
+
+    const peer = await createPeer({
+      name: 'Sam',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled',
+      coord: false,
+      discovery: 'mdns',
+      role: 'sam'
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting mDNS Test (Sam) ===\n')
+
+    // Step 1: Find Alice on the LAN by her peer ID.
+    console.log(`Step 1: Discovering Alice by her peer ID ${config.alicePeerId}...`)
+    report.step('discover Alice')
+    const found = await discoverPeer(libp2p, {
+      peerId: config.alicePeerId,
+      timeout: config.timeout
+    })
+    report.data.discovery = found
+    console.log(`Alice discovered after ${found.ms}ms!`)
+    console.log(`Discovered multiaddrs: ${found.multiaddrs.join(', ')}`)
+
+    // Step 2: Check the connection to Alice.
+    console.log('\nStep 2: Verifying the connection to Alice...')
+    report.step('verify connection')
+    const connection = await waitForConnection(libp2p, found.peerId, {
+      step: 'connection to Alice',
+      timeout: 10000
+    })
+    console.log(`Connected to Alice via ${connection.remoteAddr}`)
+
+    // Step 3: Stay on the LAN for bob, until the runner stops us.
+    createRunnerChannel().send({ type: 'found', peerId: found.peerId })
+    console.log('\nStep 3: Waiting to be stopped...')
+    report.step('wait for Bob')
+
+    const shutdown = async () => {
+      console.log('\nShutting down...')
+      report.step('shutdown')
+      try {
+        await ipfs.stop()
+        console.log('IPFS node stopped gracefully.')
+        report.finish()
+        console.log('\n=== Test Completed Successfully ===\n')
+        process.exit(0)
+      } catch (err) {
+        console.error('Error during shutdown:', err)
+        report.fail(err)
+        report.finish()
+        process.exit(1)
+      }
+    }
+
+    process.once('SIGINT', shutdown)
+    process.once('SIGTERM', shutdown)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
@@ -0,0 +1,157 @@
+/*
+  This script creates a Helia IPFS node and attaches helia-coord to it.
+  This is the "alice" node for the announcement validation test. She only
+  announces herself, as helia-coord does on its own, and reports the keys
+  and addresses of her wallet, which bob checks her announcements against.
+  She runs until she is stopped with SIGINT or SIGTERM. The runner stops her
+  when bob asks it to, so that bob can watch her age out of his peer list.
+*/
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import { sendMultiaddrs, createRunnerChannel } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Alice',
+      options: [
+        'tcpPort', 'wsPort', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir'
+      ]
+    })
+
+    report = createReport({
+      scenario: '10-announcements',
+      peer: 'alice',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '10-announcements',
+      peer: 'alice',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    // Create the IPFS node and attach helia-coord to it.
+    const peer = await createPeer({
+      name: 'Alice',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      debugLevel: config.debugLevel,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled'
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // If this process was spawned by run-local.js, hand our multiaddrs to the
+    // runner, so that it can pass them on to bob, and the keys and addresses
+    // of our wallet, which it passes on to bob once he is ready.
+    sendMultiaddrs(peer.multiaddrs)
+    const identity = getIdentity(peer)
+    createRunnerChannel().send({ type: 'identity', ...identity })
+    report.data.identity = identity
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// The fields of the announcement of this peer that come from its wallet,
+// read from the wallet rather than from helia-coord.
+function getIdentity (peer) {
+  const { walletInfo } = peer.wallet
+
+  return {
+    peerId: peer.libp2p.peerId.toString(),
+    encryptPubKey: walletInfo.publicKey,
+    bchAddr: walletInfo.cashAddress,
+    slpAddr: walletInfo.slpAddress
+  }
+}
+
+// Main test workflow
+// Alice announces herself until she is stopped with SIGINT or SIGTERM.
+async function runTest (peer) {
+  const { ipfs, libp2p } = peer
+
+  try {
+    console.log('\n=== Starting Announcement Test (Alice) ===\n')
+    console.log('Alice is ready, announcing herself...\n')
+    report.step('announce')
+
+    libp2p.addEventListener('peer:connect', (evt) => {
+      console.log(`Peer connected: ${evt.detail.toString()}`)
+    })
+
+    const shutdown = async () => {
+      console.log('\nShutting down...')
+      report.step('shutdown')
+      try {
+        await ipfs.stop()
+        console.log('IPFS node stopped gracefully.')
+        report.finish()
+        console.log('\n=== Alice Stopped ===\n')
+        process.exit(0)
+      } catch (err) {
+        console.error('Error during shutdown:', err)
+        report.fail(err)
+        report.finish()
+        process.exit(1)
+      }
+    }
+
+    process.once('SIGINT', shutdown)
+    process.once('SIGTERM', shutdown)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
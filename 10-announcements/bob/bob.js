@@ -0,0 +1,345 @@
+/*
+  This script creates a Helia IPFS node and attaches helia-coord to it.
+  This is the "bob" node for the announcement validation test. He connects
+  to alice, captures the helia-coord announcements he receives from her, and
+  validates each one with lib/announcements.js: its fields, and the keys and
+  addresses alice reported for her wallet. He measures how often they
+  arrive, then has alice stopped, and checks when helia-coord treats her as
+  stale.
+*/
+
+// Global npm libraries
+import { multiaddr } from '@multiformats/multiaddr'
+
+// Local libraries
+import { loadConfig } from '../../lib/config.js'
+import { createPeer } from '../../lib/create-peer.js'
+import {
+  createAnnouncementRecorder,
+  validateAnnouncement,
+  getArrivalStats
+} from '../../lib/announcements.js'
+import { createRunnerChannel } from '../../lib/local-runner.js'
+import { createDiagnostics } from '../../lib/diagnostics.js'
+import { createReport } from '../../lib/report.js'
+import { waitForConnection, waitUntil } from '../../lib/waiters.js'
+
+// Peer settings, read from command-line flags, environment variables or a
+// JSON config file. See lib/config.js.
+let config = null
+
+// Records the test steps, and writes the test report. See lib/report.js.
+let report = null
+
+// Writes the state of the node when a step fails. See lib/diagnostics.js.
+let diagnostics = null
+
+// Test state
+let alicePeerId = null
+
+// How long to wait for the runner to hand off the identity of Alice.
+const IDENTITY_TIMEOUT = 60000
+
+// How far before and after --stale-timeout helia-coord is checked to treat
+// a peer as fresh, and as stale.
+const STALE_MARGIN = 60000
+
+async function start () {
+  try {
+    config = loadConfig({
+      name: 'Bob',
+      options: [
+        'aliceMultiaddr', 'tcpPort', 'wsPort', 'timeout', 'debugLevel', 'reportDir', 'logLines',
+        'ipfsDir', 'dataDirMode', 'onBadDataDir', 'identity', 'fixtureDir',
+        'announcementCount', 'maxAnnounceGap', 'staleTimeout'
+      ]
+    })
+
+    report = createReport({
+      scenario: '10-announcements',
+      peer: 'bob',
+      reportDir: config.reportDir
+    })
+    report.step('start node')
+
+    diagnostics = createDiagnostics({
+      scenario: '10-announcements',
+      peer: 'bob',
+      dir: config.reportDir,
+      logLines: config.logLines
+    })
+
+    if (!config.aliceMultiaddr) {
+      throw new Error('aliceMultiaddr must be configured')
+    }
+    alicePeerId = multiaddr(config.aliceMultiaddr).getPeerId()
+    if (!alicePeerId) {
+      throw new Error(`Alice multiaddr has no peer ID: ${config.aliceMultiaddr}`)
+    }
+    if (config.announcementCount < 2) {
+      throw new Error('announcementCount must be at least 2, to measure how often announcements arrive')
+    }
+
+    // Create the IPFS node and attach helia-coord to it.
+    const peer = await createPeer({
+      name: 'Bob',
+      ipfsDir: config.ipfsDir,
+      dataDirMode: config.dataDirMode,
+      onBadDataDir: config.onBadDataDir,
+      identity: config.identity,
+      fixtureDir: config.fixtureDir,
+      debugLevel: config.debugLevel,
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      announceMode: 'disabled'
+    })
+
+    report.setPeerId(peer.libp2p.peerId)
+    diagnostics.setPeer(peer)
+
+    // Run the test workflow
+    await runTest(peer)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    if (report) {
+      report.fail(err)
+      report.finish()
+    }
+    if (diagnostics) diagnostics.write(err)
+    process.exit(1)
+  }
+}
+
+// Get the keys and addresses Alice reported for her wallet from the runner.
+// Resolves with null when Bob was not spawned by run-local.js, and the
+// announcements are then only checked against the schema.
+async function getAliceIdentity (runner, libp2p) {
+  if (!process.send) {
+    console.log('Not started by run-local.js, the identity of Alice is not checked.')
+    return null
+  }
+
+  runner.send({ type: 'ready', peerId: libp2p.peerId.toString() })
+  const identity = await waitUntil({
+    step: 'identity of Alice',
+    timeout: IDENTITY_TIMEOUT,
+    check: () => runner.history.find(x => x.type === 'identity'),
+    events: [
+      { target: runner, type: 'message' }
+    ]
+  })
+
+  if (identity.peerId !== alicePeerId) {
+    throw new Error(`The runner handed off the identity of ${identity.peerId}, expected ${alicePeerId}`)
+  }
+  return identity
+}
+
+// Validate every captured announcement. Throws an Error that lists the
+// problems of each invalid one.
+function validateAnnouncements (announcements, identity) {
+  const problems = []
+  const unknownFields = new Set()
+
+  announcements.forEach(({ announcement, receivedAt }, i) => {
+    const result = validateAnnouncement(announcement, {
+      peerId: alicePeerId,
+      receivedAt,
+      identity
+    })
+
+    result.unknownFields.forEach(x => unknownFields.add(x))
+    if (result.problems.length) {
+      problems.push(`announcement #${i + 1}: ${result.problems.join('; ')}`)
+    }
+  })
+
+  // A field added by helia-coord does not break the apps, but is reported,
+  // so that the schema can be updated.
+  report.data.announcements.unknownFields = [...unknownFields]
+  if (unknownFields.size) {
+    console.warn(`Warning: announcements have fields that are not validated: ${[...unknownFields].join(', ')}`)
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid announcements from Alice:\n${problems.join('\n')}`)
+  }
+}
+
+/*
+  Check what helia-coord does with the peer data of Alice once she stopped.
+  helia-coord never removes a peer from its peer list or peer data. A peer
+  whose last announcement is older than --stale-timeout is stale instead:
+  isFreshPeer() is false for it, and refreshPeerConnections() skips it.
+  Rather than wait that long, the check runs isFreshPeer() on copies of her
+  peer data with her last announcement dated back from now.
+
+  Returns what was kept of Alice, and when she turns stale, for the report.
+*/
+function checkStalePeer (ipfsCoord) {
+  const { thisNode, useCases } = ipfsCoord
+
+  const aliceData = thisNode.peerData.find(x => x.from === alicePeerId)
+  if (!aliceData) throw new Error('helia-coord dropped the peer data of Alice once she stopped')
+
+  const lastBroadcastAt = Date.parse(aliceData.data.broadcastedAt)
+  const agedBy = (ms) => ({
+    ...aliceData,
+    data: { ...aliceData.data, broadcastedAt: new Date(Date.now() - ms).toISOString() }
+  })
+
+  const staleness = {
+    keptInPeerList: thisNode.peerList.includes(alicePeerId),
+    lastBroadcastAt: aliceData.data.broadcastedAt,
+    staleAt: new Date(lastBroadcastAt + config.staleTimeout).toISOString(),
+    freshNow: useCases.peer.isFreshPeer(aliceData),
+    freshBeforeTimeout: useCases.peer.isFreshPeer(agedBy(config.staleTimeout - STALE_MARGIN)),
+    freshAfterTimeout: useCases.peer.isFreshPeer(agedBy(config.staleTimeout + STALE_MARGIN))
+  }
+  console.log(`Alice is ${staleness.keptInPeerList ? 'still' : 'no longer'} in the peer list, and turns stale at ${staleness.staleAt}`)
+
+  if (!staleness.freshNow) {
+    throw new Error(`helia-coord treats Alice as stale right after she stopped, with her last announcement at ${staleness.lastBroadcastAt}`)
+  }
+  if (!staleness.freshBeforeTimeout) {
+    throw new Error(`helia-coord treats a peer as stale less than ${config.staleTimeout - STALE_MARGIN}ms after its last announcement`)
+  }
+  if (staleness.freshAfterTimeout) {
+    throw new Error(`helia-coord still treats a peer as fresh ${config.staleTimeout + STALE_MARGIN}ms after its last announcement`)
+  }
+
+  return staleness
+}
+
+// Main test workflow
+async function runTest (peer) {
+  const { ipfs, libp2p, ipfsCoord } = peer
+
+  try {
+    console.log('\n=== Starting Announcement Test (Bob) ===\n')
+
+    // Record Alice's announcements from the start, so that the first one is
+    // not missed.
+    const recorder = createAnnouncementRecorder(peer, alicePeerId)
+    recorder.on('announcement', ({ announcement, receivedAt }) => {
+      console.log(`Announcement #${recorder.announcements.length} from Alice, broadcasted at ${announcement.data.broadcastedAt}, received ${receivedAt - Date.parse(announcement.data.broadcastedAt)}ms later`)
+    })
+    report.data.announcements = { captured: recorder.announcements }
+
+    // Step 1: Connect to Alice
+    console.log('Step 1: Connecting to Alice...')
+    report.step('connect to Alice')
+    console.log(`Alice multiaddr: ${config.aliceMultiaddr}`)
+    const connectionResult = await ipfsCoord.adapters.ipfs.connectToPeer({
+      multiaddr: config.aliceMultiaddr
+    })
+    if (!connectionResult.success) {
+      throw new Error(`Failed to connect to Alice: ${connectionResult.details}`)
+    }
+    await waitForConnection(libp2p, alicePeerId, {
+      step: 'connection to Alice',
+      timeout: 10000
+    })
+    console.log('Connected to Alice!')
+
+    // Step 2: Get the identity Alice reported
+    console.log('\nStep 2: Getting the identity of Alice...')
+    report.step('identity of Alice')
+    const runner = createRunnerChannel()
+    const identity = await getAliceIdentity(runner, libp2p)
+    if (identity) console.log(`Alice reported encryptPubKey ${identity.encryptPubKey}, ${identity.bchAddr} and ${identity.slpAddr}`)
+
+    // Step 3: Capture the announcements
+    // The first announcement may come up to one gap after the connection.
+    console.log(`\nStep 3: Capturing ${config.announcementCount} announcements from Alice...`)
+    report.step('capture announcements')
+    await waitUntil({
+      step: `${config.announcementCount} announcements from Alice`,
+      timeout: config.maxAnnounceGap * config.announcementCount,
+      check: () => recorder.announcements.length >= config.announcementCount,
+      events: [
+        { target: recorder, type: 'announcement' }
+      ]
+    })
+    recorder.stop()
+
+    // Step 4: Validate them
+    console.log('\nStep 4: Validating the announcements...')
+    report.step('validate announcements')
+    validateAnnouncements(recorder.announcements, identity)
+    console.log(`All ${recorder.announcements.length} announcements are valid!`)
+
+    // Step 5: Measure how often they arrived
+    console.log('\nStep 5: Measuring the arrival of the announcements...')
+    report.step('announcement frequency')
+    const stats = getArrivalStats(recorder.announcements)
+    report.data.announcements.stats = stats
+    console.log(`Interval between announcements: min ${stats.intervals.min}ms, mean ${stats.intervals.mean}ms, max ${stats.intervals.max}ms`)
+    console.log(`Delay from broadcast to peer data: min ${stats.delays.min}ms, mean ${stats.delays.mean}ms, max ${stats.delays.max}ms`)
+    if (stats.outOfOrder) {
+      throw new Error(`${stats.outOfOrder} announcements from Alice were older than the one before`)
+    }
+    if (stats.intervals.max > config.maxAnnounceGap) {
+      throw new Error(`Alice announced herself ${stats.intervals.max}ms after her previous announcement, more than ${config.maxAnnounceGap}ms`)
+    }
+
+    // Step 6: Stop Alice, and check how helia-coord treats her once stale
+    // Alice is stopped by the runner, or by hand when Bob was not spawned by
+    // run-local.js.
+    console.log('\nStep 6: Waiting for Alice to be stopped...')
+    report.step('stale peer')
+    if (process.send) {
+      runner.send({ type: 'stop-alice' })
+      await waitUntil({
+        step: 'Alice stopped by the runner',
+        timeout: config.timeout,
+        check: () => runner.history.find(x => x.type === 'alice-stopped'),
+        events: [
+          { target: runner, type: 'message' }
+        ]
+      })
+    } else {
+      console.log('Stop Alice now, with Ctrl+C.')
+      await waitUntil({
+        step: 'Alice disconnected',
+        timeout: config.timeout,
+        check: () => !libp2p.getConnections().some(x => x.remotePeer.toString() === alicePeerId),
+        events: [
+          { target: libp2p, type: 'peer:disconnect' }
+        ]
+      })
+    }
+    console.log('Alice is stopped.')
+    report.data.announcements.staleness = checkStalePeer(ipfsCoord)
+
+    // Step 7: Shutdown
+    console.log('\nStep 7: Test completed successfully! Shutting down...')
+    report.step('shutdown')
+    await ipfs.stop()
+    console.log('IPFS node stopped gracefully.')
+    report.finish()
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in test workflow:', err)
+    report.fail(err)
+    diagnostics.write(err)
+
+    // Cleanup on error
+    try {
+      console.log('Cleaning up...')
+      await ipfs.stop()
+    } catch (cleanupErr) {
+      console.error('Error during cleanup:', cleanupErr)
+    }
+
+    report.finish()
+    process.exit(1)
+  }
+}
+
+start()
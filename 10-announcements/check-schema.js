@@ -0,0 +1,162 @@
+/*
+  This script checks the announcement schema of lib/announcements.js against
+  an announcement of helia-coord, kept in announcement.json:
+  - the announcement is valid, and has no field the schema does not know
+  - its keys and addresses match the wallet of the peer
+  - an announcement with a missing or invalid field, with wallet addresses
+    that do not match, or in another shape, is reported
+
+  It runs no peer, so it needs no network, and catches a schema that does not
+  match helia-coord before the 10-announcements test spends minutes waiting
+  for announcements.
+
+  Usage:
+    node 10-announcements/check-schema.js
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import { validateAnnouncement } from '../lib/announcements.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const FIXTURE_FILE = path.join(__dirname, 'announcement.json')
+
+const CHECKS = [
+  ['announcement is valid', checkValid],
+  ['announcement matches the wallet', checkIdentity],
+  ['missing field is reported', checkMissingField],
+  ['missing wallet address is reported', checkMissingAddress],
+  ['wallet address of another peer is reported', checkOtherAddress],
+  ['announcement from another peer is reported', checkOtherPeer],
+  ['stale announcement is reported', checkStale],
+  ['announcement with top-level addresses is reported', checkTopLevelAddresses],
+  ['unknown field is only listed', checkUnknownField]
+]
+
+async function start () {
+  try {
+    console.log('\n=== Starting Announcement Schema Checks ===\n')
+    const fixture = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'))
+
+    const results = []
+    for (const [name, check] of CHECKS) {
+      console.log(`\nCheck: ${name}`)
+
+      try {
+        // Each check gets its own copy, so that it can change it.
+        check(JSON.parse(JSON.stringify(fixture)))
+        results.push({ name, outcome: 'passed' })
+        console.log(`Passed: ${name}`)
+      } catch (err) {
+        results.push({ name, outcome: 'failed', error: err.message })
+        console.error(`Failed: ${name}: ${err.message}`)
+      }
+    }
+
+    console.log('\n=== Announcement Schema Checks ===\n')
+    for (const result of results) {
+      console.log(`${result.outcome === 'passed' ? 'PASS' : 'FAIL'} ${result.name}${result.error ? `: ${result.error}` : ''}`)
+    }
+
+    if (results.some(x => x.outcome !== 'passed')) {
+      console.error('\n=== Announcement Schema Checks Failed ===\n')
+      process.exitCode = 1
+      return
+    }
+
+    console.log('\n=== Announcement Schema Checks Completed Successfully ===\n')
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    process.exitCode = 1
+  }
+}
+
+// Validate the announcement of a fixture, as bob does in the test.
+function validate (fixture, options = {}) {
+  const { identity = null } = options
+
+  return validateAnnouncement(fixture.announcement, {
+    peerId: fixture.identity.peerId,
+    receivedAt: fixture.receivedAt,
+    identity
+  })
+}
+
+function checkValid (fixture) {
+  const result = validate(fixture)
+  expectNoProblems(result)
+  expect(!result.unknownFields.length, `unknown fields: ${result.unknownFields.join(', ')}`)
+}
+
+function checkIdentity (fixture) {
+  expectNoProblems(validate(fixture, { identity: fixture.identity }))
+}
+
+function checkMissingField (fixture) {
+  delete fixture.announcement.data.encryptPubKey
+  expectProblem(validate(fixture), /^encryptPubKey is missing$/)
+}
+
+function checkMissingAddress (fixture) {
+  const { data } = fixture.announcement
+  data.cryptoAddresses = data.cryptoAddresses.filter(x => x.type !== 'slpAddr')
+  expectProblem(validate(fixture), /^cryptoAddresses has no BCH slpAddr address$/)
+}
+
+function checkOtherAddress (fixture) {
+  const identity = { ...fixture.identity, bchAddr: 'bitcoincash:qqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqq' }
+  expectProblem(validate(fixture, { identity }), /^cryptoAddresses has the BCH cashAddr address .* but the peer reported/)
+}
+
+function checkOtherPeer (fixture) {
+  fixture.identity.peerId = '12D3KooWFKA5Hxa3XQmkLGDEjoXqFSbqMT44uvJzMokeH171wLkQ'
+  const result = validate(fixture)
+  expectProblem(result, /^from is /)
+  expectProblem(result, /^ipfsId is /)
+  expectProblem(result, /^jsonLd has identifier /)
+}
+
+function checkStale (fixture) {
+  fixture.receivedAt += 60000 * 10
+  expectProblem(validate(fixture), /^broadcastedAt is \d+ms before the announcement was received$/)
+}
+
+// The shape the schema used to expect, with the addresses of the wallet as
+// fields of their own.
+function checkTopLevelAddresses (fixture) {
+  const { data } = fixture.announcement
+  const [bchAddr, slpAddr] = data.cryptoAddresses.map(x => x.address)
+  delete data.cryptoAddresses
+  Object.assign(data, { bchAddr, slpAddr })
+
+  const result = validate(fixture)
+  expectProblem(result, /^cryptoAddresses is missing$/)
+  expect(result.unknownFields.includes('bchAddr'), 'bchAddr is not listed as an unknown field')
+}
+
+function checkUnknownField (fixture) {
+  fixture.announcement.data.newField = true
+
+  const result = validate(fixture)
+  expectNoProblems(result)
+  expect(result.unknownFields.join() === 'newField', `unknown fields are ${result.unknownFields.join(', ')}, expected newField`)
+}
+
+function expectNoProblems (result) {
+  expect(!result.problems.length, `problems: ${result.problems.join('; ')}`)
+}
+
+function expectProblem (result, pattern) {
+  expect(result.problems.some(x => pattern.test(x)), `no problem matches ${pattern}, got: ${result.problems.join('; ') || 'none'}`)
+}
+
+function expect (condition, message) {
+  if (!condition) throw new Error(message)
+}
+
+start()
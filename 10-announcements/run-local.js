@@ -0,0 +1,141 @@
+/*
+  This script runs the 10-announcements test on a single machine, over
+  loopback.
+
+  It spawns alice, then bob with her loopback TCP multiaddr in the
+  ALICE_MULTIADDR environment variable. Alice hands off the keys and
+  addresses of her wallet, which are passed to bob once he is connected to
+  her, so that he checks her announcements against them. When bob asks for
+  it, the script stops alice, and tells bob, who then checks when
+  helia-coord treats her as stale.
+
+  The script waits for bob to finish, merges the test reports of both peers
+  into reports/10-announcements.json and .xml, and exits non-zero if either
+  peer failed. On failure, the last lines of the output of both peers are
+  written next to the reports.
+
+  Run `npm install` in the root of this repository before running this script.
+*/
+
+// Global npm libraries
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import {
+  spawnPeer,
+  waitForMultiaddr,
+  waitForPeerMessage,
+  waitForExit,
+  writePeerLogs,
+  isLoopbackTcp,
+  REPORT_DIR
+} from '../lib/local-runner.js'
+import { mergeReports } from '../lib/report.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const SCENARIO = '10-announcements'
+
+// How long to wait for alice to report her multiaddrs and identity.
+const STARTUP_TIMEOUT = 60000 * 2
+
+// How many announcements of alice bob captures. helia-coord announces a
+// peer every two minutes, the first time two minutes after it started, so
+// this keeps the test at about five minutes.
+const ANNOUNCEMENT_COUNT = 2
+
+// How long to wait for bob to capture the announcements of alice, and to
+// check her once stopped, before killing him. Bob fails on his own once his
+// own timeouts are over.
+const TEST_TIMEOUT = 60000 * 10
+
+async function start () {
+  const peers = []
+
+  try {
+    console.log('\n=== Starting local Announcement Test ===\n')
+
+    // Step 1: Start alice and wait for her multiaddr and identity.
+    console.log('Step 1: Starting Alice...')
+    const alice = spawnPeer(__dirname, 'alice', { TCP_PORT: 0, WS_PORT: 0 })
+    peers.push({ name: 'alice', child: alice })
+
+    // Alice sends both at startup, so both waits start at once.
+    const [aliceMultiaddr, identity] = await Promise.all([
+      waitForMultiaddr(alice, 'Alice', isLoopbackTcp, STARTUP_TIMEOUT),
+      waitForPeerMessage(alice, 'Alice', x => x.type === 'identity', STARTUP_TIMEOUT)
+    ])
+    console.log(`Alice multiaddr: ${aliceMultiaddr}`)
+
+    // Step 2: Start bob, and hand him the identity of alice once he is
+    // connected to her.
+    console.log('\nStep 2: Starting Bob...')
+    const bob = spawnPeer(__dirname, 'bob', {
+      TCP_PORT: 0,
+      WS_PORT: 0,
+      ALICE_MULTIADDR: aliceMultiaddr,
+      ANNOUNCEMENT_COUNT
+    })
+    peers.push({ name: 'bob', child: bob })
+
+    const timer = setTimeout(() => {
+      console.error(`Test did not finish after ${TEST_TIMEOUT}ms, killing peers...`)
+      for (const peer of peers) peer.child.kill()
+    }, TEST_TIMEOUT)
+
+    await waitForPeerMessage(bob, 'Bob', x => x.type === 'ready', STARTUP_TIMEOUT)
+    bob.send(identity)
+    console.log('Bob is connected to Alice, and has her identity.')
+
+    // Step 3: Stop alice when bob is done with her announcements.
+    console.log('\nStep 3: Waiting for Bob to capture the announcements of Alice...')
+    await waitForPeerMessage(bob, 'Bob', x => x.type === 'stop-alice', TEST_TIMEOUT)
+    console.log('Stopping Alice...')
+    alice.kill('SIGTERM')
+    const aliceCode = await waitForExit(alice)
+    bob.send({ type: 'alice-stopped' })
+
+    // Step 4: Wait for bob to finish.
+    console.log('\nStep 4: Waiting for Bob to check Alice as a stale peer...')
+    const bobCode = await waitForExit(bob)
+    clearTimeout(timer)
+
+    console.log(`\nAlice exited with code ${aliceCode}`)
+    console.log(`Bob exited with code ${bobCode}`)
+
+    mergeReports({
+      scenario: SCENARIO,
+      peers: [
+        { name: 'alice', code: aliceCode },
+        { name: 'bob', code: bobCode }
+      ],
+      reportDir: REPORT_DIR
+    })
+
+    if (aliceCode !== 0 || bobCode !== 0) {
+      writePeerLogs(SCENARIO, peers)
+      console.error('\n=== Test Failed ===\n')
+      process.exit(1)
+    }
+
+    console.log('\n=== Test Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('\n=== Test Failed ===')
+    console.error('Error in start(): ', err)
+
+    // Cleanup on error
+    for (const peer of peers) peer.child.kill()
+
+    // Report the peers that were started, so that the failure shows up in
+    // the scenario report.
+    for (const peer of peers) peer.code = await waitForExit(peer.child)
+    mergeReports({ scenario: SCENARIO, peers, reportDir: REPORT_DIR })
+    writePeerLogs(SCENARIO, peers)
+
+    process.exit(1)
+  }
+}
+
+start()
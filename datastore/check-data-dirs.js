@@ -0,0 +1,273 @@
+/*
+  This script checks how the peers handle their data directories and
+  identity fixtures, see lib/data-dir.js and lib/fixtures.js:
+  - a peer keeps its peer ID across runs, in a persistent data directory, and
+    in one written before the data-dir.json marker existed
+  - a data directory with a corrupted libp2p key or marker, or one written
+    with a previous layout version, is moved aside with the reset policy, and
+    makes the peer fail with the fail policy
+  - an ephemeral data directory is removed when the peer exits, and the one
+    of a peer that was killed is removed by the next peer
+  - an identity fixture gives the same peer ID and wallet mnemonic on every
+    run, and a corrupted fixture is never replaced
+
+  It only opens the block and data stores, so it needs no network. Each
+  check runs in a temp directory, which is removed at the end.
+
+  Usage:
+    node datastore/check-data-dirs.js
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fork } from 'child_process'
+import { fileURLToPath } from 'url'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+
+// Local libraries
+import { openDataDir, DATA_DIR_VERSION } from '../lib/data-dir.js'
+import { loadOrCreateFixture } from '../lib/fixtures.js'
+
+// Run by the ephemeral checks, in a child process that opens an ephemeral
+// data directory, reports it, and exits.
+const CHILD_FLAG = '--ephemeral-child'
+
+// How long the child process may take.
+const CHILD_TIMEOUT = 30000
+
+const CHECKS = [
+  ['new directory gets a libp2p key', checkNewDir],
+  ['peer ID is kept across runs', checkReopen],
+  ['directory without a marker is adopted', checkUnmarked],
+  ['corrupted libp2p key is reset', (root) => checkCorruptedKey(root, 'reset')],
+  ['corrupted libp2p key fails', (root) => checkCorruptedKey(root, 'fail')],
+  ['corrupted marker is reset', checkCorruptedMarker],
+  ['previous layout version is reset', (root) => checkPreviousVersion(root, 'reset')],
+  ['previous layout version fails', (root) => checkPreviousVersion(root, 'fail')],
+  ['ephemeral directory is removed at exit', checkEphemeral],
+  ['ephemeral directory of a killed peer is removed', checkStaleEphemeral],
+  ['fixture gives a stable identity', checkFixture],
+  ['corrupted fixture is not replaced', checkCorruptedFixture]
+]
+
+async function start () {
+  let root = null
+
+  try {
+    console.log('\n=== Starting Data Directory Checks ===\n')
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'check-data-dirs-'))
+
+    const results = []
+    for (const [name, check] of CHECKS) {
+      console.log(`\nCheck: ${name}`)
+      const dir = path.join(root, String(results.length))
+      fs.mkdirSync(dir)
+
+      try {
+        await check(dir)
+        results.push({ name, outcome: 'passed' })
+        console.log(`Passed: ${name}`)
+      } catch (err) {
+        results.push({ name, outcome: 'failed', error: err.message })
+        console.error(`Failed: ${name}: ${err.message}`)
+      }
+    }
+
+    console.log('\n=== Data Directory Checks ===\n')
+    for (const result of results) {
+      console.log(`${result.outcome === 'passed' ? 'PASS' : 'FAIL'} ${result.name}${result.error ? `: ${result.error}` : ''}`)
+    }
+
+    if (results.some(x => x.outcome !== 'passed')) {
+      console.error('\n=== Data Directory Checks Failed ===\n')
+      process.exitCode = 1
+      return
+    }
+
+    console.log('\n=== Data Directory Checks Completed Successfully ===\n')
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    process.exitCode = 1
+  } finally {
+    if (root) fs.rmSync(root, { recursive: true, force: true })
+  }
+}
+
+// Open a persistent data directory, close it, and resolve with what
+// openDataDir() returned, with the peer ID of its key.
+async function openAndClose (ipfsDir, onBadDataDir = 'reset') {
+  const dataDir = await openDataDir({ ipfsDir, onBadDataDir, name: 'check' })
+  await dataDir.datastore.close()
+
+  return { ...dataDir, peerId: peerIdFromPrivateKey(dataDir.selfKey).toString() }
+}
+
+async function checkNewDir (root) {
+  const dataDir = await openAndClose(path.join(root, 'ipfs'))
+  expect(dataDir.status === 'new', `status is ${dataDir.status}, expected new`)
+  expect(fs.existsSync(path.join(dataDir.dir, 'data-dir.json')), 'no data-dir.json marker was written')
+}
+
+async function checkReopen (root) {
+  const ipfsDir = path.join(root, 'ipfs')
+  const first = await openAndClose(ipfsDir)
+  const second = await openAndClose(ipfsDir)
+
+  expect(second.status === 'current', `status is ${second.status}, expected current`)
+  expect(second.peerId === first.peerId, `peer ID changed from ${first.peerId} to ${second.peerId}`)
+}
+
+async function checkUnmarked (root) {
+  const ipfsDir = path.join(root, 'ipfs')
+  const first = await openAndClose(ipfsDir)
+  fs.rmSync(path.join(ipfsDir, 'data-dir.json'))
+
+  const second = await openAndClose(ipfsDir)
+  expect(second.status === 'current', `status is ${second.status}, expected current`)
+  expect(second.peerId === first.peerId, `peer ID changed from ${first.peerId} to ${second.peerId}`)
+}
+
+async function checkCorruptedKey (root, policy) {
+  const ipfsDir = path.join(root, 'ipfs')
+  const first = await openAndClose(ipfsDir)
+  corruptKey(ipfsDir)
+
+  if (policy === 'fail') {
+    await expectRejection(openAndClose(ipfsDir, 'fail'), /can not be used: the datastore could not be read/)
+    expect(fs.existsSync(ipfsDir), 'the directory was removed with the fail policy')
+    return
+  }
+
+  const second = await openAndClose(ipfsDir)
+  expectReset(second, first)
+}
+
+async function checkCorruptedMarker (root) {
+  const ipfsDir = path.join(root, 'ipfs')
+  const first = await openAndClose(ipfsDir)
+  fs.writeFileSync(path.join(ipfsDir, 'data-dir.json'), '{"version": 1,')
+
+  const second = await openAndClose(ipfsDir)
+  expectReset(second, first)
+}
+
+async function checkPreviousVersion (root, policy) {
+  const ipfsDir = path.join(root, 'ipfs')
+  const first = await openAndClose(ipfsDir)
+  fs.writeFileSync(path.join(ipfsDir, 'data-dir.json'), JSON.stringify({ version: DATA_DIR_VERSION - 1 }))
+
+  if (policy === 'fail') {
+    await expectRejection(openAndClose(ipfsDir, 'fail'), /written with layout version/)
+    return
+  }
+
+  const second = await openAndClose(ipfsDir)
+  expectReset(second, first)
+}
+
+async function checkEphemeral () {
+  const { dir } = await runEphemeralChild()
+  expect(!fs.existsSync(dir), `${dir} was not removed`)
+}
+
+async function checkStaleEphemeral () {
+  // The process ID of a child that exited is the one of a dead peer.
+  const { pid } = await runEphemeralChild()
+  const stale = fs.mkdtempSync(path.join(os.tmpdir(), `helia-tests-killed-${pid}-`))
+
+  await runEphemeralChild()
+  expect(!fs.existsSync(stale), `${stale} was not removed`)
+}
+
+async function checkFixture (root) {
+  const first = await loadOrCreateFixture({ name: 'check', dir: root })
+  const second = await loadOrCreateFixture({ name: 'check', dir: root })
+
+  expect(first.created && !second.created, 'the fixture was not created once, then loaded')
+  expect(second.peerId === first.peerId, `peer ID changed from ${first.peerId} to ${second.peerId}`)
+  expect(second.mnemonic === first.mnemonic, 'the wallet mnemonic changed')
+}
+
+async function checkCorruptedFixture (root) {
+  await loadOrCreateFixture({ name: 'check', dir: root })
+
+  const file = path.join(root, 'check.json')
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'))
+  fixture.privateKey = fixture.privateKey.slice(8)
+  const corrupted = JSON.stringify(fixture)
+  fs.writeFileSync(file, corrupted)
+
+  await expectRejection(loadOrCreateFixture({ name: 'check', dir: root }), /can not be used/)
+  expect(fs.readFileSync(file, 'utf8') === corrupted, 'the corrupted fixture was replaced')
+}
+
+// Overwrite the files that hold the libp2p key in the datastore.
+function corruptKey (ipfsDir) {
+  const keyDir = path.join(ipfsDir, 'datastore', 'pkcs8')
+  const files = fs.existsSync(keyDir) ? fs.readdirSync(keyDir) : []
+  if (!files.length) {
+    throw new Error(`No libp2p key found in ${keyDir}. Has the datastore layout of @libp2p/config changed?`)
+  }
+
+  for (const file of files) {
+    fs.writeFileSync(path.join(keyDir, file), 'corrupted')
+  }
+}
+
+function expectReset (dataDir, before) {
+  expect(dataDir.status === 'reset', `status is ${dataDir.status}, expected reset`)
+  expect(dataDir.movedTo && fs.existsSync(dataDir.movedTo), 'the bad directory was not moved aside')
+  expect(dataDir.peerId !== before.peerId, 'the peer ID was not renewed')
+}
+
+function expect (condition, message) {
+  if (!condition) throw new Error(message)
+}
+
+async function expectRejection (promise, pattern) {
+  try {
+    await promise
+  } catch (err) {
+    if (!pattern.test(err.message)) throw new Error(`Unexpected error: ${err.message}`)
+    console.log(`Rejected as expected: ${err.message}`)
+    return
+  }
+  throw new Error(`Expected an error matching ${pattern}`)
+}
+
+// Fork this script as a peer that opens an ephemeral data directory. Resolves
+// with the directory and the process ID, once the child exited.
+function runEphemeralChild () {
+  return new Promise((resolve, reject) => {
+    const child = fork(fileURLToPath(import.meta.url), [CHILD_FLAG], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] })
+
+    let dir = null
+    const timer = setTimeout(() => child.kill(), CHILD_TIMEOUT)
+
+    child.on('message', (msg) => { dir = msg.dir })
+    child.on('exit', (code) => {
+      clearTimeout(timer)
+      if (code !== 0 || !dir) return reject(new Error(`The ephemeral peer exited with code ${code}`))
+      resolve({ dir, pid: child.pid })
+    })
+  })
+}
+
+async function runChild () {
+  const dataDir = await openDataDir({ mode: 'ephemeral', name: 'check' })
+  await dataDir.datastore.close()
+
+  if (!fs.existsSync(dataDir.dir)) throw new Error(`${dataDir.dir} was not created`)
+  process.send({ dir: dataDir.dir }, () => process.exit(0))
+}
+
+if (process.argv.includes(CHILD_FLAG)) {
+  runChild().catch((err) => {
+    console.error('Error in runChild(): ', err)
+    process.exit(1)
+  })
+} else {
+  start()
+}
@@ -0,0 +1,199 @@
+/*
+  Address announcement.
+
+  A peer tells the others where it can be reached: the runner passes its
+  multiaddrs on to the other peers, and they are printed, so that they can
+  be copied into the config of a peer on another host. createAnnouncer()
+  works out those multiaddrs in one of these modes:
+  - static: the multiaddrs given with the announce option. They are also
+    announced by libp2p, instead of the listen addresses.
+  - observed: the addresses other peers see this node at, learned through
+    the identify protocol. An address a peer dialed to reach this node is
+    used as is. The address seen on a connection this node dialed has the
+    port its NAT picked, so it is used with the TCP listen port instead.
+  - public-ip: the public IPv4 address looked up with the public-ip package,
+    with the TCP listen port. It needs internet access. When the lookup
+    fails, the node goes on with its listen addresses.
+  - disabled: only the listen addresses.
+
+  Whatever the mode, the announcer records the addresses peers actually
+  dialed, from the identify protocol, so that a test can check them against
+  the announced ones without internet access.
+*/
+
+// Global npm libraries
+import { EventEmitter } from 'events'
+import { publicIpv4 } from 'public-ip'
+import { multiaddr } from '@multiformats/multiaddr'
+
+export const ANNOUNCE_MODES = ['static', 'observed', 'public-ip', 'disabled']
+
+// How long to wait for the public-ip lookup.
+const PUBLIC_IP_TIMEOUT = 5000
+
+// Number of dialed addresses kept, so that a peer that reconnects a lot
+// does not grow the list forever.
+const MAX_DIALED = 100
+
+// Pick the mode when none is configured: static when there are multiaddrs
+// to announce, public-ip otherwise. Throws an Error when the mode is unknown,
+// or static without multiaddrs.
+export function getAnnounceMode (mode, announce = []) {
+  const resolved = mode || (announce.length ? 'static' : 'public-ip')
+
+  if (!ANNOUNCE_MODES.includes(resolved)) {
+    throw new Error(`Unknown announce mode: ${resolved}. Known modes: ${ANNOUNCE_MODES.join(', ')}`)
+  }
+  if (resolved === 'static' && !announce.length) {
+    throw new Error('The static announce mode needs multiaddrs to announce')
+  }
+  if (resolved !== 'static' && announce.length) {
+    throw new Error(`Multiaddrs to announce are only used by the static announce mode, not ${resolved}`)
+  }
+
+  return resolved
+}
+
+/*
+  Create the announcer of a started libp2p node.
+
+  Options:
+  - mode: one of ANNOUNCE_MODES. See getAnnounceMode().
+  - name: used to label the log output. Defaults to 'peer'.
+
+  Resolves once the public IP address is looked up, in the public-ip mode.
+  Returns an EventEmitter with:
+  - mode: the announce mode.
+  - getMultiaddrs(): the multiaddrs of the node, with the ones found by the
+    mode, each ending with the peer ID.
+  - dialed: the addresses dialed between this node and its peers, as
+    { peerId, address, direction, at }. An inbound entry holds the address
+    the remote peer dialed to reach this node, as it reported it. An
+    outbound entry holds the address this node dialed.
+  - dialedBy(peerId): the inbound entries of a peer.
+  - describe(): the mode, the multiaddrs and the dialed addresses, for the
+    test report.
+  It emits a 'dialed' event for each new entry.
+*/
+export async function createAnnouncer (libp2p, options = {}) {
+  const {
+    mode = 'public-ip',
+    name = 'peer'
+  } = options
+
+  const id = libp2p.peerId.toString()
+  const found = []
+
+  const announcer = new EventEmitter()
+  announcer.mode = mode
+  announcer.dialed = []
+
+  const addFound = (address) => {
+    if (found.includes(address)) return
+    found.push(address)
+    console.log(`${name} found its address ${address} (announce mode ${mode})`)
+  }
+
+  const addDialed = (entry) => {
+    announcer.dialed.push(entry)
+    if (announcer.dialed.length > MAX_DIALED) announcer.dialed.shift()
+    announcer.emit('dialed', entry)
+  }
+
+  libp2p.addEventListener('peer:identify', (evt) => {
+    const { peerId, observedAddr, connection } = evt.detail
+    const at = new Date().toISOString()
+
+    if (connection.direction === 'inbound') {
+      // What the remote peer sees as its remote address is the address it
+      // dialed. Older peers do not report it.
+      if (!observedAddr) return
+      const address = stripPeerId(observedAddr)
+      addDialed({ peerId: peerId.toString(), address, direction: 'inbound', at })
+      if (mode === 'observed') addFound(address)
+      return
+    }
+
+    addDialed({ peerId: peerId.toString(), address: stripPeerId(connection.remoteAddr), direction: 'outbound', at })
+    if (mode === 'observed' && observedAddr) {
+      const address = withListenPort(libp2p, observedAddr)
+      if (address) addFound(address)
+    }
+  })
+
+  if (mode === 'public-ip') {
+    const address = await lookUpPublicIp(libp2p)
+    if (address) addFound(address)
+  }
+
+  announcer.getMultiaddrs = () => {
+    const multiaddrs = libp2p.getMultiaddrs()
+    const known = new Set(multiaddrs.map(x => stripPeerId(x)))
+    for (const address of found) {
+      if (!known.has(address)) multiaddrs.push(multiaddr(`${address}/p2p/${id}`))
+    }
+    return multiaddrs
+  }
+
+  announcer.dialedBy = (peerId) => {
+    return announcer.dialed.filter(x => x.peerId === peerId && x.direction === 'inbound')
+  }
+
+  announcer.describe = () => ({
+    mode,
+    multiaddrs: announcer.getMultiaddrs().map(x => x.toString()),
+    dialed: announcer.dialed
+  })
+
+  return announcer
+}
+
+// The multiaddr as a string, without its /p2p/<peer ID> part, so that
+// multiaddrs can be compared whether they have it or not.
+export function stripPeerId (ma) {
+  return ma.toString().replace(/\/p2p\/[^/]+$/, '')
+}
+
+// Look up the public IPv4 address, and build a multiaddr with the TCP listen
+// port. Returns null when the lookup fails, e.g. with no internet access.
+async function lookUpPublicIp (libp2p) {
+  const port = getTcpListenPort(libp2p)
+  if (!port) {
+    console.log('Not looking up the public IP4 address: the node does not listen on TCP')
+    return null
+  }
+
+  try {
+    const ip4 = await publicIpv4({ timeout: PUBLIC_IP_TIMEOUT })
+    return `/ip4/${ip4}/tcp/${port}`
+  } catch (err) {
+    console.log(`Could not look up the public IP4 address: ${err.message}`)
+    return null
+  }
+}
+
+// Replace the port of an observed TCP address with the TCP listen port.
+function withListenPort (libp2p, observedAddr) {
+  const port = getTcpListenPort(libp2p)
+  if (!port) return null
+
+  const { family, host, transport } = observedAddr.toOptions()
+  if (family !== 4 || transport !== 'tcp') return null
+
+  return `/ip4/${host}/tcp/${port}`
+}
+
+// The port of the plain TCP listen address, as bound, so that a node that
+// listens on port 0 announces the port the system picked. The port of an
+// address on all interfaces is preferred to the one of a loopback-only
+// listener.
+function getTcpListenPort (libp2p) {
+  const tcpAddrs = libp2p.getMultiaddrs()
+    .filter(x => {
+      const names = x.protoNames()
+      return names.includes('tcp') && !names.includes('ws') && !names.includes('p2p-circuit')
+    })
+  const tcpAddr = tcpAddrs.find(x => !x.toOptions().host.startsWith('127.')) || tcpAddrs[0]
+
+  return tcpAddr ? tcpAddr.toOptions().port : null
+}
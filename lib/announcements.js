@@ -0,0 +1,344 @@
+/*
+  Validation of helia-coord announcements.
+
+  A helia-coord peer announces itself over pubsub at an interval. The peers
+  that receive an announcement keep the last one of each peer in
+  thisNode.peerData, as { from, data }, and list the peer in
+  thisNode.peerList, where it stays once it stopped. The other scenarios only wait for the peer data to
+  exist, so a field renamed or dropped by a new helia-coord version would go
+  unnoticed until an app breaks.
+
+  createAnnouncementRecorder() captures every announcement of a peer as it
+  arrives, validateAnnouncement() checks each one against the fields below,
+  and getArrivalStats() measures how often they arrive.
+*/
+
+// Global npm libraries
+import { EventEmitter } from 'events'
+import { multiaddr } from '@multiformats/multiaddr'
+
+// How far the clock of the sender may be ahead or behind the receiver.
+const MAX_CLOCK_SKEW = 60000
+
+// How old an announcement may be when it arrives.
+const MAX_ANNOUNCEMENT_AGE = 60000
+
+// helia-coord updates its peer data after it handled a message, so the peer
+// data is checked a moment after each message, and every second as a safety
+// net.
+const CHECK_DELAY = 50
+const CHECK_INTERVAL = 1000
+
+// A compressed secp256k1 public key, in hex.
+const PUBLIC_KEY_PATTERN = /^0[23][0-9a-f]{64}$/
+
+// A P2PKH cash address, with the characters of the cashaddr alphabet.
+const CASHADDR_PAYLOAD = '[qp][qpzry9x8gf2tvdw0s3jn54khce6mua7l]{41}'
+const BCH_ADDRESS_PATTERN = new RegExp(`^bitcoincash:${CASHADDR_PAYLOAD}$`)
+const SLP_ADDRESS_PATTERN = new RegExp(`^simpleledger:${CASHADDR_PAYLOAD}$`)
+
+export const NODE_TYPES = ['node.js', 'browser']
+
+export const ANNOUNCE_API_NAME = 'ipfs-coord-announce'
+
+// The wallet addresses of an announcement, in its cryptoAddresses, and the
+// field of the identity a peer reports for itself that each one must match.
+const CRYPTO_ADDRESSES = [
+  { blockchain: 'BCH', type: 'cashAddr', prefix: 'bitcoincash', pattern: BCH_ADDRESS_PATTERN, identityField: 'bchAddr' },
+  { blockchain: 'BCH', type: 'slpAddr', prefix: 'simpleledger', pattern: SLP_ADDRESS_PATTERN, identityField: 'slpAddr' }
+]
+
+/*
+  The fields of the data of an announcement, as built by the announcement
+  schema of helia-coord (lib/use-cases/schema.js, the same in 1.7.2 and
+  2.0.2). Each check returns an error message, or null when the value is
+  valid. context is the one given to validateAnnouncement().
+*/
+export const ANNOUNCEMENT_FIELDS = {
+  apiName: (value) => {
+    if (value !== ANNOUNCE_API_NAME) return `is ${JSON.stringify(value)}, expected ${ANNOUNCE_API_NAME}`
+    return null
+  },
+
+  apiVersion: (value) => {
+    if (typeof value !== 'string' || !/^\d+\.\d+\.\d+$/.test(value)) return `is ${JSON.stringify(value)}, expected a version number`
+    return null
+  },
+
+  apiInfo: (value) => {
+    if (typeof value !== 'string') return `is ${JSON.stringify(value)}, expected a string`
+    return null
+  },
+
+  broadcastedAt: (value, context) => {
+    const time = typeof value === 'string' ? Date.parse(value) : NaN
+    if (Number.isNaN(time)) return `is ${JSON.stringify(value)}, expected an ISO date`
+    if (!context.receivedAt) return null
+
+    const age = context.receivedAt - time
+    if (age < -MAX_CLOCK_SKEW) return `is ${-age}ms after the announcement was received`
+    if (age > MAX_ANNOUNCEMENT_AGE) return `is ${age}ms before the announcement was received`
+    return null
+  },
+
+  ipfsId: (value, context) => {
+    if (value !== context.peerId) return `is ${JSON.stringify(value)}, expected ${context.peerId}`
+    return null
+  },
+
+  type: (value) => {
+    if (!NODE_TYPES.includes(value)) return `is ${JSON.stringify(value)}, expected one of ${NODE_TYPES.join(', ')}`
+    return null
+  },
+
+  ipfsMultiaddrs: (value, context) => {
+    if (!Array.isArray(value) || !value.length) return 'is not a non-empty array'
+
+    for (const str of value) {
+      let ma
+      try {
+        ma = multiaddr(str)
+      } catch (err) {
+        return `has an invalid multiaddr ${JSON.stringify(str)}: ${err.message}`
+      }
+
+      const peerId = ma.getPeerId()
+      if (peerId && peerId !== context.peerId) return `has ${str}, which is not an address of ${context.peerId}`
+    }
+    return null
+  },
+
+  // The OrbitDB ID of the peer, empty when it has none.
+  orbitdb: (value) => {
+    if (typeof value !== 'string') return `is ${JSON.stringify(value)}, expected a string`
+    return null
+  },
+
+  ipfsConnectPref: (value) => {
+    if (typeof value !== 'string' || !value) return `is ${JSON.stringify(value)}, expected a non-empty string`
+    return null
+  },
+
+  circuitRelays: (value) => {
+    if (!Array.isArray(value)) return `is ${JSON.stringify(value)}, expected an array`
+    return null
+  },
+
+  isCircuitRelay: (value) => {
+    if (typeof value !== 'boolean') return `is ${JSON.stringify(value)}, expected a boolean`
+    return null
+  },
+
+  circuitRelayInfo: (value) => {
+    if (!isObject(value)) return `is ${JSON.stringify(value)}, expected an object`
+    return null
+  },
+
+  cryptoAddresses: (value, context) => {
+    if (!Array.isArray(value)) return `is ${JSON.stringify(value)}, expected an array`
+
+    for (const { blockchain, type, prefix, pattern, identityField } of CRYPTO_ADDRESSES) {
+      const entry = value.find(x => x && x.blockchain === blockchain && x.type === type)
+      if (!entry) return `has no ${blockchain} ${type} address`
+      if (typeof entry.address !== 'string' || !pattern.test(entry.address)) {
+        return `has the ${blockchain} ${type} address ${JSON.stringify(entry.address)}, expected a ${prefix}: address`
+      }
+
+      const problem = checkIdentity(entry.address, context, identityField)
+      if (problem) return `has the ${blockchain} ${type} address ${problem}`
+    }
+    return null
+  },
+
+  encryptPubKey: (value, context) => {
+    if (typeof value !== 'string' || !PUBLIC_KEY_PATTERN.test(value)) {
+      return `is ${JSON.stringify(value)}, expected a compressed secp256k1 public key in hex`
+    }
+    return checkIdentity(value, context, 'encryptPubKey')
+  },
+
+  jsonLd: (value, context) => {
+    if (!isObject(value)) return 'is not an object'
+    if (typeof value['@context'] !== 'string' || !value['@context'].includes('schema.org')) {
+      return `has @context ${JSON.stringify(value['@context'])}, expected a schema.org URL`
+    }
+    if (typeof value['@type'] !== 'string' || !value['@type']) return 'has no @type'
+    if (typeof value.name !== 'string' || !value.name) return 'has no name'
+    if (value.identifier !== context.peerId) {
+      return `has identifier ${JSON.stringify(value.identifier)}, expected ${context.peerId}`
+    }
+    return null
+  }
+}
+
+/*
+  The fields helia-coord adds to the data of an announcement when it keeps it
+  in its peer data. They are only checked when they are set.
+*/
+export const PEER_DATA_FIELDS = {
+  // When the announcement was added to the peer data.
+  updatedAt: (value) => {
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return `is ${JSON.stringify(value)}, expected an ISO date`
+    return null
+  },
+
+  // The multiaddr helia-coord last connected to the peer at.
+  connectionAddr: (value) => {
+    if (typeof value !== 'string') return `is ${JSON.stringify(value)}, expected a multiaddr string`
+    return null
+  }
+}
+
+// Compare a value with the one the peer reported for itself, if any.
+function checkIdentity (value, context, field) {
+  const expected = context.identity && context.identity[field]
+  if (expected && value !== expected) return `is ${value}, but the peer reported ${expected}`
+  return null
+}
+
+function isObject (value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+/*
+  Check an announcement, as kept in the helia-coord peer data.
+
+  Inputs:
+  - announcement: { from, data }.
+  - context:
+    - peerId: the peer ID string of the peer that announced itself.
+    - receivedAt: the time the announcement arrived, to check broadcastedAt.
+    - identity: the encryptPubKey, and the bchAddr and slpAddr of its wallet,
+      the peer reported for itself, which the announcement must match.
+      Optional.
+
+  Returns { problems, unknownFields }: problems lists every field that is
+  missing or invalid, and is empty when the announcement is valid.
+  unknownFields lists the fields of the data that are not checked, which a
+  new helia-coord version may have added.
+*/
+export function validateAnnouncement (announcement, context = {}) {
+  if (!announcement || typeof announcement !== 'object') {
+    return { problems: ['announcement is not an object'], unknownFields: [] }
+  }
+
+  const problems = []
+  if (announcement.from !== context.peerId) {
+    problems.push(`from is ${JSON.stringify(announcement.from)}, expected ${context.peerId}`)
+  }
+
+  const { data } = announcement
+  if (!data || typeof data !== 'object') {
+    problems.push('data is not an object')
+    return { problems, unknownFields: [] }
+  }
+
+  for (const [field, check] of Object.entries(ANNOUNCEMENT_FIELDS)) {
+    if (data[field] === undefined) {
+      problems.push(`${field} is missing`)
+      continue
+    }
+
+    const problem = check(data[field], context)
+    if (problem) problems.push(`${field} ${problem}`)
+  }
+
+  for (const [field, check] of Object.entries(PEER_DATA_FIELDS)) {
+    if (data[field] === undefined) continue
+
+    const problem = check(data[field], context)
+    if (problem) problems.push(`${field} ${problem}`)
+  }
+
+  const unknownFields = Object.keys(data).filter(x => !ANNOUNCEMENT_FIELDS[x] && !PEER_DATA_FIELDS[x])
+  return { problems, unknownFields }
+}
+
+/*
+  Record the announcements of a peer as they arrive.
+
+  helia-coord does not emit an event for an announcement, so a new one is
+  seen as a new broadcastedAt in the peer data of the peer, like in the mesh
+  scenario. Each one is copied, since helia-coord updates its peer data in
+  place.
+
+  Returns an EventEmitter with:
+  - announcements: every announcement recorded, as
+    { announcement, receivedAt }, in the order they arrived.
+  - stop(): stop recording.
+  It emits an 'announcement' event for each one.
+*/
+export function createAnnouncementRecorder (peer, peerId) {
+  const { libp2p, ipfsCoord } = peer
+  const recorder = new EventEmitter()
+  recorder.announcements = []
+  let last = null
+
+  const check = () => {
+    const peerData = ipfsCoord.thisNode.peerData.find(x => x.from === peerId)
+    if (!peerData || !peerData.data || peerData.data.broadcastedAt === last) return
+
+    last = peerData.data.broadcastedAt
+    const entry = {
+      announcement: JSON.parse(JSON.stringify(peerData)),
+      receivedAt: Date.now()
+    }
+    recorder.announcements.push(entry)
+    recorder.emit('announcement', entry)
+  }
+
+  const onMessage = () => setTimeout(check, CHECK_DELAY)
+  libp2p.services.pubsub.addEventListener('message', onMessage)
+  const timer = setInterval(check, CHECK_INTERVAL)
+  check()
+
+  recorder.stop = () => {
+    libp2p.services.pubsub.removeEventListener('message', onMessage)
+    clearInterval(timer)
+  }
+
+  return recorder
+}
+
+/*
+  Measure how often the recorded announcements arrived.
+
+  Returns { count, intervals, delays, outOfOrder }:
+  - intervals: min, mean and max milliseconds between two broadcastedAt
+    times. null with fewer than two announcements.
+  - delays: min, mean and max milliseconds from broadcastedAt to the time
+    the announcement was recorded.
+  - outOfOrder: the number of announcements that were not broadcasted after
+    the one before. helia-coord must not replace peer data with an older
+    announcement.
+*/
+export function getArrivalStats (announcements) {
+  const times = announcements.map(x => Date.parse(x.announcement.data.broadcastedAt))
+
+  const intervals = []
+  let outOfOrder = 0
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] <= times[i - 1]) outOfOrder++
+    intervals.push(times[i] - times[i - 1])
+  }
+
+  const delays = announcements.map((x, i) => x.receivedAt - times[i])
+
+  return {
+    count: announcements.length,
+    intervals: summarize(intervals),
+    delays: summarize(delays),
+    outOfOrder
+  }
+}
+
+// min, mean and max of a list of numbers. null when it is empty.
+function summarize (values) {
+  if (!values.length) return null
+
+  return {
+    min: Math.min(...values),
+    mean: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
+    max: Math.max(...values)
+  }
+}
@@ -0,0 +1,557 @@
+/*
+  Peer configuration.
+
+  Each peer declares the settings it uses, and loadConfig() reads them from,
+  in order of precedence:
+  1. command-line flags (e.g. --tcp-port 4101)
+  2. environment variables (e.g. TCP_PORT=4101)
+  3. a JSON config file, given with --config or CONFIG_FILE
+  4. the defaults declared by the peer, or below
+
+  The values are validated, and the effective config is printed at startup.
+  This makes it possible to run several peers on one host, or to point bob at
+  a VPS, without editing the source code.
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import { parseArgs } from 'util'
+import { multiaddr } from '@multiformats/multiaddr'
+import { peerIdFromString } from '@libp2p/peer-id'
+import { CID } from 'multiformats/cid'
+
+// Local libraries
+import { NETWORK_PROFILES } from './network-profiles.js'
+import { NAT_TYPES } from './netns.js'
+import { ANNOUNCE_MODES } from './announce.js'
+import { DATA_DIR_MODES, BAD_DATA_DIR_POLICIES } from './data-dir.js'
+import { IDENTITY_SOURCES, DEFAULT_FIXTURE_DIR } from './fixtures.js'
+import { GOSSIPSUB_PHASES } from './gossipsub-phases.js'
+import { TRANSPORTS } from './transports.js'
+import { DISCOVERY_MODES } from './discovery.js'
+import { DEFAULT_CERT_FILE, DEFAULT_KEY_FILE } from './tls-cert.js'
+
+// Settings that peers can use. The key is the name of the setting in the
+// config object and in the JSON config file.
+export const OPTIONS = {
+  aliceMultiaddr: {
+    flag: 'alice-multiaddr',
+    env: 'ALICE_MULTIADDR',
+    type: 'multiaddr',
+    default: '',
+    description: 'multiaddr of the alice node'
+  },
+  alicePeerId: {
+    flag: 'alice-peer-id',
+    env: 'ALICE_PEER_ID',
+    type: 'peerId',
+    default: '',
+    description: 'peer ID of the alice node. Without an alice multiaddr, bob picks alice by this peer ID rather than by her role tag'
+  },
+  bobMultiaddr: {
+    flag: 'bob-multiaddr',
+    env: 'BOB_MULTIADDR',
+    type: 'multiaddr',
+    default: '',
+    description: 'multiaddr of the bob node'
+  },
+  bobPeerId: {
+    flag: 'bob-peer-id',
+    env: 'BOB_PEER_ID',
+    type: 'peerId',
+    default: '',
+    description: 'peer ID of the bob node, without any address. The peer looks his addresses up'
+  },
+  cid: {
+    flag: 'cid',
+    env: 'CID',
+    type: 'cid',
+    default: '',
+    description: 'CID of the content to find providers for and fetch'
+  },
+  discovery: {
+    flag: 'discovery',
+    env: 'DISCOVERY',
+    type: 'choice',
+    choices: DISCOVERY_MODES,
+    default: 'none',
+    description: `how the node finds peers with no address configured, one of ${DISCOVERY_MODES.join(', ')}. With mdns, peers find each other on the LAN with multicast DNS`
+  },
+  tcpPort: {
+    flag: 'tcp-port',
+    env: 'TCP_PORT',
+    type: 'port',
+    default: 4001,
+    description: 'TCP listen port. 0 picks a free port'
+  },
+  wsPort: {
+    flag: 'ws-port',
+    env: 'WS_PORT',
+    type: 'port',
+    default: 4003,
+    description: 'websocket listen port. 0 picks a free port'
+  },
+  wssPort: {
+    flag: 'wss-port',
+    env: 'WSS_PORT',
+    type: 'port',
+    default: 4005,
+    description: 'secure websocket listen port, used with the wss transport. 0 picks a free port'
+  },
+  transport: {
+    flag: 'transport',
+    env: 'TRANSPORT',
+    type: 'choice',
+    choices: TRANSPORTS,
+    default: 'tcp',
+    description: `transport bob dials alice with, one of ${TRANSPORTS.join(', ')}. With ws and wss, bob has no other transport. With wss, alice also listens on a secure websocket`
+  },
+  tlsCert: {
+    flag: 'tls-cert',
+    env: 'TLS_CERT',
+    type: 'string',
+    default: DEFAULT_CERT_FILE,
+    description: 'PEM certificate of the secure websocket listener. Alice creates a self-signed one if it does not exist, and bob trusts it'
+  },
+  tlsKey: {
+    flag: 'tls-key',
+    env: 'TLS_KEY',
+    type: 'string',
+    default: DEFAULT_KEY_FILE,
+    description: 'PEM private key of the secure websocket listener'
+  },
+  announce: {
+    flag: 'announce',
+    env: 'ANNOUNCE_MULTIADDRS',
+    type: 'multiaddrs',
+    default: '',
+    description: 'comma-separated multiaddrs the node announces instead of its listen addresses'
+  },
+  announceMode: {
+    flag: 'announce-mode',
+    env: 'ANNOUNCE_MODE',
+    type: 'choice',
+    choices: ANNOUNCE_MODES,
+    default: '',
+    description: `how the node finds the multiaddrs it reports, one of ${ANNOUNCE_MODES.join(', ')}. Defaults to static when announce is set, and public-ip otherwise`
+  },
+  ipfsDir: {
+    flag: 'ipfs-dir',
+    env: 'IPFS_DIR',
+    type: 'string',
+    default: './.ipfsdata/ipfs',
+    description: 'directory for the blockstore and datastore'
+  },
+  dataDirMode: {
+    flag: 'data-dir-mode',
+    env: 'DATA_DIR_MODE',
+    type: 'choice',
+    choices: DATA_DIR_MODES,
+    default: 'persistent',
+    description: `${DATA_DIR_MODES.join(' or ')}. persistent uses ipfs-dir, ephemeral a temp directory removed at exit`
+  },
+  onBadDataDir: {
+    flag: 'on-bad-data-dir',
+    env: 'ON_BAD_DATA_DIR',
+    type: 'choice',
+    choices: BAD_DATA_DIR_POLICIES,
+    default: 'reset',
+    description: `${BAD_DATA_DIR_POLICIES.join(' or ')}. What to do with a corrupted data directory, or one written with another layout version. reset moves it aside`
+  },
+  identity: {
+    flag: 'identity',
+    env: 'IDENTITY',
+    type: 'choice',
+    choices: IDENTITY_SOURCES,
+    default: 'datastore',
+    description: `${IDENTITY_SOURCES.join(' or ')}. datastore uses the libp2p key of the data directory and a new wallet, fixture the identity fixture named after the peer`
+  },
+  fixtureDir: {
+    flag: 'fixture-dir',
+    env: 'FIXTURE_DIR',
+    type: 'string',
+    default: DEFAULT_FIXTURE_DIR,
+    description: 'directory of the identity fixtures, kept as <peer>.json'
+  },
+  timeout: {
+    flag: 'timeout',
+    env: 'TEST_TIMEOUT',
+    type: 'milliseconds',
+    default: 60000 * 5,
+    description: 'timeout in milliseconds for each long-running test step'
+  },
+  recoveryTimeout: {
+    flag: 'recovery-timeout',
+    env: 'RECOVERY_TIMEOUT',
+    type: 'milliseconds',
+    default: 60000 * 3,
+    description: 'time in milliseconds a peer has to recover from an injected fault'
+  },
+  announcementCount: {
+    flag: 'announcement-count',
+    env: 'ANNOUNCEMENT_COUNT',
+    type: 'count',
+    default: 3,
+    description: 'number of helia-coord announcements of the other peer to capture and validate'
+  },
+  maxAnnounceGap: {
+    flag: 'max-announce-gap',
+    env: 'MAX_ANNOUNCE_GAP',
+    type: 'milliseconds',
+    default: 60000 * 3,
+    description: 'longest time in milliseconds allowed between two helia-coord announcements of the other peer'
+  },
+  staleTimeout: {
+    flag: 'stale-timeout',
+    env: 'STALE_TIMEOUT',
+    type: 'milliseconds',
+    default: 60000 * 10,
+    description: 'age in milliseconds of the last announcement of a peer after which helia-coord treats it as stale'
+  },
+  reportDir: {
+    flag: 'report-dir',
+    env: 'REPORT_DIR',
+    type: 'string',
+    default: './reports',
+    description: 'directory the JSON and JUnit XML test reports are written to'
+  },
+  logLines: {
+    flag: 'log-lines',
+    env: 'LOG_LINES',
+    type: 'count',
+    default: 200,
+    description: 'number of log lines kept in the diagnostics written when a step fails'
+  },
+  networkProfile: {
+    flag: 'network-profile',
+    env: 'NETWORK_PROFILE',
+    type: 'choice',
+    choices: Object.keys(NETWORK_PROFILES),
+    default: '',
+    description: `network profile simulated by the impairment proxy, one of ${Object.keys(NETWORK_PROFILES).join(', ')}. Empty means no proxy`
+  },
+  netns: {
+    flag: 'netns',
+    env: 'NETNS',
+    type: 'choice',
+    choices: NAT_TYPES,
+    default: '',
+    description: `run the peers in Linux network namespaces, with bob and sam behind NATs of this type, one of ${NAT_TYPES.join(', ')}. Empty runs them over loopback. Needs root and iptables`
+  },
+  iceServers: {
+    flag: 'ice-servers',
+    env: 'ICE_SERVERS',
+    type: 'list',
+    default: '',
+    description: 'comma-separated STUN or TURN server URLs used by WebRTC, e.g. stun:203.0.113.1:3478. Empty means the libp2p defaults'
+  },
+  gossipsubPhase: {
+    flag: 'gossipsub-phase',
+    env: 'GOSSIPSUB_PHASE',
+    type: 'choice',
+    choices: Object.keys(GOSSIPSUB_PHASES),
+    default: 'signed',
+    description: `phase of the raw gossipsub scenario, which sets the signature policy of each peer, one of ${Object.keys(GOSSIPSUB_PHASES).join(', ')}`
+  },
+  meshPeers: {
+    flag: 'mesh-peers',
+    env: 'MESH_PEERS',
+    type: 'list',
+    default: '',
+    description: 'comma-separated numbers of the peers a worker of the mesh scenario runs, e.g. 0,1,2'
+  },
+  soakMessages: {
+    flag: 'soak-messages',
+    env: 'SOAK_MESSAGES',
+    type: 'count',
+    default: 0,
+    description: 'number of private messages sent in soak mode. 0 means no limit'
+  },
+  soakDuration: {
+    flag: 'soak-duration',
+    env: 'SOAK_DURATION',
+    type: 'count',
+    default: 0,
+    description: 'milliseconds to send private messages for in soak mode. 0 means no limit. Soak mode is off if this and soak-messages are both 0'
+  },
+  soakRate: {
+    flag: 'soak-rate',
+    env: 'SOAK_RATE',
+    type: 'rate',
+    default: 10,
+    description: 'private messages sent per second in soak mode'
+  },
+  soakPayloadSize: {
+    flag: 'soak-payload-size',
+    env: 'SOAK_PAYLOAD_SIZE',
+    type: 'count',
+    default: 256,
+    description: 'bytes of payload in each soak message'
+  },
+  soakMinDelivery: {
+    flag: 'soak-min-delivery',
+    env: 'SOAK_MIN_DELIVERY',
+    type: 'percent',
+    default: 100,
+    description: 'soak mode fails if a lower percentage of the messages is acknowledged'
+  },
+  debugLevel: {
+    flag: 'debug-level',
+    env: 'DEBUG_LEVEL',
+    type: 'debugLevel',
+    default: 2,
+    description: 'helia-coord debug level, from 0 to 3'
+  }
+}
+
+/*
+  Load the config for a peer.
+
+  Inputs:
+  - name: name of the peer, used when printing the config.
+  - options: array of keys from OPTIONS that the peer uses.
+  - defaults: object of default values that override the ones in OPTIONS.
+  - argv: command-line arguments. Defaults to process.argv.
+  - env: environment variables. Defaults to process.env.
+
+  Returns an object with one property per option. Throws an Error listing
+  every invalid value. Prints usage and exits when --help is passed.
+*/
+export function loadConfig (inputs = {}) {
+  const {
+    name = 'peer',
+    options = [],
+    defaults = {},
+    argv = process.argv.slice(2),
+    env = process.env
+  } = inputs
+
+  for (const key of options) {
+    if (!OPTIONS[key]) throw new Error(`Unknown config option: ${key}`)
+  }
+
+  // Parse the command-line flags.
+  const parseOptions = {
+    config: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+  }
+  for (const key of options) {
+    parseOptions[OPTIONS[key].flag] = { type: 'string' }
+  }
+
+  let flags
+  try {
+    flags = parseArgs({ args: argv, options: parseOptions, strict: true }).values
+  } catch (err) {
+    throw new Error(`Invalid command-line arguments: ${err.message}\n${usage(name, options)}`)
+  }
+
+  if (flags.help) {
+    console.log(usage(name, options))
+    process.exit(0)
+  }
+
+  // Read the config file, if one was given.
+  let fileConfig = {}
+  const configFile = flags.config || env.CONFIG_FILE
+  if (configFile) {
+    fileConfig = readConfigFile(configFile, options)
+  }
+
+  // Resolve each option from the highest-precedence source that sets it.
+  const config = {}
+  const sources = {}
+  const errors = []
+
+  for (const key of options) {
+    const option = OPTIONS[key]
+
+    let value
+    let source
+    if (flags[option.flag] !== undefined) {
+      value = flags[option.flag]
+      source = `--${option.flag}`
+    } else if (env[option.env] !== undefined && env[option.env] !== '') {
+      value = env[option.env]
+      source = option.env
+    } else if (fileConfig[key] !== undefined) {
+      value = fileConfig[key]
+      source = configFile
+    } else {
+      value = defaults[key] !== undefined ? defaults[key] : option.default
+      source = 'default'
+    }
+
+    try {
+      config[key] = validate(key, option, value)
+    } catch (err) {
+      errors.push(`${key} (from ${source}): ${err.message}`)
+    }
+    sources[key] = source
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid config for ${name}:\n  ${errors.join('\n  ')}`)
+  }
+
+  printConfig(name, config, sources)
+
+  return config
+}
+
+// Read a JSON config file. Only the keys of the options used by the peer are
+// allowed in it.
+function readConfigFile (configFile, options) {
+  let fileConfig
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'))
+  } catch (err) {
+    throw new Error(`Could not read config file ${configFile}: ${err.message}`)
+  }
+
+  if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw new Error(`Config file ${configFile} must contain a JSON object`)
+  }
+
+  const unknownKeys = Object.keys(fileConfig).filter(x => !options.includes(x))
+  if (unknownKeys.length) {
+    throw new Error(`Unknown keys in config file ${configFile}: ${unknownKeys.join(', ')}. Allowed keys: ${options.join(', ')}`)
+  }
+
+  return fileConfig
+}
+
+// Convert a value to the type of the option, and check that it is valid.
+function validate (key, option, value) {
+  switch (option.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value) throw new Error('must be a non-empty string')
+      return value
+
+    case 'multiaddr':
+      // An empty multiaddr means 'not configured'.
+      if (value === '') return value
+      if (typeof value !== 'string') throw new Error('must be a multiaddr string')
+      try {
+        multiaddr(value)
+      } catch (err) {
+        throw new Error(`is not a valid multiaddr: ${err.message}`)
+      }
+      return value
+
+    case 'peerId':
+      // An empty peer ID means 'not configured'.
+      if (value === '') return value
+      if (typeof value !== 'string') throw new Error('must be a peer ID string')
+      try {
+        peerIdFromString(value)
+      } catch (err) {
+        throw new Error(`is not a valid peer ID: ${err.message}`)
+      }
+      return value
+
+    case 'cid':
+      // An empty CID means 'not configured'.
+      if (value === '') return value
+      if (typeof value !== 'string') throw new Error('must be a CID string')
+      try {
+        CID.parse(value)
+      } catch (err) {
+        throw new Error(`is not a valid CID: ${err.message}`)
+      }
+      return value
+
+    case 'multiaddrs': {
+      const list = toList(value)
+      for (const x of list) validate(key, { type: 'multiaddr' }, x)
+      return list
+    }
+
+    case 'list':
+      return toList(value)
+
+    case 'choice':
+      // An empty value means 'not configured'.
+      if (value === '') return value
+      if (!option.choices.includes(value)) {
+        throw new Error(`must be one of ${option.choices.join(', ')}, got ${JSON.stringify(value)}`)
+      }
+      return value
+
+    case 'port':
+      return toInteger(value, 0, 65535)
+
+    case 'count':
+      return toInteger(value, 0, Number.MAX_SAFE_INTEGER)
+
+    case 'milliseconds':
+      return toInteger(value, 1, Number.MAX_SAFE_INTEGER)
+
+    case 'debugLevel':
+      return toInteger(value, 0, 3)
+
+    case 'rate':
+      return toNumber(value, Number.MIN_VALUE, Number.MAX_VALUE)
+
+    case 'percent':
+      return toNumber(value, 0, 100)
+
+    default:
+      throw new Error(`unknown option type ${option.type}`)
+  }
+}
+
+// Convert a comma-separated string, or an array from the config file, to an
+// array of non-empty strings.
+function toList (value) {
+  const list = typeof value === 'string'
+    ? value.split(',').map(x => x.trim()).filter(Boolean)
+    : value
+  if (!Array.isArray(list) || list.some(x => typeof x !== 'string' || !x)) {
+    throw new Error('must be a comma-separated list')
+  }
+  return list
+}
+
+// Convert a string or number to an integer between min and max.
+function toInteger (value, min, max) {
+  const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+  if (!Number.isInteger(num) || num < min || num > max) {
+    throw new Error(`must be an integer from ${min} to ${max}, got ${JSON.stringify(value)}`)
+  }
+  return num
+}
+
+// Convert a string or number to a number between min and max.
+function toNumber (value, min, max) {
+  const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+  if (typeof num !== 'number' || !Number.isFinite(num) || num < min || num > max) {
+    throw new Error(`must be a number from ${min} to ${max}, got ${JSON.stringify(value)}`)
+  }
+  return num
+}
+
+// Print the effective config, and where each value came from.
+function printConfig (name, config, sources) {
+  console.log(`${name} effective config:`)
+  for (const key of Object.keys(config)) {
+    console.log(`  ${key}: ${JSON.stringify(config[key])} (${sources[key]})`)
+  }
+}
+
+// Build the --help text for a peer.
+function usage (name, options) {
+  const lines = [
+    `Usage: node ${name.toLowerCase()}.js [options]`,
+    '',
+    'Options (flag / environment variable / config file key):',
+    '  --config <file> / CONFIG_FILE: JSON config file'
+  ]
+  for (const key of options) {
+    const option = OPTIONS[key]
+    lines.push(`  --${option.flag} <value> / ${option.env} / ${key}: ${option.description}`)
+  }
+  lines.push('  -h, --help: print this message')
+
+  return lines.join('\n')
+}
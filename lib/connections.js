@@ -0,0 +1,41 @@
+/*
+  Helpers for setting up and inspecting the libp2p connections of a test peer.
+*/
+
+// Options for the webRTC() transport that make it gather its ICE candidates
+// with the given STUN or TURN server URLs, e.g. the STUN server of
+// lib/netns.js, which is the only one reachable from a network namespace.
+// With no URLs, the defaults of @libp2p/webrtc are used.
+export function getWebRTCOptions (iceServers = []) {
+  if (!iceServers.length) return {}
+
+  return {
+    rtcConfiguration: {
+      iceServers: iceServers.map(urls => ({ urls }))
+    }
+  }
+}
+
+// Get the relayed /webrtc multiaddrs that other peers can use to dial this
+// node. They only appear after a relay reservation has been made.
+export function getWebRTCMultiaddrs (libp2p) {
+  return libp2p.getMultiaddrs()
+    .map(x => x.toString())
+    .filter(x => x.includes('/p2p-circuit/webrtc/'))
+}
+
+// Find a direct connection to a peer that uses the given transport protocol
+// name (e.g. 'webrtc'). A relayed connection has its limits set, and is
+// never returned.
+export function findDirectConnection (libp2p, peerId, protoName) {
+  return libp2p.getConnections()
+    .filter(x => x.remotePeer.toString() === peerId)
+    .find(x => x.remoteAddr.protoNames().includes(protoName) && x.limits == null)
+}
+
+// List the remote addresses of all connections to a peer, for error messages.
+export function describeConnections (libp2p, peerId) {
+  return libp2p.getConnections()
+    .filter(x => x.remotePeer.toString() === peerId)
+    .map(x => x.remoteAddr.toString())
+}
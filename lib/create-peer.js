@@ -0,0 +1,239 @@
+/*
+  Shared node factory for the test peers.
+
+  createPeer() builds a fully started test peer from an options object: a
+  libp2p node, a Helia IPFS node on top of it with file-system block and data
+  stores in the data directory of lib/data-dir.js, a wallet, and helia-coord
+  attached to the IPFS node. Every peer in every scenario is built with this
+  function, so that a change in the helia or libp2p API only needs to be
+  fixed here.
+*/
+
+import './polyfills.js'
+
+// Global npm libraries
+import { createHelia } from 'helia'
+import { createLibp2p } from 'libp2p'
+import { tcp } from '@libp2p/tcp'
+import { noise } from '@chainsafe/libp2p-noise'
+import { yamux } from '@chainsafe/libp2p-yamux'
+import { identify } from '@libp2p/identify'
+import { gossipsub } from '@chainsafe/libp2p-gossipsub'
+import { webSockets } from '@libp2p/websockets'
+import SlpWallet from 'minimal-slp-wallet'
+import IpfsCoord from 'helia-coord'
+
+// Local libraries
+import { createPrivateMessageHook } from './waiters.js'
+import { handleHandshakes } from './handshake.js'
+import { createAnnouncer, getAnnounceMode } from './announce.js'
+import { openDataDir } from './data-dir.js'
+import { loadOrCreateFixture } from './fixtures.js'
+import { getPeerDiscovery, handleRole } from './discovery.js'
+
+const DEFAULT_IPFS_DIR = './.ipfsdata/ipfs'
+
+/*
+  Create and start a test peer.
+
+  Options:
+  - name: used to label the log output. Defaults to 'peer'.
+  - ipfsDir: directory for the blockstore and datastore. Defaults to './.ipfsdata/ipfs'.
+  - dataDirMode: persistent, to use ipfsDir, or ephemeral, to use a temp
+    directory that is removed at exit. Defaults to persistent.
+  - onBadDataDir: reset or fail, what to do with a corrupted data directory,
+    or one written with another layout version. Defaults to reset. See
+    lib/data-dir.js.
+  - identity: where the libp2p key and the wallet come from. datastore uses
+    the key kept in the data directory and a new wallet. fixture uses the
+    identity fixture named after the peer, see lib/fixtures.js. Defaults to
+    datastore.
+  - fixtureDir: directory of the identity fixtures. Defaults to .fixtures/ at
+    the root of this repository.
+  - listen: array of libp2p listen addresses. Defaults to a loopback TCP
+    address, plus TCP port 4001 and websocket port 4003 on all interfaces.
+  - announce: array of multiaddrs the node announces to other peers instead
+    of its listen addresses, e.g. the address of the impairment proxy of
+    lib/impairment-proxy.js. Defaults to none.
+  - announceMode: how the node finds the multiaddrs it reports, one of
+    static, observed, public-ip and disabled. See lib/announce.js. Defaults
+    to static when announce is set, and public-ip otherwise.
+  - transports: array of libp2p transports. Defaults to TCP and websockets.
+  - services: libp2p services. They are merged with the default identify and
+    gossipsub services, and can replace them.
+  - discovery: how the node finds peers on its own, none or mdns. With mdns,
+    it finds the peers on its LAN with no address configured. See
+    lib/discovery.js. Defaults to none.
+  - role: the role tag of the node, e.g. alice, which other peers see in its
+    identify protocols, and pick it by. See lib/discovery.js. Defaults to
+    none.
+  - coord: whether to attach helia-coord and a wallet to the node. Set it to
+    false to test libp2p and Helia on their own, e.g. raw gossipsub. The peer
+    then has no ipfsCoord, wallet or handshake. Defaults to true.
+  - debugLevel: the helia-coord debug level. Defaults to 2.
+  - handlers: callbacks attached to helia-coord.
+    - privateMessage(decryptedPayload, from): called when a private message is received.
+  - privateKey: the libp2p private key of the node. Overrides the one of the
+    identity option.
+
+  Returns an object with the ipfs (Helia) node, its libp2p node and private
+  key, the data directory it uses as ipfsDir, the identity it was given, the
+  ipfsCoord instance, the wallet, the multiaddrs of the node and the
+  announcer that found them, which records the addresses peers dialed, and the
+  privateMessages hook that the waiters in lib/waiters.js listen to. The
+  peer answers the encryption key handshake of lib/handshake.js.
+*/
+export async function createPeer (options = {}) {
+  const {
+    name = 'peer',
+    ipfsDir = DEFAULT_IPFS_DIR,
+    dataDirMode = 'persistent',
+    onBadDataDir = 'reset',
+    identity = 'datastore',
+    fixtureDir,
+    listen = [
+      '/ip4/127.0.0.1/tcp/0',
+      '/ip4/0.0.0.0/tcp/4001',
+      '/ip4/0.0.0.0/tcp/4003/ws'
+    ],
+    announce = [],
+    announceMode,
+    transports = [
+      tcp(),
+      webSockets()
+    ],
+    services = {},
+    discovery = 'none',
+    role,
+    coord = true,
+    debugLevel = 2,
+    handlers = {},
+    privateKey
+  } = options
+
+  try {
+    const mode = getAnnounceMode(announceMode, announce)
+
+    // Open the block and data stores, after checking that they can be read.
+    const dataDir = await openDataDir({ ipfsDir, mode: dataDirMode, onBadDataDir, name })
+    const { blockstore, datastore } = dataDir
+
+    // The key is loaded here rather than by libp2p, so that the peer can sign
+    // messages with it. See lib/signed-messages.js.
+    const fixture = identity === 'fixture'
+      ? await loadOrCreateFixture({ name: name.toLowerCase(), dir: fixtureDir })
+      : null
+    const libp2pKey = privateKey || (fixture ? fixture.privateKey : dataDir.selfKey)
+
+    // libp2p is the networking layer that underpins Helia
+    const libp2p = await createLibp2p({
+      privateKey: libp2pKey,
+      datastore,
+      addresses: {
+        listen,
+        announce
+      },
+      transports,
+      connectionEncrypters: [
+        noise()
+      ],
+      streamMuxers: [
+        yamux()
+      ],
+      peerDiscovery: getPeerDiscovery(discovery),
+      services: {
+        identify: identify(),
+        pubsub: gossipsub({ allowPublishToZeroTopicPeers: true }),
+        ...services
+      }
+    })
+
+    // Create a Helia node
+    const ipfs = await createHelia({
+      blockstore,
+      datastore,
+      libp2p
+    })
+
+    const id = ipfs.libp2p.peerId.toString()
+    console.log(`${name} IPFS ID: `, id)
+
+    if (role) await handleRole(ipfs.libp2p, role)
+
+    // Get the multiaddrs for the node. See lib/announce.js.
+    const announcer = await createAnnouncer(ipfs.libp2p, { mode, name })
+    const multiaddrs = announcer.getMultiaddrs()
+    console.log('Multiaddrs: ', multiaddrs)
+
+    if (!coord) {
+      return {
+        name,
+        ipfs,
+        libp2p: ipfs.libp2p,
+        privateKey: libp2pKey,
+        ipfsDir: dataDir.dir,
+        identity: describeIdentity(privateKey, fixture),
+        ipfsCoord: null,
+        wallet: null,
+        multiaddrs,
+        announcer,
+        privateMessages: null
+      }
+    }
+
+    // Create an instance of wallet. A fixture restores its wallet from the
+    // mnemonic.
+    const wallet = fixture ? new SlpWallet(fixture.mnemonic) : new SlpWallet()
+    await wallet.walletInfoPromise
+
+    // Private messages are passed to the handler of the peer, then to the
+    // hook, which emits them as events.
+    const privateMessages = createPrivateMessageHook()
+    const privateLog = (decryptedPayload, from) => {
+      if (handlers.privateMessage) handlers.privateMessage(decryptedPayload, from)
+      privateMessages.handler(decryptedPayload, from)
+    }
+
+    // Pass IPFS and wallet to ipfs-coord when instantiating it.
+    const ipfsCoord = new IpfsCoord({
+      ipfs,
+      wallet,
+      type: 'node.js',
+      nodeType: 'external',
+      debugLevel,
+      privateLog
+    })
+
+    await ipfsCoord.start()
+    console.log('IPFS and the coordination library is ready.')
+
+    const peer = {
+      name,
+      ipfs,
+      libp2p: ipfs.libp2p,
+      privateKey: libp2pKey,
+      ipfsDir: dataDir.dir,
+      identity: describeIdentity(privateKey, fixture),
+      ipfsCoord,
+      wallet,
+      multiaddrs,
+      announcer,
+      privateMessages
+    }
+
+    // Let other peers ask for our encryption key. See lib/handshake.js.
+    await handleHandshakes(peer)
+
+    return peer
+  } catch (err) {
+    console.error('Error in createPeer(): ', err)
+    throw err
+  }
+}
+
+// Where the libp2p key of the peer came from.
+function describeIdentity (privateKey, fixture) {
+  if (privateKey) return { source: 'privateKey' }
+  if (fixture) return { source: 'fixture', file: fixture.file }
+  return { source: 'datastore' }
+}
@@ -0,0 +1,248 @@
+/*
+  Data directories of the test peers.
+
+  A peer keeps its blockstore and datastore in a data directory, in one of
+  these modes:
+  - persistent: the directory given with the ipfsDir option, kept from one
+    run to the next, so that a peer keeps its peer ID and its blocks.
+  - ephemeral: a new directory under the temp directory of the system, which
+    is removed when the peer exits, so that no state leaks from one run into
+    the next. The directories of peers that were killed before they could
+    remove theirs are removed by the next peer that starts.
+
+  openDataDir() checks the directory before the peer uses it. It writes a
+  data-dir.json marker with the layout version and the versions of the
+  packages that wrote it. A directory that is corrupted, so that the datastore
+  or the libp2p key in it can not be read, or that was written with another
+  layout version, is handled by the onBadDataDir policy:
+  - reset: move it aside to <dir>.bad-<time>, so that it can be attached to a
+    bug report, and start with an empty one.
+  - fail: throw an Error that names the directory and the problem.
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { FsBlockstore } from 'blockstore-fs'
+import { FsDatastore } from 'datastore-fs'
+import { loadOrCreateSelfKey } from '@libp2p/config'
+
+// Local libraries
+import { getVersions } from './report.js'
+
+export const DATA_DIR_MODES = ['persistent', 'ephemeral']
+export const BAD_DATA_DIR_POLICIES = ['reset', 'fail']
+
+// Version of the layout of the data directory. Bump it when the layout
+// changes in a way that older directories can not be read.
+export const DATA_DIR_VERSION = 1
+
+const MARKER_FILE = 'data-dir.json'
+
+// Ephemeral directories are named helia-tests-<name>-<pid>-<random>, so that
+// the ones of dead processes can be found.
+const EPHEMERAL_PREFIX = 'helia-tests-'
+const EPHEMERAL_PATTERN = /^helia-tests-.+-(\d+)-[^-]+$/
+
+/*
+  Open the data directory of a peer.
+
+  Options:
+  - ipfsDir: the directory used in the persistent mode.
+  - mode: one of DATA_DIR_MODES. Defaults to 'persistent'.
+  - onBadDataDir: one of BAD_DATA_DIR_POLICIES. Defaults to 'reset'.
+  - name: used in the name of an ephemeral directory, and to label the log
+    output. Defaults to 'peer'.
+
+  Resolves with { dir, mode, status, movedTo, blockstore, datastore, selfKey }.
+  status is 'new' for an empty directory, 'current' for one that was
+  written with this layout, and 'reset' when a bad one was moved aside to
+  movedTo. selfKey is the libp2p key kept in the datastore, which is created
+  on the first run. The datastore is open.
+*/
+export async function openDataDir (options = {}) {
+  const {
+    ipfsDir,
+    mode = 'persistent',
+    onBadDataDir = 'reset',
+    name = 'peer'
+  } = options
+
+  if (!DATA_DIR_MODES.includes(mode)) {
+    throw new Error(`Unknown data directory mode: ${mode}. Known modes: ${DATA_DIR_MODES.join(', ')}`)
+  }
+  if (!BAD_DATA_DIR_POLICIES.includes(onBadDataDir)) {
+    throw new Error(`Unknown bad data directory policy: ${onBadDataDir}. Known policies: ${BAD_DATA_DIR_POLICIES.join(', ')}`)
+  }
+
+  const dir = mode === 'ephemeral' ? createEphemeralDir(name) : ipfsDir
+  if (!dir) throw new Error('The persistent data directory mode needs an ipfsDir')
+
+  let status = hasData(dir) ? 'current' : 'new'
+  let movedTo = null
+  const handleBadDir = (problem) => {
+    if (onBadDataDir === 'fail') {
+      throw new Error(`The data directory ${dir} can not be used: ${problem}`)
+    }
+    movedTo = `${dir}.bad-${new Date().toISOString().replace(/[:.]/g, '-')}`
+    fs.renameSync(dir, movedTo)
+    console.log(`${name} data directory ${dir} can not be used: ${problem}. Moved it to ${movedTo}, and starting with an empty one.`)
+    status = 'reset'
+  }
+
+  const problem = checkMarker(dir)
+  if (problem) handleBadDir(problem)
+
+  let stores
+  try {
+    stores = await openStores(dir)
+  } catch (err) {
+    if (status === 'reset') throw err
+    handleBadDir(`the datastore could not be read: ${err.message}`)
+    stores = await openStores(dir)
+  }
+
+  writeMarker(dir)
+  console.log(`${name} data directory: ${dir} (${mode}, ${status})`)
+
+  return { dir, mode, status, movedTo, ...stores }
+}
+
+// Create the block and data stores, open the datastore, and read the libp2p
+// key from it.
+async function openStores (dir) {
+  ensureBlocksDir(dir)
+
+  const blockstore = new FsBlockstore(`${dir}/blockstore`)
+  const datastore = new FsDatastore(`${dir}/datastore`)
+  await datastore.open()
+
+  try {
+    const selfKey = await loadOrCreateSelfKey(datastore)
+    return { blockstore, datastore, selfKey }
+  } catch (err) {
+    await datastore.close()
+    throw err
+  }
+}
+
+// Ensure that the directories exist to store blocks from the IPFS network.
+// This function is called at startup, before the IPFS node is started.
+function ensureBlocksDir (ipfsDir) {
+  try {
+    fs.mkdirSync(`${ipfsDir}/blockstore`, { recursive: true })
+    fs.mkdirSync(`${ipfsDir}/datastore`, { recursive: true })
+
+    return true
+  } catch (err) {
+    console.error('Error in ensureBlocksDir(): ', err)
+    throw err
+  }
+}
+
+// Whether the directory holds a datastore from an earlier run.
+function hasData (dir) {
+  try {
+    return fs.readdirSync(path.join(dir, 'datastore')).length > 0
+  } catch {
+    return false
+  }
+}
+
+// Check the marker of a directory. Returns a description of the problem, or
+// null if the directory can be used. A directory with data but no marker
+// was written before the marker existed, with the layout of version 1.
+function checkMarker (dir) {
+  const file = path.join(dir, MARKER_FILE)
+  if (!fs.existsSync(file)) return null
+
+  let marker
+  try {
+    marker = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    return `its ${MARKER_FILE} is corrupted: ${err.message}`
+  }
+  if (!marker || !Number.isInteger(marker.version)) {
+    return `its ${MARKER_FILE} has no layout version`
+  }
+  if (marker.version !== DATA_DIR_VERSION) {
+    return `it was written with layout version ${marker.version}, and this version reads ${DATA_DIR_VERSION}`
+  }
+
+  // Other package versions can usually read the directory. If they can not,
+  // openStores() fails, and the directory is handled as corrupted.
+  const versions = getVersions()
+  const changed = Object.keys(versions)
+    .filter(x => marker.versions && marker.versions[x] && marker.versions[x] !== versions[x])
+    .map(x => `${x} ${marker.versions[x]} -> ${versions[x]}`)
+  if (changed.length) {
+    console.log(`Data directory ${dir} was written with other package versions: ${changed.join(', ')}`)
+  }
+
+  return null
+}
+
+function writeMarker (dir) {
+  fs.writeFileSync(path.join(dir, MARKER_FILE), JSON.stringify({
+    version: DATA_DIR_VERSION,
+    versions: getVersions(),
+    updatedAt: new Date().toISOString()
+  }, null, 2))
+}
+
+// Create an ephemeral directory, and remove it when the process exits. The
+// directories left behind by dead processes are removed first.
+function createEphemeralDir (name) {
+  removeStaleEphemeralDirs()
+
+  const safeName = name.toLowerCase().replace(/[^a-z0-9]+/g, '_')
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${EPHEMERAL_PREFIX}${safeName}-${process.pid}-`))
+
+  // The 'exit' event also fires on process.exit(). A peer killed by a signal
+  // leaves its directory behind, for the next peer to remove.
+  process.on('exit', () => {
+    try {
+      fs.rmSync(dir, { recursive: true, force: true })
+    } catch (err) {
+      console.error(`Error removing data directory ${dir}: `, err.message)
+    }
+  })
+
+  return dir
+}
+
+// Remove the ephemeral directories of processes that are no longer running.
+function removeStaleEphemeralDirs () {
+  const tmpDir = os.tmpdir()
+
+  let entries = []
+  try {
+    entries = fs.readdirSync(tmpDir)
+  } catch {
+    return
+  }
+
+  for (const entry of entries) {
+    const match = entry.match(EPHEMERAL_PATTERN)
+    if (!match || isRunning(Number(match[1]))) continue
+
+    try {
+      fs.rmSync(path.join(tmpDir, entry), { recursive: true, force: true })
+      console.log(`Removed the data directory of a dead peer: ${path.join(tmpDir, entry)}`)
+    } catch (err) {
+      console.error(`Error removing data directory ${entry}: `, err.message)
+    }
+  }
+}
+
+// Whether a process is running. Signal 0 only checks that it exists. EPERM
+// means it exists, but belongs to another user.
+function isRunning (pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (err) {
+    return err.code === 'EPERM'
+  }
+}
@@ -0,0 +1,92 @@
+/*
+  Kademlia DHT for peers on a local network.
+
+  The public IPFS DHT (/ipfs/kad/1.0.0) only keeps peers with a publicly
+  dialable address, and drops private ones, so loopback peers can not use it.
+  The LAN DHT runs the same protocol under its own name, and keeps only
+  private addresses instead. Peers on loopback or a LAN find content and each
+  other with it, without any address being configured but the one of a DHT
+  server to start from.
+
+  lanDHT() returns the kad-dht service, to pass to the services option of
+  createPeer() in lib/create-peer.js, under the name 'dht':
+  - a server answers queries and stores provider records for the others.
+  - a client only sends queries. It is not added to the routing table of
+    other peers, and does not need to be dialable.
+*/
+
+// Global npm libraries
+import { kadDHT, removePublicAddressesMapper } from '@libp2p/kad-dht'
+
+export const LAN_DHT_PROTOCOL = '/ipfs/lan/kad/1.0.0'
+
+export const DHT_MODES = ['server', 'client']
+
+/*
+  Create the LAN kad-dht service.
+
+  Inputs:
+  - mode: server or client. The mode is fixed, rather than picked by libp2p
+    from the reachability of the node, which it can not find out on
+    loopback. Defaults to client.
+*/
+export function lanDHT (inputs = {}) {
+  const { mode = 'client' } = inputs
+
+  if (!DHT_MODES.includes(mode)) {
+    throw new Error(`Unknown DHT mode: ${mode}. Known modes: ${DHT_MODES.join(', ')}`)
+  }
+
+  return kadDHT({
+    protocol: LAN_DHT_PROTOCOL,
+    clientMode: mode === 'client',
+    peerInfoMapper: removePublicAddressesMapper,
+    logPrefix: 'libp2p:dht-lan',
+    datastorePrefix: '/dht-lan',
+    metricsPrefix: 'libp2p_dht_lan'
+  })
+}
+
+/*
+  Run a query of the dht service, and resolve with the first event that
+  passes the filter function, e.g. a PROVIDER event that lists a peer. The
+  query is stopped as soon as the event is found.
+
+  Inputs:
+  - query(signal): starts the query, and returns its async iterable of events.
+  - step: name of the query, used in error messages.
+  - filterFn(event): returns true for the event to resolve with.
+  - timeout: milliseconds before the query is abandoned.
+
+  Rejects when the query ends or times out without a matching event. The
+  error lists the peers that answered, and the errors of the others.
+*/
+export async function findInQuery (inputs = {}) {
+  const { query, step, filterFn, timeout } = inputs
+
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+  const responses = []
+  const errors = []
+
+  try {
+    for await (const event of query(controller.signal)) {
+      if (event.name === 'PEER_RESPONSE') responses.push(event.from.toString())
+      if (event.name === 'QUERY_ERROR') errors.push(`${event.from}: ${event.error.message}`)
+
+      if (filterFn(event)) return event
+    }
+  } catch (err) {
+    if (!timedOut) throw err
+  } finally {
+    clearTimeout(timer)
+    controller.abort()
+  }
+
+  const reason = timedOut ? `timed out after ${timeout}ms` : 'ended'
+  throw new Error(`Query for ${step} ${reason}. Answered by: ${responses.join(', ') || 'no peer'}. Errors: ${errors.join('; ') || 'none'}`)
+}
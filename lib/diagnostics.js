@@ -0,0 +1,178 @@
+/*
+  Failure diagnostics.
+
+  When a step of a test workflow fails, the peer writes a snapshot of its
+  state to <reportDir>/<scenario>/<peer>-diagnostics.json: its open
+  connections with their transports and multiaddrs, its own multiaddrs, its
+  gossipsub topics and mesh peers, the helia-coord peer list, peer data and
+  relay state, and the last lines of its log output. The file can be attached
+  to a GitHub issue as is.
+
+  run-local.js adds the last lines of the output of every peer of the
+  scenario, with writePeerLogs() in lib/local-runner.js.
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import path from 'path'
+
+/*
+  Create the diagnostics for one peer. Log capture starts right away, so
+  that the output of the node startup is kept too.
+
+  Inputs:
+  - scenario: name of the scenario, e.g. '01-ip4-peer-connect'.
+  - peer: name of the peer, e.g. 'bob'.
+  - dir: directory the diagnostics are written to. The report directory.
+  - logLines: number of log lines to keep.
+
+  setPeer(peer) attaches the object returned by createPeer(). write(err)
+  collects the snapshot and writes it. It never throws.
+*/
+export function createDiagnostics (inputs = {}) {
+  const {
+    scenario,
+    peer,
+    dir = './reports',
+    logLines = 200
+  } = inputs
+
+  const logs = captureLogs(logLines)
+  let testPeer = null
+
+  return {
+    setPeer (peerObj) {
+      testPeer = peerObj
+    },
+
+    write (err) {
+      try {
+        const snapshot = {
+          scenario,
+          peer,
+          writtenAt: new Date().toISOString(),
+          error: err
+            ? { message: err.message, step: err.step, code: err.code, stack: err.stack }
+            : null,
+          state: testPeer ? collectDiagnostics(testPeer) : null,
+          logs: logs.lines()
+        }
+
+        const outDir = path.join(dir, scenario)
+        fs.mkdirSync(outDir, { recursive: true })
+
+        const file = path.join(outDir, `${peer}-diagnostics.json`)
+        fs.writeFileSync(file, JSON.stringify(snapshot, null, 2))
+        console.error(`Diagnostics written to ${file}`)
+
+        return file
+      } catch (writeErr) {
+        console.error('Error writing diagnostics: ', writeErr)
+        return null
+      }
+    }
+  }
+}
+
+/*
+  Collect a snapshot of the state of a test peer. Each section is collected
+  on its own, so that an API change in one library only loses that section.
+*/
+export function collectDiagnostics (peer) {
+  const { libp2p, ipfsCoord } = peer
+
+  return {
+    peerId: collect(() => libp2p.peerId.toString()),
+    multiaddrs: collect(() => libp2p.getMultiaddrs().map(x => x.toString())),
+    connections: collect(() => libp2p.getConnections().map(describeConnection)),
+    pubsub: collect(() => describePubsub(libp2p.services.pubsub)),
+    heliaCoord: collect(() => describeHeliaCoord(ipfsCoord))
+  }
+}
+
+function describeConnection (conn) {
+  return {
+    remotePeer: conn.remotePeer.toString(),
+    remoteAddr: conn.remoteAddr.toString(),
+    transports: conn.remoteAddr.protoNames(),
+    direction: conn.direction,
+    status: conn.status,
+    limited: conn.limits != null,
+    encryption: conn.encryption,
+    multiplexer: conn.multiplexer,
+    openedAt: conn.timeline && conn.timeline.open
+      ? new Date(conn.timeline.open).toISOString()
+      : null,
+    streams: conn.streams.map(x => x.protocol)
+  }
+}
+
+function describePubsub (pubsub) {
+  const topics = pubsub.getTopics().map(topic => ({
+    topic,
+    subscribers: pubsub.getSubscribers(topic).map(x => x.toString()),
+    meshPeers: pubsub.getMeshPeers ? pubsub.getMeshPeers(topic).map(x => x.toString()) : null
+  }))
+
+  return {
+    peers: pubsub.getPeers().map(x => x.toString()),
+    topics
+  }
+}
+
+function describeHeliaCoord (ipfsCoord) {
+  // Peers created without helia-coord, see the coord option of createPeer().
+  if (!ipfsCoord) return null
+
+  const thisNode = ipfsCoord.thisNode
+
+  return {
+    ipfsId: thisNode.ipfsId,
+    peerList: thisNode.peerList,
+    peerData: thisNode.peerData,
+    relayData: thisNode.relayData,
+    serviceList: thisNode.serviceList,
+    blacklistPeers: thisNode.blacklistPeers,
+    blacklistMultiaddrs: thisNode.blacklistMultiaddrs
+  }
+}
+
+function collect (fn) {
+  try {
+    return fn()
+  } catch (err) {
+    return { error: err.message }
+  }
+}
+
+// Keep the last maxLines lines written to stdout and stderr. The output is
+// still written to the console as usual.
+function captureLogs (maxLines) {
+  const lines = []
+  let partial = ''
+
+  const record = (chunk) => {
+    const text = partial + (typeof chunk === 'string' ? chunk : Buffer.from(chunk).toString())
+    const parts = text.split('\n')
+    partial = parts.pop()
+
+    lines.push(...parts)
+    if (lines.length > maxLines) lines.splice(0, lines.length - maxLines)
+  }
+
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write.bind(stream)
+    stream.write = (chunk, ...args) => {
+      try {
+        record(chunk)
+      } catch {
+        // Never let log capture break the output.
+      }
+      return write(chunk, ...args)
+    }
+  }
+
+  return {
+    lines: () => partial ? [...lines, partial] : [...lines]
+  }
+}
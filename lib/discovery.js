@@ -0,0 +1,209 @@
+/*
+  Peer discovery on the local network, and role tags.
+
+  By default, a peer only reaches the others through a configured multiaddr,
+  or through helia-coord announcements. With the mdns discovery mode, it
+  also finds the peers on its LAN with multicast DNS, with no address
+  configured at all. The test peers use their own mDNS service tag, so that
+  they do not find, and are not found by, other libp2p nodes on the LAN.
+
+  A discovered peer is only a peer ID and its addresses. To tell alice from
+  the others, a peer can have a role tag: it handles the protocol
+  /helia-tests/role/<role>/1.0.0, which the other peers see in its identify
+  protocols once they are connected. discoverPeer() picks a peer by its
+  expected peer ID or by its role, never by the order peers were found in.
+*/
+
+// Global npm libraries
+import { mdns } from '@libp2p/mdns'
+
+// Local libraries
+import { waitForIdentify, waitUntil } from './waiters.js'
+
+export const DISCOVERY_MODES = ['none', 'mdns']
+
+export const MDNS_SERVICE_TAG = '_helia-tests._udp.local'
+
+// How often the mDNS queries are sent. The default of @libp2p/mdns is 10
+// seconds.
+const MDNS_INTERVAL = 5000
+
+// How long to wait for a discovered peer to be dialed and identified.
+const INSPECT_TIMEOUT = 15000
+
+const DEFAULT_TIMEOUT = 60000 * 5
+
+// The libp2p peerDiscovery services of a discovery mode. Throws an Error when
+// the mode is unknown.
+export function getPeerDiscovery (mode = 'none') {
+  switch (mode) {
+    case 'none':
+      return []
+    case 'mdns':
+      return [
+        mdns({ serviceTag: MDNS_SERVICE_TAG, interval: MDNS_INTERVAL })
+      ]
+    default:
+      throw new Error(`Unknown discovery mode: ${mode}. Known modes: ${DISCOVERY_MODES.join(', ')}`)
+  }
+}
+
+// The protocol a peer with a role handles.
+export function getRoleProtocol (role) {
+  return `/helia-tests/role/${role}/1.0.0`
+}
+
+// Tag a peer with a role. Called by createPeer(). The protocol is only
+// there to show up in identify, so a stream opened on it is closed at once.
+export async function handleRole (libp2p, role) {
+  await libp2p.handle(getRoleProtocol(role), async ({ stream }) => {
+    await stream.close()
+  })
+}
+
+// The roles among the protocols of a peer, e.g. the ones returned by
+// waitForIdentify() in lib/waiters.js.
+export function getRoles (protocols) {
+  const pattern = /^\/helia-tests\/role\/([^/]+)\/1\.0\.0$/
+  return protocols.map(x => pattern.exec(x)).filter(Boolean).map(x => x[1])
+}
+
+// Whether the peer store knows a peer with the role. The peer must have
+// been identified, which happens when a connection to it opens.
+export async function hasRole (libp2p, peerId, role) {
+  const peers = await libp2p.peerStore.all()
+  const peer = peers.find(x => x.id.toString() === peerId)
+  return Boolean(peer && peer.protocols.includes(getRoleProtocol(role)))
+}
+
+/*
+  Wait for the discovery service to find a peer, and connect to it.
+
+  Inputs:
+  - peerId: the peer ID string of the peer. Other peers are ignored without
+    being dialed.
+  - role: the role of the peer, used when peerId is not set. Each peer found
+    is dialed and identified, and the first one with the role is picked.
+  - timeout: milliseconds to wait. Defaults to 5 minutes.
+
+  A peer that can not be dialed or identified is tried again when it is
+  found again.
+
+  Resolves with { peerId, roles, multiaddrs, remoteAddr, ms, ignored }:
+  multiaddrs are the discovered addresses, remoteAddr the one the connection
+  uses, and ignored the peers found that did not match, with the reason.
+*/
+export async function discoverPeer (libp2p, inputs = {}) {
+  const { peerId, role, timeout = DEFAULT_TIMEOUT } = inputs
+
+  if (!peerId && !role) {
+    throw new Error('discoverPeer() needs the peer ID or the role of the peer to find')
+  }
+
+  const startTime = Date.now()
+  const pending = []
+  const inspected = new Set()
+  const ignored = []
+  let busy = false
+
+  // Dial a discovered peer, and check that it is the one wanted. Returns
+  // null when it is not.
+  const inspect = async ({ id, multiaddrs }) => {
+    const candidate = id.toString()
+    if (peerId && candidate !== peerId) {
+      ignored.push({ peerId: candidate, reason: 'peer ID' })
+      return null
+    }
+
+    try {
+      const signal = AbortSignal.timeout(INSPECT_TIMEOUT)
+      const connection = await libp2p.dial(multiaddrs.length ? multiaddrs : id, { signal })
+      if (connection.remotePeer.toString() !== candidate) {
+        throw new Error(`the discovered addresses reach ${connection.remotePeer}`)
+      }
+
+      const protocols = await waitForIdentify(libp2p, candidate, { timeout: INSPECT_TIMEOUT })
+      const roles = getRoles(protocols)
+      if (!peerId && !roles.includes(role)) {
+        ignored.push({ peerId: candidate, reason: `roles ${roles.join(', ') || 'none'}` })
+        return null
+      }
+
+      return {
+        peerId: candidate,
+        roles,
+        multiaddrs: multiaddrs.map(x => x.toString()),
+        remoteAddr: connection.remoteAddr.toString(),
+        ms: Date.now() - startTime,
+        ignored
+      }
+    } catch (err) {
+      // mDNS finds the peer again on the next query, and it is then retried.
+      inspected.delete(candidate)
+      ignored.push({ peerId: candidate, reason: err.message })
+      return null
+    }
+  }
+
+  return waitUntil({
+    step: peerId ? `discovery of ${peerId}` : `discovery of a peer with the ${role} role`,
+    timeout,
+    check: async (evt) => {
+      if (evt) pending.push(evt.detail)
+
+      // Peers are inspected one at a time. A peer found meanwhile waits for
+      // the running check.
+      if (busy) return null
+      busy = true
+      try {
+        while (pending.length) {
+          const info = pending.shift()
+          if (inspected.has(info.id.toString())) continue
+          inspected.add(info.id.toString())
+
+          const found = await inspect(info)
+          if (found) return found
+          console.log(`Ignored discovered peer ${info.id}: ${ignored[ignored.length - 1].reason}`)
+        }
+        return null
+      } finally {
+        busy = false
+      }
+    },
+    events: [
+      { target: libp2p, type: 'peer:discovery' }
+    ]
+  })
+}
+
+// Wait until a peer with the role is in the helia-coord peer list, which is
+// populated from announcements. Resolves with its peer ID.
+// The role is only known once the peer is connected and identified, which
+// happens when helia-coord refreshes its connections. They are refreshed
+// when a new peer is listed, rather than on the slow helia-coord interval.
+export function waitForPeerListRole (ipfsCoord, libp2p, role, options = {}) {
+  const refreshed = new Set()
+
+  return waitUntil({
+    step: `peer with the ${role} role in peer list`,
+    recheckInterval: 1000,
+    ...options,
+    check: async () => {
+      const peerList = ipfsCoord.thisNode.peerList
+      for (const peerId of peerList) {
+        if (await hasRole(libp2p, peerId, role)) return peerId
+      }
+
+      const listed = peerList.filter(x => !refreshed.has(x))
+      if (listed.length) {
+        listed.forEach(x => refreshed.add(x))
+        await ipfsCoord.useCases.peer.refreshPeerConnections()
+      }
+      return null
+    },
+    events: [
+      { target: libp2p.services.pubsub, type: 'message' },
+      { target: libp2p, type: 'peer:identify' }
+    ]
+  })
+}
@@ -0,0 +1,158 @@
+/*
+  Echo protocols of the 06-echo scenario.
+
+  They test the stream multiplexer (yamux) and the connection encrypter
+  (noise) directly, without pubsub or helia-coord on top:
+  - /helia-tests/echo/1.0.0 writes back every byte it reads, and closes its
+    write side once the other peer closed its own.
+  - /helia-tests/reset/1.0.0 reads the first chunk of a stream, and resets
+    the stream.
+  - /helia-tests/echo-control/1.0.0 answers one JSON request with one JSON
+    reply. The dialing peer uses it to ask what the handlers saw, e.g.
+    whether a stream it reset was seen as reset on the other end.
+
+  handleEcho() registers the three protocols, and returns the stats of the
+  handlers.
+*/
+
+export const ECHO_PROTOCOL = '/helia-tests/echo/1.0.0'
+export const RESET_PROTOCOL = '/helia-tests/reset/1.0.0'
+export const ECHO_CONTROL_PROTOCOL = '/helia-tests/echo-control/1.0.0'
+
+// Streams of a protocol open at once on a connection. libp2p allows 32
+// inbound and 64 outbound ones by default, fewer than the test opens.
+export const MAX_STREAMS = 256
+
+// Control messages are small. Anything larger is not one.
+const MAX_CONTROL_SIZE = 64 * 1024
+
+/*
+  Handle the echo protocols on a libp2p node.
+
+  Inputs:
+  - libp2p: the libp2p node.
+  - onControl(request, from): resolves with the reply to a control request.
+
+  Returns the stats of the handlers, updated as streams come and go:
+  { streams, completed, resets, resetsSent, bytes, errors }, where resets
+  are the echo streams the other peer reset, and errors the messages of any
+  other failure.
+*/
+export async function handleEcho (libp2p, onControl) {
+  const stats = {
+    streams: 0,
+    completed: 0,
+    resets: 0,
+    resetsSent: 0,
+    bytes: 0,
+    errors: []
+  }
+
+  const limits = { maxInboundStreams: MAX_STREAMS, maxOutboundStreams: MAX_STREAMS }
+
+  await libp2p.handle(ECHO_PROTOCOL, async ({ stream }) => {
+    stats.streams++
+
+    // Count the bytes as they are read, then write them back.
+    async function * count (source) {
+      for await (const chunk of source) {
+        stats.bytes += chunk.byteLength
+        yield chunk
+      }
+    }
+
+    try {
+      await stream.sink(count(stream.source))
+      stats.completed++
+    } catch (err) {
+      if (isReset(err, stream)) {
+        stats.resets++
+        return
+      }
+
+      console.error('Error in echo stream: ', err.message)
+      stats.errors.push(err.message)
+      stream.abort(err)
+    }
+  }, limits)
+
+  await libp2p.handle(RESET_PROTOCOL, async ({ stream }) => {
+    try {
+      // Read the first chunk only, then reset the stream.
+      const { value } = await stream.source[Symbol.asyncIterator]().next()
+      if (value) stats.bytes += value.byteLength
+    } catch (err) {
+      stats.errors.push(err.message)
+    }
+
+    stream.abort(new Error('reset by the reset protocol'))
+    stats.resetsSent++
+  }, limits)
+
+  await libp2p.handle(ECHO_CONTROL_PROTOCOL, async ({ stream, connection }) => {
+    const from = connection.remotePeer.toString()
+
+    try {
+      const request = await readJson(stream.source)
+      const reply = await onControl(request, from)
+      await writeJson(stream, reply)
+    } catch (err) {
+      console.error(`Error in echo control request from ${from}: `, err.message)
+      stream.abort(err)
+    }
+  })
+
+  return stats
+}
+
+/*
+  Send a control request on a connection, and resolve with the reply.
+
+  Inputs:
+  - connection: a libp2p connection to the peer that handles the protocols.
+  - request: a JSON-serializable object.
+  - options.timeout: milliseconds to wait for the reply. Defaults to 30 seconds.
+*/
+export async function requestControl (connection, request, options = {}) {
+  const { timeout = 30000 } = options
+
+  const signal = AbortSignal.timeout(timeout)
+  const stream = await connection.newStream(ECHO_CONTROL_PROTOCOL, { signal })
+
+  // Reading the reply is not covered by the signal, so the stream is
+  // aborted on timeout.
+  const onAbort = () => stream.abort(new Error(`no reply after ${timeout}ms`))
+  signal.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    await writeJson(stream, request)
+    return await readJson(stream.source)
+  } finally {
+    signal.removeEventListener('abort', onAbort)
+  }
+}
+
+// Whether a stream failed because the other end reset it.
+export function isReset (err, stream) {
+  return stream.status === 'reset' || (err && err.name === 'StreamResetError')
+}
+
+// Write one JSON message, and close the write side of the stream.
+async function writeJson (stream, message) {
+  await stream.sink([new TextEncoder().encode(JSON.stringify(message))])
+}
+
+// Read one JSON message, up to the end of the read side of the stream.
+async function readJson (source) {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of source) {
+    const bytes = chunk.subarray()
+    size += bytes.length
+    if (size > MAX_CONTROL_SIZE) throw new Error(`message is larger than ${MAX_CONTROL_SIZE} bytes`)
+    chunks.push(bytes)
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString())
+}
@@ -0,0 +1,126 @@
+/*
+  Identity fixtures.
+
+  A fixture is a named identity for a test peer: a libp2p private key, which
+  gives the peer the same peer ID on every run, and the mnemonic of its
+  wallet. It is kept as JSON in <fixtureDir>/<name>.json:
+    { version, name, peerId, privateKey, mnemonic, createdAt }
+  where privateKey is the base64 protobuf encoding of the key.
+
+  With a fixture, alice keeps her multiaddr across restarts, even with an
+  ephemeral data directory, so that bob does not have to be reconfigured.
+  A fixture is created on first use, and can be copied to another host to
+  give a peer there the same identity.
+
+  A fixture that can not be read is never replaced, since peers on other
+  hosts may be configured with its peer ID. loadOrCreateFixture() throws an
+  Error instead.
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { generateKeyPair, privateKeyFromProtobuf, privateKeyToProtobuf } from '@libp2p/crypto/keys'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+import SlpWallet from 'minimal-slp-wallet'
+
+export const IDENTITY_SOURCES = ['datastore', 'fixture']
+
+// Fixtures are kept at the root of this repository by default, so that every
+// scenario gives a peer the same identity.
+export const DEFAULT_FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.fixtures')
+
+const FIXTURE_VERSION = 1
+
+/*
+  Load the fixture of a peer, or create it if there is none.
+
+  Inputs:
+  - name: name of the fixture, e.g. 'alice'.
+  - dir: directory of the fixtures. Defaults to DEFAULT_FIXTURE_DIR.
+
+  Resolves with { name, file, peerId, privateKey, mnemonic, created }, where
+  privateKey is the libp2p private key.
+*/
+export async function loadOrCreateFixture (inputs = {}) {
+  const {
+    name,
+    dir = DEFAULT_FIXTURE_DIR
+  } = inputs
+
+  if (!name || !/^[a-z0-9_-]+$/i.test(name)) {
+    throw new Error(`Invalid fixture name: ${JSON.stringify(name)}. Use letters, digits, _ and -`)
+  }
+
+  const file = path.join(dir, `${name}.json`)
+  if (fs.existsSync(file)) {
+    const fixture = readFixture(file)
+    console.log(`Loaded identity fixture ${file}, peer ID ${fixture.peerId}`)
+    return { ...fixture, file, created: false }
+  }
+
+  const fixture = await createFixture(name)
+  fs.mkdirSync(dir, { recursive: true })
+  fs.writeFileSync(file, JSON.stringify({
+    version: FIXTURE_VERSION,
+    name,
+    peerId: fixture.peerId,
+    privateKey: Buffer.from(privateKeyToProtobuf(fixture.privateKey)).toString('base64'),
+    mnemonic: fixture.mnemonic,
+    createdAt: new Date().toISOString()
+  }, null, 2), { mode: 0o600 })
+  console.log(`Created identity fixture ${file}, peer ID ${fixture.peerId}`)
+
+  return { ...fixture, file, created: true }
+}
+
+// Generate a new identity.
+async function createFixture (name) {
+  const privateKey = await generateKeyPair('Ed25519')
+
+  const wallet = new SlpWallet()
+  await wallet.walletInfoPromise
+
+  return {
+    name,
+    peerId: peerIdFromPrivateKey(privateKey).toString(),
+    privateKey,
+    mnemonic: wallet.walletInfo.mnemonic
+  }
+}
+
+// Read and check a fixture file.
+function readFixture (file) {
+  const fail = (problem) => {
+    throw new Error(`Identity fixture ${file} can not be used: ${problem}. Restore it, or delete it to create a new identity`)
+  }
+
+  let data
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    fail(`it is not valid JSON: ${err.message}`)
+  }
+  if (!data || data.version !== FIXTURE_VERSION) {
+    fail(`it has version ${data && data.version}, and this version reads ${FIXTURE_VERSION}`)
+  }
+  if (typeof data.mnemonic !== 'string' || data.mnemonic.trim().split(/\s+/).length < 12) {
+    fail('it has no wallet mnemonic')
+  }
+
+  let privateKey
+  try {
+    privateKey = privateKeyFromProtobuf(Buffer.from(String(data.privateKey), 'base64'))
+  } catch (err) {
+    fail(`its private key can not be decoded: ${err.message}`)
+  }
+
+  // The peer ID is stored for people to read. It must match the key.
+  const peerId = peerIdFromPrivateKey(privateKey).toString()
+  if (data.peerId !== peerId) {
+    fail(`its peer ID ${data.peerId} does not match its private key, which has peer ID ${peerId}`)
+  }
+
+  return { name: data.name, peerId, privateKey, mnemonic: data.mnemonic }
+}
@@ -0,0 +1,42 @@
+/*
+  Phases of the raw gossipsub scenario, 04-gossipsub.
+
+  The scenario is run once per phase, each time with new alice and bob
+  processes, since the signature policy of gossipsub is set when the node is
+  created. Each phase gives the policy of each peer:
+  - signed: both peers sign their messages (StrictSign). Messages carry the
+    peer ID of their author and a sequence number, and are identified by
+    them, so the same payload can be published twice.
+  - unsigned: neither peer signs (StrictNoSign). Messages are anonymous, and
+    identified by the hash of their payload, so a second copy of a payload is
+    dropped as a duplicate.
+  - mismatch: alice requires signatures, and bob does not sign. Alice must
+    drop every message of bob.
+*/
+
+export const GOSSIPSUB_PHASES = {
+  signed: { alice: 'StrictSign', bob: 'StrictSign' },
+  unsigned: { alice: 'StrictNoSign', bob: 'StrictNoSign' },
+  mismatch: { alice: 'StrictSign', bob: 'StrictNoSign' }
+}
+
+// Topics of the scenario. Bob publishes the test payloads on TEST, and alice
+// echoes each one on ECHO. Bob tells alice what he sent on CONTROL. Nobody
+// subscribes to ZERO.
+export const GOSSIPSUB_TOPICS = {
+  TEST: 'helia-tests/gossipsub/test',
+  ECHO: 'helia-tests/gossipsub/echo',
+  CONTROL: 'helia-tests/gossipsub/control',
+  ZERO: 'helia-tests/gossipsub/zero'
+}
+
+// Alice prefixes the payloads she echoes with these bytes. Without them, an
+// unsigned echo would have the ID of the message it echoes, and alice would
+// drop it as a duplicate of a message she has seen.
+export const ECHO_PREFIX = new TextEncoder().encode('echo:')
+
+// Whether the peers of a phase can exchange messages.
+export function deliversMessages (phase) {
+  const { alice, bob } = GOSSIPSUB_PHASES[phase]
+  return alice === bob
+}
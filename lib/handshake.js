@@ -0,0 +1,155 @@
+/*
+  Encryption key exchange between two test peers.
+
+  helia-coord encrypts private messages with the encryptPubKey of the
+  receiver, which it learns from the announcements of that peer over pubsub.
+  Until the announcement arrives, a peer can not reply to a private message.
+  The handshake lets a peer ask a connected peer for its announcement on
+  demand, over the /helia-tests/handshake/1.0.0 protocol. The two peers swap
+  announcements: the requester sends its own, and the responder replies with
+  its own. Each side adds the announcement of the other peer with
+  addPeerData(), which is the only place peer data is added outside of
+  helia-coord.
+
+  Every peer created with createPeer() answers handshakes.
+*/
+
+export const HANDSHAKE_PROTOCOL = '/helia-tests/handshake/1.0.0'
+
+// Announcements are small. Anything larger is not a handshake.
+const MAX_MESSAGE_SIZE = 64 * 1024
+
+const DEFAULT_TIMEOUT = 30000
+
+// Answer handshakes from other peers. Called by createPeer().
+export async function handleHandshakes (peer) {
+  const { libp2p } = peer
+
+  await libp2p.handle(HANDSHAKE_PROTOCOL, async ({ stream, connection }) => {
+    const from = connection.remotePeer.toString()
+
+    try {
+      const request = await readMessage(stream.source)
+      checkAnnouncement(request, from)
+
+      await addPeerData(peer, request)
+      await writeMessage(stream, getAnnouncement(peer))
+
+      console.log(`Handshake with ${from} completed`)
+    } catch (err) {
+      console.error(`Error in handshake from ${from}: `, err.message)
+      stream.abort(err)
+    }
+  })
+}
+
+/*
+  Exchange announcements with a connected peer. Both peers have the peer
+  data of the other one when this resolves.
+
+  Inputs:
+  - peer: the object returned by createPeer().
+  - peerId: the peer ID string of the other peer.
+  - options.timeout: milliseconds to wait for the answer. Defaults to 30 seconds.
+
+  Resolves with the announcement of the other peer.
+*/
+export async function requestHandshake (peer, peerId, options = {}) {
+  const { libp2p } = peer
+  const { timeout = DEFAULT_TIMEOUT } = options
+
+  const connection = libp2p.getConnections().find(x => x.remotePeer.toString() === peerId)
+  if (!connection) {
+    throw new Error(`No connection to ${peerId}, can not exchange encryption keys`)
+  }
+
+  const signal = AbortSignal.timeout(timeout)
+  const stream = await connection.newStream(HANDSHAKE_PROTOCOL, { signal })
+
+  // Reading the answer is not covered by the signal, so the stream is
+  // aborted on timeout.
+  const onAbort = () => stream.abort(new Error(`no answer after ${timeout}ms`))
+  signal.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    await writeMessage(stream, getAnnouncement(peer))
+
+    const response = await readMessage(stream.source)
+    checkAnnouncement(response, peerId)
+
+    await addPeerData(peer, response)
+
+    return response
+  } catch (err) {
+    stream.abort(err)
+    throw new Error(`Handshake with ${peerId} failed: ${err.message}`)
+  } finally {
+    signal.removeEventListener('abort', onAbort)
+  }
+}
+
+/*
+  Add or update the peer data of another peer from its announcement. This
+  goes through the same helia-coord use case as an announcement received
+  over pubsub.
+*/
+export async function addPeerData (peer, announcement) {
+  const { ipfsCoord } = peer
+
+  await ipfsCoord.useCases.peer.addSubnetPeer(announcement)
+}
+
+// Build the announcement of this peer, as { from, data }, the shape of the
+// announcements helia-coord receives over pubsub. The data is built by the
+// announcement schema of helia-coord, like its own announcement timer does,
+// with the current multiaddrs of the node.
+export function getAnnouncement (peer) {
+  const { libp2p, ipfsCoord } = peer
+  const thisNode = ipfsCoord.thisNode
+  const ipfsId = libp2p.peerId.toString()
+  const ipfsMultiaddrs = libp2p.getMultiaddrs().map(x => x.toString())
+
+  const data = thisNode.schema.announcement({
+    ipfsId,
+    ipfsMultiaddrs,
+    type: thisNode.type,
+    isCircuitRelay: false
+  })
+  data.ipfsMultiaddrs = ipfsMultiaddrs
+
+  return { from: ipfsId, data }
+}
+
+// An announcement must come from the peer on the other end of the stream,
+// and hold its encryption key.
+function checkAnnouncement (announcement, peerId) {
+  if (!announcement || typeof announcement !== 'object' || !announcement.data) {
+    throw new Error('handshake message is not an announcement')
+  }
+  if (announcement.from !== peerId) {
+    throw new Error(`announcement is from ${announcement.from}, expected ${peerId}`)
+  }
+  if (!announcement.data.encryptPubKey) {
+    throw new Error('announcement has no encryptPubKey')
+  }
+}
+
+// Write one JSON message, and close the write side of the stream.
+async function writeMessage (stream, message) {
+  await stream.sink([new TextEncoder().encode(JSON.stringify(message))])
+}
+
+// Read one JSON message, up to the end of the read side of the stream.
+async function readMessage (source) {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of source) {
+    const bytes = chunk.subarray()
+    size += bytes.length
+    if (size > MAX_MESSAGE_SIZE) throw new Error(`message is larger than ${MAX_MESSAGE_SIZE} bytes`)
+    chunks.push(bytes)
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString())
+}
@@ -0,0 +1,208 @@
+/*
+  Local network impairment proxy.
+
+  createImpairmentProxy() listens on a local TCP port, and forwards each
+  connection it accepts to a target port, through a simulated network
+  connection described by a profile of lib/network-profiles.js: latency,
+  jitter, a bandwidth cap, stalls and random disconnects. It works at the TCP
+  level, so it can sit in front of a libp2p TCP or websocket listener alike.
+
+  A runner routes a peer through the proxy by making it announce the
+  multiaddr of the proxy instead of its own, e.g. with the --announce option
+  of lib/config.js. Every peer that dials it, including helia-coord when it
+  reconnects, then goes through the proxy.
+*/
+
+// Global npm libraries
+import net from 'net'
+
+// Data is forwarded in chunks of at most this many bytes, so that the
+// bandwidth cap delays large writes evenly.
+const CHUNK_SIZE = 16 * 1024
+
+// The source socket is paused while more than this many bytes wait to be
+// forwarded, and resumed when the queue is below half of it.
+const HIGH_WATER_MARK = 1024 * 1024
+
+/*
+  Start a proxy.
+
+  Options:
+  - target: TCP port on the target host to forward the connections to.
+  - targetHost: defaults to '127.0.0.1'.
+  - profile: the network profile to simulate. See lib/network-profiles.js.
+  - host: address the proxy listens on. Defaults to '127.0.0.1'.
+  - port: port the proxy listens on. Defaults to 0, which picks a free port.
+  - name: used to label the log output. Defaults to 'proxy'.
+
+  Resolves with an object with the port the proxy listens on, its stats and
+  a close() function. The stats count the connections, the bytes forwarded
+  in each direction, the stalls and the random disconnects.
+*/
+export function createImpairmentProxy (options = {}) {
+  const {
+    target,
+    targetHost = '127.0.0.1',
+    profile,
+    host = '127.0.0.1',
+    port = 0,
+    name = 'proxy'
+  } = options
+
+  if (!target) throw new Error('createImpairmentProxy() needs a target port')
+  if (!profile) throw new Error('createImpairmentProxy() needs a network profile')
+
+  const stats = {
+    name,
+    profile: profile.name,
+    connections: 0,
+    bytesToTarget: 0,
+    bytesFromTarget: 0,
+    stalls: 0,
+    disconnects: 0
+  }
+  const sockets = new Set()
+
+  const server = net.createServer((client) => {
+    stats.connections++
+    const upstream = net.connect(target, targetHost)
+    sockets.add(client)
+    sockets.add(upstream)
+
+    // Data written to the upstream before it is connected is buffered by net.
+    const toTarget = createPipe(client, upstream, profile, stats, 'bytesToTarget')
+    const fromTarget = createPipe(upstream, client, profile, stats, 'bytesFromTarget')
+
+    let disconnectTimer = null
+    if (profile.disconnectInterval) {
+      // Exponentially distributed, so that disconnects come at random.
+      const delay = -Math.log(1 - Math.random()) * profile.disconnectInterval
+      disconnectTimer = setTimeout(() => {
+        stats.disconnects++
+        console.log(`[${name}] Random disconnect of a connection to port ${target} after ${Math.round(delay)}ms`)
+        client.destroy()
+        upstream.destroy()
+      }, delay)
+    }
+
+    // When either side closes, close the other one.
+    const cleanup = () => {
+      clearTimeout(disconnectTimer)
+      toTarget.stop()
+      fromTarget.stop()
+      client.destroy()
+      upstream.destroy()
+      sockets.delete(client)
+      sockets.delete(upstream)
+    }
+    client.on('close', cleanup)
+    upstream.on('close', cleanup)
+
+    // Errors show up as a close. They are expected when a peer hangs up.
+    client.on('error', () => {})
+    upstream.on('error', () => {})
+  })
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject)
+    server.listen(port, host, () => {
+      const proxy = {
+        host,
+        port: server.address().port,
+        target,
+        profile,
+        stats,
+
+        // Stop accepting connections, and close the open ones.
+        close: () => new Promise((resolve) => {
+          for (const socket of sockets) socket.destroy()
+          server.close(() => resolve())
+        })
+      }
+
+      console.log(`[${name}] Forwarding port ${proxy.port} to port ${target} with network profile ${profile.name}`)
+      resolve(proxy)
+    })
+  })
+}
+
+/*
+  Forward the data from one socket to another, in one direction, with the
+  impairments of the profile. Each chunk is given the time it is delivered
+  at: it waits for the link to be free, for a stall to end, for the time
+  the bandwidth cap needs to send it, and for the latency and jitter. A
+  chunk is never delivered before the one sent ahead of it.
+*/
+function createPipe (source, dest, profile, stats, counter) {
+  const queue = []
+  let queuedBytes = 0
+  let linkFreeAt = 0
+  let lastDeliverAt = 0
+  let ended = false
+  let waitingForDrain = false
+  let timer = null
+
+  const schedule = () => {
+    if (timer || waitingForDrain || !queue.length) return
+    timer = setTimeout(flush, Math.max(queue[0].deliverAt - Date.now(), 0))
+  }
+
+  const flush = () => {
+    timer = null
+    const now = Date.now()
+
+    while (queue.length && queue[0].deliverAt <= now) {
+      const { chunk } = queue.shift()
+      queuedBytes -= chunk.length
+      stats[counter] += chunk.length
+
+      if (!dest.write(chunk)) {
+        waitingForDrain = true
+        dest.once('drain', () => {
+          waitingForDrain = false
+          flush()
+        })
+        break
+      }
+    }
+
+    if (source.isPaused() && queuedBytes < HIGH_WATER_MARK / 2) source.resume()
+    if (ended && !queue.length) dest.end()
+    schedule()
+  }
+
+  source.on('data', (data) => {
+    for (let i = 0; i < data.length; i += CHUNK_SIZE) {
+      const chunk = data.subarray(i, i + CHUNK_SIZE)
+
+      let sendAt = Math.max(Date.now(), linkFreeAt)
+      if (profile.stallRate && Math.random() < profile.stallRate) {
+        stats.stalls++
+        sendAt += profile.stallDuration
+      }
+      linkFreeAt = sendAt + (profile.bandwidth ? chunk.length * 1000 / profile.bandwidth : 0)
+
+      const deliverAt = Math.max(linkFreeAt + profile.latency + Math.random() * profile.jitter, lastDeliverAt)
+      lastDeliverAt = deliverAt
+
+      queue.push({ chunk, deliverAt })
+      queuedBytes += chunk.length
+    }
+
+    if (queuedBytes > HIGH_WATER_MARK) source.pause()
+    schedule()
+  })
+
+  // Half-close the other side once the queued data is delivered.
+  source.on('end', () => {
+    ended = true
+    if (!queue.length) dest.end()
+  })
+
+  return {
+    stop: () => {
+      clearTimeout(timer)
+      queue.length = 0
+    }
+  }
+}
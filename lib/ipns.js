@@ -0,0 +1,100 @@
+/*
+  IPNS over pubsub, for the 08-ipns scenario.
+
+  An IPNS name is the public key of a peer. The peer signs records that point
+  the name to a CID, each with a sequence number one higher than the last,
+  and an expiry date (the validity). createIpns() gives a peer the IPNS API
+  of @helia/ipns with the pubsub router: a record is published on a gossipsub
+  topic named after the key, and a peer that resolves the name subscribes to
+  that topic, and keeps the best record it receives, the one with the highest
+  sequence number, in its datastore. The first resolve of a name only
+  subscribes, and finds nothing.
+
+  The peers of the scenario tell each other what they published and resolved
+  on a control topic, with the inbox of createControlInbox().
+*/
+
+// Global npm libraries
+import { ipns } from '@helia/ipns'
+import { pubsub } from '@helia/ipns/routing'
+
+// Local libraries
+import { waitUntil } from './waiters.js'
+
+export const IPNS_CONTROL_TOPIC = 'helia-tests/ipns/control/1.0.0'
+
+// Create the IPNS API of a Helia node, with the pubsub router.
+export function createIpns (ipfs) {
+  return ipns(ipfs, {
+    routers: [
+      pubsub(ipfs)
+    ]
+  })
+}
+
+// The gossipsub topic the records of a peer are published on: /record/,
+// then the routing key of the name, /ipns/ and the multihash of the key, in
+// base64url.
+export function getIpnsTopic (peerId) {
+  const routingKey = Buffer.concat([
+    Buffer.from('/ipns/'),
+    peerId.toMultihash().bytes
+  ])
+  return `/record/${routingKey.toString('base64url')}`
+}
+
+// The fields of an IPNS record a test checks, as JSON: the sequence number
+// is a BigInt, and the TTL is in nanoseconds.
+export function describeRecord (record) {
+  return {
+    value: record.value,
+    sequence: record.sequence.toString(),
+    validity: record.validity,
+    ttlMs: record.ttl === undefined ? null : Number(record.ttl / 1000000n)
+  }
+}
+
+/*
+  Send and receive the JSON messages of the control topic. The peer must be
+  subscribed to IPNS_CONTROL_TOPIC.
+
+  Returns { messages, send(data), wait(step, filterFn, options) }:
+  - messages: every control message received, as { from, data }. They are
+    kept from the start, so that wait() finds a message that arrived before
+    it was called.
+  - send(data): publish a message.
+  - wait(step, filterFn, options): resolve with the first message whose
+    data passes the filter function. options are those of
+    waitUntil() in lib/waiters.js.
+*/
+export function createControlInbox (pubsubService) {
+  const messages = []
+
+  pubsubService.addEventListener('message', (evt) => {
+    if (evt.detail.topic !== IPNS_CONTROL_TOPIC) return
+
+    try {
+      const data = JSON.parse(new TextDecoder().decode(evt.detail.data))
+      messages.push({ from: evt.detail.from ? evt.detail.from.toString() : null, data })
+    } catch (err) {
+      console.error('Error parsing IPNS control message: ', err.message)
+    }
+  })
+
+  const send = (data) => {
+    return pubsubService.publish(IPNS_CONTROL_TOPIC, new TextEncoder().encode(JSON.stringify(data)))
+  }
+
+  const wait = (step, filterFn, options = {}) => {
+    return waitUntil({
+      step,
+      ...options,
+      check: () => messages.find(x => filterFn(x.data)),
+      events: [
+        { target: pubsubService, type: 'message' }
+      ]
+    })
+  }
+
+  return { messages, send, wait }
+}
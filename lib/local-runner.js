@@ -0,0 +1,250 @@
+/*
+  Helpers for running the peers of a scenario on a single machine.
+
+  The run-local.js script of each scenario forks its peers as child processes
+  with spawnPeer(). A peer hands its multiaddrs to the runner over the IPC
+  channel with sendMultiaddrs(), and the runner picks them up with
+  waitForMultiaddr().
+
+  Runners that drive a scenario step by step, like the fault injection of
+  03-fault-injection, exchange other messages over the same channel: the
+  runner waits for them with waitForPeerMessage(), and a peer receives the
+  commands of the runner with createRunnerChannel().
+
+  The peers write their test reports to the reports/ directory at the root
+  of this repository, or to REPORT_DIR if it is set, so that the runner can
+  merge them. The last lines of the output of each peer are kept, and
+  written next to the reports with writePeerLogs() when the test fails.
+*/
+
+// Global npm libraries
+import { fork } from 'child_process'
+import { EventEmitter } from 'events'
+import path from 'path'
+import fs from 'fs'
+import net from 'net'
+import readline from 'readline'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import { usesTransport } from './transports.js'
+import { RUN_ID } from './report.js'
+
+// Directory the peers write their test reports to. It is made absolute,
+// since each peer runs from its own directory.
+export const REPORT_DIR = path.resolve(process.env.REPORT_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'reports'))
+
+// Number of output lines kept for each peer.
+const LOG_LINES = Number(process.env.LOG_LINES) || 200
+
+// Fork a peer script from its own directory, so that it uses its own
+// .ipfsdata directory. The script is expected at <scenarioDir>/<name>/<name>.js.
+// Each line of its output is prefixed with the name of the peer. The peer
+// gets the run ID of the runner, which it records in its test report.
+// With the netns option, the peer runs in that Linux network namespace, see
+// lib/netns.js. `ip netns exec` keeps the IPC channel and the process ID.
+export function spawnPeer (scenarioDir, name, env = {}, options = {}) {
+  const { netns } = options
+  const cwd = path.join(scenarioDir, name)
+
+  const forkOptions = {
+    cwd,
+    env: { ...process.env, REPORT_DIR, RUN_ID, ...env },
+    silent: true
+  }
+  if (netns) {
+    forkOptions.execPath = 'ip'
+    forkOptions.execArgv = ['netns', 'exec', netns, process.execPath]
+  }
+
+  const child = fork(path.join(cwd, `${name}.js`), [], forkOptions)
+
+  child.logLines = []
+  prefixLines(child.stdout, process.stdout, name, child.logLines)
+  prefixLines(child.stderr, process.stderr, name, child.logLines)
+
+  return child
+}
+
+// Copy a stream to the console, one line at a time, with a name prefix.
+// The last lines are kept in logLines.
+function prefixLines (input, output, name, logLines) {
+  const rl = readline.createInterface({ input })
+  rl.on('line', (line) => {
+    output.write(`[${name}] ${line}\n`)
+
+    logLines.push(line)
+    if (logLines.length > LOG_LINES) logLines.shift()
+  })
+}
+
+// Write the last lines of the output of each peer to
+// <REPORT_DIR>/<scenario>/<name>.log, next to the diagnostics the peers
+// write when a step fails. peers is an array of { name, child }.
+export function writePeerLogs (scenario, peers) {
+  try {
+    const dir = path.join(REPORT_DIR, scenario)
+    fs.mkdirSync(dir, { recursive: true })
+
+    for (const { name, child } of peers) {
+      fs.writeFileSync(path.join(dir, `${name}.log`), child.logLines.join('\n') + '\n')
+    }
+    console.log(`Peer logs written to ${dir}`)
+  } catch (err) {
+    console.error('Error writing peer logs: ', err)
+  }
+}
+
+// Called by a peer. If this process was spawned by a runner, hand the
+// multiaddrs to it over the IPC channel, so that it can pass them on to the
+// other peers. Does nothing when the peer was started by hand.
+export function sendMultiaddrs (multiaddrs) {
+  if (!process.send) return
+
+  process.send({
+    type: 'multiaddrs',
+    multiaddrs: multiaddrs.map(x => x.toString())
+  })
+}
+
+// Wait for a peer to report its multiaddrs, and pick the first one that
+// passes the filter function.
+export function waitForMultiaddr (child, name, filterFn, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup()
+      reject(new Error(`Timeout waiting for ${name} multiaddr after ${timeoutMs}ms`))
+    }, timeoutMs)
+
+    const onMessage = (msg) => {
+      if (!msg || msg.type !== 'multiaddrs') return
+
+      const found = msg.multiaddrs.find(filterFn)
+      cleanup()
+
+      if (!found) {
+        reject(new Error(`${name} did not report a usable multiaddr: ${msg.multiaddrs}`))
+        return
+      }
+
+      resolve(found)
+    }
+
+    const onExit = (code) => {
+      cleanup()
+      reject(new Error(`${name} exited with code ${code} before reporting a multiaddr`))
+    }
+
+    const cleanup = () => {
+      clearTimeout(timer)
+      child.off('message', onMessage)
+      child.off('exit', onExit)
+    }
+
+    child.on('message', onMessage)
+    child.on('exit', onExit)
+  })
+}
+
+// Wait for a peer to send an IPC message that passes the filter function,
+// and resolve with the message.
+export function waitForPeerMessage (child, name, filterFn, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup()
+      reject(new Error(`Timeout waiting for a message from ${name} after ${timeoutMs}ms`))
+    }, timeoutMs)
+
+    const onMessage = (msg) => {
+      if (!msg || !filterFn(msg)) return
+
+      cleanup()
+      resolve(msg)
+    }
+
+    const onExit = (code) => {
+      cleanup()
+      reject(new Error(`${name} exited with code ${code} while the runner waited for a message`))
+    }
+
+    const cleanup = () => {
+      clearTimeout(timer)
+      child.off('message', onMessage)
+      child.off('exit', onExit)
+    }
+
+    child.on('message', onMessage)
+    child.on('exit', onExit)
+  })
+}
+
+/*
+  Called by a peer. Receive the commands of the runner over the IPC channel.
+  Returns an EventEmitter that emits each command as a 'message' event, and
+  keeps them in its history, so that a command sent before the peer started
+  to wait for it is not lost. send(msg) sends a message to the runner. When
+  the peer was started by hand, no command ever arrives, and send() does
+  nothing.
+*/
+export function createRunnerChannel () {
+  const channel = new EventEmitter()
+  channel.history = []
+
+  if (process.send) {
+    process.on('message', (msg) => {
+      channel.history.push(msg)
+      channel.emit('message', msg)
+    })
+  }
+
+  channel.send = (msg) => {
+    if (process.send) process.send(msg)
+  }
+
+  return channel
+}
+
+// Find a free TCP port on the loopback interface. Used for peers that must
+// listen on the same port when they are restarted.
+export function getFreePort () {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.unref()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+// Resolve with the exit code of a child process. A process killed by a
+// signal is reported as exit code 1. A process that already exited, by
+// itself or by a signal, resolves at once, since its 'exit' event has fired.
+export function waitForExit (child) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null) return resolve(child.exitCode)
+    if (child.signalCode !== null) return resolve(1)
+
+    child.on('exit', (code) => resolve(code === null ? 1 : code))
+  })
+}
+
+// Filter functions for waitForMultiaddr()
+export function isLoopbackTcp (ma) {
+  return isTcpOn('127.0.0.1')(ma)
+}
+
+// Returns a filter for the plain TCP multiaddrs of an IPv4 address, e.g. the
+// address of a peer in a network namespace.
+export function isTcpOn (address) {
+  return (ma) => ma.startsWith(`/ip4/${address}/tcp/`) && !ma.includes('/ws') && !ma.includes('/p2p-circuit')
+}
+
+// Returns a filter for the multiaddrs of an IPv4 address that use one of the
+// transports of lib/transports.js, e.g. the secure websocket address of
+// alice on loopback.
+export function isTransportOn (address, transport) {
+  return (ma) => ma.startsWith(`/ip4/${address}/tcp/`) && usesTransport(ma, transport)
+}
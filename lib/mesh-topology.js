@@ -0,0 +1,96 @@
+/*
+  Topologies of the mesh scenario, 05-mesh.
+
+  buildTopology() returns the connections to make between N peers, numbered
+  from 0, as [a, b] pairs with a < b. Peer a dials peer b. Every topology is
+  connected, so a message published by any peer can reach all the others:
+  - star: peer 0 is connected to every other peer.
+  - ring: each peer is connected to the next one, and the last one to the
+    first one.
+  - random: a random tree, so that the graph is connected, plus random
+    connections until peers have the given degree on average. The random
+    numbers come from a seed, so that a topology can be built again.
+*/
+
+export const TOPOLOGIES = ['star', 'ring', 'random']
+
+/*
+  Inputs:
+  - type: one of TOPOLOGIES.
+  - count: the number of peers, at least 2.
+  - degree: the average number of connections of a peer, for the random
+    topology. Defaults to 3.
+  - seed: the seed of the random topology. Defaults to 1.
+*/
+export function buildTopology (inputs = {}) {
+  const {
+    type,
+    count,
+    degree = 3,
+    seed = 1
+  } = inputs
+
+  if (!Number.isInteger(count) || count < 2) {
+    throw new Error(`A topology needs at least 2 peers, got ${count}`)
+  }
+
+  const edges = new Set()
+  const add = (a, b) => edges.add(a < b ? `${a},${b}` : `${b},${a}`)
+
+  switch (type) {
+    case 'star':
+      for (let i = 1; i < count; i++) add(0, i)
+      break
+
+    case 'ring':
+      for (let i = 0; i < count; i++) {
+        if (count > 2 || i === 0) add(i, (i + 1) % count)
+      }
+      break
+
+    case 'random': {
+      const random = createRandom(seed)
+      for (let i = 1; i < count; i++) add(i, Math.floor(random() * i))
+
+      // A complete graph has count * (count - 1) / 2 connections.
+      const target = Math.min(Math.round(count * degree / 2), count * (count - 1) / 2)
+      while (edges.size < target) {
+        const a = Math.floor(random() * count)
+        const b = Math.floor(random() * count)
+        if (a !== b) add(a, b)
+      }
+      break
+    }
+
+    default:
+      throw new Error(`Unknown topology: ${type}. Known topologies: ${TOPOLOGIES.join(', ')}`)
+  }
+
+  return [...edges]
+    .map(x => x.split(',').map(Number))
+    .sort((x, y) => x[0] - y[0] || x[1] - y[1])
+}
+
+// The neighbors of each peer in a topology, as an array of arrays of peer
+// numbers.
+export function getNeighbors (edges, count) {
+  const neighbors = Array.from({ length: count }, () => [])
+  for (const [a, b] of edges) {
+    neighbors[a].push(b)
+    neighbors[b].push(a)
+  }
+  return neighbors
+}
+
+// A small seeded pseudo-random number generator (mulberry32). Returns a
+// function that returns numbers from 0 to 1, like Math.random().
+export function createRandom (seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -0,0 +1,233 @@
+/*
+  Linux network namespaces that reproduce the topology of the scenarios on a
+  single machine: alice has a public IPv4 address, and bob and sam are each
+  behind their own home router, which does NAT and drops the connections
+  that are not replies.
+
+                       ht-inet: the internet
+              bridge br0, 203.0.113.1, STUN server
+           /                 |                    \
+     ht-alice           ht-nat-bob             ht-nat-sam
+   203.0.113.10      wan 203.0.113.20       wan 203.0.113.30
+                     lan 192.168.1.1        lan 192.168.2.1
+                             |                     |
+                          ht-bob                ht-sam
+                       192.168.1.10          192.168.2.10
+
+  203.0.113.0/24 is a documentation range, not a private one, so libp2p and
+  helia-coord treat it as public. The namespaces are linked with veth pairs,
+  and the NAT and firewall are iptables rules in the router namespaces.
+
+  The NAT type is one of:
+  - cone: the router keeps the source port of a connection, whatever its
+    destination, so a peer that learned its public address from the STUN
+    server can be reached at it by a hole punch.
+  - symmetric: the router picks a random source port for each destination,
+    so the public address learned from the STUN server is of no use to
+    other peers, and hole punching fails.
+
+  createTopology() must run as root, with the ip and iptables commands
+  installed. The runner of a scenario starts each peer in its namespace with
+  the netns option of spawnPeer() in lib/local-runner.js.
+*/
+
+// Global npm libraries
+import { execFileSync, spawn } from 'child_process'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Every namespace is named with this prefix, so that the ones left behind by
+// a runner that was killed can be found and deleted.
+const PREFIX = 'ht-'
+
+export const NAT_TYPES = ['cone', 'symmetric']
+
+// Address of the STUN server on the internet segment.
+const STUN_HOST = '203.0.113.1'
+const STUN_PORT = 3478
+
+// The namespace and address of each peer. Bob and sam are behind a router.
+export const NETNS_PEERS = {
+  alice: { namespace: 'ht-alice', address: '203.0.113.10' },
+  bob: {
+    namespace: 'ht-bob',
+    address: '192.168.1.10',
+    router: { namespace: 'ht-nat-bob', wanAddress: '203.0.113.20', lanAddress: '192.168.1.1' }
+  },
+  sam: {
+    namespace: 'ht-sam',
+    address: '192.168.2.10',
+    router: { namespace: 'ht-nat-sam', wanAddress: '203.0.113.30', lanAddress: '192.168.2.1' }
+  }
+}
+
+const INTERNET = 'ht-inet'
+
+/*
+  Build the namespaces, and start the STUN server on the internet segment.
+
+  Options:
+  - nat: the NAT type of the routers of bob and sam, one of NAT_TYPES.
+    Defaults to 'cone'.
+
+  Namespaces left behind by an earlier run are deleted first. Returns an
+  object with the peers of NETNS_PEERS, the URL of the STUN server, and a
+  destroy() function that stops the STUN server and deletes the namespaces.
+*/
+export function createTopology (options = {}) {
+  const { nat = 'cone' } = options
+
+  if (!NAT_TYPES.includes(nat)) {
+    throw new Error(`Unknown NAT type: ${nat}. Known NAT types: ${NAT_TYPES.join(', ')}`)
+  }
+  checkPrerequisites()
+  destroyTopology()
+
+  console.log(`Creating network namespaces, with bob and sam behind ${nat} NATs...`)
+  let stunServer = null
+  try {
+    // The internet: a bridge that links alice and the routers.
+    addNamespace(INTERNET)
+    netnsExec(INTERNET, 'ip', ['link', 'add', 'br0', 'type', 'bridge'])
+    netnsExec(INTERNET, 'ip', ['addr', 'add', `${STUN_HOST}/24`, 'dev', 'br0'])
+    netnsExec(INTERNET, 'ip', ['link', 'set', 'br0', 'up'])
+
+    // Alice is on the internet.
+    const alice = NETNS_PEERS.alice
+    addNamespace(alice.namespace)
+    addLink(alice.namespace, 'eth0', INTERNET, 'alice')
+    netnsExec(INTERNET, 'ip', ['link', 'set', 'alice', 'master', 'br0'])
+    setAddress(alice.namespace, 'eth0', `${alice.address}/24`)
+
+    // Bob and sam are behind their own router.
+    for (const name of ['bob', 'sam']) {
+      const { namespace, address, router } = NETNS_PEERS[name]
+
+      addNamespace(router.namespace)
+      addLink(router.namespace, 'wan', INTERNET, name)
+      netnsExec(INTERNET, 'ip', ['link', 'set', name, 'master', 'br0'])
+      setAddress(router.namespace, 'wan', `${router.wanAddress}/24`)
+
+      addNamespace(namespace)
+      addLink(namespace, 'eth0', router.namespace, 'lan')
+      setAddress(router.namespace, 'lan', `${router.lanAddress}/24`)
+      setAddress(namespace, 'eth0', `${address}/24`)
+      netnsExec(namespace, 'ip', ['route', 'add', 'default', 'via', router.lanAddress])
+
+      addNat(router.namespace, nat)
+    }
+
+    stunServer = startStunServer()
+  } catch (err) {
+    destroyTopology()
+    throw err
+  }
+
+  return {
+    nat,
+    peers: NETNS_PEERS,
+    stunServer: `stun:${STUN_HOST}:${STUN_PORT}`,
+    destroy: () => {
+      if (stunServer) stunServer.kill()
+      destroyTopology()
+    }
+  }
+}
+
+// Delete every namespace with the prefix. Deleting a namespace deletes its
+// end of the veth pairs, and the other end with it.
+export function destroyTopology () {
+  let namespaces = []
+  try {
+    namespaces = execFileSync('ip', ['netns', 'list'], { encoding: 'utf8' })
+      .split('\n')
+      .map(x => x.split(' ')[0])
+      .filter(x => x.startsWith(PREFIX))
+  } catch (err) {
+    console.error('Error listing network namespaces: ', err.message)
+    return
+  }
+
+  for (const namespace of namespaces) {
+    try {
+      execFileSync('ip', ['netns', 'del', namespace])
+    } catch (err) {
+      console.error(`Error deleting network namespace ${namespace}: `, err.message)
+    }
+  }
+}
+
+// Check that we can create namespaces and NAT rules, and explain what is
+// missing.
+function checkPrerequisites () {
+  if (process.platform !== 'linux') {
+    throw new Error('Network namespaces are only available on Linux')
+  }
+  if (process.getuid() !== 0) {
+    throw new Error('Network namespaces can only be created as root. Run the runner with sudo')
+  }
+  for (const [command, version] of [['ip', '-V'], ['iptables', '--version']]) {
+    try {
+      execFileSync(command, [version], { stdio: 'ignore' })
+    } catch {
+      throw new Error(`The ${command} command is needed to create the network namespaces. Install iproute2 and iptables`)
+    }
+  }
+}
+
+function addNamespace (namespace) {
+  execFileSync('ip', ['netns', 'add', namespace])
+  netnsExec(namespace, 'ip', ['link', 'set', 'lo', 'up'])
+}
+
+// Link two namespaces with a veth pair, and bring both ends up.
+function addLink (namespace, name, peerNamespace, peerName) {
+  execFileSync('ip', [
+    'link', 'add', name, 'netns', namespace,
+    'type', 'veth', 'peer', 'name', peerName, 'netns', peerNamespace
+  ])
+  netnsExec(namespace, 'ip', ['link', 'set', name, 'up'])
+  netnsExec(peerNamespace, 'ip', ['link', 'set', peerName, 'up'])
+}
+
+function setAddress (namespace, device, address) {
+  netnsExec(namespace, 'ip', ['addr', 'add', address, 'dev', device])
+}
+
+// Turn a router namespace into a home router: forward the traffic of the
+// lan to the wan with NAT, and only let replies in.
+function addNat (namespace, nat) {
+  netnsExec(namespace, 'sysctl', ['-q', '-w', 'net.ipv4.ip_forward=1'])
+
+  const masquerade = ['-t', 'nat', '-A', 'POSTROUTING', '-o', 'wan', '-j', 'MASQUERADE']
+  if (nat === 'symmetric') masquerade.push('--random-fully')
+  netnsExec(namespace, 'iptables', masquerade)
+
+  netnsExec(namespace, 'iptables', ['-P', 'FORWARD', 'DROP'])
+  netnsExec(namespace, 'iptables', ['-A', 'FORWARD', '-i', 'lan', '-o', 'wan', '-j', 'ACCEPT'])
+  netnsExec(namespace, 'iptables', [
+    '-A', 'FORWARD', '-i', 'wan', '-o', 'lan',
+    '-m', 'conntrack', '--ctstate', 'ESTABLISHED,RELATED', '-j', 'ACCEPT'
+  ])
+}
+
+// Start the STUN server of lib/stun-server.js on the internet segment.
+function startStunServer () {
+  const script = path.join(path.dirname(fileURLToPath(import.meta.url)), 'stun-server.js')
+  const child = spawn('ip', [
+    'netns', 'exec', INTERNET, process.execPath, script, STUN_HOST, String(STUN_PORT)
+  ], { stdio: ['ignore', 'inherit', 'inherit'] })
+
+  child.on('error', (err) => console.error('Error starting the STUN server: ', err.message))
+  return child
+}
+
+// Run a command in a namespace.
+function netnsExec (namespace, command, args) {
+  try {
+    execFileSync('ip', ['netns', 'exec', namespace, command, ...args], { stdio: ['ignore', 'ignore', 'pipe'] })
+  } catch (err) {
+    const stderr = err.stderr ? err.stderr.toString().trim() : err.message
+    throw new Error(`${command} ${args.join(' ')} failed in ${namespace}: ${stderr}`)
+  }
+}
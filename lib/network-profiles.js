@@ -0,0 +1,78 @@
+/*
+  Named network profiles for the impairment proxy in lib/impairment-proxy.js.
+
+  A local run goes over a perfect loopback interface, so it never shows how
+  noise, yamux and gossipsub behave on a bad home connection. A profile
+  describes the connection the proxy simulates between two peers:
+  - latency: one-way delay in milliseconds, added in each direction.
+  - jitter: random delay in milliseconds, from 0 to this value, added to the
+    latency of each chunk of data. Data is never reordered, as on a real TCP
+    connection.
+  - bandwidth: bytes per second in each direction. 0 means no limit.
+  - stallRate: probability, from 0 to 1, that a chunk of data stalls the
+    direction it is sent in. TCP does not lose packets, it retransmits them,
+    so packet loss shows up as a stall of the stream.
+  - stallDuration: milliseconds a stall lasts.
+  - disconnectInterval: mean milliseconds between random disconnects of each
+    proxied connection. 0 means the connections are never closed.
+*/
+
+export const NETWORK_PROFILES = {
+  // No impairment. Checks that the proxy itself does not break anything.
+  perfect: {
+    description: 'no impairment, only the proxy',
+    latency: 0,
+    jitter: 0,
+    bandwidth: 0,
+    stallRate: 0,
+    stallDuration: 0,
+    disconnectInterval: 0
+  },
+  dsl: {
+    description: 'home DSL line: 20ms latency, 8 Mbit/s',
+    latency: 20,
+    jitter: 5,
+    bandwidth: 1000000,
+    stallRate: 0,
+    stallDuration: 0,
+    disconnectInterval: 0
+  },
+  wifi: {
+    description: 'congested home wifi: 40ms latency with 40ms jitter, 2 Mbit/s, short stalls',
+    latency: 40,
+    jitter: 40,
+    bandwidth: 250000,
+    stallRate: 0.01,
+    stallDuration: 500,
+    disconnectInterval: 0
+  },
+  mobile: {
+    description: 'mobile 3G: 150ms latency, 400 kbit/s, long stalls',
+    latency: 150,
+    jitter: 50,
+    bandwidth: 50000,
+    stallRate: 0.02,
+    stallDuration: 2000,
+    disconnectInterval: 0
+  },
+  flaky: {
+    description: 'flaky connection: 60ms latency, 2 Mbit/s, long stalls, a disconnect every 2 minutes on average',
+    latency: 60,
+    jitter: 30,
+    bandwidth: 250000,
+    stallRate: 0.05,
+    stallDuration: 3000,
+    disconnectInterval: 60000 * 2
+  }
+}
+
+// Get a profile by name. Throws an Error listing the known profiles when the
+// name is unknown.
+export function getNetworkProfile (name) {
+  const profile = NETWORK_PROFILES[name]
+  if (!profile) {
+    throw new Error(`Unknown network profile: ${name}. Known profiles: ${Object.keys(NETWORK_PROFILES).join(', ')}`)
+  }
+
+  return { name, ...profile }
+}
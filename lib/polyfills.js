@@ -0,0 +1,16 @@
+/*
+  Polyfills needed by the libp2p stack on older versions of node.js.
+  This module is imported by create-peer.js before anything else.
+*/
+
+// Polyfill for Promise.withResolvers (Node.js v22+ feature, needed for Node.js v20)
+if (!Promise.withResolvers) {
+  Promise.withResolvers = function () {
+    let resolve, reject
+    const promise = new Promise((res, rej) => {
+      resolve = res
+      reject = rej
+    })
+    return { promise, resolve, reject }
+  }
+}
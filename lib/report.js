@@ -0,0 +1,353 @@
+/*
+  Machine-readable test reports.
+
+  Each peer records the steps of its test workflow in a report: when each
+  step started and ended, how long it took, and whether it passed or failed.
+  At the end of the run the report is written as JSON and as JUnit XML, next
+  to the exact versions of helia, libp2p, helia-coord, gossipsub and Node.js
+  that the peer ran against. run-local.js merges the reports of the peers of a
+  scenario into a single report with mergeReports().
+
+  Reports are written to <reportDir>/<scenario>/<peer>.json and .xml, and
+  the merged reports to <reportDir>/<scenario>.json and .xml.
+
+  Each report holds the ID of the run it belongs to. The runner hands its
+  RUN_ID to the peers it spawns, so that mergeReports() can tell the report
+  of a peer from the one a previous run left behind.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Packages whose installed version is recorded in each report.
+const VERSIONED_PACKAGES = ['helia', 'libp2p', 'helia-coord', '@chainsafe/libp2p-gossipsub']
+
+// ID of this run. A peer spawned by a runner gets the one of the runner in
+// the RUN_ID environment variable. See spawnPeer() in lib/local-runner.js.
+export const RUN_ID = process.env.RUN_ID || crypto.randomUUID()
+
+/*
+  Create the report for one peer.
+
+  Inputs:
+  - scenario: name of the scenario, e.g. '01-ip4-peer-connect'.
+  - peer: name of the peer, e.g. 'bob'.
+  - reportDir: directory the report files are written to.
+
+  Steps are recorded in order. step(name) ends the running step as passed
+  and starts the next one. fail(err) ends the running step as failed.
+  finish() ends the running step, and writes the report files.
+*/
+export function createReport (inputs = {}) {
+  const {
+    scenario,
+    peer,
+    reportDir = './reports'
+  } = inputs
+
+  const data = {
+    scenario,
+    peer,
+    peerId: null,
+    runId: RUN_ID,
+    outcome: null,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    durationMs: null,
+    error: null,
+    versions: getVersions(),
+    steps: []
+  }
+
+  let current = null
+
+  const endStep = (outcome, err) => {
+    if (!current) return
+
+    const endTime = Date.now()
+    current.endedAt = new Date(endTime).toISOString()
+    current.durationMs = endTime - current.startTime
+    current.outcome = outcome
+    if (err) current.error = describeError(err)
+    delete current.startTime
+
+    current = null
+  }
+
+  const report = {
+    data,
+
+    // Record the peer ID once the node is created.
+    setPeerId (peerId) {
+      data.peerId = peerId.toString()
+    },
+
+    // End the running step as passed, and start a new one.
+    step (name) {
+      endStep('passed')
+
+      const startTime = Date.now()
+      current = {
+        name,
+        startedAt: new Date(startTime).toISOString(),
+        endedAt: null,
+        durationMs: null,
+        outcome: null,
+        error: null,
+        startTime
+      }
+      data.steps.push(current)
+    },
+
+    // End the running step as failed. The error is recorded on the step and
+    // on the report. If no step is running, a step is added for the error.
+    fail (err) {
+      if (!current) report.step('error')
+      endStep('failed', err)
+
+      data.outcome = 'failed'
+      data.error = describeError(err)
+    },
+
+    // End the running step, and write the report as JSON and JUnit XML.
+    // Returns the report data.
+    finish () {
+      endStep('passed')
+
+      const endTime = Date.now()
+      data.endedAt = new Date(endTime).toISOString()
+      data.durationMs = endTime - Date.parse(data.startedAt)
+      if (!data.outcome) data.outcome = 'passed'
+
+      try {
+        const dir = path.join(reportDir, scenario)
+        fs.mkdirSync(dir, { recursive: true })
+
+        const jsonFile = path.join(dir, `${peer}.json`)
+        const xmlFile = path.join(dir, `${peer}.xml`)
+        fs.writeFileSync(jsonFile, JSON.stringify(data, null, 2))
+        fs.writeFileSync(xmlFile, toJUnit([data]))
+        console.log(`Test report written to ${jsonFile} and ${xmlFile}`)
+      } catch (err) {
+        // A report that can not be written must not change the test result.
+        console.error('Error writing test report: ', err)
+      }
+
+      return data
+    }
+  }
+
+  return report
+}
+
+/*
+  Merge the reports of the peers of a scenario into <reportDir>/<scenario>.json
+  and .xml. Called by run-local.js once every peer has exited.
+
+  Inputs:
+  - scenario: name of the scenario.
+  - peers: array of { name, code } with the name and exit code of each peer.
+  - reportDir: directory the peers wrote their reports to.
+  - data: optional data recorded by the runner, e.g. the stats of the
+    impairment proxy. It is added to the merged report as is.
+
+  A peer that exited without writing a report, e.g. because it was killed,
+  is reported as failed. So is a peer whose report has another run ID: it
+  was left behind by a previous run. Returns the merged report.
+*/
+export function mergeReports (inputs = {}) {
+  const {
+    scenario,
+    peers = [],
+    reportDir = './reports',
+    data
+  } = inputs
+
+  const peerReports = peers.map(({ name, code }) => {
+    const jsonFile = path.join(reportDir, scenario, `${name}.json`)
+
+    let data = null
+    try {
+      data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'))
+      if (data.runId !== RUN_ID) throw new Error(`${jsonFile} is from another run`)
+    } catch {
+      data = {
+        scenario,
+        peer: name,
+        peerId: null,
+        runId: RUN_ID,
+        outcome: 'failed',
+        startedAt: null,
+        endedAt: null,
+        durationMs: null,
+        error: { message: `${name} exited with code ${code} without writing a report` },
+        versions: getVersions(),
+        steps: []
+      }
+    }
+
+    // A non-zero exit code fails the peer, whatever its report says.
+    if (code !== 0 && data.outcome === 'passed') {
+      data.outcome = 'failed'
+      data.error = { message: `${name} exited with code ${code}` }
+    }
+
+    return data
+  })
+
+  const merged = {
+    scenario,
+    outcome: peerReports.every(x => x.outcome === 'passed') ? 'passed' : 'failed',
+    endedAt: new Date().toISOString(),
+    versions: getVersions(),
+    peers: peerReports
+  }
+  if (data) merged.data = data
+
+  try {
+    fs.mkdirSync(reportDir, { recursive: true })
+
+    const jsonFile = path.join(reportDir, `${scenario}.json`)
+    const xmlFile = path.join(reportDir, `${scenario}.xml`)
+    fs.writeFileSync(jsonFile, JSON.stringify(merged, null, 2))
+    fs.writeFileSync(xmlFile, toJUnit(peerReports))
+    console.log(`Scenario report written to ${jsonFile} and ${xmlFile}`)
+  } catch (err) {
+    console.error('Error writing scenario report: ', err)
+  }
+
+  return merged
+}
+
+// Get the installed versions of helia, libp2p, helia-coord and gossipsub,
+// and of Node.js.
+export function getVersions () {
+  const versions = {
+    node: process.versions.node
+  }
+
+  for (const name of VERSIONED_PACKAGES) {
+    versions[name] = getPackageVersion(name)
+  }
+
+  return versions
+}
+
+// Find the version of an installed package. The package entry point is
+// resolved, and the directory tree is walked up to its package.json, since
+// packages with an exports map do not always export their package.json.
+function getPackageVersion (name) {
+  try {
+    let dir = path.dirname(fileURLToPath(import.meta.resolve(name)))
+
+    while (dir !== path.dirname(dir)) {
+      const pkgFile = path.join(dir, 'package.json')
+      if (fs.existsSync(pkgFile)) {
+        const pkg = JSON.parse(fs.readFileSync(pkgFile, 'utf8'))
+        if (pkg.name === name) return pkg.version
+      }
+      dir = path.dirname(dir)
+    }
+  } catch {
+    // The package is not installed, or can not be resolved.
+  }
+
+  return 'unknown'
+}
+
+// Convert an error to a plain object that can be serialized to JSON.
+function describeError (err) {
+  if (!(err instanceof Error)) return { message: String(err) }
+
+  const error = {
+    message: err.message,
+    stack: err.stack
+  }
+  if (err.code) error.code = err.code
+  if (err.step) error.step = err.step
+
+  return error
+}
+
+// Build a JUnit XML document with one testsuite per peer report, and one
+// testcase per step.
+function toJUnit (reports) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>']
+
+  const tests = reports.reduce((sum, x) => sum + Math.max(x.steps.length, 1), 0)
+  const failures = reports.reduce((sum, x) => sum + countFailures(x), 0)
+  lines.push(`<testsuites tests="${tests}" failures="${failures}">`)
+
+  for (const report of reports) {
+    const suiteName = `${report.scenario}.${report.peer}`
+
+    lines.push(`  <testsuite ${attrs({
+      name: suiteName,
+      tests: Math.max(report.steps.length, 1),
+      failures: countFailures(report),
+      errors: 0,
+      time: seconds(report.durationMs),
+      timestamp: report.startedAt
+    })}>`)
+
+    lines.push('    <properties>')
+    if (report.peerId) lines.push(`      <property ${attrs({ name: 'peerId', value: report.peerId })}/>`)
+    for (const [name, value] of Object.entries(report.versions || {})) {
+      lines.push(`      <property ${attrs({ name, value })}/>`)
+    }
+    lines.push('    </properties>')
+
+    // A peer without steps failed before it could record any. Report it as
+    // a single failed testcase, so that the failure is not lost.
+    const steps = report.steps.length
+      ? report.steps
+      : [{ name: 'run', durationMs: report.durationMs, outcome: report.outcome, error: report.error }]
+
+    for (const step of steps) {
+      const testcase = attrs({ classname: suiteName, name: step.name, time: seconds(step.durationMs) })
+
+      if (step.outcome === 'failed') {
+        const error = step.error || {}
+        lines.push(`    <testcase ${testcase}>`)
+        lines.push(`      <failure ${attrs({ message: error.message || 'failed', type: error.code || 'Error' })}>${escapeXml(error.stack || error.message || '')}</failure>`)
+        lines.push('    </testcase>')
+      } else {
+        lines.push(`    <testcase ${testcase}/>`)
+      }
+    }
+
+    lines.push('  </testsuite>')
+  }
+
+  lines.push('</testsuites>')
+
+  return lines.join('\n') + '\n'
+}
+
+function countFailures (report) {
+  if (!report.steps.length) return report.outcome === 'failed' ? 1 : 0
+  return report.steps.filter(x => x.outcome === 'failed').length
+}
+
+function seconds (ms) {
+  return ((ms || 0) / 1000).toFixed(3)
+}
+
+function attrs (obj) {
+  return Object.entries(obj)
+    .filter(([key, value]) => value != null)
+    .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+    .join(' ')
+}
+
+function escapeXml (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
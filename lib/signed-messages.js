@@ -0,0 +1,393 @@
+/*
+  Signed test messages.
+
+  helia-coord tells the receiver of a private message which peer sent it,
+  but the test peers used to decide who a message was from by looking at its
+  payload, e.g. `from: 'bob'`. Test messages are now signed with the libp2p
+  private key of the sender, and checked by the receiver before the test
+  workflow sees them.
+
+  A signed message is sent as the JSON private message
+  { signedMessage, signature }. signedMessage is a JSON string of
+  { from, to, nonce, signedAt, encryptPubKey, body }, and signature is the
+  base64 signature of its bytes. The receiver rejects a message when:
+  - the signature does not match the public key of the peer ID in `from`
+  - `from` is not the peer that helia-coord received the message from
+  - encryptPubKey is not the key that the sender announced
+  - the message is addressed to another peer
+  - the message was signed before the receiver started, or its nonce was
+    seen before, in this run or an earlier one
+*/
+
+// Global npm libraries
+import { EventEmitter } from 'events'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { peerIdFromString } from '@libp2p/peer-id'
+
+// Local libraries
+import { waitForPeerData, MAX_HISTORY } from './waiters.js'
+
+// How far the clock of the sender may be ahead or behind the receiver.
+const MAX_CLOCK_SKEW = 60000
+
+// Number of nonces kept, in memory and on disk, to catch replayed messages.
+// The oldest ones are dropped first.
+const MAX_SEEN_NONCES = 1000
+
+// How often the seen nonces are written to disk, at most. They are also
+// written when the process exits.
+const NONCE_WRITE_INTERVAL = 5000
+
+// How long to wait for the announcement of the sender, to check its key.
+const DEFAULT_PEER_DATA_TIMEOUT = 60000
+
+// Reasons a message is rejected for.
+export const REJECTION = {
+  MALFORMED: 'ERR_MALFORMED_MESSAGE',
+  UNSIGNED: 'ERR_UNSIGNED_MESSAGE',
+  BAD_SIGNATURE: 'ERR_BAD_SIGNATURE',
+  SPOOFED_SENDER: 'ERR_SPOOFED_SENDER',
+  UNKNOWN_KEY: 'ERR_UNKNOWN_KEY',
+  KEY_MISMATCH: 'ERR_KEY_MISMATCH',
+  WRONG_RECIPIENT: 'ERR_WRONG_RECIPIENT',
+  STALE: 'ERR_STALE_MESSAGE',
+  REPLAYED: 'ERR_REPLAYED_MESSAGE'
+}
+
+/*
+  Sign a message body for another peer. Returns the envelope that is sent
+  as the private message.
+
+  The options are only set by the negative tests, to build messages that
+  must be rejected: signedAt, nonce, and from with the privateKey of that
+  other peer.
+*/
+export async function signMessage (peer, to, body, options = {}) {
+  const { libp2p, ipfsCoord } = peer
+  const {
+    signedAt = new Date().toISOString(),
+    nonce = crypto.randomBytes(16).toString('hex'),
+    from = libp2p.peerId.toString(),
+    privateKey = peer.privateKey
+  } = options
+
+  const signedMessage = JSON.stringify({
+    from,
+    to,
+    nonce,
+    signedAt,
+    encryptPubKey: ipfsCoord.thisNode.publicKey,
+    body
+  })
+
+  const signature = await privateKey.sign(new TextEncoder().encode(signedMessage))
+
+  return {
+    signedMessage,
+    signature: Buffer.from(signature).toString('base64')
+  }
+}
+
+/*
+  Check a signed message received from a peer.
+
+  Inputs:
+  - peer: the receiving peer, the object returned by createPeer().
+  - from: the peer ID string helia-coord received the message from.
+  - data: the parsed private message.
+  - options.notBefore: messages signed before this time (in ms) are stale.
+  - options.seenNonces: Set of the nonces seen before.
+  - options.peerDataTimeout: milliseconds to wait for the announcement of the
+    sender. Defaults to 60 seconds.
+
+  Resolves with { valid: true, signed } or
+  { valid: false, reason, error, nonce, signed }, where signed is null if the
+  signature was not checked or is not valid.
+*/
+export async function verifyMessage (peer, from, data, options = {}) {
+  const { libp2p, ipfsCoord } = peer
+  const {
+    notBefore = 0,
+    seenNonces = new Set(),
+    peerDataTimeout = DEFAULT_PEER_DATA_TIMEOUT
+  } = options
+
+  // signed is only passed once the signature is checked.
+  const reject = (reason, error, nonce = null, signed = null) => ({ valid: false, reason, error, nonce, signed })
+
+  if (!data || typeof data !== 'object' || !data.signedMessage) {
+    return reject(REJECTION.UNSIGNED, 'message is not signed')
+  }
+
+  let signed
+  try {
+    signed = JSON.parse(data.signedMessage)
+  } catch (err) {
+    return reject(REJECTION.MALFORMED, `signed message is not JSON: ${err.message}`)
+  }
+  if (!signed || typeof signed !== 'object' || !signed.from || !signed.nonce || !signed.signedAt) {
+    return reject(REJECTION.MALFORMED, 'signed message is missing from, nonce or signedAt')
+  }
+  const nonce = signed.nonce
+
+  // The peer that signed the message must be the peer it came from.
+  if (signed.from !== from) {
+    return reject(REJECTION.SPOOFED_SENDER, `message claims to be from ${signed.from}, but was received from ${from}`, nonce)
+  }
+
+  // Ed25519 and secp256k1 peer IDs hold their public key.
+  let publicKey
+  try {
+    publicKey = peerIdFromString(signed.from).publicKey
+  } catch (err) {
+    return reject(REJECTION.MALFORMED, `invalid peer ID ${signed.from}: ${err.message}`, nonce)
+  }
+  if (!publicKey) {
+    return reject(REJECTION.UNKNOWN_KEY, `no public key in peer ID ${signed.from}`, nonce)
+  }
+
+  let signatureValid = false
+  try {
+    signatureValid = await publicKey.verify(
+      new TextEncoder().encode(data.signedMessage),
+      Buffer.from(String(data.signature), 'base64')
+    )
+  } catch {
+    // A malformed signature is a bad signature.
+  }
+  if (!signatureValid) {
+    return reject(REJECTION.BAD_SIGNATURE, `signature does not match the key of ${signed.from}`, nonce)
+  }
+
+  if (signed.to !== libp2p.peerId.toString()) {
+    return reject(REJECTION.WRONG_RECIPIENT, `message is addressed to ${signed.to}`, nonce, signed)
+  }
+
+  if (seenNonces.has(nonce)) {
+    return reject(REJECTION.REPLAYED, `nonce ${nonce} was seen before`, nonce, signed)
+  }
+
+  const signedAt = Date.parse(signed.signedAt)
+  if (Number.isNaN(signedAt) || signedAt < notBefore || signedAt > Date.now() + MAX_CLOCK_SKEW) {
+    return reject(REJECTION.STALE, `message was signed at ${signed.signedAt}, outside of this run`, nonce, signed)
+  }
+
+  // The encryption key in the message must be the one the sender announced.
+  let peerData
+  try {
+    peerData = await waitForPeerData(ipfsCoord, libp2p, signed.from, {
+      step: `announced key of ${signed.from}`,
+      timeout: peerDataTimeout
+    })
+  } catch (err) {
+    return reject(REJECTION.UNKNOWN_KEY, `no announcement from ${signed.from}: ${err.message}`, nonce, signed)
+  }
+  if (!peerData.data || peerData.data.encryptPubKey !== signed.encryptPubKey) {
+    return reject(REJECTION.KEY_MISMATCH, `encryptPubKey does not match the key announced by ${signed.from}`, nonce, signed)
+  }
+
+  return { valid: true, signed }
+}
+
+/*
+  Check every private message a peer receives, and pass on the valid ones.
+
+  Inputs:
+  - peer: the object returned by createPeer().
+  - options.nonceFile: file the seen nonces are kept in, so that a message
+    replayed from an earlier run is rejected.
+  - options.notifyRejections: when true, the sender of a rejected message is
+    told why with a signed { rejected, reason, nonce } message.
+  - options.peerDataTimeout: passed to verifyMessage().
+
+  Returns an EventEmitter that works with waitForPrivateMessage() in
+  lib/waiters.js. Its history holds the last valid messages:
+  { from, data, signed, receivedAt }, where data is the signed body. The last
+  rejected messages are kept in rejections, and emitted as 'rejected' events.
+  The body of a rejected message is only kept if its signature is valid.
+  send(peerId, body) signs a body and sends it.
+*/
+export function createSignedMessages (peer, options = {}) {
+  const { ipfsCoord, privateMessages } = peer
+  const {
+    nonceFile = null,
+    notifyRejections = false,
+    peerDataTimeout
+  } = options
+
+  const hook = new EventEmitter()
+  hook.history = []
+  hook.rejections = []
+
+  const notBefore = Date.now() - MAX_CLOCK_SKEW
+  const seenNonces = new Set(readNonces(nonceFile).slice(-MAX_SEEN_NONCES))
+  const nonceWriter = createNonceWriter(nonceFile, seenNonces)
+
+  hook.send = async (peerId, body) => {
+    const envelope = await signMessage(peer, peerId, body)
+    await hook.sendEnvelope(peerId, envelope)
+    return envelope
+  }
+
+  // Send an envelope as is. Used by the negative tests to send messages that
+  // were tampered with after they were signed.
+  hook.sendEnvelope = async (peerId, envelope) => {
+    await ipfsCoord.useCases.peer.sendPrivateMessage(
+      peerId,
+      JSON.stringify(envelope),
+      ipfsCoord.thisNode
+    )
+  }
+
+  // Encrypt an envelope for a peer, corrupt the ciphertext, and publish it
+  // once. Used by the negative tests to check that helia-coord drops a
+  // private message whose ciphertext was tampered with before it reaches the
+  // receiver. sendMsg() is not used: it queues the message for resending
+  // until it is acknowledged, which the receiver never does, so the
+  // tampered message would be published again during the next steps.
+  hook.sendCorruptedEnvelope = async (peerId, envelope) => {
+    const { thisNode, adapters } = ipfsCoord
+    const peerData = thisNode.peerData.find(x => x.from === peerId)
+    if (!peerData) throw new Error(`No peer data for ${peerId}, can not encrypt a message for it`)
+
+    const ciphertext = await adapters.encryption.encryptMsg(peerData, JSON.stringify(envelope))
+    const msgObj = adapters.pubsub.messaging.generateMsgObj({
+      sender: thisNode.ipfsId,
+      receiver: peerId,
+      payload: corruptCiphertext(ciphertext)
+    })
+    await adapters.pubsub.messaging.publishToPubsubChannel(peerId, msgObj)
+  }
+
+  // Messages are checked one at a time, so that a duplicate can not pass
+  // while the first copy is still being checked.
+  let queue = Promise.resolve()
+  const onMessage = (message) => {
+    queue = queue.then(() => checkMessage(message))
+  }
+
+  const checkMessage = async (message) => {
+    try {
+      const result = await verifyMessage(peer, message.from, message.data, {
+        notBefore,
+        seenNonces,
+        peerDataTimeout
+      })
+
+      if (!result.valid) {
+        const rejection = {
+          from: message.from,
+          reason: result.reason,
+          error: result.error,
+          nonce: result.nonce,
+          body: result.signed ? result.signed.body : null,
+          receivedAt: message.receivedAt
+        }
+        console.warn(`Rejected private message from ${message.from}: ${result.reason}: ${result.error}`)
+        hook.rejections.push(rejection)
+        if (hook.rejections.length > MAX_HISTORY) hook.rejections.shift()
+        hook.emit('rejected', rejection)
+
+        // Unsigned messages may come from helia-coord itself, and rejection
+        // notices are not answered, so that two peers never loop.
+        if (notifyRejections && result.reason !== REJECTION.UNSIGNED && !isRejectionNotice(message.data)) {
+          await hook.send(message.from, { rejected: true, reason: result.reason, nonce: result.nonce })
+        }
+        return
+      }
+
+      // A Set keeps its insertion order, so the first nonce is the oldest.
+      seenNonces.add(result.signed.nonce)
+      if (seenNonces.size > MAX_SEEN_NONCES) seenNonces.delete(seenNonces.values().next().value)
+      nonceWriter.schedule()
+
+      const verified = {
+        from: message.from,
+        data: result.signed.body,
+        signed: result.signed,
+        receivedAt: message.receivedAt
+      }
+      hook.history.push(verified)
+      if (hook.history.length > MAX_HISTORY) hook.history.shift()
+      hook.emit('message', verified)
+    } catch (err) {
+      console.error('Error in createSignedMessages(): ', err)
+    }
+  }
+
+  privateMessages.on('message', onMessage)
+
+  // Check the messages that arrived before this hook was created.
+  for (const message of privateMessages.history) onMessage(message)
+
+  return hook
+}
+
+// Flip the last byte of the encrypted message before its 32-byte MAC, so
+// that the MAC check of the receiver fails. helia-coord encrypts private
+// messages to a hex string of iv, ephemeral public key, ciphertext and MAC.
+function corruptCiphertext (hex) {
+  const i = hex.length - 64 - 2
+  const byte = (parseInt(hex.slice(i, i + 2), 16) ^ 0xff).toString(16).padStart(2, '0')
+  return hex.slice(0, i) + byte + hex.slice(i + 2)
+}
+
+function isRejectionNotice (data) {
+  try {
+    return JSON.parse(data.signedMessage).body.rejected === true
+  } catch {
+    return false
+  }
+}
+
+function readNonces (nonceFile) {
+  if (!nonceFile) return []
+
+  try {
+    return JSON.parse(fs.readFileSync(nonceFile, 'utf8'))
+  } catch {
+    return []
+  }
+}
+
+/*
+  Write the seen nonces to the nonce file in batches. schedule() writes them
+  within NONCE_WRITE_INTERVAL, so that a soak run does not write the file for
+  every message, and the last ones are written when the process exits.
+*/
+function createNonceWriter (nonceFile, seenNonces) {
+  let timer = null
+
+  const write = () => {
+    clearTimeout(timer)
+    timer = null
+
+    try {
+      fs.writeFileSync(nonceFile, JSON.stringify([...seenNonces]))
+    } catch (err) {
+      // An ephemeral data directory is removed at exit, before the last
+      // write. Its nonces are not needed by a later run.
+      if (err.code !== 'ENOENT') console.error('Error writing seen nonces: ', err)
+    }
+  }
+
+  if (!nonceFile) return { schedule: () => {} }
+
+  fs.mkdirSync(path.dirname(nonceFile), { recursive: true })
+
+  // The 'exit' event also fires on process.exit(), and only allows
+  // synchronous work.
+  process.on('exit', () => {
+    if (timer) write()
+  })
+
+  return {
+    schedule: () => {
+      if (timer) return
+      timer = setTimeout(write, NONCE_WRITE_INTERVAL)
+      timer.unref()
+    }
+  }
+}
@@ -0,0 +1,275 @@
+/*
+  Soak and throughput mode for private messaging.
+
+  A single message and acknowledgment does not catch slow leaks or
+  intermittent drops, which only show up over hours of traffic. In soak
+  mode the sender sends numbered private messages at a fixed rate, for a
+  number of messages or for a duration, and the receiver acknowledges each
+  one by its sequence number. The sender reports:
+  - the delivery rate: the share of messages that were acknowledged
+  - duplicates: acknowledgments received more than once
+  - out-of-order arrivals: acknowledgments received after one with a higher
+    sequence number
+  - the round-trip latency from sending a message to receiving its
+    acknowledgment, as min, p50, p95, p99 and max
+
+  The receiver reports the same counts for the messages it received.
+
+  The messages are sent with the signed messages of lib/signed-messages.js,
+  which reject a message that arrives twice. Those rejections are counted as
+  duplicates.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+
+// Local libraries
+import { REJECTION } from './signed-messages.js'
+import { sleep } from './util.js'
+import { waitUntil } from './waiters.js'
+
+// How long the sender waits for the last acknowledgments after it sent its
+// last message.
+const DRAIN_TIMEOUT = 30000
+
+// How often progress is logged.
+const PROGRESS_INTERVAL = 60000
+
+/*
+  Get the settings of the soak mode from the config of a peer. Returns null
+  if soak mode is off, i.e. if neither a message count nor a duration is set.
+*/
+export function getSoakOptions (config) {
+  const { soakMessages, soakDuration, soakRate, soakPayloadSize, soakMinDelivery } = config
+  if (!soakMessages && !soakDuration) return null
+
+  return {
+    messages: soakMessages || Infinity,
+    duration: soakDuration || Infinity,
+    rate: soakRate,
+    payloadSize: soakPayloadSize,
+    minDelivery: soakMinDelivery,
+    expectedDuration: Math.min(soakDuration || Infinity, soakMessages / soakRate * 1000 || Infinity)
+  }
+}
+
+/*
+  Send soak messages to a peer, and collect its acknowledgments.
+
+  Inputs:
+  - messages: the signed messages hook of lib/signed-messages.js.
+  - peerId: the peer ID string of the receiver.
+  - options: returned by getSoakOptions().
+
+  The receiver is told the soak starts with { soakStart, expectedDuration },
+  and that it ended with { soakDone, sent }. Resolves with the statistics of
+  the run.
+*/
+export async function runSoak (messages, peerId, options) {
+  const { messages: maxMessages, duration, rate, payloadSize, expectedDuration } = options
+
+  const sentAt = new Map()
+  const acked = new Set()
+  const rtts = []
+  let duplicates = 0
+  let outOfOrder = 0
+  let highestAck = -1
+  let sendErrors = 0
+
+  const onAck = (seq) => {
+    if (acked.has(seq)) {
+      duplicates++
+      return
+    }
+    if (!sentAt.has(seq)) return
+
+    acked.add(seq)
+    rtts.push(performance.now() - sentAt.get(seq))
+    if (seq < highestAck) outOfOrder++
+    highestAck = Math.max(highestAck, seq)
+  }
+
+  const onMessage = (message) => {
+    if (message.from === peerId && message.data && message.data.soakAck) onAck(message.data.seq)
+  }
+  // A second copy of an acknowledgment is rejected by the signed messages.
+  const onRejected = (rejection) => {
+    if (rejection.from === peerId && rejection.reason === REJECTION.REPLAYED &&
+      rejection.body && rejection.body.soakAck) duplicates++
+  }
+  messages.on('message', onMessage)
+  messages.on('rejected', onRejected)
+
+  const memoryBefore = process.memoryUsage().rss
+
+  try {
+    await messages.send(peerId, { soakStart: true, expectedDuration })
+
+    // Each message has a time slot. If sending falls behind, the next
+    // message is sent right away.
+    const interval = 1000 / rate
+    const startTime = performance.now()
+    let lastProgress = startTime
+    let seq = 0
+
+    while (seq < maxMessages && performance.now() - startTime < duration) {
+      const delay = startTime + seq * interval - performance.now()
+      if (delay > 0) await sleep(delay)
+
+      sentAt.set(seq, performance.now())
+      try {
+        await messages.send(peerId, {
+          soak: true,
+          seq,
+          payload: crypto.randomBytes(Math.ceil(payloadSize / 2)).toString('hex').slice(0, payloadSize)
+        })
+      } catch (err) {
+        sendErrors++
+        console.error(`Error sending soak message ${seq}: `, err.message)
+      }
+      seq++
+
+      if (performance.now() - lastProgress > PROGRESS_INTERVAL) {
+        lastProgress = performance.now()
+        console.log(`Soak progress: ${seq} sent, ${acked.size} acknowledged, ${duplicates} duplicates, ${outOfOrder} out of order`)
+      }
+    }
+    const sendDuration = performance.now() - startTime
+
+    await messages.send(peerId, { soakDone: true, sent: seq })
+
+    // Wait for the acknowledgments still on their way.
+    console.log(`Sent ${seq} soak messages, waiting for the last acknowledgments...`)
+    try {
+      await waitUntil({
+        step: 'soak acknowledgments',
+        check: () => acked.size >= seq - sendErrors,
+        events: [{ target: messages, type: 'message' }],
+        timeout: DRAIN_TIMEOUT
+      })
+    } catch (err) {
+      console.warn(`${seq - acked.size} soak messages were not acknowledged after ${DRAIN_TIMEOUT}ms`)
+    }
+
+    return {
+      sent: seq,
+      acknowledged: acked.size,
+      lost: seq - acked.size,
+      deliveryRate: seq ? round(acked.size / seq * 100) : 0,
+      duplicates,
+      outOfOrder,
+      sendErrors,
+      durationMs: Math.round(sendDuration),
+      messagesPerSecond: round(seq / (sendDuration / 1000)),
+      payloadSize,
+      rttMs: summarize(rtts),
+      rss: { before: memoryBefore, after: process.memoryUsage().rss }
+    }
+  } finally {
+    messages.off('message', onMessage)
+    messages.off('rejected', onRejected)
+  }
+}
+
+/*
+  Acknowledge every soak message from any peer by its sequence number, with
+  { soakAck, seq }. Runs until stop() is called.
+
+  Returns { stats(sent), stop() }. stats(sent) returns the counts of the
+  messages received so far, and the delivery rate for the number of messages
+  the sender says it sent.
+*/
+export function answerSoak (messages) {
+  const received = new Set()
+  let duplicates = 0
+  let outOfOrder = 0
+  let highestSeq = -1
+  let sendErrors = 0
+
+  const onMessage = async (message) => {
+    if (!message.data || !message.data.soak) return
+
+    const { seq } = message.data
+    if (received.has(seq)) {
+      duplicates++
+      return
+    }
+    received.add(seq)
+    if (seq < highestSeq) outOfOrder++
+    highestSeq = Math.max(highestSeq, seq)
+
+    try {
+      await messages.send(message.from, { soakAck: true, seq })
+    } catch (err) {
+      sendErrors++
+      console.error(`Error acknowledging soak message ${seq}: `, err.message)
+    }
+  }
+  // A second copy of a message is rejected by the signed messages.
+  const onRejected = (rejection) => {
+    if (rejection.reason === REJECTION.REPLAYED && rejection.body && rejection.body.soak) duplicates++
+  }
+  messages.on('message', onMessage)
+  messages.on('rejected', onRejected)
+
+  return {
+    stats (sent) {
+      return {
+        sent,
+        received: received.size,
+        deliveryRate: sent ? round(received.size / sent * 100) : null,
+        duplicates,
+        outOfOrder,
+        sendErrors
+      }
+    },
+
+    stop () {
+      messages.off('message', onMessage)
+      messages.off('rejected', onRejected)
+    }
+  }
+}
+
+// Log the statistics of a soak run as a table.
+export function printSoakStats (stats) {
+  const lines = [
+    ['sent', stats.sent],
+    ['acknowledged', stats.acknowledged],
+    ['lost', stats.lost],
+    ['delivery rate', `${stats.deliveryRate}%`],
+    ['duplicates', stats.duplicates],
+    ['out of order', stats.outOfOrder],
+    ['send errors', stats.sendErrors],
+    ['messages/s', stats.messagesPerSecond],
+    ['RTT p50', `${stats.rttMs.p50}ms`],
+    ['RTT p95', `${stats.rttMs.p95}ms`],
+    ['RTT p99', `${stats.rttMs.p99}ms`],
+    ['RTT max', `${stats.rttMs.max}ms`]
+  ]
+
+  console.log('Soak results:')
+  for (const [name, value] of lines) console.log(`  ${name.padEnd(14)} ${value}`)
+}
+
+// Min, max, mean and percentiles of a list of latencies, in milliseconds.
+function summarize (values) {
+  if (!values.length) return { count: 0, min: null, p50: null, p95: null, p99: null, max: null, mean: null }
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const percentile = (p) => round(sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)])
+
+  return {
+    count: sorted.length,
+    min: round(sorted[0]),
+    p50: percentile(50),
+    p95: percentile(95),
+    p99: percentile(99),
+    max: round(sorted[sorted.length - 1]),
+    mean: round(sorted.reduce((sum, x) => sum + x, 0) / sorted.length)
+  }
+}
+
+function round (value) {
+  return Math.round(value * 100) / 100
+}
@@ -0,0 +1,105 @@
+/*
+  A minimal STUN server (RFC 5389), so that WebRTC peers behind the NATs of
+  lib/netns.js can learn their public address without reaching the STUN
+  servers of the real internet.
+
+  It only answers Binding requests, with the address and port the request
+  came from in an XOR-MAPPED-ADDRESS attribute. That is all ICE needs from a
+  STUN server to gather its server-reflexive candidates.
+
+  lib/netns.js runs this file as a script in the internet namespace:
+    node stun-server.js <host> <port>
+*/
+
+// Global npm libraries
+import dgram from 'dgram'
+import zlib from 'zlib'
+import { fileURLToPath } from 'url'
+
+const MAGIC_COOKIE = 0x2112a442
+const BINDING_REQUEST = 0x0001
+const BINDING_SUCCESS = 0x0101
+const XOR_MAPPED_ADDRESS = 0x0020
+const FINGERPRINT = 0x8028
+const FINGERPRINT_XOR = 0x5354554e
+const HEADER_SIZE = 20
+
+/*
+  Start a STUN server. Resolves with the UDP socket once it is listening.
+
+  Options:
+  - host: address to listen on. Defaults to '0.0.0.0'.
+  - port: UDP port to listen on. Defaults to 3478.
+*/
+export function startStunServer (options = {}) {
+  const {
+    host = '0.0.0.0',
+    port = 3478
+  } = options
+
+  const socket = dgram.createSocket('udp4')
+
+  socket.on('message', (msg, rinfo) => {
+    try {
+      const response = answerBinding(msg, rinfo)
+      if (response) socket.send(response, rinfo.port, rinfo.address)
+    } catch (err) {
+      console.error('Error answering STUN request: ', err.message)
+    }
+  })
+
+  return new Promise((resolve, reject) => {
+    socket.once('error', reject)
+    socket.bind(port, host, () => {
+      console.log(`STUN server listening on ${host}:${socket.address().port}`)
+      resolve(socket)
+    })
+  })
+}
+
+// Build the Binding success response to a Binding request. Returns null for
+// anything that is not a Binding request.
+function answerBinding (msg, rinfo) {
+  if (msg.length < HEADER_SIZE) return null
+  if (msg.readUInt16BE(0) !== BINDING_REQUEST) return null
+  if (msg.readUInt32BE(4) !== MAGIC_COOKIE) return null
+  if (rinfo.family !== 'IPv4') return null
+
+  const transactionId = msg.subarray(8, HEADER_SIZE)
+
+  // XOR-MAPPED-ADDRESS: the port and address of the sender, XORed with the
+  // magic cookie.
+  const address = Buffer.alloc(12)
+  address.writeUInt16BE(XOR_MAPPED_ADDRESS, 0)
+  address.writeUInt16BE(8, 2)
+  address.writeUInt8(0x01, 5)
+  address.writeUInt16BE(rinfo.port ^ (MAGIC_COOKIE >>> 16), 6)
+  const ip = rinfo.address.split('.').reduce((sum, x) => sum * 256 + Number(x), 0)
+  address.writeUInt32BE((ip ^ MAGIC_COOKIE) >>> 0, 8)
+
+  // The FINGERPRINT attribute is a CRC-32 of the message before it, with the
+  // message length already counting it.
+  const header = Buffer.alloc(HEADER_SIZE)
+  header.writeUInt16BE(BINDING_SUCCESS, 0)
+  header.writeUInt16BE(address.length + 8, 2)
+  header.writeUInt32BE(MAGIC_COOKIE, 4)
+  transactionId.copy(header, 8)
+
+  const fingerprint = Buffer.alloc(8)
+  fingerprint.writeUInt16BE(FINGERPRINT, 0)
+  fingerprint.writeUInt16BE(4, 2)
+  const crc = zlib.crc32(Buffer.concat([header, address]))
+  fingerprint.writeUInt32BE((crc ^ FINGERPRINT_XOR) >>> 0, 4)
+
+  return Buffer.concat([header, address, fingerprint])
+}
+
+// When run as a script, listen on the host and port given as arguments.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [host, port] = process.argv.slice(2)
+  startStunServer({ host, port: port ? Number(port) : undefined })
+    .catch((err) => {
+      console.error('Error in startStunServer(): ', err)
+      process.exit(1)
+    })
+}
@@ -0,0 +1,109 @@
+/*
+  Self-signed TLS certificate for secure websockets.
+
+  A peer that listens on a /tls/ws address needs a certificate. For tests, a
+  self-signed one is created with the openssl command, since Node.js can not
+  create certificates. It is kept with the identity fixtures, in
+  <fixtureDir>/tls/, so that it is created once, and can be copied to the
+  host of the peer that dials.
+
+  The dialing peer trusts that certificate alone, and not the system ones.
+  It does not check the host name, so that alice can be reached at any of
+  her addresses, e.g. a VPS address, with the same certificate.
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import path from 'path'
+import { execFileSync } from 'child_process'
+
+// Local libraries
+import { DEFAULT_FIXTURE_DIR } from './fixtures.js'
+
+export const DEFAULT_CERT_FILE = path.join(DEFAULT_FIXTURE_DIR, 'tls', 'cert.pem')
+export const DEFAULT_KEY_FILE = path.join(DEFAULT_FIXTURE_DIR, 'tls', 'key.pem')
+
+// How long a new certificate is valid.
+const CERT_DAYS = 825
+
+/*
+  Load the certificate and key of a secure websocket listener, or create a
+  self-signed pair if neither file exists.
+
+  Inputs:
+  - certFile: path of the PEM certificate. Defaults to DEFAULT_CERT_FILE.
+  - keyFile: path of the PEM private key. Defaults to DEFAULT_KEY_FILE.
+
+  Returns { cert, key, certFile, keyFile, created }. Throws an Error if only
+  one of the files exists, or if openssl fails.
+*/
+export function loadOrCreateCertificate (inputs = {}) {
+  const {
+    certFile = DEFAULT_CERT_FILE,
+    keyFile = DEFAULT_KEY_FILE
+  } = inputs
+
+  const hasCert = fs.existsSync(certFile)
+  const hasKey = fs.existsSync(keyFile)
+  if (hasCert !== hasKey) {
+    throw new Error(`Found ${hasCert ? certFile : keyFile} but not ${hasCert ? keyFile : certFile}. Restore it, or delete both to create a new certificate`)
+  }
+
+  let created = false
+  if (!hasCert) {
+    createCertificate(certFile, keyFile)
+    created = true
+    console.log(`Created self-signed TLS certificate ${certFile}`)
+  } else {
+    console.log(`Loaded TLS certificate ${certFile}`)
+  }
+
+  return {
+    cert: fs.readFileSync(certFile, 'utf8'),
+    key: fs.readFileSync(keyFile, 'utf8'),
+    certFile,
+    keyFile,
+    created
+  }
+}
+
+/*
+  The websocket client options of a peer that dials a secure websocket
+  listener with the given certificate. Returns the options to pass as
+  webSockets({ websocket }).
+*/
+export function trustCertificate (certFile = DEFAULT_CERT_FILE) {
+  if (!fs.existsSync(certFile)) {
+    throw new Error(`TLS certificate ${certFile} not found. Copy the certificate of the peer to dial there, or set tlsCert`)
+  }
+
+  return {
+    ca: fs.readFileSync(certFile, 'utf8'),
+    // The certificate is trusted as is, whatever address it is served at.
+    checkServerIdentity: () => undefined
+  }
+}
+
+function createCertificate (certFile, keyFile) {
+  fs.mkdirSync(path.dirname(certFile), { recursive: true })
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true })
+
+  try {
+    execFileSync('openssl', [
+      'req', '-x509',
+      '-newkey', 'ec',
+      '-pkeyopt', 'ec_paramgen_curve:prime256v1',
+      '-nodes',
+      '-days', String(CERT_DAYS),
+      '-subj', '/CN=helia-tests',
+      '-addext', 'subjectAltName=IP:127.0.0.1,DNS:localhost',
+      '-keyout', keyFile,
+      '-out', certFile
+    ], { stdio: ['ignore', 'ignore', 'pipe'] })
+  } catch (err) {
+    const detail = err.code === 'ENOENT' ? 'openssl is not installed' : String(err.stderr || err.message).trim()
+    throw new Error(`Could not create a self-signed TLS certificate: ${detail}`)
+  }
+
+  fs.chmodSync(keyFile, 0o600)
+}
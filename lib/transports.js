@@ -0,0 +1,103 @@
+/*
+  Transports of the peers that bob dials alice with.
+
+  By default, the peers have the TCP and websocket transports of
+  lib/create-peer.js, and bob dials the TCP multiaddr of alice. The transport
+  option forces another path:
+  - tcp: the default.
+  - ws: bob only has the websocket transport. He listens on a websocket, and
+    can only dial the websocket multiaddrs of alice.
+  - wss: the same, over TLS. Alice also listens on a secure websocket, with
+    the self-signed certificate of lib/tls-cert.js, and bob trusts that
+    certificate alone.
+  Browser apps can only reach a node over websockets, so the ws and wss
+  transports test the path they depend on.
+*/
+
+// Global npm libraries
+import { tcp } from '@libp2p/tcp'
+import { webSockets } from '@libp2p/websockets'
+import { multiaddr } from '@multiformats/multiaddr'
+
+// Local libraries
+import { loadOrCreateCertificate, trustCertificate } from './tls-cert.js'
+
+export const TRANSPORTS = ['tcp', 'ws', 'wss']
+
+/*
+  The listen addresses and transports of the peer that is dialed, alice.
+
+  Inputs: the config of the peer, with transport, tcpPort, wsPort, wssPort,
+  tlsCert and tlsKey. See lib/config.js.
+
+  Returns { listen, transports, certificate }, where certificate is the file
+  of the TLS certificate, or null without wss.
+*/
+export function getListenerTransports (config) {
+  const listen = [
+    '/ip4/127.0.0.1/tcp/0',
+    `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+    `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+  ]
+
+  if (config.transport !== 'wss') {
+    return { listen, transports: [tcp(), webSockets()], certificate: null }
+  }
+
+  // The websocket transport serves /ws addresses over HTTP, and /tls/ws
+  // ones over HTTPS.
+  const { cert, key, certFile } = loadOrCreateCertificate({ certFile: config.tlsCert, keyFile: config.tlsKey })
+  return {
+    listen: [...listen, `/ip4/0.0.0.0/tcp/${config.wssPort}/tls/ws`],
+    transports: [tcp(), webSockets({ https: { cert, key } })],
+    certificate: certFile
+  }
+}
+
+/*
+  The listen addresses and transports of the peer that dials, bob. With ws
+  and wss, he has no TCP transport, so libp2p and helia-coord can not reach
+  alice any other way.
+
+  Inputs: the config of the peer, with transport, tcpPort, wsPort and
+  tlsCert. See lib/config.js.
+
+  Returns { listen, transports }.
+*/
+export function getDialerTransports (config) {
+  if (config.transport === 'tcp') {
+    return {
+      listen: [
+        '/ip4/127.0.0.1/tcp/0',
+        `/ip4/0.0.0.0/tcp/${config.tcpPort}`,
+        `/ip4/0.0.0.0/tcp/${config.wsPort}/ws`
+      ],
+      transports: [tcp(), webSockets()]
+    }
+  }
+
+  const websocket = config.transport === 'wss' ? trustCertificate(config.tlsCert) : undefined
+  return {
+    listen: [`/ip4/0.0.0.0/tcp/${config.wsPort}/ws`],
+    transports: [webSockets({ websocket })]
+  }
+}
+
+// Whether a multiaddr, e.g. the remote address of a connection, uses one of
+// the transports.
+export function usesTransport (ma, transport) {
+  const names = multiaddr(ma.toString()).protoNames()
+  if (names.includes('p2p-circuit')) return false
+
+  const secure = names.includes('wss') || (names.includes('tls') && names.includes('ws'))
+  switch (transport) {
+    case 'tcp':
+      return names.includes('tcp') && !names.includes('ws') && !names.includes('wss')
+    case 'ws':
+      return names.includes('ws') && !secure
+    case 'wss':
+      return secure
+    default:
+      throw new Error(`Unknown transport: ${transport}. Known transports: ${TRANSPORTS.join(', ')}`)
+  }
+}
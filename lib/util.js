@@ -0,0 +1,8 @@
+/*
+  Small helper functions shared by the test scenarios.
+*/
+
+// Helper function to sleep/delay
+export function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
@@ -0,0 +1,325 @@
+/*
+  Event-driven waits for the test steps.
+
+  Each wait is a named step with its own timeout, and can be cancelled with
+  an AbortSignal. Instead of polling, the condition is checked when a
+  relevant event fires: libp2p peer:connect and peer:identify events,
+  gossipsub message events, or private messages received by helia-coord.
+  That way a step completes as soon as its condition is met, and the
+  reported step durations are meaningful.
+*/
+
+// Global npm libraries
+import { EventEmitter } from 'events'
+
+// Local libraries
+import { findDirectConnection, getWebRTCMultiaddrs } from './connections.js'
+
+const DEFAULT_TIMEOUT = 60000 * 5
+
+// Number of private messages kept in the history of a hook. Long runs, like
+// the soak mode, would otherwise keep every message in memory.
+export const MAX_HISTORY = 1000
+
+/*
+  Wait until a check function returns a truthy value, and resolve with that
+  value. The check runs once when the wait starts, and again each time one of
+  the events fires.
+
+  Inputs:
+  - step: name of the step, used in log and error messages.
+  - check(evt): returns (or resolves to) a truthy value when the condition is
+    met. evt is undefined for the initial check and for re-checks.
+  - events: array of { target, type } pairs to listen to. target is an
+    EventTarget (e.g. libp2p) or an EventEmitter.
+  - timeout: milliseconds to wait before rejecting. Defaults to 5 minutes.
+  - signal: an AbortSignal that cancels the wait.
+  - recheckInterval: if set, the check also runs on this interval. Used as a
+    safety net when the state changes without an event that can be observed.
+
+  Rejects with an Error that has `step` and `code` properties. `code` is
+  'ERR_STEP_TIMEOUT' or 'ERR_STEP_CANCELLED'.
+*/
+export function waitUntil (inputs = {}) {
+  const {
+    step = 'condition',
+    check,
+    events = [],
+    timeout = DEFAULT_TIMEOUT,
+    signal,
+    recheckInterval = 0
+  } = inputs
+
+  const startTime = Date.now()
+
+  return new Promise((resolve, reject) => {
+    let done = false
+    let timer = null
+    let interval = null
+
+    const finish = (err, value) => {
+      if (done) return
+      done = true
+
+      clearTimeout(timer)
+      clearInterval(interval)
+      for (const { target, type } of events) removeListener(target, type, onEvent)
+      if (signal) signal.removeEventListener('abort', onAbort)
+
+      if (err) return reject(err)
+
+      console.log(`Step "${step}" completed after ${Date.now() - startTime}ms`)
+      resolve(value)
+    }
+
+    const runCheck = async (evt) => {
+      if (done) return
+      try {
+        const value = await check(evt)
+        if (value) finish(null, value)
+      } catch (err) {
+        finish(err)
+      }
+    }
+
+    const onEvent = (evt) => runCheck(evt)
+
+    const onAbort = () => {
+      finish(stepError(step, 'ERR_STEP_CANCELLED', `Step "${step}" was cancelled`))
+    }
+
+    if (signal && signal.aborted) return onAbort()
+
+    timer = setTimeout(() => {
+      finish(stepError(step, 'ERR_STEP_TIMEOUT', `Timeout waiting for ${step} after ${timeout}ms`))
+    }, timeout)
+
+    for (const { target, type } of events) addListener(target, type, onEvent)
+    if (signal) signal.addEventListener('abort', onAbort, { once: true })
+    if (recheckInterval) interval = setInterval(runCheck, recheckInterval)
+
+    runCheck()
+  })
+}
+
+// Wait until there is an open connection to a peer. Resolves with the connection.
+export function waitForConnection (libp2p, peerId, options = {}) {
+  return waitUntil({
+    step: `connection to ${peerId}`,
+    ...options,
+    check: () => libp2p.getConnections().find(x => x.remotePeer.toString() === peerId),
+    events: [
+      { target: libp2p, type: 'peer:connect' },
+      { target: libp2p, type: 'connection:open' }
+    ]
+  })
+}
+
+// Wait until there is a direct (not relayed) connection to a peer over the
+// given transport protocol, e.g. 'webrtc'. Resolves with the connection.
+export function waitForDirectConnection (libp2p, peerId, protoName, options = {}) {
+  return waitUntil({
+    step: `direct ${protoName} connection to ${peerId}`,
+    ...options,
+    check: () => findDirectConnection(libp2p, peerId, protoName),
+    events: [
+      { target: libp2p, type: 'connection:open' }
+    ]
+  })
+}
+
+// Wait until the node has relayed /webrtc multiaddrs, which are added when a
+// relay reservation is made. Resolves with those multiaddrs.
+export function waitForWebRTCMultiaddrs (libp2p, options = {}) {
+  return waitUntil({
+    step: 'relay reservation',
+    ...options,
+    check: () => {
+      const multiaddrs = getWebRTCMultiaddrs(libp2p)
+      return multiaddrs.length > 0 && multiaddrs
+    },
+    events: [
+      { target: libp2p, type: 'self:peer:update' }
+    ]
+  })
+}
+
+// Wait until the identify protocol has run with a peer. Resolves with the
+// protocols the peer supports.
+export function waitForIdentify (libp2p, peerId, options = {}) {
+  return waitUntil({
+    step: `identify of ${peerId}`,
+    ...options,
+    check: async (evt) => {
+      if (evt) {
+        return evt.detail.peerId.toString() === peerId && evt.detail.protocols
+      }
+
+      // The identify may have completed before the wait started.
+      const peers = await libp2p.peerStore.all()
+      const peer = peers.find(x => x.id.toString() === peerId)
+      return peer && peer.protocols.length > 0 && peer.protocols
+    },
+    events: [
+      { target: libp2p, type: 'peer:identify' }
+    ]
+  })
+}
+
+// Wait until the routing table of a kad-dht service has a peer, e.g. the DHT
+// server of lib/dht.js that the node dialed. Resolves with the size of the
+// routing table.
+export function waitForRoutingTable (dht, options = {}) {
+  return waitUntil({
+    step: 'DHT routing table',
+    ...options,
+    check: () => dht.routingTable.size,
+    events: [
+      { target: dht.routingTable, type: 'peer:add' }
+    ]
+  })
+}
+
+// Wait until a peer has reported the address it dialed to reach this node.
+// Resolves with the inbound entries of the announcer of lib/announce.js for
+// that peer.
+export function waitForDialedAddress (announcer, peerId, options = {}) {
+  return waitUntil({
+    step: `address dialed by ${peerId}`,
+    ...options,
+    check: () => {
+      const dialed = announcer.dialedBy(peerId)
+      return dialed.length > 0 && dialed
+    },
+    events: [
+      { target: announcer, type: 'dialed' }
+    ]
+  })
+}
+
+// Wait until a peer that passes the filter function has subscribed to a
+// gossipsub topic. Resolves with its peer ID.
+export function waitForSubscriber (pubsub, topic, filterFn = () => true, options = {}) {
+  return waitUntil({
+    step: `subscriber of ${topic}`,
+    ...options,
+    check: () => pubsub.getSubscribers(topic).find(filterFn),
+    events: [
+      { target: pubsub, type: 'subscription-change' }
+    ]
+  })
+}
+
+// Wait for a gossipsub message on a topic that passes the filter function.
+// Resolves with the message.
+export function waitForPubsubMessage (libp2p, topic, filterFn = () => true, options = {}) {
+  return waitUntil({
+    step: `pubsub message on ${topic}`,
+    ...options,
+    check: (evt) => evt && evt.detail.topic === topic && filterFn(evt.detail) && evt.detail,
+    events: [
+      { target: libp2p.services.pubsub, type: 'message' }
+    ]
+  })
+}
+
+// Wait for a private message received by helia-coord that passes the filter
+// function. Messages received before the wait started are checked too.
+// Resolves with the message: { from, payload, data, receivedAt }.
+export function waitForPrivateMessage (privateMessages, filterFn, options = {}) {
+  return waitUntil({
+    step: 'private message',
+    ...options,
+    check: (evt) => {
+      if (evt) return filterFn(evt) && evt
+      return privateMessages.history.find(filterFn)
+    },
+    events: [
+      { target: privateMessages, type: 'message' }
+    ]
+  })
+}
+
+// Wait until helia-coord has peer data for a peer, which is populated from
+// its announcements. Resolves with the peer data.
+// helia-coord does not emit an event when it updates its peer data, so the
+// check runs after each gossipsub message, with a slow re-check as a safety
+// net for messages that helia-coord finishes processing after the check.
+export function waitForPeerData (ipfsCoord, libp2p, peerId, options = {}) {
+  return waitUntil({
+    step: `peer data for ${peerId}`,
+    recheckInterval: 1000,
+    ...options,
+    check: () => ipfsCoord.thisNode.peerData.find(x => x.from === peerId),
+    events: [
+      { target: libp2p.services.pubsub, type: 'message' }
+    ]
+  })
+}
+
+// Wait until a peer that passes the filter function is in the helia-coord
+// peer list. Resolves with its peer ID.
+export function waitForPeerList (ipfsCoord, libp2p, filterFn = () => true, options = {}) {
+  return waitUntil({
+    step: 'peer in peer list',
+    recheckInterval: 1000,
+    ...options,
+    check: () => ipfsCoord.thisNode.peerList.find(filterFn),
+    events: [
+      { target: libp2p.services.pubsub, type: 'message' }
+    ]
+  })
+}
+
+/*
+  Create the hook that helia-coord private messages are passed through.
+  handler(decryptedPayload, from) is given to helia-coord as its privateLog.
+  Each message is parsed as JSON if possible, kept in the history, and
+  emitted as a 'message' event: { from, payload, data, receivedAt }. The
+  history holds the last MAX_HISTORY messages.
+*/
+export function createPrivateMessageHook () {
+  const hook = new EventEmitter()
+  hook.history = []
+
+  hook.handler = (decryptedPayload, from) => {
+    let data
+    try {
+      data = JSON.parse(decryptedPayload)
+    } catch {
+      // If not JSON, treat as string
+      data = decryptedPayload
+    }
+
+    const message = {
+      from,
+      payload: decryptedPayload,
+      data,
+      receivedAt: Date.now()
+    }
+
+    hook.history.push(message)
+    if (hook.history.length > MAX_HISTORY) hook.history.shift()
+    hook.emit('message', message)
+  }
+
+  return hook
+}
+
+function stepError (step, code, message) {
+  const err = new Error(message)
+  err.step = step
+  err.code = code
+  return err
+}
+
+// EventTarget and EventEmitter use different method names.
+function addListener (target, type, listener) {
+  if (target.addEventListener) target.addEventListener(type, listener)
+  else target.on(type, listener)
+}
+
+function removeListener (target, type, listener) {
+  if (target.removeEventListener) target.removeEventListener(type, listener)
+  else target.off(type, listener)
+}
@@ -0,0 +1,394 @@
+/*
+  This script runs every scenario against a matrix of version sets.
+
+  A version set names the versions of helia, libp2p, helia-coord, gossipsub
+  or any other dependency that differ from the ones pinned in the root
+  package.json. For each set, the lib/ directory and the scenarios are copied
+  into an isolated directory under .matrix/<set>/, with a package.json that
+  has the versions of the set, and the dependencies are installed there. The
+  dependencies can be installed from a local npm cache (--cache, --offline)
+  or from tarballs (a "file:" version in the matrix file).
+
+  Each scenario is then run with its run-local.js script, and the scenario
+  reports written by lib/report.js are collected into a compatibility table
+  that shows which version set broke which step. The table is written to
+  reports/matrix.md and reports/matrix.json.
+
+  Usage:
+    node matrix/run-matrix.js [--matrix <file>] [--sets <a,b>] [--scenarios <a,b>]
+      [--cache <dir>] [--offline] [--work-dir <dir>]
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import path from 'path'
+import { spawn } from 'child_process'
+import readline from 'readline'
+import { parseArgs } from 'util'
+import { fileURLToPath } from 'url'
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+// How long to wait for npm install to finish for one version set.
+const INSTALL_TIMEOUT = 60000 * 10
+
+// How long to wait for a scenario to finish. run-local.js kills its peers
+// before this, so this only catches a runner that hangs.
+const SCENARIO_TIMEOUT = 60000 * 15
+
+// Packages shown in the compatibility table.
+const TABLE_PACKAGES = ['helia', 'libp2p', 'helia-coord', '@chainsafe/libp2p-gossipsub']
+
+async function start () {
+  try {
+    const options = parseOptions()
+    const matrix = readMatrix(options.matrix)
+
+    const sets = options.sets
+      ? matrix.sets.filter(x => options.sets.includes(x.name))
+      : matrix.sets
+    if (!sets.length) throw new Error(`No version sets to run in ${options.matrix}`)
+
+    const scenarios = findScenarios()
+      .filter(x => !options.scenarios || options.scenarios.includes(x))
+    if (!scenarios.length) throw new Error('No scenarios to run')
+
+    console.log('\n=== Starting Version Matrix ===\n')
+    console.log(`Version sets: ${sets.map(x => x.name).join(', ')}`)
+    console.log(`Scenarios: ${scenarios.join(', ')}`)
+
+    const results = []
+    for (const set of sets) {
+      results.push(await runSet(set, scenarios, options))
+    }
+
+    const reportDir = path.join(ROOT_DIR, 'reports')
+    fs.mkdirSync(reportDir, { recursive: true })
+
+    const table = toMarkdown(results, scenarios)
+    fs.writeFileSync(path.join(reportDir, 'matrix.md'), table)
+    fs.writeFileSync(path.join(reportDir, 'matrix.json'), JSON.stringify({
+      endedAt: new Date().toISOString(),
+      node: process.versions.node,
+      scenarios,
+      results
+    }, null, 2))
+
+    console.log('\n=== Compatibility Table ===\n')
+    console.log(table)
+    console.log(`Compatibility table written to ${path.join(reportDir, 'matrix.md')} and matrix.json`)
+
+    const failed = results.some(x => x.scenarios.some(y => y.outcome !== 'passed'))
+    if (failed) {
+      console.error('\n=== Version Matrix Failed ===\n')
+      process.exit(1)
+    }
+
+    console.log('\n=== Version Matrix Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    process.exit(1)
+  }
+}
+
+// Read the command-line flags.
+function parseOptions () {
+  const { values } = parseArgs({
+    options: {
+      matrix: { type: 'string', default: path.join(ROOT_DIR, 'matrix', 'versions.json') },
+      sets: { type: 'string' },
+      scenarios: { type: 'string' },
+      cache: { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      'work-dir': { type: 'string', default: path.join(ROOT_DIR, '.matrix') }
+    },
+    strict: true
+  })
+
+  return {
+    matrix: path.resolve(values.matrix),
+    sets: values.sets ? values.sets.split(',') : null,
+    scenarios: values.scenarios ? values.scenarios.split(',') : null,
+    cache: values.cache ? path.resolve(values.cache) : null,
+    offline: values.offline,
+    workDir: path.resolve(values['work-dir'])
+  }
+}
+
+// Read and validate the matrix file. "file:" versions are resolved relative
+// to the matrix file, so that tarballs can be kept next to it.
+function readMatrix (matrixFile) {
+  let matrix
+  try {
+    matrix = JSON.parse(fs.readFileSync(matrixFile, 'utf8'))
+  } catch (err) {
+    throw new Error(`Could not read matrix file ${matrixFile}: ${err.message}`)
+  }
+
+  if (!matrix || !Array.isArray(matrix.sets)) {
+    throw new Error(`Matrix file ${matrixFile} must contain a "sets" array`)
+  }
+
+  const names = new Set()
+  for (const set of matrix.sets) {
+    if (!set.name || !/^[\w.-]+$/.test(set.name)) {
+      throw new Error(`Invalid version set name in ${matrixFile}: ${JSON.stringify(set.name)}`)
+    }
+    if (names.has(set.name)) throw new Error(`Duplicate version set name in ${matrixFile}: ${set.name}`)
+    names.add(set.name)
+
+    for (const key of ['dependencies', 'overrides']) {
+      set[key] = resolveFileSpecs(set[key] || {}, path.dirname(matrixFile))
+    }
+  }
+
+  return matrix
+}
+
+function resolveFileSpecs (deps, baseDir) {
+  const resolved = {}
+  for (const [name, spec] of Object.entries(deps)) {
+    resolved[name] = typeof spec === 'string' && spec.startsWith('file:')
+      ? `file:${path.resolve(baseDir, spec.slice('file:'.length))}`
+      : spec
+  }
+  return resolved
+}
+
+// The scenarios are the NN-name directories at the root of the repository
+// that have a run-local.js script.
+function findScenarios () {
+  return fs.readdirSync(ROOT_DIR)
+    .filter(x => /^\d\d-/.test(x) && fs.existsSync(path.join(ROOT_DIR, x, 'run-local.js')))
+    .sort()
+}
+
+// Install one version set, and run every scenario against it.
+async function runSet (set, scenarios, options) {
+  console.log(`\n=== Version set ${set.name} ===\n`)
+
+  const setDir = path.join(options.workDir, set.name)
+  const rootPkg = readRootPackage()
+  const dependencies = { ...rootPkg.dependencies, ...set.dependencies }
+
+  const result = {
+    set: set.name,
+    description: set.description || '',
+    requested: Object.fromEntries(TABLE_PACKAGES.map(x => [x, dependencies[x]])),
+    installed: {},
+    install: null,
+    scenarios: []
+  }
+
+  try {
+    await installSet(set, scenarios, setDir, options)
+    result.install = { outcome: 'passed' }
+    result.installed = getInstalledVersions(setDir)
+  } catch (err) {
+    console.error(`Could not install version set ${set.name}:`, err.message)
+    result.install = { outcome: 'failed', error: err.message }
+    result.scenarios = scenarios.map(scenario => ({
+      scenario,
+      outcome: 'failed',
+      failures: [{ peer: null, step: 'install', error: err.message }]
+    }))
+    return result
+  }
+
+  const reportDir = path.join(setDir, 'reports')
+  for (const scenario of scenarios) {
+    console.log(`\nRunning ${scenario} against ${set.name}...`)
+    const code = await runScenario(set.name, path.join(setDir, scenario), reportDir)
+    result.scenarios.push(readScenarioResult(scenario, code, reportDir))
+  }
+
+  return result
+}
+
+// Copy lib/ and the scenarios into the set directory, write its package.json
+// and install the dependencies. The install is skipped when the package.json
+// has not changed since the last run.
+async function installSet (set, scenarios, setDir, options) {
+  fs.mkdirSync(setDir, { recursive: true })
+
+  // Start from a clean copy of the code, but keep node_modules.
+  for (const dir of ['lib', ...scenarios]) {
+    fs.rmSync(path.join(setDir, dir), { recursive: true, force: true })
+    fs.cpSync(path.join(ROOT_DIR, dir), path.join(setDir, dir), {
+      recursive: true,
+      filter: (src) => !['node_modules', '.ipfsdata'].includes(path.basename(src))
+    })
+  }
+  fs.rmSync(path.join(setDir, 'reports'), { recursive: true, force: true })
+
+  const rootPkg = readRootPackage()
+  const pkg = {
+    name: `helia-tests-${set.name}`.toLowerCase(),
+    version: rootPkg.version,
+    private: true,
+    type: 'module',
+    dependencies: { ...rootPkg.dependencies, ...set.dependencies },
+    overrides: { ...rootPkg.overrides, ...set.overrides }
+  }
+  const pkgJson = JSON.stringify(pkg, null, 2) + '\n'
+
+  const pkgFile = path.join(setDir, 'package.json')
+  const installed = fs.existsSync(path.join(setDir, 'node_modules')) &&
+    fs.existsSync(pkgFile) && fs.readFileSync(pkgFile, 'utf8') === pkgJson
+  if (installed) {
+    console.log(`Version set ${set.name} is already installed in ${setDir}`)
+    return
+  }
+
+  fs.writeFileSync(pkgFile, pkgJson)
+  fs.rmSync(path.join(setDir, 'node_modules'), { recursive: true, force: true })
+  fs.rmSync(path.join(setDir, 'package-lock.json'), { force: true })
+
+  const args = ['install', '--no-audit', '--no-fund']
+  if (options.cache) args.push('--cache', options.cache)
+  if (options.offline) args.push('--offline')
+
+  console.log(`Installing version set ${set.name} in ${setDir}...`)
+  const code = await runCommand(set.name, 'npm', args, setDir, {}, INSTALL_TIMEOUT)
+  if (code !== 0) throw new Error(`npm install exited with code ${code}`)
+}
+
+function readRootPackage () {
+  return JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'package.json'), 'utf8'))
+}
+
+// Read the installed versions of the packages shown in the table.
+function getInstalledVersions (setDir) {
+  const versions = {}
+  for (const name of TABLE_PACKAGES) {
+    try {
+      const pkgFile = path.join(setDir, 'node_modules', name, 'package.json')
+      versions[name] = JSON.parse(fs.readFileSync(pkgFile, 'utf8')).version
+    } catch {
+      versions[name] = 'unknown'
+    }
+  }
+  return versions
+}
+
+// Run the run-local.js script of a scenario. Resolves with its exit code.
+function runScenario (setName, scenarioDir, reportDir) {
+  return runCommand(
+    setName,
+    process.execPath,
+    [path.join(scenarioDir, 'run-local.js')],
+    scenarioDir,
+    { REPORT_DIR: reportDir },
+    SCENARIO_TIMEOUT
+  )
+}
+
+// Run a command with its output prefixed by the name of the version set.
+// Resolves with its exit code. A command killed on timeout exits with 1.
+function runCommand (setName, command, args, cwd, env, timeoutMs) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    })
+
+    prefixLines(child.stdout, process.stdout, setName)
+    prefixLines(child.stderr, process.stderr, setName)
+
+    const timer = setTimeout(() => {
+      console.error(`${command} did not finish after ${timeoutMs}ms, killing it...`)
+      child.kill()
+    }, timeoutMs)
+
+    child.on('error', (err) => {
+      console.error(`Could not run ${command}:`, err.message)
+    })
+
+    child.on('close', (code) => {
+      clearTimeout(timer)
+      resolve(code === null ? 1 : code)
+    })
+  })
+}
+
+// Copy a stream to the console, one line at a time, with a name prefix.
+function prefixLines (input, output, name) {
+  const rl = readline.createInterface({ input })
+  rl.on('line', (line) => output.write(`[${name}] ${line}\n`))
+}
+
+// Read the scenario report merged by run-local.js, and list the steps that
+// failed. A scenario that exited without a report failed before its peers
+// started.
+function readScenarioResult (scenario, code, reportDir) {
+  let report = null
+  try {
+    report = JSON.parse(fs.readFileSync(path.join(reportDir, `${scenario}.json`), 'utf8'))
+  } catch {
+    return {
+      scenario,
+      outcome: 'failed',
+      failures: [{ peer: null, step: 'run-local.js', error: `exited with code ${code} without writing a report` }]
+    }
+  }
+
+  const failures = []
+  for (const peer of report.peers) {
+    if (peer.outcome === 'passed') continue
+
+    const step = peer.steps.find(x => x.outcome === 'failed')
+    failures.push({
+      peer: peer.peer,
+      step: step ? step.name : null,
+      error: (step && step.error && step.error.message) || (peer.error && peer.error.message) || null
+    })
+  }
+
+  return {
+    scenario,
+    outcome: code === 0 && report.outcome === 'passed' ? 'passed' : 'failed',
+    failures
+  }
+}
+
+// Build the compatibility table: one row per version set, with the installed
+// versions and the result of each scenario.
+function toMarkdown (results, scenarios) {
+  const header = ['Version set', ...TABLE_PACKAGES, ...scenarios]
+  const lines = [
+    `Version matrix run on ${new Date().toISOString()} with Node.js v${process.versions.node}.`,
+    '',
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`
+  ]
+
+  for (const result of results) {
+    const cells = [result.set]
+    for (const name of TABLE_PACKAGES) {
+      // Show the requested version when the set could not be installed.
+      cells.push(result.installed[name] || result.requested[name] || '')
+    }
+    for (const scenario of scenarios) {
+      const scenarioResult = result.scenarios.find(x => x.scenario === scenario)
+      cells.push(describeResult(scenarioResult))
+    }
+    lines.push(`| ${cells.join(' | ')} |`)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+function describeResult (result) {
+  if (!result) return 'not run'
+  if (result.outcome === 'passed') return 'pass'
+
+  const failures = result.failures.map(x => {
+    const where = [x.peer, x.step].filter(Boolean).join(': ')
+    return where || 'failed'
+  })
+  return `FAIL (${failures.join('; ') || 'non-zero exit code'})`
+}
+
+start()
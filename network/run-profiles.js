@@ -0,0 +1,228 @@
+/*
+  This script repeats the scenarios under each network profile of
+  lib/network-profiles.js.
+
+  Each scenario is run with its run-local.js script and the
+  --network-profile flag, which routes alice through the impairment proxy of
+  lib/impairment-proxy.js. The reports of each profile are written to
+  reports/network/<profile>/, and the results are collected into a table that
+  shows which profile broke which step, written to reports/network.md and
+  reports/network.json.
+
+  Usage:
+    node network/run-profiles.js [--profiles <a,b>] [--scenarios <a,b>]
+*/
+
+// Global npm libraries
+import fs from 'fs'
+import path from 'path'
+import { spawn } from 'child_process'
+import readline from 'readline'
+import { parseArgs } from 'util'
+import { fileURLToPath } from 'url'
+
+// Local libraries
+import { NETWORK_PROFILES } from '../lib/network-profiles.js'
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+// Scenarios whose run-local.js script takes the --network-profile flag.
+const SCENARIOS = ['01-ip4-peer-connect']
+
+// How long to wait for a scenario to finish. run-local.js kills its peers
+// before this, so this only catches a runner that hangs.
+const SCENARIO_TIMEOUT = 60000 * 15
+
+async function start () {
+  try {
+    const options = parseOptions()
+
+    console.log('\n=== Starting Network Profiles ===\n')
+    console.log(`Profiles: ${options.profiles.join(', ')}`)
+    console.log(`Scenarios: ${options.scenarios.join(', ')}`)
+
+    const results = []
+    for (const profile of options.profiles) {
+      console.log(`\n=== Network profile ${profile}: ${NETWORK_PROFILES[profile].description} ===\n`)
+
+      const reportDir = path.join(ROOT_DIR, 'reports', 'network', profile)
+      fs.rmSync(reportDir, { recursive: true, force: true })
+
+      const result = { profile, ...NETWORK_PROFILES[profile], scenarios: [] }
+      for (const scenario of options.scenarios) {
+        console.log(`\nRunning ${scenario} under ${profile}...`)
+        const startTime = Date.now()
+        const code = await runScenario(profile, scenario, reportDir)
+        result.scenarios.push({
+          ...readScenarioResult(scenario, code, reportDir),
+          durationMs: Date.now() - startTime
+        })
+      }
+      results.push(result)
+    }
+
+    const reportDir = path.join(ROOT_DIR, 'reports')
+    fs.mkdirSync(reportDir, { recursive: true })
+
+    const table = toMarkdown(results, options.scenarios)
+    fs.writeFileSync(path.join(reportDir, 'network.md'), table)
+    fs.writeFileSync(path.join(reportDir, 'network.json'), JSON.stringify({
+      endedAt: new Date().toISOString(),
+      node: process.versions.node,
+      scenarios: options.scenarios,
+      results
+    }, null, 2))
+
+    console.log('\n=== Network Profiles Table ===\n')
+    console.log(table)
+    console.log(`Network profiles table written to ${path.join(reportDir, 'network.md')} and network.json`)
+
+    const failed = results.some(x => x.scenarios.some(y => y.outcome !== 'passed'))
+    if (failed) {
+      console.error('\n=== Network Profiles Failed ===\n')
+      process.exit(1)
+    }
+
+    console.log('\n=== Network Profiles Completed Successfully ===\n')
+    process.exit(0)
+  } catch (err) {
+    console.error('Error in start(): ', err)
+    process.exit(1)
+  }
+}
+
+// Read the command-line flags.
+function parseOptions () {
+  const { values } = parseArgs({
+    options: {
+      profiles: { type: 'string' },
+      scenarios: { type: 'string' }
+    },
+    strict: true
+  })
+
+  const profiles = values.profiles ? values.profiles.split(',') : Object.keys(NETWORK_PROFILES)
+  const unknownProfiles = profiles.filter(x => !NETWORK_PROFILES[x])
+  if (unknownProfiles.length) {
+    throw new Error(`Unknown network profiles: ${unknownProfiles.join(', ')}. Known profiles: ${Object.keys(NETWORK_PROFILES).join(', ')}`)
+  }
+
+  const scenarios = values.scenarios ? values.scenarios.split(',') : SCENARIOS
+  const unknownScenarios = scenarios.filter(x => !SCENARIOS.includes(x))
+  if (unknownScenarios.length) {
+    throw new Error(`Scenarios without network profile support: ${unknownScenarios.join(', ')}. Supported scenarios: ${SCENARIOS.join(', ')}`)
+  }
+
+  return { profiles, scenarios }
+}
+
+// Run the run-local.js script of a scenario under a network profile.
+// Resolves with its exit code. A runner killed on timeout exits with 1.
+function runScenario (profile, scenario, reportDir) {
+  return new Promise((resolve) => {
+    const scenarioDir = path.join(ROOT_DIR, scenario)
+    const child = spawn(process.execPath, [path.join(scenarioDir, 'run-local.js'), '--network-profile', profile], {
+      cwd: scenarioDir,
+      env: { ...process.env, REPORT_DIR: reportDir },
+      stdio: ['ignore', 'pipe', 'pipe']
+    })
+
+    prefixLines(child.stdout, process.stdout, profile)
+    prefixLines(child.stderr, process.stderr, profile)
+
+    const timer = setTimeout(() => {
+      console.error(`${scenario} did not finish after ${SCENARIO_TIMEOUT}ms, killing it...`)
+      child.kill()
+    }, SCENARIO_TIMEOUT)
+
+    child.on('close', (code) => {
+      clearTimeout(timer)
+      resolve(code === null ? 1 : code)
+    })
+  })
+}
+
+// Copy a stream to the console, one line at a time, with a name prefix.
+function prefixLines (input, output, name) {
+  const rl = readline.createInterface({ input })
+  rl.on('line', (line) => output.write(`[${name}] ${line}\n`))
+}
+
+// Read the scenario report merged by run-local.js, and list the steps that
+// failed, with the stats of the impairment proxies.
+function readScenarioResult (scenario, code, reportDir) {
+  let report = null
+  try {
+    report = JSON.parse(fs.readFileSync(path.join(reportDir, `${scenario}.json`), 'utf8'))
+  } catch {
+    return {
+      scenario,
+      outcome: 'failed',
+      failures: [{ peer: null, step: 'run-local.js', error: `exited with code ${code} without writing a report` }],
+      proxies: []
+    }
+  }
+
+  const failures = []
+  for (const peer of report.peers) {
+    if (peer.outcome === 'passed') continue
+
+    const step = peer.steps.find(x => x.outcome === 'failed')
+    failures.push({
+      peer: peer.peer,
+      step: step ? step.name : null,
+      error: (step && step.error && step.error.message) || (peer.error && peer.error.message) || null
+    })
+  }
+
+  return {
+    scenario,
+    outcome: code === 0 && report.outcome === 'passed' ? 'passed' : 'failed',
+    failures,
+    proxies: report.data && report.data.networkProfile ? report.data.networkProfile.proxies : []
+  }
+}
+
+// Build the table: one row per profile, with the result of each scenario,
+// how long it took, and the stalls and disconnects the proxies injected.
+function toMarkdown (results, scenarios) {
+  const header = ['Profile', 'Latency', 'Jitter', 'Bandwidth', ...scenarios]
+  const lines = [
+    `Network profiles run on ${new Date().toISOString()} with Node.js v${process.versions.node}.`,
+    '',
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`
+  ]
+
+  for (const result of results) {
+    const cells = [
+      result.profile,
+      `${result.latency}ms`,
+      `${result.jitter}ms`,
+      result.bandwidth ? `${result.bandwidth * 8 / 1000} kbit/s` : 'unlimited'
+    ]
+    for (const scenario of scenarios) {
+      cells.push(describeResult(result.scenarios.find(x => x.scenario === scenario)))
+    }
+    lines.push(`| ${cells.join(' | ')} |`)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+function describeResult (result) {
+  if (!result) return 'not run'
+
+  const stalls = result.proxies.reduce((sum, x) => sum + x.stalls, 0)
+  const disconnects = result.proxies.reduce((sum, x) => sum + x.disconnects, 0)
+  const details = `${Math.round(result.durationMs / 1000)}s, ${stalls} stalls, ${disconnects} disconnects`
+  if (result.outcome === 'passed') return `pass (${details})`
+
+  const failures = result.failures.map(x => {
+    const where = [x.peer, x.step].filter(Boolean).join(': ')
+    return where || 'failed'
+  })
+  return `FAIL (${failures.join('; ') || 'non-zero exit code'}; ${details})`
+}
+
+start()